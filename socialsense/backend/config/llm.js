@@ -0,0 +1,99 @@
+/**
+ * LLM Configuration
+ * Which provider and model handles each AI task.
+ *
+ *   LLM_PROVIDER               openai | local | fixture (default for every task)
+ *   LLM_<TASK>_PROVIDER        per-task override, e.g. LLM_TRANSCRIPTION_PROVIDER=openai
+ *   LLM_<TASK>_MODEL           per-task model override
+ *   LOCAL_LLM_BASE_URL         OpenAI-compatible endpoint for the local provider
+ *   LOCAL_LLM_API_KEY          optional key for that endpoint
+ *   LOCAL_LLM_MODEL            model used by the local provider when no task model is set
+ *   LLM_TOPIC_LABELS           true to have the analysis model relabel topic clusters
+ *                              (one extra analysis call per run; off by default)
+ *
+ * Without LLM_PROVIDER, OpenAI is used when OPENAI_API_KEY is set. The
+ * fixture provider (canned results, no keys or network) is only used when
+ * asked for with LLM_PROVIDER=fixture or under the test runner; otherwise the
+ * API and worker refuse to start without a provider.
+ */
+
+export const LLM_PROVIDERS = ['openai', 'local', 'fixture'];
+
+// Task -> default OpenAI model
+const OPENAI_MODELS = {
+  analysis: 'gpt-4o-mini',    // Text-only comment analysis
+  vision: 'gpt-4o',           // Comment analysis with video frames or product image
+  engagement: 'gpt-5.2',      // Engagement authenticity validation
+  transcription: 'whisper-1', // Video audio transcription
+};
+
+export const LLM_TASKS = Object.keys(OPENAI_MODELS);
+
+function defaultProvider() {
+  if (process.env.LLM_PROVIDER) return process.env.LLM_PROVIDER;
+  if (process.env.OPENAI_API_KEY) return 'openai';
+  return process.env.NODE_ENV === 'test' ? 'fixture' : null;
+}
+
+function defaultModel(provider, task) {
+  if (provider === 'openai') return OPENAI_MODELS[task];
+  if (provider === 'local') return process.env.LOCAL_LLM_MODEL || null;
+  return `fixture-${task}`;
+}
+
+/**
+ * Provider and model for a task
+ * @returns {{ provider: string, model: string }}
+ */
+export function getTaskConfig(task) {
+  if (!LLM_TASKS.includes(task)) {
+    throw new Error(`Unknown LLM task: ${task}`);
+  }
+
+  const key = task.toUpperCase();
+  const provider = process.env[`LLM_${key}_PROVIDER`] || defaultProvider();
+
+  if (!provider) {
+    throw new Error(`No AI provider configured for ${task} - set OPENAI_API_KEY or LLM_PROVIDER`);
+  }
+
+  if (!LLM_PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown LLM provider "${provider}" for ${task} (expected ${LLM_PROVIDERS.join(', ')})`);
+  }
+
+  const model = process.env[`LLM_${key}_MODEL`] || defaultModel(provider, task);
+  if (!model) {
+    throw new Error(`No model configured for ${task} - set LLM_${key}_MODEL or LOCAL_LLM_MODEL`);
+  }
+
+  return { provider, model };
+}
+
+/**
+ * Whether topic clusters get model-written labels on top of their keyword labels
+ */
+export function topicLabelsEnabled() {
+  return process.env.LLM_TOPIC_LABELS === 'true';
+}
+
+/**
+ * Log the active configuration once at startup, and exit if any task has
+ * no usable provider rather than failing every analysis later
+ */
+export function checkLLMConfig() {
+  let valid = true;
+
+  for (const task of LLM_TASKS) {
+    try {
+      const { provider, model } = getTaskConfig(task);
+      console.log(`[LLM] ${task}: ${provider} (${model})`);
+    } catch (error) {
+      console.error(`❌ [LLM] ${task}: ${error.message}`);
+      valid = false;
+    }
+  }
+
+  if (!valid) process.exit(1);
+}
+
+export default { LLM_PROVIDERS, LLM_TASKS, getTaskConfig, topicLabelsEnabled, checkLLMConfig };
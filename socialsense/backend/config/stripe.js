@@ -93,10 +93,16 @@ export const TOKEN_COSTS = {
   youtube_per_1000_comments: 1,
   // TikTok: 1 token per 100 comments (10x harder to scrape)
   tiktok_per_100_comments: 1,
+  // Reddit: 2 tokens per 1,000 comments (tree expansion takes many rate-limited requests)
+  reddit_per_1000_comments: 2,
+  // Uploaded comment files: 1 token per 1,000 comments (nothing to scrape)
+  upload_per_1000_comments: 1,
   // Text analysis addon
   text_analysis: 5,
   // Marketing analysis addon
   marketing_analysis: 5,
+  // Full-coverage AI analysis (every comment summarized, on top of text_analysis)
+  full_coverage_per_1000_comments: 2,
   // Video upload (frames + Whisper transcription + GPT-4o vision)
   video_analysis: 20,
   // Engagement validation (GPT-5.2 powered, YouTube/TikTok only)
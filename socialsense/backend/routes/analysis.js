@@ -1,20 +1,45 @@
 import express from 'express';
 import multer from 'multer';
 import rateLimit from 'express-rate-limit';
-import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
-import { spawn } from 'child_process';
-import { fileURLToPath } from 'url';
+import fs from 'fs/promises';
 
 import { authenticate } from '../middleware/auth.js';
 import { validateUUID } from '../middleware/validation.js';
 import { supabaseAdmin } from '../config/supabase.js';
 import { TOKEN_COSTS } from '../config/stripe.js';
+import { calculateCostBreakdown, calculateScrapingCost, reserveTokens, refundReservation } from '../services/billing.js';
+import { enqueueJob, getLatestJob, getLatestJobPayload, requestCancel, DeferJobError } from '../services/jobQueue.js';
+import { cancelAnalysisJob } from '../services/analysisJob.js';
+import { parseAspects } from '../services/aspects.js';
+import { mineQuestions } from '../services/questions.js';
+import { validatePlatformUrl } from '../services/platforms/index.js';
+import { safeUnlink } from '../utils/files.js';
+import {
+  UPLOAD_PLATFORM,
+  MAX_IMPORT_BYTES,
+  detectImportFormat,
+  parseImport,
+  suggestMapping,
+  validateMapping,
+  mapRows,
+} from '../services/commentImport.js';
 
 // Maximum comments to fetch (keeps processing fast and stable)
 const MAX_COMMENTS = 100000;
 
+// Analysis statuses after which nothing will change
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Analyses that stopped early and may continue from their scrape checkpoint
+const RESUMABLE_STATUSES = ['failed', 'cancelled'];
+
+// Progress stream timings
+const EVENTS_POLL_MS = 1000;
+const EVENTS_KEEPALIVE_MS = 15 * 1000;
+const EVENTS_MAX_DURATION_MS = 30 * 60 * 1000; // Client reconnects after this
+
 // Rate limiter for file uploads (stricter than general API)
 const uploadRateLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -24,31 +49,16 @@ const uploadRateLimiter = rateLimit({
   skip: (req) => !req.files || Object.keys(req.files).length === 0, // Only apply when files are present
 });
 
-import { extractVideoId, getVideoDetails, scrapeYouTubeComments } from '../services/youtube.js';
-import { extractTikTokVideoId, getTikTokVideoDetails, getTikTokCommentCount, scrapeTikTokComments } from '../services/tiktok.js';
-import { processComments, extractThemesAndKeywords } from '../services/commentProcessor.js';
-import { analyzeComments, transcribeAudio } from '../services/openai.js';
-import { aggregateSentiment } from '../services/sentiment.js';
-import { validateEngagement } from '../services/engagementValidator.js';
+// Comment file imports are previewed before they are analyzed, so allow more of them
+const importRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  keyGenerator: (req) => req.user?.id || req.ip,
+  message: { error: 'Too many uploads. Please try again later.' },
+});
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const router = express.Router();
 
-/**
- * Helper to safely delete temp files with proper logging
- */
-async function safeUnlink(filePath, context = 'unknown') {
-  if (!filePath) return;
-  try {
-    await fs.unlink(filePath);
-  } catch (err) {
-    // Only log if file exists but couldn't be deleted (not ENOENT)
-    if (err.code !== 'ENOENT') {
-      console.error(`[Cleanup] Failed to delete temp file (${context}): ${filePath}`, err.message);
-    }
-  }
-}
-
 // Configure multer for uploads (product_image and video)
 const upload = multer({
   dest: path.join(os.tmpdir(), 'socialsense-uploads'),
@@ -68,6 +78,84 @@ const uploadFields = upload.fields([
   { name: 'video', maxCount: 1 },
 ]);
 
+// Multer for comment file imports (plus the same optional image and video)
+const importUpload = multer({
+  dest: path.join(os.tmpdir(), 'socialsense-uploads'),
+  limits: { fileSize: 100 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (file.fieldname === 'file') {
+      if (detectImportFormat(file.originalname)) {
+        cb(null, true);
+      } else {
+        cb(new Error('Only CSV, JSON and NDJSON files can be imported'));
+      }
+    } else if (file.mimetype.startsWith('video/') || file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only video and image files are allowed'));
+    }
+  },
+});
+
+const importFields = importUpload.fields([
+  { name: 'file', maxCount: 1 },
+  { name: 'product_image', maxCount: 1 },
+  { name: 'video', maxCount: 1 },
+]);
+
+/**
+ * Run multer and answer its errors (bad file type, too large) with a 400
+ */
+const handleImportFields = (req, res, next) => {
+  importFields(req, res, (err) => {
+    if (err) return res.status(400).json({ error: err.message });
+    next();
+  });
+};
+
+/**
+ * Delete every file multer stored for a request
+ */
+async function cleanupRequestFiles(req) {
+  for (const [field, files] of Object.entries(req.files || {})) {
+    for (const file of files) await safeUnlink(file.path, field);
+  }
+}
+
+/**
+ * Parse an uploaded comment file and apply the column mapping
+ * (the suggested mapping when none was sent)
+ * @returns {Promise<{ error: string } | { format, columns, rows, mapping, comments }>}
+ */
+async function readCommentImport(file, rawMapping) {
+  if (!file) return { error: 'A CSV, JSON or NDJSON file is required' };
+  if (file.size > MAX_IMPORT_BYTES) {
+    return { error: `Comment files must be smaller than ${MAX_IMPORT_BYTES / 1024 / 1024}MB` };
+  }
+
+  let parsed;
+  try {
+    const text = await fs.readFile(file.path, 'utf8');
+    parsed = parseImport(text, detectImportFormat(file.originalname));
+  } catch (parseError) {
+    return { error: parseError.message };
+  }
+
+  if (!parsed.rows.length) return { error: 'No rows found in file' };
+
+  let mapping;
+  try {
+    mapping = rawMapping ? (typeof rawMapping === 'string' ? JSON.parse(rawMapping) : rawMapping) : suggestMapping(parsed.columns);
+  } catch {
+    return { error: 'Invalid column mapping' };
+  }
+
+  const mappingError = validateMapping(mapping, parsed.columns);
+  if (mappingError) return { ...parsed, mapping, error: mappingError };
+
+  return { ...parsed, mapping, comments: mapRows(parsed.rows, mapping) };
+}
+
 /**
  * POST /api/analysis/estimate
  * Get comment count and cost estimate for a video
@@ -80,7 +168,7 @@ router.post('/estimate', authenticate, async (req, res) => {
   }, 30000); // 30 second timeout
 
   try {
-    const { url, platform, include_text_analysis = true, include_marketing = false, include_engagement = false, has_video = false } = req.body;
+    const { url, platform, include_text_analysis = true, full_coverage = false, include_marketing = false, include_engagement = false, include_replies = false, has_video = false, max_videos, per_video_comments } = req.body;
 
     if (!url || !platform) {
       clearTimeout(timeout);
@@ -88,92 +176,30 @@ router.post('/estimate', authenticate, async (req, res) => {
     }
 
     // Validate URL format and domain to prevent SSRF attacks
-    let parsedUrl;
-    try {
-      parsedUrl = new URL(url);
-    } catch {
-      clearTimeout(timeout);
-      return res.status(400).json({ error: 'Invalid URL format' });
-    }
-
-    // Only allow https (and http for local dev)
-    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+    const { adapter, error: urlError } = validatePlatformUrl(platform, url);
+    if (urlError) {
       clearTimeout(timeout);
-      return res.status(400).json({ error: 'Only HTTP/HTTPS URLs are allowed' });
-    }
-
-    // Validate domain matches platform
-    const hostname = parsedUrl.hostname.toLowerCase();
-    if (platform === 'youtube') {
-      const validYouTubeDomains = ['youtube.com', 'www.youtube.com', 'youtu.be', 'm.youtube.com'];
-      if (!validYouTubeDomains.includes(hostname)) {
-        clearTimeout(timeout);
-        return res.status(400).json({ error: 'URL must be from youtube.com or youtu.be' });
-      }
-    } else if (platform === 'tiktok') {
-      const validTikTokDomains = ['tiktok.com', 'www.tiktok.com', 'vm.tiktok.com', 'm.tiktok.com'];
-      if (!validTikTokDomains.includes(hostname)) {
-        clearTimeout(timeout);
-        return res.status(400).json({ error: 'URL must be from tiktok.com' });
-      }
+      return res.status(400).json({ error: urlError });
     }
 
     let videoDetails = null;
     let commentCount = 0;
 
-    if (platform === 'youtube') {
-      const videoId = extractVideoId(url);
-      if (!videoId) {
-        clearTimeout(timeout);
-        return res.status(400).json({ error: 'Invalid YouTube URL. Could not extract video ID.' });
-      }
-
-      try {
-        videoDetails = await getVideoDetails(videoId);
-        commentCount = videoDetails.commentCount;
-      } catch (ytError) {
-        clearTimeout(timeout);
-        console.error('YouTube API error:', ytError);
-        return res.status(400).json({
-          error: ytError.message || 'Failed to fetch YouTube video details. Check your API key.',
-          details: 'Make sure your YouTube API key is valid and has quota remaining.'
-        });
-      }
-    } else if (platform === 'tiktok') {
-      try {
-        const videoId = await extractTikTokVideoId(url);
-        // Try to get full video details (views, likes, etc.)
-        const details = await getTikTokVideoDetails(videoId);
-        commentCount = details.commentCount || 0;
-
-        // If we didn't get metrics from the page, fall back to comment count API
-        if (commentCount === 0) {
-          const countResult = await getTikTokCommentCount(videoId);
-          commentCount = countResult.count;
-        }
-
-        videoDetails = {
-          id: videoId,
-          title: details.title || 'TikTok Video',
-          channelTitle: details.channelTitle || 'Unknown',
-          viewCount: details.viewCount || 0,
-          likeCount: details.likeCount || 0,
-          commentCount,
-          shareCount: details.shareCount || 0,
-          hasMetrics: details.hasMetrics || false,
-        };
-        console.log(`[TikTok] Video details: views=${details.viewCount}, likes=${details.likeCount}, hasMetrics=${details.hasMetrics}`);
-      } catch (ttError) {
-        clearTimeout(timeout);
-        console.error('TikTok error:', ttError);
-        return res.status(400).json({
-          error: ttError.message || 'Failed to fetch TikTok video details.',
-          details: 'TikTok URLs can be tricky. Make sure to use the full video URL.'
-        });
-      }
-    } else {
+    try {
+      const videoId = await adapter.extractId(url);
+      // Channels and playlists are priced for the whole batch of videos
+      videoDetails = await adapter.getDetails(videoId, { maxVideos: max_videos, perVideoComments: per_video_comments });
+      commentCount = videoDetails.commentCount || 0;
+    } catch (detailsError) {
       clearTimeout(timeout);
-      return res.status(400).json({ error: 'Invalid platform. Use "youtube" or "tiktok".' });
+      console.error(`${adapter.name} error:`, detailsError);
+      if (detailsError instanceof DeferJobError) {
+        return res.status(503).json({ error: detailsError.message, quota: { must_wait: true, reset_at: detailsError.retryAt.toISOString() } });
+      }
+      return res.status(400).json({
+        error: detailsError.message || `Failed to fetch ${adapter.name} video details.`,
+        details: adapter.detailsErrorHint,
+      });
     }
 
     // Cap comments at MAX_COMMENTS to keep processing stable
@@ -182,33 +208,23 @@ router.post('/estimate', authenticate, async (req, res) => {
     const isCapped = totalComments > MAX_COMMENTS;
 
     // Calculate token cost based on capped amount
-    let tokenCost = 0;
-
-    if (platform === 'youtube') {
-      tokenCost += Math.max(1, Math.ceil(cappedComments / 1000) * TOKEN_COSTS.youtube_per_1000_comments);
-    } else {
-      tokenCost += Math.max(1, Math.ceil(cappedComments / 100) * TOKEN_COSTS.tiktok_per_100_comments);
-    }
-
-    if (include_text_analysis) {
-      tokenCost += TOKEN_COSTS.text_analysis;
-    }
-
-    if (include_marketing) {
-      tokenCost += TOKEN_COSTS.marketing_analysis;
-    }
-
-    // Video upload costs 20 tokens (Whisper + GPT-4o vision)
-    if (has_video) {
-      tokenCost += TOKEN_COSTS.video_analysis;
-    }
-
-    // Engagement validation costs 20 tokens (GPT-5.2 powered)
-    if (include_engagement) {
-      tokenCost += TOKEN_COSTS.engagement_validation;
-    }
+    const { total: tokenCost, breakdown } = calculateCostBreakdown({
+      platform,
+      commentCount: cappedComments,
+      includeText: !!include_text_analysis,
+      fullCoverage: !!full_coverage,
+      includeMarketing: !!include_marketing,
+      includeEngagement: adapter.supportsEngagement && !videoDetails.isCollection && !!include_engagement,
+      hasVideo: !!has_video,
+    });
 
-    tokenCost = Math.max(1, tokenCost);
+    // APIs with a daily quota (YouTube) may have to wait for the next reset
+    const quota = adapter.checkQuota
+      ? await adapter.checkQuota(videoDetails, {
+        commentCount: cappedComments,
+        includeReplies: adapter.supportsReplies && (include_replies === true || include_replies === 'true'),
+      })
+      : null;
 
     const userBalance = req.profile?.token_balance || 0;
 
@@ -223,15 +239,8 @@ router.post('/estimate', authenticate, async (req, res) => {
       user_balance: userBalance,
       can_afford: userBalance >= tokenCost,
       has_video: !!has_video,
-      breakdown: {
-        scraping: platform === 'youtube'
-          ? Math.max(1, Math.ceil(cappedComments / 1000) * TOKEN_COSTS.youtube_per_1000_comments)
-          : Math.max(1, Math.ceil(cappedComments / 100) * TOKEN_COSTS.tiktok_per_100_comments),
-        text_analysis: include_text_analysis ? TOKEN_COSTS.text_analysis : 0,
-        marketing: include_marketing ? TOKEN_COSTS.marketing_analysis : 0,
-        video: has_video ? TOKEN_COSTS.video_analysis : 0,
-        engagement: include_engagement ? TOKEN_COSTS.engagement_validation : 0,
-      },
+      breakdown,
+      quota,
     });
   } catch (error) {
     clearTimeout(timeout);
@@ -240,77 +249,6 @@ router.post('/estimate', authenticate, async (req, res) => {
   }
 });
 
-// In-memory progress tracking with TTL and max size
-const PROGRESS_MAX_SIZE = 1000; // Maximum entries
-const PROGRESS_TTL_MS = 10 * 60 * 1000; // 10 minutes TTL
-
-class ProgressMap {
-  constructor(maxSize = PROGRESS_MAX_SIZE, ttlMs = PROGRESS_TTL_MS) {
-    this.map = new Map();
-    this.timestamps = new Map();
-    this.maxSize = maxSize;
-    this.ttlMs = ttlMs;
-
-    // Cleanup expired entries every minute
-    setInterval(() => this.cleanup(), 60 * 1000);
-  }
-
-  set(key, value) {
-    // If at max size, remove oldest entry
-    if (this.map.size >= this.maxSize && !this.map.has(key)) {
-      const oldestKey = this.timestamps.entries().next().value?.[0];
-      if (oldestKey) {
-        this.map.delete(oldestKey);
-        this.timestamps.delete(oldestKey);
-      }
-    }
-
-    this.map.set(key, value);
-    this.timestamps.set(key, Date.now());
-  }
-
-  get(key) {
-    const timestamp = this.timestamps.get(key);
-    if (timestamp && Date.now() - timestamp > this.ttlMs) {
-      this.map.delete(key);
-      this.timestamps.delete(key);
-      return undefined;
-    }
-    return this.map.get(key);
-  }
-
-  delete(key) {
-    this.map.delete(key);
-    this.timestamps.delete(key);
-  }
-
-  cleanup() {
-    const now = Date.now();
-    for (const [key, timestamp] of this.timestamps.entries()) {
-      if (now - timestamp > this.ttlMs) {
-        this.map.delete(key);
-        this.timestamps.delete(key);
-      }
-    }
-  }
-
-  get size() {
-    return this.map.size;
-  }
-}
-
-const progressMap = new ProgressMap();
-
-/**
- * GET /api/analysis/progress/:requestId
- * Check analysis progress
- */
-router.get('/progress/:requestId', (req, res) => {
-  const { requestId } = req.params;
-  const progress = progressMap.get(requestId) || { stage: 'init', count: 0, percent: 0 };
-  res.json(progress);
-});
-
 // POST /api/analysis/comments
 // Unified analysis: comments + optional video upload
 router.post('/comments', authenticate, uploadFields, uploadRateLimiter, async (req, res) => {
@@ -319,16 +257,20 @@ router.post('/comments', authenticate, uploadFields, uploadRateLimiter, async (r
       url,
       platform,
       max_comments = 1000,
+      include_replies = false,
       include_text_analysis = true,
+      full_coverage = false,
       include_marketing = false,
       include_engagement = false,
       product_description,
-      request_id,
       is_my_video = false,
       is_competitor = false,
       creator_notes = '',
       competitor_notes = '',
       harsh_feedback = false,
+      max_videos,
+      per_video_comments,
+      aspects,
     } = req.body;
 
     // Convert string booleans to actual booleans
@@ -346,120 +288,68 @@ router.post('/comments', authenticate, uploadFields, uploadRateLimiter, async (r
     }
 
     // Validate URL format and domain to prevent SSRF attacks
-    let parsedUrl;
-    try {
-      parsedUrl = new URL(url);
-    } catch {
-      return res.status(400).json({ error: 'Invalid URL format' });
-    }
-
-    if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
-      return res.status(400).json({ error: 'Only HTTP/HTTPS URLs are allowed' });
-    }
-
-    const hostname = parsedUrl.hostname.toLowerCase();
-    if (platform === 'youtube') {
-      const validYouTubeDomains = ['youtube.com', 'www.youtube.com', 'youtu.be', 'm.youtube.com'];
-      if (!validYouTubeDomains.includes(hostname)) {
-        return res.status(400).json({ error: 'URL must be from youtube.com or youtu.be' });
-      }
-    } else if (platform === 'tiktok') {
-      const validTikTokDomains = ['tiktok.com', 'www.tiktok.com', 'vm.tiktok.com', 'm.tiktok.com'];
-      if (!validTikTokDomains.includes(hostname)) {
-        return res.status(400).json({ error: 'URL must be from tiktok.com' });
-      }
+    const { adapter, error: urlError } = validatePlatformUrl(platform, url);
+    if (urlError) {
+      return res.status(400).json({ error: urlError });
     }
 
     // Extract files from multer
     const productImageFile = req.files?.product_image?.[0];
     const videoFile = req.files?.video?.[0];
 
-    if (request_id) {
-      progressMap.set(request_id, { stage: 'init', count: 0, percent: 5 });
-    }
-
     // 1. Fetch Video Details (Fast)
     let videoId, videoDetails;
 
-    if (platform === 'youtube') {
-      videoId = extractVideoId(url);
-      if (!videoId) return res.status(400).json({ error: 'Invalid YouTube URL' });
-      try {
-        videoDetails = await getVideoDetails(videoId);
-      } catch (e) {
-        return res.status(400).json({ error: e.message || 'Failed to fetch YouTube video' });
-      }
-    } else if (platform === 'tiktok') {
-      try {
-        videoId = await extractTikTokVideoId(url);
-        // Try to get full video details (views, likes, etc.)
-        const details = await getTikTokVideoDetails(videoId);
-        let commentCount = details.commentCount || 0;
-
-        // If we didn't get metrics from the page, fall back to comment count API
-        if (commentCount === 0) {
-          const countResult = await getTikTokCommentCount(videoId);
-          commentCount = countResult.count;
-        }
-
-        videoDetails = {
-          id: videoId,
-          title: details.title || 'TikTok Video',
-          channelTitle: details.channelTitle || 'Unknown',
-          viewCount: details.viewCount || 0,
-          likeCount: details.likeCount || 0,
-          commentCount,
-          shareCount: details.shareCount || 0,
-          hasMetrics: details.hasMetrics || false,
-        };
-        console.log(`[TikTok] Video details for analysis: views=${details.viewCount}, likes=${details.likeCount}, hasMetrics=${details.hasMetrics}`);
-      } catch (e) {
-        return res.status(400).json({ error: e.message || 'Failed to fetch TikTok video' });
+    try {
+      videoId = await adapter.extractId(url);
+      videoDetails = await adapter.getDetails(videoId, { maxVideos: max_videos, perVideoComments: per_video_comments });
+    } catch (e) {
+      if (e instanceof DeferJobError) {
+        return res.status(503).json({ error: e.message, quota: { must_wait: true, reset_at: e.retryAt.toISOString() } });
       }
-    } else {
-      return res.status(400).json({ error: 'Invalid platform' });
-    }
-
-    // 2. Calculate Costs (video is free) - cap at MAX_COMMENTS
-    const commentsToFetch = Math.min(parseInt(max_comments) || 1000, videoDetails.commentCount || 1000, MAX_COMMENTS);
-    let tokenCost = 0;
-    if (platform === 'youtube') {
-      tokenCost += Math.max(1, Math.ceil(commentsToFetch / 1000) * TOKEN_COSTS.youtube_per_1000_comments);
-    } else {
-      tokenCost += Math.max(1, Math.ceil(commentsToFetch / 100) * TOKEN_COSTS.tiktok_per_100_comments);
+      return res.status(400).json({ error: e.message || `Failed to fetch ${adapter.name} video` });
     }
 
+    // 2. Calculate Costs - cap at MAX_COMMENTS
+    // Channels and playlists are budgeted per video, so max_comments does not apply
+    const commentsToFetch = videoDetails.isCollection
+      ? Math.min(videoDetails.commentCount, MAX_COMMENTS)
+      : Math.min(parseInt(max_comments) || 1000, videoDetails.commentCount || 1000, MAX_COMMENTS);
+    const includeReplies = adapter.supportsReplies && (include_replies === 'true' || include_replies === true);
     const includeText = include_text_analysis === 'true' || include_text_analysis === true;
+    const fullCoverage = includeText && (full_coverage === 'true' || full_coverage === true);
     const includeMkt = include_marketing === 'true' || include_marketing === true;
-    const includeEng = include_engagement === 'true' || include_engagement === true;
-    if (includeText) tokenCost += TOKEN_COSTS.text_analysis;
-    if (includeMkt) tokenCost += TOKEN_COSTS.marketing_analysis;
-    if (includeEng) tokenCost += TOKEN_COSTS.engagement_validation;
+    // Engagement benchmarks are per video, so batches are not validated
+    const includeEng = adapter.supportsEngagement && !videoDetails.isCollection && (include_engagement === 'true' || include_engagement === true);
 
-    // Video upload costs 20 tokens (Whisper + GPT-4o vision)
-    if (videoFile) {
-      tokenCost += TOKEN_COSTS.video_analysis;
-      console.log(`[Analysis] Video file detected: ${videoFile.originalname} (${(videoFile.size / 1024 / 1024).toFixed(1)}MB) - adding ${TOKEN_COSTS.video_analysis} tokens`);
+    // Analyses that don't fit in today's API quota wait for the reset; ones bigger than a whole day are refused
+    const quota = adapter.checkQuota ? await adapter.checkQuota(videoDetails, { commentCount: commentsToFetch, includeReplies }) : null;
+    if (quota?.exceeds_daily_limit) {
+      if (productImageFile) await safeUnlink(productImageFile.path, 'productImage');
+      if (videoFile) await safeUnlink(videoFile.path, 'videoFile');
+      return res.status(400).json({
+        error: `This analysis needs about ${quota.units.toLocaleString()} ${adapter.name} API units, more than the ${quota.daily_limit.toLocaleString()} available per day. Analyze fewer comments.`,
+        quota,
+      });
     }
 
-    console.log(`[Analysis] Total token cost: ${tokenCost} (scraping: ${platform === 'youtube' ? Math.max(1, Math.ceil(commentsToFetch / 1000)) : Math.max(1, Math.ceil(commentsToFetch / 100))}, text: ${includeText ? TOKEN_COSTS.text_analysis : 0}, marketing: ${includeMkt ? TOKEN_COSTS.marketing_analysis : 0}, video: ${videoFile ? TOKEN_COSTS.video_analysis : 0}, engagement: ${includeEng ? TOKEN_COSTS.engagement_validation : 0})`);
-
-    // 3. Check Balance & Deduct
-    const { data: deductResult, error: deductError } = await supabaseAdmin.rpc('deduct_tokens', {
-      p_user_id: req.user.id,
-      p_amount: tokenCost,
-      p_description: `${platform} analysis: ${videoDetails.title || videoId}`,
-      p_metadata: { platform, url, has_video: !!videoFile }
+    const { total: tokenCost, breakdown: costBreakdown } = calculateCostBreakdown({
+      platform,
+      commentCount: commentsToFetch,
+      includeText,
+      fullCoverage,
+      includeMarketing: includeMkt,
+      includeEngagement: includeEng,
+      hasVideo: !!videoFile,
     });
 
-    if (deductError || !deductResult?.[0]?.success) {
-      // Cleanup uploaded files
-      if (productImageFile) await safeUnlink(productImageFile.path, 'productImage');
-      if (videoFile) await safeUnlink(videoFile.path, 'videoFile');
-      return res.status(402).json({ error: deductResult?.[0]?.message || 'Insufficient tokens' });
+    if (videoFile) {
+      console.log(`[Analysis] Video file detected: ${videoFile.originalname} (${(videoFile.size / 1024 / 1024).toFixed(1)}MB) - adding ${TOKEN_COSTS.video_analysis} tokens`);
     }
 
-    // 4. Create Record
+    console.log(`[Analysis] Total token cost: ${tokenCost} (scraping: ${costBreakdown.scraping}, text: ${costBreakdown.text_analysis}, full coverage: ${costBreakdown.full_coverage}, marketing: ${costBreakdown.marketing}, video: ${costBreakdown.video}, engagement: ${costBreakdown.engagement})`);
+
+    // 3. Create Record (tokens are charged once the reservation succeeds)
     const { data: analysis, error: createError } = await supabaseAdmin
       .from('analyses')
       .insert({
@@ -468,8 +358,8 @@ router.post('/comments', authenticate, uploadFields, uploadRateLimiter, async (r
         platform,
         video_url: url,
         video_title: videoDetails.title,
-        tokens_used: tokenCost,
-        status: 'processing',
+        tokens_used: 0,
+        status: 'pending',
         has_video: !!videoFile,
         is_my_video: isMyVideo,
         is_competitor: isCompetitor,
@@ -485,34 +375,82 @@ router.post('/comments', authenticate, uploadFields, uploadRateLimiter, async (r
       return res.status(500).json({ error: 'Failed to create analysis record' });
     }
 
-    // 5. Start Background Job
-    processAnalysisJob({
+    // 4. Reserve Tokens (settled against the real cost when the job finishes)
+    const reservation = await reserveTokens({
+      userId: req.user.id,
       analysisId: analysis.id,
-      videoId,
-      platform,
-      commentsToFetch,
-      includeText,
-      includeMkt,
-      includeEng,
-      product_description,
-      productImagePath: productImageFile?.path,
-      videoFilePath: videoFile?.path,
-      request_id,
-      startTime: Date.now(),
-      isMyVideo,
-      isCompetitor,
-      creatorNotes: creator_notes || null,
-      competitorNotes: competitor_notes || null,
-      harshFeedback,
-      videoDetails,
-    }).catch(err => console.error('Background Job Failed:', err));
+      amount: tokenCost,
+      description: `${platform} analysis: ${videoDetails.title || videoId}`,
+      metadata: { platform, url, has_video: !!videoFile, breakdown: costBreakdown },
+    });
+
+    if (!reservation.success) {
+      await supabaseAdmin.from('analyses').delete().eq('id', analysis.id);
+      if (productImageFile) await safeUnlink(productImageFile.path, 'productImage');
+      if (videoFile) await safeUnlink(videoFile.path, 'videoFile');
+      return res.status(402).json({ error: reservation.message });
+    }
+
+    await supabaseAdmin.from('analyses').update({ status: 'processing' }).eq('id', analysis.id);
+
+    // Hold the units in the same step as the check, so analyses queued together can't count on the same ones
+    const quotaHold = quota && adapter.reserveQuota ? await adapter.reserveQuota(analysis.id, quota.units) : quota;
+    const runAfter = quotaHold?.must_wait ? new Date(quotaHold.reset_at) : null;
+
+    // 5. Queue Background Job (picked up by the job worker)
+    try {
+      await enqueueJob({
+        analysisId: analysis.id,
+        userId: req.user.id,
+        payload: {
+          analysisId: analysis.id,
+          userId: req.user.id,
+          costBreakdown,
+          videoId,
+          platform,
+          commentsToFetch,
+          includeReplies,
+          includeText,
+          fullCoverage,
+          includeMkt,
+          includeEng,
+          productDescription: product_description || null,
+          productImagePath: productImageFile?.path || null,
+          videoFilePath: videoFile?.path || null,
+          isMyVideo,
+          isCompetitor,
+          creatorNotes: creator_notes || null,
+          competitorNotes: competitor_notes || null,
+          harshFeedback,
+          aspects: parseAspects(aspects),
+          videoDetails,
+          // Held again when the job starts on a later quota day
+          quotaUnits: quota?.units ?? null,
+        },
+        runAfter,
+        stage: 'waiting_for_quota',
+      });
+    } catch (queueError) {
+      console.error('Enqueue error:', queueError);
+      await supabaseAdmin.from('analyses').update({ status: 'failed', error_message: 'Failed to queue analysis' }).eq('id', analysis.id);
+      await refundReservation({ userId: req.user.id, analysisId: analysis.id, reserved: costBreakdown, reason: 'analysis could not be queued' });
+      await adapter.releaseQuota?.(analysis.id);
+      if (productImageFile) await safeUnlink(productImageFile.path, 'productImage');
+      if (videoFile) await safeUnlink(videoFile.path, 'videoFile');
+      return res.status(500).json({ error: 'Failed to start analysis. Please try again.' });
+    }
+
+    if (runAfter) {
+      console.log(`[Analysis] ${adapter.name} quota too low for analysis ${analysis.id} (${quotaHold.units} units needed, ${quotaHold.remaining} left) - queued until ${quotaHold.reset_at}`);
+    }
 
     // 6. Return Immediately
     res.json({
       analysis_id: analysis.id,
-      message: 'Analysis started',
+      message: runAfter ? `Analysis queued until the ${adapter.name} API quota resets` : 'Analysis started',
       status: 'processing',
       has_video: !!videoFile,
+      queued_until: runAfter?.toISOString() || null,
     });
 
   } catch (err) {
@@ -522,6 +460,206 @@ router.post('/comments', authenticate, uploadFields, uploadRateLimiter, async (r
 });
 
 
+/**
+ * POST /api/analysis/upload/preview
+ * Parse an uploaded comment file: columns, a few sample rows, the suggested
+ * (or sent) column mapping and what analyzing it would cost
+ */
+router.post('/upload/preview', authenticate, importRateLimiter, handleImportFields, async (req, res) => {
+  const file = req.files?.file?.[0];
+
+  try {
+    const { mapping, include_text_analysis = true, full_coverage = false, include_marketing = false, has_video = false } = req.body;
+    const imported = await readCommentImport(file, mapping);
+
+    if (!imported.columns) {
+      return res.status(400).json({ error: imported.error });
+    }
+
+    const commentCount = Math.min(imported.comments?.length || 0, MAX_COMMENTS);
+    const includeText = include_text_analysis === 'true' || include_text_analysis === true;
+    const { total: tokenCost, breakdown } = calculateCostBreakdown({
+      platform: UPLOAD_PLATFORM,
+      commentCount,
+      includeText,
+      fullCoverage: includeText && (full_coverage === 'true' || full_coverage === true),
+      includeMarketing: include_marketing === 'true' || include_marketing === true,
+      hasVideo: has_video === 'true' || has_video === true,
+    });
+
+    const userBalance = req.profile?.token_balance || 0;
+
+    res.json({
+      video: { title: file.originalname, channelTitle: `${imported.format.toUpperCase()} upload` },
+      format: imported.format,
+      columns: imported.columns,
+      sample_rows: imported.rows.slice(0, 5),
+      row_count: imported.rows.length,
+      mapping: imported.mapping,
+      mapping_error: imported.error || null,
+      comment_count: commentCount,
+      total_comments: imported.comments?.length || 0,
+      is_capped: (imported.comments?.length || 0) > MAX_COMMENTS,
+      max_comments: MAX_COMMENTS,
+      token_cost: tokenCost,
+      user_balance: userBalance,
+      can_afford: userBalance >= tokenCost,
+      breakdown,
+    });
+  } catch (error) {
+    console.error('Upload preview error:', error);
+    res.status(500).json({ error: 'Failed to read file. Please try again.' });
+  } finally {
+    await cleanupRequestFiles(req);
+  }
+});
+
+/**
+ * POST /api/analysis/upload
+ * Analyze comments from an uploaded CSV, JSON or NDJSON file. The file is
+ * kept until the job finishes and read again there.
+ */
+router.post('/upload', authenticate, importRateLimiter, handleImportFields, async (req, res) => {
+  const importFile = req.files?.file?.[0];
+  const productImageFile = req.files?.product_image?.[0];
+  const videoFile = req.files?.video?.[0];
+
+  try {
+    const {
+      mapping,
+      title,
+      max_comments,
+      include_text_analysis = true,
+      full_coverage = false,
+      include_marketing = false,
+      product_description,
+      is_my_video = false,
+      is_competitor = false,
+      creator_notes = '',
+      competitor_notes = '',
+      harsh_feedback = false,
+      aspects,
+    } = req.body;
+
+    const imported = await readCommentImport(importFile, mapping);
+    if (imported.error) {
+      await cleanupRequestFiles(req);
+      return res.status(400).json({ error: imported.error });
+    }
+    if (!imported.comments.length) {
+      await cleanupRequestFiles(req);
+      return res.status(400).json({ error: 'No comments found in the mapped text column' });
+    }
+
+    const isMyVideo = is_my_video === 'true' || is_my_video === true;
+    const isCompetitor = is_competitor === 'true' || is_competitor === true;
+    const harshFeedback = harsh_feedback === 'true' || harsh_feedback === true;
+    const commentsToFetch = Math.min(parseInt(max_comments) || imported.comments.length, imported.comments.length, MAX_COMMENTS);
+    const includeText = include_text_analysis === 'true' || include_text_analysis === true;
+    const fullCoverage = includeText && (full_coverage === 'true' || full_coverage === true);
+    const includeMkt = include_marketing === 'true' || include_marketing === true;
+    const videoTitle = (title || '').trim() || importFile.originalname;
+
+    const { total: tokenCost, breakdown: costBreakdown } = calculateCostBreakdown({
+      platform: UPLOAD_PLATFORM,
+      commentCount: commentsToFetch,
+      includeText,
+      fullCoverage,
+      includeMarketing: includeMkt,
+      hasVideo: !!videoFile,
+    });
+
+    console.log(`[Analysis] Import of ${importFile.originalname}: ${commentsToFetch} comments (${imported.format}), token cost ${tokenCost}`);
+
+    const { data: analysis, error: createError } = await supabaseAdmin
+      .from('analyses')
+      .insert({
+        user_id: req.user.id,
+        analysis_type: `${UPLOAD_PLATFORM}_comments`,
+        platform: UPLOAD_PLATFORM,
+        video_url: null,
+        video_title: videoTitle,
+        tokens_used: 0,
+        status: 'pending',
+        has_video: !!videoFile,
+        is_my_video: isMyVideo,
+        is_competitor: isCompetitor,
+        creator_notes: creator_notes || null,
+        competitor_notes: competitor_notes || null,
+      })
+      .select()
+      .single();
+
+    if (createError) {
+      await cleanupRequestFiles(req);
+      return res.status(500).json({ error: 'Failed to create analysis record' });
+    }
+
+    const reservation = await reserveTokens({
+      userId: req.user.id,
+      analysisId: analysis.id,
+      amount: tokenCost,
+      description: `Uploaded comments analysis: ${videoTitle}`,
+      metadata: { platform: UPLOAD_PLATFORM, file: importFile.originalname, has_video: !!videoFile, breakdown: costBreakdown },
+    });
+
+    if (!reservation.success) {
+      await supabaseAdmin.from('analyses').delete().eq('id', analysis.id);
+      await cleanupRequestFiles(req);
+      return res.status(402).json({ error: reservation.message });
+    }
+
+    await supabaseAdmin.from('analyses').update({ status: 'processing' }).eq('id', analysis.id);
+
+    try {
+      await enqueueJob({
+        analysisId: analysis.id,
+        userId: req.user.id,
+        payload: {
+          analysisId: analysis.id,
+          userId: req.user.id,
+          costBreakdown,
+          platform: UPLOAD_PLATFORM,
+          importFile: { path: importFile.path, format: imported.format, mapping: imported.mapping },
+          commentsToFetch,
+          includeText,
+          fullCoverage,
+          includeMkt,
+          includeEng: false,
+          productDescription: product_description || null,
+          productImagePath: productImageFile?.path || null,
+          videoFilePath: videoFile?.path || null,
+          isMyVideo,
+          isCompetitor,
+          creatorNotes: creator_notes || null,
+          competitorNotes: competitor_notes || null,
+          harshFeedback,
+          aspects: parseAspects(aspects),
+          videoDetails: { title: videoTitle },
+        },
+      });
+    } catch (queueError) {
+      console.error('Enqueue error:', queueError);
+      await supabaseAdmin.from('analyses').update({ status: 'failed', error_message: 'Failed to queue analysis' }).eq('id', analysis.id);
+      await refundReservation({ userId: req.user.id, analysisId: analysis.id, reserved: costBreakdown, reason: 'analysis could not be queued' });
+      await cleanupRequestFiles(req);
+      return res.status(500).json({ error: 'Failed to start analysis. Please try again.' });
+    }
+
+    res.json({
+      analysis_id: analysis.id,
+      message: 'Analysis started',
+      status: 'processing',
+      comment_count: commentsToFetch,
+      has_video: !!videoFile,
+    });
+  } catch (err) {
+    console.error('Upload analysis error:', err);
+    await cleanupRequestFiles(req);
+    res.status(500).json({ error: 'Failed to start analysis. Please try again.' });
+  }
+});
+
 /**
  * GET /api/analysis/history
  */
@@ -728,11 +866,20 @@ router.get('/:id/export', authenticate, validateUUID('id'), async (req, res) =>
 
     const comments = analysis.raw_comments || [];
 
-    const headers = ['user', 'text', 'likes'];
+    // Thread columns are empty for comments scraped before replies were tracked,
+    // video columns are only filled for channel and playlist analyses
+    const headers = ['user', 'text', 'likes', 'id', 'parent_id', 'reply_count', 'is_creator_reply', 'is_unanswered_question', 'video_id', 'video_title'];
     const rows = comments.map(c => [
       `"${(c.user || '').replace(/"/g, '""')}"`,
       `"${(c.text || '').replace(/"/g, '""')}"`,
       c.likes || 0,
+      c.id || '',
+      c.parent_id || '',
+      c.reply_count ?? '',
+      c.is_creator_reply ?? '',
+      c.is_unanswered_question ?? '',
+      c.video_id || '',
+      `"${(c.video_title || '').replace(/"/g, '""')}"`,
     ].join(','));
 
     const csv = [headers.join(','), ...rows].join('\n');
@@ -747,353 +894,346 @@ router.get('/:id/export', authenticate, validateUUID('id'), async (req, res) =>
 });
 
 /**
- * Extract frames from video using FFmpeg
- * @param {string} videoPath - Path to video file
- * @param {number} framesPerSecond - Frames to extract per second
- * @param {number} timeoutMs - Timeout in milliseconds (default 5 minutes)
+ * GET /api/analysis/:id/questions/export
+ * Grouped viewer questions, most asked first. Analyses from before question
+ * mining are grouped from their stored comments.
  */
-async function extractVideoFrames(videoPath, framesPerSecond = 2, timeoutMs = 5 * 60 * 1000) {
-  const tempDir = os.tmpdir();
-  const framePrefix = `frame-${Date.now()}`;
-
-  return new Promise((resolve, reject) => {
-    const frames = [];
-    const outputPattern = path.join(tempDir, `${framePrefix}-%03d.jpg`);
-    let isResolved = false;
-
-    // Extract 1 frame every N seconds, max 20 frames, good quality JPEG
-    const ffmpeg = spawn('ffmpeg', [
-      '-i', videoPath,
-      '-vf', `fps=1/${framesPerSecond},scale=512:-1`,  // Resize to 512px width for API limits
-      '-frames:v', '20',
-      '-q:v', '2',  // Higher quality (lower = better, 2-5 is good)
-      '-y',  // Overwrite existing
-      outputPattern,
-    ]);
+router.get('/:id/questions/export', authenticate, validateUUID('id'), async (req, res) => {
+  try {
+    const { id } = req.params;
 
-    // Set timeout
-    const timeout = setTimeout(() => {
-      if (!isResolved) {
-        isResolved = true;
-        ffmpeg.kill('SIGKILL');
-        console.error('[Video] FFmpeg timeout - process killed');
-        reject(new Error('Video frame extraction timed out after 5 minutes'));
-      }
-    }, timeoutMs);
+    const { data: analysis, error } = await supabaseAdmin
+      .from('analyses')
+      .select('questions, raw_comments')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
 
-    let stderr = '';
-    ffmpeg.stderr.on('data', (data) => {
-      stderr += data.toString();
-    });
+    if (error || !analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
 
-    ffmpeg.on('error', (err) => {
-      if (isResolved) return;
-      isResolved = true;
-      clearTimeout(timeout);
+    const report = analysis.questions || mineQuestions(analysis.raw_comments || []);
+    const quote = (value) => `"${(value || '').replace(/"/g, '""')}"`;
+
+    // status is empty where reply threads were not scraped
+    const headers = ['rank', 'question', 'times_asked', 'likes', 'status', 'answered', 'unanswered', 'first_asked', 'variants'];
+    const rows = (report?.groups || []).map((g, i) => [
+      i + 1,
+      quote(g.question),
+      g.count,
+      g.likes,
+      g.status || '',
+      g.answered,
+      g.unanswered,
+      g.first_asked || '',
+      quote(g.variants.join(' | ')),
+    ].join(','));
 
-      if (err.code === 'ENOENT') {
-        console.error('[Video] FFmpeg not found');
-        reject(new Error('ffmpeg not found. Please install ffmpeg to use video analysis features.'));
-      } else {
-        console.error('[Video] FFmpeg spawn error:', err);
-        reject(err);
-      }
-    });
+    const csv = [headers.join(','), ...rows].join('\n');
 
-    ffmpeg.on('close', async (code) => {
-      if (isResolved) return;
-      isResolved = true;
-      clearTimeout(timeout);
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="questions-${id}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Questions export error:', error);
+    res.status(500).json({ error: 'Failed to export questions' });
+  }
+});
 
-      if (code !== 0) {
-        console.error(`[Video] FFmpeg exited with code ${code}`);
-        console.error('[Video] FFmpeg stderr:', stderr.slice(-500));
-        reject(new Error('Failed to extract frames from video.'));
-        return;
-      }
+/**
+ * POST /api/analysis/:id/cancel
+ * Stop a queued or running analysis. Comments collected so far are kept
+ * and the unused part of the cost is refunded.
+ */
+router.post('/:id/cancel', authenticate, validateUUID('id'), async (req, res) => {
+  try {
+    const { id } = req.params;
 
-      try {
-        const files = await fs.readdir(tempDir);
-        const frameFiles = files
-          .filter(f => f.startsWith(framePrefix) && f.endsWith('.jpg'))
-          .sort();
-
-        console.log(`[Video] Found ${frameFiles.length} frame files`);
-
-        for (const file of frameFiles.slice(0, 15)) {  // Limit to 15 frames
-          const framePath = path.join(tempDir, file);
-          const frameBuffer = await fs.readFile(framePath);
-
-          // Only include frames larger than 1KB (valid images)
-          if (frameBuffer.length > 1024) {
-            frames.push(frameBuffer.toString('base64'));
-          }
-          await safeUnlink(framePath, 'videoFrame');
-        }
-
-        // Clean up any remaining frames
-        for (const file of frameFiles.slice(15)) {
-          const framePath = path.join(tempDir, file);
-          await safeUnlink(framePath, 'videoFrame');
-        }
-
-        if (frames.length === 0) {
-          reject(new Error('No valid frames extracted from video.'));
-          return;
-        }
-
-        console.log(`[Video] Successfully extracted ${frames.length} frames`);
-        resolve(frames);
-      } catch (err) {
-        console.error('[Video] Frame reading error:', err);
-        reject(err);
-      }
-    });
-  });
-}
+    const { data: analysis, error } = await supabaseAdmin
+      .from('analyses')
+      .select('id, status')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (error || !analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+
+    if (TERMINAL_STATUSES.includes(analysis.status)) {
+      return res.status(409).json({ error: `Analysis already ${analysis.status}` });
+    }
+
+    const result = await requestCancel(id);
+
+    if (!result) {
+      return res.status(409).json({ error: 'Analysis is not running' });
+    }
+
+    // Not running - nothing to stop, finish it here with whatever an earlier attempt checkpointed
+    if (result.state === 'cancelled') {
+      await cancelAnalysisJob(result.job);
+      return res.json({ status: 'cancelled' });
+    }
+
+    // The worker notices within a few seconds and stops the job
+    res.status(202).json({ status: 'cancelling' });
+  } catch (error) {
+    console.error('Cancel error:', error);
+    res.status(500).json({ error: 'Failed to cancel analysis' });
+  }
+});
 
 /**
- * Extract audio from video using FFmpeg (for Whisper transcription)
- * @param {string} videoPath - Path to video file
- * @param {number} timeoutMs - Timeout in milliseconds (default 5 minutes)
+ * POST /api/analysis/:id/resume
+ * Continue a failed or cancelled analysis from its last scrape checkpoint.
+ * Comments the analysis was already charged for are not billed again.
  */
-async function extractAudio(videoPath, timeoutMs = 5 * 60 * 1000) {
-  const outputPath = videoPath + '.audio.mp3';
-
-  return new Promise((resolve, reject) => {
-    let isResolved = false;
-
-    const ffmpeg = spawn('ffmpeg', [
-      '-i', videoPath,
-      '-vn',                    // No video
-      '-acodec', 'libmp3lame',  // MP3 encoding
-      '-ab', '128k',            // 128kbps bitrate
-      '-ar', '16000',           // 16kHz sample rate (optimal for Whisper)
-      '-ac', '1',               // Mono
-      '-y',                     // Overwrite output
-      outputPath,
-    ]);
+router.post('/:id/resume', authenticate, validateUUID('id'), async (req, res) => {
+  try {
+    const { id } = req.params;
 
-    // Set timeout
-    const timeout = setTimeout(() => {
-      if (!isResolved) {
-        isResolved = true;
-        ffmpeg.kill('SIGKILL');
-        console.error('[Audio] FFmpeg timeout - process killed');
-        reject(new Error('Audio extraction timed out after 5 minutes'));
-      }
-    }, timeoutMs);
+    const { data: analysis, error } = await supabaseAdmin
+      .from('analyses')
+      .select('id, status, error_message, platform, video_title, comment_count, scrape_checkpoint')
+      .eq('id', id)
+      .eq('user_id', req.user.id)
+      .single();
 
-    ffmpeg.on('error', (err) => {
-      if (isResolved) return;
-      isResolved = true;
-      clearTimeout(timeout);
+    if (error || !analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
 
-      if (err.code === 'ENOENT') {
-        reject(new Error('ffmpeg not found'));
-      } else {
-        reject(err);
-      }
+    if (!RESUMABLE_STATUSES.includes(analysis.status)) {
+      return res.status(409).json({ error: 'Only failed or cancelled analyses can be resumed' });
+    }
+
+    if (!analysis.scrape_checkpoint?.comments) {
+      return res.status(409).json({ error: 'Nothing was saved for this analysis. Start a new analysis instead.' });
+    }
+
+    const payload = await getLatestJobPayload(id);
+    if (!payload) {
+      return res.status(409).json({ error: 'Nothing was saved for this analysis. Start a new analysis instead.' });
+    }
+
+    // Uploaded files are deleted once an analysis stops
+    if (payload.importFile || payload.videoFilePath) {
+      return res.status(409).json({ error: 'Analyses with uploaded files cannot be resumed. Start a new analysis instead.' });
+    }
+
+    // A cancelled analysis was charged for the comments it kept; a failed one was refunded
+    const billedComments = analysis.status === 'cancelled'
+      ? Math.max(analysis.comment_count || 0, payload.billedComments || 0)
+      : payload.billedComments || 0;
+    const unbilledComments = Math.max(0, payload.commentsToFetch - billedComments);
+
+    const { breakdown: costBreakdown } = calculateCostBreakdown({
+      platform: analysis.platform,
+      commentCount: payload.commentsToFetch,
+      includeText: payload.includeText,
+      fullCoverage: payload.fullCoverage,
+      includeMarketing: payload.includeMkt,
+      includeEngagement: payload.includeEng,
     });
+    costBreakdown.scraping = unbilledComments > 0 ? calculateScrapingCost(analysis.platform, unbilledComments) : 0;
+    const tokenCost = Object.values(costBreakdown).reduce((sum, cost) => sum + cost, 0);
 
-    ffmpeg.on('close', (code) => {
-      if (isResolved) return;
-      isResolved = true;
-      clearTimeout(timeout);
+    // Claim the analysis first so a double-submitted resume can't reserve twice
+    const { data: claimed } = await supabaseAdmin
+      .from('analyses')
+      .update({ status: 'processing', error_message: null })
+      .eq('id', id)
+      .eq('status', analysis.status)
+      .select('id');
 
-      if (code !== 0) {
-        reject(new Error('Audio extraction failed'));
-      } else {
-        resolve(outputPath);
+    if (!claimed?.length) {
+      return res.status(409).json({ error: 'Analysis is already being resumed' });
+    }
+
+    if (tokenCost > 0) {
+      const reservation = await reserveTokens({
+        userId: req.user.id,
+        analysisId: id,
+        amount: tokenCost,
+        description: `Resumed ${analysis.platform} analysis: ${analysis.video_title || payload.videoId}`,
+        metadata: { platform: analysis.platform, resumed: true, breakdown: costBreakdown },
+      });
+
+      if (!reservation.success) {
+        await supabaseAdmin.from('analyses').update({ status: analysis.status, error_message: analysis.error_message }).eq('id', id);
+        return res.status(402).json({ error: reservation.message });
       }
+    }
+
+    try {
+      await enqueueJob({
+        analysisId: id,
+        userId: req.user.id,
+        payload: { ...payload, costBreakdown, billedComments, productImagePath: null },
+      });
+    } catch (queueError) {
+      console.error('Enqueue error:', queueError);
+      await supabaseAdmin.from('analyses').update({ status: analysis.status, error_message: 'Failed to resume analysis' }).eq('id', id);
+      await refundReservation({ userId: req.user.id, analysisId: id, reserved: costBreakdown, reason: 'analysis could not be resumed' });
+      return res.status(500).json({ error: 'Failed to resume analysis. Please try again.' });
+    }
+
+    console.log(`[Analysis] Resuming analysis ${id} from ${analysis.scrape_checkpoint.comments} saved comments (${tokenCost} tokens reserved)`);
+
+    res.json({
+      analysis_id: id,
+      message: 'Analysis resumed',
+      status: 'processing',
+      resumed_comments: analysis.scrape_checkpoint.comments,
+      tokens_reserved: tokenCost,
     });
-  });
+  } catch (error) {
+    console.error('Resume error:', error);
+    res.status(500).json({ error: 'Failed to resume analysis' });
+  }
+});
+
+/**
+ * Current progress of an analysis owned by the user, or null if not found.
+ * Shared by the event stream and its polling fallback.
+ */
+async function getProgressSnapshot(analysisId, userId) {
+  const { data: analysis, error } = await supabaseAdmin
+    .from('analyses')
+    .select('id, status, error_message, comment_count, sentiment_scores, filter_stats')
+    .eq('id', analysisId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error || !analysis) return null;
+
+  const job = await getLatestJob(analysisId);
+  const progress = job?.progress || { stage: analysis.status === 'completed' ? 'completed' : 'init', count: 0, percent: 0 };
+
+  return {
+    status: analysis.status,
+    error_message: analysis.error_message || null,
+    progress: { ...progress, attempt: job?.attempts || 0 },
+    // Comments are saved before the AI step, so sentiment is available early
+    partial: analysis.comment_count
+      ? {
+        comment_count: analysis.comment_count,
+        sentiment_scores: analysis.sentiment_scores,
+        filter_stats: analysis.filter_stats,
+      }
+      : null,
+  };
 }
 
-// Background Worker Function (Unified: comments + optional video + optional engagement)
-async function processAnalysisJob({
-  analysisId, videoId, platform, commentsToFetch,
-  includeText, includeMkt, includeEng, product_description, productImagePath, videoFilePath, request_id, startTime,
-  isMyVideo = false, isCompetitor = false, creatorNotes = null, competitorNotes = null, harshFeedback = false,
-  videoDetails = null
-}) {
+/**
+ * GET /api/analysis/:id/progress
+ * Progress snapshot (polling fallback for clients without event streams)
+ */
+router.get('/:id/progress', authenticate, validateUUID('id'), async (req, res) => {
   try {
-    // 1. Scrape Comments
-    let rawComments = [];
-    if (request_id) progressMap.set(request_id, { stage: 'scraping', count: 0, percent: 10 });
+    const snapshot = await getProgressSnapshot(req.params.id, req.user.id);
 
-    try {
-      if (platform === 'youtube') {
-        rawComments = await scrapeYouTubeComments(videoId, commentsToFetch, (count) => {
-          if (request_id) {
-            const p = Math.min(70, 10 + Math.floor((count / commentsToFetch) * 60));
-            progressMap.set(request_id, { stage: 'scraping', count, percent: p });
-          }
-        });
-      } else {
-        if (request_id) progressMap.set(request_id, { stage: 'scraping', count: 0, percent: 30 });
-        rawComments = await scrapeTikTokComments(videoId, commentsToFetch);
-      }
-    } catch (e) {
-      throw new Error(`Scraping failed: ${e.message}`);
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Analysis not found' });
     }
 
-    if (!rawComments || !rawComments.length) throw new Error('No comments found');
-
-    // 2. Process Comments (includes sentiment scoring)
-    if (request_id) progressMap.set(request_id, { stage: 'processing', count: rawComments.length, percent: 72 });
-    const { comments: processedComments, stats: filterStats } = processComments(rawComments);
-
-    // 3. Aggregate Sentiment
-    if (request_id) progressMap.set(request_id, { stage: 'analyzing_sentiment', count: rawComments.length, percent: 75 });
-    const sentimentResults = processedComments.map(c => c.sentiment).filter(Boolean);
-    const sentimentScores = aggregateSentiment(sentimentResults);
-
-    // 4. Safety Save (metadata, filter stats, sentiment, raw comments)
-    const { error: metaError } = await supabaseAdmin.from('analyses').update({
-      filter_stats: filterStats,
-      sentiment_scores: sentimentScores,
-      comment_count: rawComments.length,
-      status: 'processing'
-    }).eq('id', analysisId);
-    if (metaError) console.error('Safety Save Meta Error:', metaError);
-
-    const { error: commentsError } = await supabaseAdmin.from('analyses').update({
-      raw_comments: processedComments
-    }).eq('id', analysisId);
-    if (commentsError) console.error('Safety Save Comments Error:', commentsError);
-
-    // 5. Video Processing (if video file provided)
-    let videoFrames = null;
-    let videoTranscript = null;
-
-    if (videoFilePath) {
-      // 5a. Extract frames
-      if (request_id) progressMap.set(request_id, { stage: 'extracting_video', count: rawComments.length, percent: 78 });
-      try {
-        videoFrames = await extractVideoFrames(videoFilePath);
-        console.log(`[Video] Extracted ${videoFrames?.length || 0} frames`);
-      } catch (frameErr) {
-        console.warn('[Video] Frame extraction failed:', frameErr.message);
-      }
+    res.json(snapshot);
+  } catch (error) {
+    console.error('Progress error:', error);
+    res.status(500).json({ error: 'Failed to fetch progress' });
+  }
+});
 
-      // 5b. Extract audio and transcribe
-      if (request_id) progressMap.set(request_id, { stage: 'transcribing_audio', count: rawComments.length, percent: 82 });
-      try {
-        const audioPath = await extractAudio(videoFilePath);
-        console.log('[Video] Audio extracted, transcribing...');
-        videoTranscript = await transcribeAudio(audioPath);
-        await safeUnlink(audioPath, 'audioFile');
-        console.log(`[Video] Transcription complete: ${videoTranscript?.length || 0} chars`);
-      } catch (audioErr) {
-        console.warn('[Video] Audio transcription failed:', audioErr.message);
-      }
+/**
+ * GET /api/analysis/:id/events
+ * Server-Sent Events stream of analysis progress.
+ * Events: `progress` (stage/count/percent), `partial` (early results),
+ * `status` (completed/failed/cancelled, sent once before the stream closes)
+ */
+router.get('/:id/events', authenticate, validateUUID('id'), async (req, res) => {
+  const { id } = req.params;
 
-      // Cleanup video file
-      await safeUnlink(videoFilePath, 'videoFilePath');
-    }
+  let snapshot;
+  try {
+    snapshot = await getProgressSnapshot(id, req.user.id);
+  } catch (error) {
+    console.error('Events error:', error);
+    return res.status(500).json({ error: 'Failed to open progress stream' });
+  }
 
-    // 6. Prepare Marketing Context
-    let marketingContext = null;
-    if (includeMkt && product_description) {
-      marketingContext = { description: product_description, image_base64: null };
-      if (productImagePath) {
-        try {
-          const buff = await fs.readFile(productImagePath);
-          marketingContext.image_base64 = buff.toString('base64');
-        } catch (e) { console.warn('Image read fail', e); }
-      }
+  if (!snapshot) {
+    return res.status(404).json({ error: 'Analysis not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Disable proxy buffering
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  let closed = false;
+  let lastProgress = null;
+  let lastPartial = null;
+  let pollTimer = null;
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearTimeout(pollTimer);
+    clearInterval(keepAlive);
+    clearTimeout(maxDuration);
+    res.end();
+  };
+
+  // Only send what changed since the last tick
+  const emit = (snap) => {
+    const progress = JSON.stringify(snap.progress);
+    if (progress !== lastProgress) {
+      lastProgress = progress;
+      send('progress', snap.progress);
     }
 
-    // 7. AI Analysis (includes video transcript + frames if available)
-    let analysisResult = { summary: null, keywords: [], themes: [], stats: null };
-    if (includeText) {
-      if (request_id) progressMap.set(request_id, { stage: 'analyzing_ai', count: rawComments.length, percent: 88 });
-
-      try {
-        analysisResult = await analyzeComments(processedComments, platform, marketingContext, videoTranscript, videoFrames, isMyVideo, creatorNotes, isCompetitor, competitorNotes, harshFeedback);
-      } catch (aiErr) {
-        console.error('AI Error:', aiErr);
-        const fallback = extractThemesAndKeywords(processedComments.map(c => c.clean_text));
-        analysisResult = {
-          ...fallback,
-          stats: { total: rawComments.length, analyzed: 0, coverage: 0 },
-          summary: `**AI Analysis Failed:** ${aiErr.message}\n\nKeywords extracted successfully.`
-        };
-      }
-    } else {
-      const fallback = extractThemesAndKeywords(processedComments.map(c => c.clean_text));
-      analysisResult = {
-        ...fallback,
-        stats: { total: rawComments.length, analyzed: 0, coverage: 0 },
-        summary: 'AI analysis not requested.'
-      };
+    const partial = JSON.stringify(snap.partial);
+    if (snap.partial && partial !== lastPartial) {
+      lastPartial = partial;
+      send('partial', snap.partial);
     }
 
-    // 8. Engagement Validation (if requested)
-    let engagementResult = null;
-    if (includeEng && videoDetails) {
-      if (request_id) progressMap.set(request_id, { stage: 'validating_engagement', count: rawComments.length, percent: 92 });
-      try {
-        console.log('[Analysis] Running engagement validation...');
-        engagementResult = await validateEngagement(videoDetails, processedComments, platform);
-        console.log(`[Analysis] Engagement validation complete - Score: ${engagementResult.authenticityScore}`);
-      } catch (engErr) {
-        console.error('[Analysis] Engagement validation failed:', engErr);
-        engagementResult = {
-          authenticityScore: null,
-          verdict: 'Analysis Error',
-          engagementAssessment: `Validation failed: ${engErr.message}`,
-          redFlags: [],
-          positiveSignals: [],
-          recommendations: ['Please try again.'],
-        };
-      }
+    if (TERMINAL_STATUSES.includes(snap.status)) {
+      send('status', { status: snap.status, error_message: snap.error_message });
+      close();
     }
+  };
 
-    const processingTime = Date.now() - startTime;
-
-    // 9. Final Update
-    const { error: finalMetaError } = await supabaseAdmin.from('analyses').update({
-      status: 'completed',
-      summary: analysisResult.summary,
-      keywords: analysisResult.keywords,
-      themes: analysisResult.themes,
-      video_transcript: videoTranscript || null,
-      processing_time_ms: processingTime,
-      video_score: analysisResult.videoScore || null,
-      priority_improvement: analysisResult.priorityImprovement || null,
-      score_breakdown: analysisResult.scoreBreakdown || null,
-      notes_assessment: analysisResult.notesAssessment || null,
-      marketing_insights: analysisResult.marketingInsights || null,
-      competitor_analysis: analysisResult.competitorAnalysis || null,
-      action_items: analysisResult.actionItems || [],
-      engagement_validation: engagementResult || null,
-    }).eq('id', analysisId);
-
-    console.log('[Analysis] Final save - videoScore:', analysisResult.videoScore, 'scoreBreakdown:', analysisResult.scoreBreakdown ? 'found' : 'null', 'priorityImprovement:', analysisResult.priorityImprovement ? 'found' : 'null', 'actionItems:', analysisResult.actionItems?.length || 0);
-
-    if (finalMetaError) {
-      console.error('Final Save Meta Error:', finalMetaError);
-      throw new Error('Failed to save analysis results: ' + finalMetaError.message);
+  const poll = async () => {
+    if (closed) return;
+    try {
+      const snap = await getProgressSnapshot(id, req.user.id);
+      if (!snap) return close();
+      emit(snap);
+    } catch (error) {
+      console.error('Events poll error:', error.message);
     }
+    if (!closed) pollTimer = setTimeout(poll, EVENTS_POLL_MS);
+  };
 
-    // Cleanup
-    if (productImagePath) await safeUnlink(productImagePath, 'productImagePath');
-    if (request_id) setTimeout(() => progressMap.delete(request_id), 60000);
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), EVENTS_KEEPALIVE_MS);
+  const maxDuration = setTimeout(close, EVENTS_MAX_DURATION_MS);
 
-  } catch (error) {
-    console.error('Job Error:', error);
-    await supabaseAdmin.from('analyses').update({
-      status: 'failed',
-      error_message: error.message
-    }).eq('id', analysisId);
-
-    if (productImagePath) await safeUnlink(productImagePath, 'productImagePath');
-    if (videoFilePath) await safeUnlink(videoFilePath, 'videoFilePath');
-    if (request_id) setTimeout(() => progressMap.delete(request_id), 30000);
-  }
-}
+  req.on('close', close);
+
+  emit(snapshot);
+  if (!closed) pollTimer = setTimeout(poll, EVENTS_POLL_MS);
+});
 
 /**
  * GET /api/analysis/compare/:id1/:id2
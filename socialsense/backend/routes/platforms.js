@@ -0,0 +1,14 @@
+import express from 'express';
+import { listPlatforms } from '../services/platforms/index.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/platforms
+ * List supported platforms with their URL domains and scraping price
+ */
+router.get('/', (req, res) => {
+  res.json({ platforms: listPlatforms() });
+});
+
+export default router;
@@ -0,0 +1,96 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+
+import { authenticate } from '../middleware/auth.js';
+import { isValidUUID } from '../middleware/validation.js';
+import { supabaseAdmin } from '../config/supabase.js';
+import {
+  RULE_LIMITS,
+  RuleValidationError,
+  normalizeRules,
+  getFilterRules,
+  saveFilterRules,
+  previewRules,
+} from '../services/filterRules.js';
+
+const router = express.Router();
+
+// Previews re-process a whole analysis twice, so they are limited per user
+const previewLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30,
+  keyGenerator: (req) => req.user?.id || req.ip,
+  message: { error: 'Too many previews. Please try again later.' },
+});
+
+/**
+ * GET /api/rules
+ * The user's custom filter rules and the limits on each list
+ */
+router.get('/', authenticate, async (req, res) => {
+  try {
+    const rules = await getFilterRules(req.user.id);
+    res.json({ rules, limits: RULE_LIMITS });
+  } catch (error) {
+    console.error('Filter rules fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch filter rules' });
+  }
+});
+
+/**
+ * PUT /api/rules
+ * Replace the user's custom filter rules; applies to analyses processed from now on
+ */
+router.put('/', authenticate, async (req, res) => {
+  try {
+    const rules = normalizeRules(req.body?.rules);
+    await saveFilterRules(req.user.id, rules);
+    res.json({ rules });
+  } catch (error) {
+    if (error instanceof RuleValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Filter rules save error:', error);
+    res.status(500).json({ error: 'Failed to save filter rules' });
+  }
+});
+
+/**
+ * POST /api/rules/preview
+ * Re-run an analysis' comments with draft rules, next to the saved ones
+ * Body: { analysis_id, rules }
+ */
+router.post('/preview', authenticate, previewLimiter, async (req, res) => {
+  try {
+    const { analysis_id: analysisId, rules: draft } = req.body || {};
+    if (!isValidUUID(analysisId)) {
+      return res.status(400).json({ error: 'analysis_id must be a valid UUID' });
+    }
+    const draftRules = normalizeRules(draft);
+
+    const { data: analysis, error } = await supabaseAdmin
+      .from('analyses')
+      .select('id, raw_comments')
+      .eq('id', analysisId)
+      .eq('user_id', req.user.id)
+      .single();
+
+    if (error || !analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+    if (!analysis.raw_comments?.length) {
+      return res.status(400).json({ error: 'This analysis has no stored comments to preview against' });
+    }
+
+    const currentRules = await getFilterRules(req.user.id);
+    res.json(previewRules(analysis.raw_comments, currentRules, draftRules));
+  } catch (error) {
+    if (error instanceof RuleValidationError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Filter rules preview error:', error);
+    res.status(500).json({ error: 'Failed to preview filter rules' });
+  }
+});
+
+export default router;
@@ -3,6 +3,7 @@ import rateLimit from 'express-rate-limit';
 import { authenticate } from '../middleware/auth.js';
 import { validateUUID } from '../middleware/validation.js';
 import { supabaseAdmin } from '../config/supabase.js';
+import { validatePlatformUrl } from '../services/platforms/index.js';
 
 const router = express.Router();
 
@@ -89,6 +90,7 @@ router.post('/', authenticate, scheduleLimiter, async (req, res) => {
             is_competitor = false,
             creator_notes,
             competitor_notes,
+            incremental = true,
         } = req.body;
 
         // Validate required fields
@@ -96,37 +98,14 @@ router.post('/', authenticate, scheduleLimiter, async (req, res) => {
             return res.status(400).json({ error: 'platform, video_url, and frequency are required' });
         }
 
-        if (!['youtube', 'tiktok'].includes(platform)) {
-            return res.status(400).json({ error: 'Platform must be youtube or tiktok' });
-        }
-
         if (!['daily', 'weekly', 'biweekly', 'monthly'].includes(frequency)) {
             return res.status(400).json({ error: 'Frequency must be daily, weekly, biweekly, or monthly' });
         }
 
         // Validate URL format and domain to prevent SSRF
-        let parsedUrl;
-        try {
-            parsedUrl = new URL(video_url);
-        } catch {
-            return res.status(400).json({ error: 'Invalid URL format' });
-        }
-
-        if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
-            return res.status(400).json({ error: 'Only HTTP/HTTPS URLs are allowed' });
-        }
-
-        const hostname = parsedUrl.hostname.toLowerCase();
-        if (platform === 'youtube') {
-            const validYouTubeDomains = ['youtube.com', 'www.youtube.com', 'youtu.be', 'm.youtube.com'];
-            if (!validYouTubeDomains.includes(hostname)) {
-                return res.status(400).json({ error: 'URL must be from youtube.com or youtu.be' });
-            }
-        } else if (platform === 'tiktok') {
-            const validTikTokDomains = ['tiktok.com', 'www.tiktok.com', 'vm.tiktok.com', 'm.tiktok.com'];
-            if (!validTikTokDomains.includes(hostname)) {
-                return res.status(400).json({ error: 'URL must be from tiktok.com' });
-            }
+        const { adapter, error: urlError } = validatePlatformUrl(platform, video_url);
+        if (urlError) {
+            return res.status(400).json({ error: urlError });
         }
 
         // Validate text field lengths to prevent abuse
@@ -196,6 +175,8 @@ router.post('/', authenticate, scheduleLimiter, async (req, res) => {
                 is_competitor,
                 creator_notes: creator_notes || null,
                 competitor_notes: competitor_notes || null,
+                // Platforms whose scrapers can't stop at the last run re-analyze everything
+                incremental: incremental !== false && !!adapter.supportsIncremental,
                 next_run_at,
                 is_active: true,
             })
@@ -226,7 +207,7 @@ router.patch('/:id', authenticate, validateUUID('id'), scheduleLimiter, async (r
         const allowedFields = [
             'frequency', 'is_active', 'max_comments',
             'include_text_analysis', 'include_marketing', 'product_description',
-            'is_my_video', 'is_competitor', 'creator_notes', 'competitor_notes',
+            'is_my_video', 'is_competitor', 'creator_notes', 'competitor_notes', 'incremental',
         ];
 
         for (const field of allowedFields) {
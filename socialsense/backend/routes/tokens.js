@@ -3,6 +3,8 @@ import rateLimit from 'express-rate-limit';
 import stripe, { TOKEN_PACKAGES, TOKEN_COSTS, SUBSCRIPTION_PLANS } from '../config/stripe.js';
 import { supabaseAdmin } from '../config/supabase.js';
 import { authenticate } from '../middleware/auth.js';
+import { getPlatform } from '../services/platforms/index.js';
+import { calculateScrapingCost } from '../services/billing.js';
 import logger from '../utils/logger.js';
 
 // Stricter rate limiting for checkout endpoint
@@ -46,15 +48,14 @@ router.get('/costs', (req, res) => {
 router.post('/calculate', authenticate, async (req, res) => {
   try {
     const { platform, comment_count, include_text_analysis, include_marketing } = req.body;
-    
-    let tokenCost = 0;
-    
-    if (platform === 'youtube') {
-      tokenCost += Math.ceil(comment_count / 1000) * TOKEN_COSTS.youtube_per_1000_comments;
-    } else if (platform === 'tiktok') {
-      tokenCost += Math.ceil(comment_count / 100) * TOKEN_COSTS.tiktok_per_100_comments;
+
+    if (!getPlatform(platform)) {
+      return res.status(400).json({ error: 'Invalid platform' });
     }
     
+    const scrapingCost = calculateScrapingCost(platform, comment_count);
+    let tokenCost = scrapingCost;
+    
     if (include_text_analysis) {
       tokenCost += TOKEN_COSTS.text_analysis;
     }
@@ -74,9 +75,7 @@ router.post('/calculate', authenticate, async (req, res) => {
       user_balance: userBalance,
       can_afford: canAfford,
       breakdown: {
-        scraping: platform === 'youtube' 
-          ? Math.ceil(comment_count / 1000) * TOKEN_COSTS.youtube_per_1000_comments
-          : Math.ceil(comment_count / 100) * TOKEN_COSTS.tiktok_per_100_comments,
+        scraping: scrapingCost,
         text_analysis: include_text_analysis ? TOKEN_COSTS.text_analysis : 0,
         marketing: include_marketing ? TOKEN_COSTS.marketing_analysis : 0,
       },
@@ -14,9 +14,12 @@ import analysisRoutes from './routes/analysis.js';
 import webhooksRoutes from './routes/webhooks.js';
 import analyticsRoutes from './routes/analytics.js';
 import scheduledRoutes from './routes/scheduled.js';
+import platformsRoutes from './routes/platforms.js';
+import rulesRoutes from './routes/rules.js';
 
-// Import scheduler
+// Import scheduler and job worker
 import { startScheduler } from './services/scheduler.js';
+import { startJobWorker } from './services/jobWorker.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -54,6 +57,8 @@ const limiter = rateLimit({
   max: 100, // limit each IP to 100 requests per windowMs
   message: { error: 'Too many requests, please try again later.' },
   validate: { trustProxy: false }, // Skip trust proxy validation for Railway
+  // Progress streams and their polling fallback are authenticated and long-lived
+  skip: (req) => /^\/analysis\/[^/]+\/(events|progress)$/.test(req.path),
 });
 app.use('/api/', limiter);
 
@@ -77,6 +82,8 @@ app.use('/api/analysis', analysisRoutes);
 app.use('/api/webhooks', webhooksRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/scheduled', scheduledRoutes);
+app.use('/api/platforms', platformsRoutes);
+app.use('/api/rules', rulesRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -110,6 +117,10 @@ app.listen(PORT, () => {
 
   // Start the scheduled analysis processor
   startScheduler();
+
+  // Process queued analyses in this process unless a standalone worker does it.
+  // Upload jobs always run here: their files are in this host's temp directory.
+  startJobWorker({ pinnedOnly: process.env.START_JOB_WORKER === 'false' });
 });
 
 export default app;
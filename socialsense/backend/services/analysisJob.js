@@ -0,0 +1,512 @@
+/**
+ * Analysis Job
+ * Runs a queued comment analysis (comments + optional video + optional engagement).
+ * Executed by the job worker, never directly by a request handler.
+ */
+
+import fs from 'fs/promises';
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { getPlatform } from './platforms/index.js';
+import { processComments, extractThemesAndKeywords, buildVideoBreakdown } from './commentProcessor.js';
+import { analyzeComments, transcribeAudio } from './openai.js';
+import { aggregateSentiment } from './sentiment.js';
+import { extractAspects } from './aspects.js';
+import { buildTimeline } from './timeline.js';
+import { mineQuestions } from './questions.js';
+import { clusterTopics } from './topics.js';
+import { getFilterRules, compileRules } from './filterRules.js';
+import { validateEngagement } from './engagementValidator.js';
+import { extractVideoFrames, extractAudio } from './video.js';
+import { refundReservation, settleAnalysisCost } from './billing.js';
+import { readImportedComments } from './commentImport.js';
+import { loadIncrementalBaseline, filterNewComments, mergeWithPrevious, summarizeIncremental } from './incremental.js';
+import { createCheckpointWriter, loadCheckpoint, clearCheckpoint } from './checkpoints.js';
+import { PermanentJobError, DeferJobError, LeaseLostError } from './jobQueue.js';
+import { safeUnlink } from '../utils/files.js';
+
+// All-time comment lists of incremental runs stop growing past this
+const MAX_STORED_COMMENTS = 100000;
+
+/**
+ * Delete the uploaded files a job was given. Only called once the job is
+ * finished for good, so a retry can still read them.
+ */
+async function cleanupUploads(payload) {
+  await safeUnlink(payload.productImagePath, 'productImagePath');
+  await safeUnlink(payload.videoFilePath, 'videoFilePath');
+  await safeUnlink(payload.importFile?.path, 'importFile');
+}
+
+/**
+ * Thrown between steps once the job's signal is aborted
+ */
+function throwIfCancelled(signal) {
+  if (signal?.reason instanceof LeaseLostError) throw signal.reason;
+  if (signal?.aborted) throw new Error('Analysis cancelled');
+}
+
+/**
+ * Let the worker's heartbeat and cancel timers run between CPU-heavy steps,
+ * which can outlast the job lease on large comment sets
+ */
+async function yieldToTimers(signal) {
+  await new Promise(resolve => setTimeout(resolve, 0));
+  throwIfCancelled(signal);
+}
+
+/**
+ * Keywords and topics without the AI analysis, from the same comments it would read
+ */
+function extractLocally(processedComments, rules) {
+  const comments = processedComments.filter(c => !c.is_generic_praise && !c.is_off_topic && !c.is_emoji_only);
+  return {
+    keywords: extractThemesAndKeywords(comments.map(c => c.clean_text), 20, rules?.stopWords).keywords,
+    themes: clusterTopics(comments, { stopWords: rules?.stopWords }),
+  };
+}
+
+/**
+ * Run one attempt of an analysis job
+ * @param {object} job - analysis_jobs row
+ * @param {object} ctx - { reportProgress(progress), signal } - signal aborts when the user cancels
+ * @returns {Promise<{cancelled: boolean}>}
+ */
+export async function runAnalysisJob(job, { reportProgress, signal }) {
+  const {
+    analysisId, userId, costBreakdown, videoId, platform, commentsToFetch, includeReplies = false,
+    includeText, fullCoverage = false, includeMkt, includeEng, productDescription, productImagePath, videoFilePath,
+    isMyVideo = false, isCompetitor = false, creatorNotes = null, competitorNotes = null, harshFeedback = false,
+    videoDetails = null, scheduleId = null, importFile = null, previousAnalysisId = null, billedComments = 0,
+    aspects: customAspects = [], quotaUnits = null,
+  } = job.payload;
+
+  const startTime = Date.now();
+
+  // What was actually delivered - settled against the reservation at the end
+  const delivered = { commentCount: 0, textAnalysis: false, fullCoverage: false, marketing: false, video: false, engagement: false };
+
+  // Comments collected so far - kept if the analysis is cancelled part-way
+  const collected = { rawComments: [], processed: null };
+
+  try {
+    // 1. Scrape Comments (or read them from the uploaded file)
+    let rawComments = [];
+    let baseline = null;
+
+    if (importFile) {
+      reportProgress({ stage: 'importing', count: 0, percent: 10 });
+      try {
+        rawComments = await readImportedComments(importFile, commentsToFetch);
+      } catch (e) {
+        throw new PermanentJobError(`Import failed: ${e.message}`);
+      }
+      reportProgress({ stage: 'importing', count: rawComments.length, percent: 70 });
+    } else {
+      // Scheduled runs only pick up comments posted since the previous run
+      baseline = await loadIncrementalBaseline(previousAnalysisId);
+
+      // Retries and resumed analyses continue from the last checkpoint
+      const checkpoint = await loadCheckpoint(analysisId);
+      const resumed = checkpoint?.comments || [];
+      if (resumed.length) console.log(`[Analysis] Resuming analysis ${analysisId} from a checkpoint of ${resumed.length} comments`);
+
+      const reportScraped = (count) => {
+        const p = Math.min(70, 10 + Math.floor((count / commentsToFetch) * 60));
+        reportProgress({ stage: 'scraping', count, percent: p });
+      };
+      reportScraped(resumed.length);
+
+      let scrapedComments = [];
+      if (!checkpoint?.done && resumed.length < commentsToFetch) {
+        const adapter = getPlatform(platform);
+        // Jobs queued until the reset, and retries on a later day, hold today's units before spending them
+        if (quotaUnits && adapter.reserveQuota) {
+          const hold = await adapter.reserveQuota(analysisId, quotaUnits);
+          if (!hold.reserved) {
+            throw new DeferJobError(`${adapter.name} API quota is used up or held by other analyses until ${hold.reset_at}`, new Date(hold.reset_at), 'waiting_for_quota');
+          }
+        }
+
+        const checkpoints = createCheckpointWriter(analysisId, resumed.length);
+        try {
+          const scraped = await adapter.scrapeComments(videoId, {
+            cursor: checkpoint?.cursor ?? undefined,
+            maxComments: commentsToFetch - resumed.length,
+            onProgress: (count) => reportScraped(resumed.length + count),
+            onCheckpoint: (cursor, comments) => checkpoints.save(cursor, comments),
+            signal,
+            includeReplies,
+            details: videoDetails,
+            since: baseline?.since,
+            sinceByVideo: baseline?.sinceByVideo,
+          });
+          scrapedComments = scraped.comments;
+        } catch (e) {
+          // Quota waits keep their retry time; the checkpoint carries the comments over
+          if (e instanceof DeferJobError) throw e;
+          throw new Error(`Scraping failed: ${e.message}`);
+        } finally {
+          await checkpoints.flush();
+          await adapter.releaseQuota?.(analysisId);
+        }
+      }
+
+      const allComments = [...resumed, ...scrapedComments];
+      rawComments = baseline ? filterNewComments(allComments, baseline) : allComments;
+    }
+
+    // Scrapers stop early and return what they have when cancelled
+    collected.rawComments = rawComments || [];
+    throwIfCancelled(signal);
+
+    if (baseline && !rawComments.length) {
+      await completeWithoutNewComments(job, baseline);
+      return { cancelled: false };
+    }
+    if (!rawComments || !rawComments.length) throw new PermanentJobError('No comments found');
+    // Comments a resumed analysis was already charged for are not billed again
+    delivered.commentCount = Math.max(0, rawComments.length - billedComments);
+
+    // 2. Process Comments (includes sentiment scoring) with the user's custom rules
+    reportProgress({ stage: 'processing', count: rawComments.length, percent: 72 });
+    const rules = compileRules(await getFilterRules(userId));
+    const { comments: processedComments, stats: filterStats } = processComments(rawComments, rules);
+    await yieldToTimers(signal);
+
+    // 3. Aggregate Sentiment
+    reportProgress({ stage: 'analyzing_sentiment', count: rawComments.length, percent: 75 });
+    const sentimentResults = processedComments.map(c => c.sentiment).filter(Boolean);
+    const sentimentScores = aggregateSentiment(sentimentResults);
+    const aspects = extractAspects(processedComments, { custom: customAspects, rules });
+    collected.processed = { comments: processedComments, filterStats, sentimentScores, aspects };
+    await yieldToTimers(signal);
+
+    // Channels and playlists also get one row per video
+    const videoBreakdown = videoDetails?.isCollection ? buildVideoBreakdown(processedComments, videoDetails.videos, rules?.stopWords) : null;
+
+    // Incremental runs analyze and bill the new comments but keep the all-time list
+    const storedComments = baseline ? mergeWithPrevious(processedComments, baseline.previousComments, MAX_STORED_COMMENTS) : processedComments;
+    const incremental = baseline ? summarizeIncremental(baseline, processedComments, storedComments) : null;
+    await yieldToTimers(signal);
+    const timeline = buildTimeline(storedComments, { videoPublishedAt: videoDetails?.publishedAt });
+    const questions = mineQuestions(storedComments, { stopWords: rules?.stopWords });
+    await yieldToTimers(signal);
+
+    // 4. Safety Save (metadata, filter stats, sentiment, raw comments)
+    const { error: metaError } = await supabaseAdmin.from('analyses').update({
+      filter_stats: filterStats,
+      sentiment_scores: sentimentScores,
+      aspects,
+      timeline,
+      questions,
+      ...(videoBreakdown && { video_breakdown: videoBreakdown }),
+      ...(incremental && { incremental }),
+      comment_count: rawComments.length,
+      status: 'processing'
+    }).eq('id', analysisId);
+    if (metaError) console.error('Safety Save Meta Error:', metaError);
+
+    const { error: commentsError } = await supabaseAdmin.from('analyses').update({
+      raw_comments: storedComments
+    }).eq('id', analysisId);
+    if (commentsError) console.error('Safety Save Comments Error:', commentsError);
+
+    // 5. Video Processing (if video file provided)
+    let videoFrames = null;
+    let videoTranscript = null;
+
+    if (videoFilePath) {
+      // 5a. Extract frames
+      reportProgress({ stage: 'extracting_video', count: rawComments.length, percent: 78 });
+      try {
+        videoFrames = await extractVideoFrames(videoFilePath, undefined, undefined, { signal });
+        console.log(`[Video] Extracted ${videoFrames?.length || 0} frames`);
+      } catch (frameErr) {
+        console.warn('[Video] Frame extraction failed:', frameErr.message);
+      }
+
+      // 5b. Extract audio and transcribe
+      reportProgress({ stage: 'transcribing_audio', count: rawComments.length, percent: 82 });
+      try {
+        const audioPath = await extractAudio(videoFilePath, undefined, { signal });
+        console.log('[Video] Audio extracted, transcribing...');
+        videoTranscript = await transcribeAudio(audioPath, { signal });
+        await safeUnlink(audioPath, 'audioFile');
+        console.log(`[Video] Transcription complete: ${videoTranscript?.length || 0} chars`);
+      } catch (audioErr) {
+        console.warn('[Video] Audio transcription failed:', audioErr.message);
+      }
+
+      delivered.video = !!(videoFrames?.length || videoTranscript);
+    }
+
+    throwIfCancelled(signal);
+
+    // 6. Prepare Marketing Context
+    let marketingContext = null;
+    if (includeMkt && productDescription) {
+      marketingContext = { description: productDescription, image_base64: null };
+      if (productImagePath) {
+        try {
+          const buff = await fs.readFile(productImagePath);
+          marketingContext.image_base64 = buff.toString('base64');
+        } catch (e) { console.warn('Image read fail', e); }
+      }
+    }
+
+    // 7. AI Analysis (includes video transcript + frames if available)
+    let analysisResult = { summary: null, keywords: [], themes: [], stats: null };
+    if (includeText) {
+      reportProgress({ stage: 'analyzing_ai', count: rawComments.length, percent: 88 });
+
+      try {
+        analysisResult = await analyzeComments(processedComments, importFile ? 'uploaded' : platform, marketingContext, videoTranscript, videoFrames, isMyVideo, creatorNotes, isCompetitor, competitorNotes, harshFeedback, {
+          signal,
+          fullCoverage,
+          stopWords: rules?.stopWords,
+          questions,
+          // Chunk summaries fill the 88-91% band of the progress bar
+          onProgress: ({ done, total }) => reportProgress({ stage: 'summarizing', count: done, total, percent: 88 + Math.round((done / total) * 3) }),
+        });
+        delivered.textAnalysis = !analysisResult.aiFailed;
+        delivered.fullCoverage = !analysisResult.aiFailed && analysisResult.stats?.mode === 'full';
+        delivered.marketing = !analysisResult.aiFailed && !!marketingContext;
+      } catch (aiErr) {
+        throwIfCancelled(signal);
+        console.error('AI Error:', aiErr);
+        analysisResult = {
+          ...extractLocally(processedComments, rules),
+          stats: { total: rawComments.length, analyzed: 0, coverage: 0 },
+          summary: `**AI Analysis Failed:** ${aiErr.message}\n\nKeywords extracted successfully.`
+        };
+      }
+    } else {
+      analysisResult = {
+        ...extractLocally(processedComments, rules),
+        stats: { total: rawComments.length, analyzed: 0, coverage: 0 },
+        summary: 'AI analysis not requested.'
+      };
+    }
+
+    // 8. Engagement Validation (if requested)
+    let engagementResult = null;
+    if (includeEng && videoDetails) {
+      reportProgress({ stage: 'validating_engagement', count: rawComments.length, percent: 92 });
+      try {
+        console.log('[Analysis] Running engagement validation...');
+        engagementResult = await validateEngagement(videoDetails, processedComments, platform, { signal, nearDuplicates: filterStats.near_duplicates });
+        delivered.engagement = true;
+        console.log(`[Analysis] Engagement validation complete - Score: ${engagementResult.authenticityScore}`);
+      } catch (engErr) {
+        throwIfCancelled(signal);
+        console.error('[Analysis] Engagement validation failed:', engErr);
+        engagementResult = {
+          authenticityScore: null,
+          verdict: 'Analysis Error',
+          engagementAssessment: `Validation failed: ${engErr.message}`,
+          redFlags: [],
+          positiveSignals: [],
+          recommendations: ['Please try again.'],
+        };
+      }
+    }
+
+    throwIfCancelled(signal);
+
+    const processingTime = Date.now() - startTime;
+
+    // 9. Final Update
+    const { error: finalMetaError } = await supabaseAdmin.from('analyses').update({
+      status: 'completed',
+      summary: analysisResult.summary,
+      report: analysisResult.report || null,
+      analysis_stats: analysisResult.stats || null,
+      keywords: analysisResult.keywords,
+      themes: analysisResult.themes,
+      video_transcript: videoTranscript || null,
+      processing_time_ms: processingTime,
+      video_score: analysisResult.videoScore || null,
+      priority_improvement: analysisResult.priorityImprovement || null,
+      score_breakdown: analysisResult.scoreBreakdown || null,
+      notes_assessment: analysisResult.notesAssessment || null,
+      marketing_insights: analysisResult.marketingInsights || null,
+      competitor_analysis: analysisResult.competitorAnalysis || null,
+      action_items: analysisResult.actionItems || [],
+      engagement_validation: engagementResult || null,
+      error_message: null,
+    }).eq('id', analysisId);
+
+    console.log('[Analysis] Final save - videoScore:', analysisResult.videoScore, 'scoreBreakdown:', analysisResult.scoreBreakdown ? 'found' : 'null', 'priorityImprovement:', analysisResult.priorityImprovement ? 'found' : 'null', 'actionItems:', analysisResult.actionItems?.length || 0);
+
+    if (finalMetaError) {
+      console.error('Final Save Meta Error:', finalMetaError);
+      throw new Error('Failed to save analysis results: ' + finalMetaError.message);
+    }
+
+    // 10. Settle: refund anything reserved but not delivered
+    await settleAnalysisCost({ userId, analysisId, platform, reserved: costBreakdown, delivered });
+    await clearCheckpoint(analysisId);
+
+    if (scheduleId) {
+      // The schedule's next incremental run starts from this one
+      await supabaseAdmin.from('scheduled_analyses').update({ last_error: null, last_completed_analysis_id: analysisId }).eq('id', scheduleId);
+    }
+
+    // Cleanup
+    await cleanupUploads(job.payload);
+
+    console.log(`[Analysis] Analysis ${analysisId} completed in ${processingTime}ms`);
+
+    return { cancelled: false };
+  } catch (error) {
+    // Another worker runs the job now and does its own saving and billing
+    if (signal?.reason instanceof LeaseLostError) throw signal.reason;
+    if (signal?.aborted) {
+      await cancelAnalysisJob(job, collected);
+      return { cancelled: true };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Finish an incremental run that found nothing new: keep the all-time
+ * comments for the next run and refund the whole reservation
+ */
+async function completeWithoutNewComments(job, baseline) {
+  const { analysisId, userId, platform, costBreakdown, scheduleId = null, videoDetails = null } = job.payload;
+  const previousComments = mergeWithPrevious([], baseline.previousComments);
+  // Questions are mined from the all-time comments with the same stop words as a full run
+  const rules = compileRules(await getFilterRules(userId));
+
+  const { error } = await supabaseAdmin.from('analyses').update({
+    status: 'completed',
+    summary: 'No new comments since the last run.',
+    comment_count: 0,
+    raw_comments: previousComments,
+    sentiment_scores: aggregateSentiment([]),
+    aspects: [],
+    timeline: buildTimeline(previousComments, { videoPublishedAt: videoDetails?.publishedAt }),
+    questions: mineQuestions(previousComments, { stopWords: rules?.stopWords }),
+    incremental: summarizeIncremental(baseline, [], previousComments),
+    keywords: [],
+    themes: [],
+    error_message: null,
+  }).eq('id', analysisId);
+  if (error) throw new Error('Failed to save analysis results: ' + error.message);
+
+  await settleAnalysisCost({ userId, analysisId, platform, reserved: costBreakdown, delivered: { commentCount: 0 } });
+  await clearCheckpoint(analysisId);
+
+  if (scheduleId) {
+    // The schedule's next incremental run starts from this one
+    await supabaseAdmin.from('scheduled_analyses').update({ last_error: null, last_completed_analysis_id: analysisId }).eq('id', scheduleId);
+  }
+
+  await cleanupUploads(job.payload);
+  console.log(`[Analysis] Analysis ${analysisId} completed with no new comments since ${baseline.since.publishedAt}`);
+}
+
+/**
+ * Comments an earlier attempt saved in its scrape checkpoint, for a job
+ * cancelled while waiting in the queue; scheduled runs keep only new ones
+ */
+async function checkpointedComments(job) {
+  const { analysisId, previousAnalysisId = null } = job.payload;
+  const comments = (await loadCheckpoint(analysisId))?.comments || [];
+  if (!comments.length || !previousAnalysisId) return comments;
+  const baseline = await loadIncrementalBaseline(previousAnalysisId);
+  return baseline ? filterNewComments(comments, baseline) : comments;
+}
+
+/**
+ * Finish an analysis the user cancelled: keep the comments collected so far,
+ * charge only for those and refund the rest of the reservation
+ * @param {object} [collected] - { rawComments, processed } gathered before the cancel;
+ *   without comments (the job was still queued) the scrape checkpoint is used
+ */
+export async function cancelAnalysisJob(job, collected = null) {
+  const { analysisId, userId, platform, costBreakdown, scheduleId = null, videoDetails = null, billedComments = 0, aspects = [] } = job.payload;
+  // A job cancelled in the queue still holds the API units it was queued with
+  await getPlatform(platform)?.releaseQuota?.(analysisId);
+  // Cancelled before scraping got going: fall back to what an earlier attempt checkpointed
+  if (!collected?.rawComments?.length) collected = { rawComments: await checkpointedComments(job), processed: null };
+  const rawComments = collected.rawComments || [];
+
+  const update = { status: 'cancelled', error_message: 'Cancelled by user' };
+
+  if (rawComments.length > 0) {
+    const rules = compileRules(await getFilterRules(userId));
+    let processed = collected.processed;
+    if (!processed) {
+      const { comments, stats } = processComments(rawComments, rules);
+      processed = {
+        comments,
+        filterStats: stats,
+        sentimentScores: aggregateSentiment(comments.map(c => c.sentiment).filter(Boolean)),
+        aspects: extractAspects(comments, { custom: aspects, rules }),
+      };
+    }
+
+    update.raw_comments = processed.comments;
+    update.filter_stats = processed.filterStats;
+    update.sentiment_scores = processed.sentimentScores;
+    update.aspects = processed.aspects;
+    update.timeline = buildTimeline(processed.comments, { videoPublishedAt: videoDetails?.publishedAt });
+    update.questions = mineQuestions(processed.comments, { stopWords: rules?.stopWords });
+    update.comment_count = rawComments.length;
+    if (videoDetails?.isCollection) {
+      update.video_breakdown = buildVideoBreakdown(processed.comments, videoDetails.videos, rules?.stopWords);
+    }
+  }
+
+  const { error } = await supabaseAdmin.from('analyses').update(update).eq('id', analysisId);
+  if (error) console.error('Cancel Save Error:', error);
+
+  await settleAnalysisCost({
+    userId,
+    analysisId,
+    platform,
+    reserved: costBreakdown,
+    delivered: { commentCount: Math.max(0, rawComments.length - billedComments) },
+  });
+
+  if (scheduleId) {
+    await supabaseAdmin.from('scheduled_analyses').update({ last_error: 'Cancelled by user' }).eq('id', scheduleId);
+  }
+
+  await cleanupUploads(job.payload);
+
+  console.log(`[Analysis] Analysis ${analysisId} cancelled with ${rawComments.length} comments kept`);
+}
+
+/**
+ * Final failure of an analysis job (out of retries, or a permanent error)
+ */
+export async function failAnalysisJob(job, error) {
+  const { analysisId, userId, costBreakdown, scheduleId = null } = job.payload;
+
+  await supabaseAdmin.from('analyses').update({
+    status: 'failed',
+    error_message: error.message
+  }).eq('id', analysisId);
+
+  // Nothing usable was delivered - refund the whole reservation. Scrape
+  // checkpoints are kept so the analysis can be resumed.
+  await refundReservation({
+    userId,
+    analysisId,
+    reserved: costBreakdown,
+    reason: scheduleId ? 'scheduled analysis failed' : 'analysis failed',
+    metadata: { error: error.message },
+  });
+
+  if (scheduleId) {
+    await supabaseAdmin.from('scheduled_analyses').update({ last_error: error.message }).eq('id', scheduleId);
+  }
+
+  await cleanupUploads(job.payload);
+}
+
+export default { runAnalysisJob, cancelAnalysisJob, failAnalysisJob };
@@ -0,0 +1,351 @@
+/**
+ * Analysis Report Schema
+ * JSON schema for the structured output of analyzeComments, a validator for
+ * the model's response, and renderers that turn the validated report into the
+ * markdown and column shapes stored on `analyses`.
+ *
+ * The schema follows OpenAI's strict structured-output rules: every object
+ * lists all of its properties as required and forbids extra ones.
+ */
+
+const CONFIDENCE = ['high', 'medium', 'low'];
+const PRIORITY = ['high', 'medium', 'low'];
+
+// Maximum points per score component (red flags are subtracted)
+export const SCORE_WEIGHTS = {
+  engagement: 40,
+  content_fit: 30,
+  conversion: 20,
+  red_flags: 10,
+};
+
+const string = { type: 'string' };
+const stringList = (maxItems) => ({ type: 'array', items: string, maxItems });
+
+function object(properties) {
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false,
+  };
+}
+
+const finding = object({
+  category: { type: 'string', enum: ['strength', 'confusion', 'objection', 'conversion'] },
+  insight: string,
+  evidence: stringList(3),
+  confidence: { type: 'string', enum: CONFIDENCE },
+});
+
+const recommendation = object({
+  change: string,
+  rationale: string,
+  expected_outcome: string,
+  confidence: { type: 'string', enum: CONFIDENCE },
+});
+
+const actionItem = object({
+  title: string,
+  description: string,
+  priority: { type: 'string', enum: PRIORITY },
+});
+
+const scoreComponent = (max) => object({
+  score: { type: 'integer', minimum: 0, maximum: max },
+  reason: string,
+});
+
+/**
+ * Build the response schema for one analysis. Optional sections are only
+ * included when the analysis asked for them.
+ * @param {object} sections - { score, notesAssessment, marketing, competitor, harshFeedback }
+ */
+export function buildAnalysisSchema(sections = {}) {
+  const properties = {
+    findings: { type: 'array', items: finding, minItems: 1, maxItems: 12 },
+    recommendations: { type: 'array', items: recommendation, minItems: 1, maxItems: 5 },
+    content_adjustments: object({
+      hook: string,
+      messaging: string,
+      call_to_action: string,
+    }),
+    action_items: { type: 'array', items: actionItem, maxItems: 10 },
+  };
+
+  if (sections.score) {
+    properties.score = object({
+      engagement: scoreComponent(SCORE_WEIGHTS.engagement),
+      content_fit: scoreComponent(SCORE_WEIGHTS.content_fit),
+      conversion: scoreComponent(SCORE_WEIGHTS.conversion),
+      red_flags: scoreComponent(SCORE_WEIGHTS.red_flags),
+      priority_improvement: string,
+      explanation: string,
+    });
+  }
+
+  if (sections.notesAssessment) {
+    const ratings = sections.harshFeedback
+      ? ['Accurate', 'Partially Accurate', 'Delusional']
+      : ['Accurate', 'Partially Accurate', 'Needs Recalibration'];
+
+    properties.notes_assessment = object({
+      rating: { type: 'string', enum: ratings },
+      summary: string,
+      right_about: stringList(5),
+      blind_spots: stringList(5),
+    });
+  }
+
+  if (sections.marketing) {
+    properties.marketing_insights = object({
+      perception_vs_positioning: string,
+      messaging_gaps: stringList(5),
+      platform_strategy: stringList(5),
+      creative_tests: {
+        type: 'array',
+        items: object({ test: string, expected_outcome: string }),
+        maxItems: 5,
+      },
+    });
+  }
+
+  if (sections.competitor) {
+    properties.competitor_analysis = object({
+      what_works: stringList(5),
+      steal_worthy: stringList(5),
+      weaknesses: stringList(5),
+      audience_profile: string,
+      counter_strategy: stringList(5),
+      user_question_answer: { type: ['string', 'null'] },
+    });
+  }
+
+  return object(properties);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against the subset of JSON schema used above
+ * @returns {{ valid: boolean, errors: string[] }}
+ */
+export function validateAgainstSchema(value, schema, path = '$') {
+  const errors = [];
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+  if (!types.some(type => matchesType(value, type))) {
+    errors.push(`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`);
+    return { valid: false, errors };
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: needs at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: allows at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${path}[${i}]`).errors));
+    }
+  }
+
+  if (typeOf(value) === 'object' && schema.properties) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = schema.properties[key];
+      if (!childSchema) {
+        if (schema.additionalProperties === false) errors.push(`${path}.${key}: is not allowed`);
+        continue;
+      }
+      errors.push(...validateAgainstSchema(child, childSchema, `${path}.${key}`).errors);
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Overall 0-100 score derived from the component scores, so the number
+ * always agrees with the breakdown shown next to it
+ */
+export function calculateVideoScore(score) {
+  if (!score) return null;
+  const total = score.engagement.score + score.content_fit.score + score.conversion.score - score.red_flags.score;
+  return Math.max(0, Math.min(100, total));
+}
+
+/**
+ * Score breakdown in the shape the ScoreBreakdown component expects
+ */
+export function toScoreBreakdown(score) {
+  if (!score) return null;
+  return {
+    engagement: { score: score.engagement.score, max: SCORE_WEIGHTS.engagement, reason: score.engagement.reason },
+    contentFit: { score: score.content_fit.score, max: SCORE_WEIGHTS.content_fit, reason: score.content_fit.reason },
+    conversion: { score: score.conversion.score, max: SCORE_WEIGHTS.conversion, reason: score.conversion.reason },
+    redFlags: { score: score.red_flags.score, max: SCORE_WEIGHTS.red_flags, reason: score.red_flags.reason },
+  };
+}
+
+/**
+ * Action items in the shape stored in analyses.action_items
+ */
+export function toActionItems(report) {
+  return (report.action_items || []).map((item, i) => ({
+    id: `action_${i + 1}`,
+    title: item.title,
+    description: item.description,
+    completed: false,
+    priority: item.priority,
+  }));
+}
+
+const bullets = (items) => items.map(item => `- ${item}`).join('\n');
+const quote = (text) => `"${text.replace(/\s+/g, ' ').trim()}"`;
+
+const FINDING_SECTIONS = [
+  ['strength', 'What Viewers Like'],
+  ['confusion', 'Confusion & Friction'],
+  ['objection', 'Objections & Concerns'],
+  ['conversion', 'Conversion Readiness'],
+];
+
+/**
+ * Render the marketing section as markdown
+ */
+export function renderMarketingInsights(insights) {
+  if (!insights) return null;
+
+  const parts = [
+    `### Perception vs Positioning\n${insights.perception_vs_positioning}`,
+  ];
+  if (insights.messaging_gaps.length) parts.push(`### Messaging Gaps\n${bullets(insights.messaging_gaps)}`);
+  if (insights.platform_strategy.length) parts.push(`### Platform Strategy\n${bullets(insights.platform_strategy)}`);
+  if (insights.creative_tests.length) {
+    parts.push(`### Creative Tests\n${insights.creative_tests.map(t => `- **${t.test}** — ${t.expected_outcome}`).join('\n')}`);
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Render the competitor section as markdown
+ */
+export function renderCompetitorAnalysis(analysis) {
+  if (!analysis) return null;
+
+  const sections = [
+    ['What Makes This Work', analysis.what_works],
+    ['Steal-Worthy Elements', analysis.steal_worthy],
+    ['Their Weaknesses', analysis.weaknesses],
+    ['Counter-Strategy', analysis.counter_strategy],
+  ];
+
+  const parts = sections
+    .filter(([, items]) => items.length > 0)
+    .map(([title, items]) => `### ${title}\n${bullets(items)}`);
+
+  parts.splice(3, 0, `### Audience Profile\n${analysis.audience_profile}`);
+
+  if (analysis.user_question_answer) {
+    parts.push(`### Your Question\n${analysis.user_question_answer}`);
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Render the human-readable summary from a validated report.
+ * The competitor section is stored separately and not included here.
+ */
+export function renderAnalysisMarkdown(report) {
+  const parts = [];
+
+  parts.push('## Key Findings');
+  for (const [category, title] of FINDING_SECTIONS) {
+    const findings = report.findings.filter(f => f.category === category);
+    if (findings.length === 0) continue;
+
+    const lines = findings.map(f => {
+      const evidence = f.evidence.length ? `\n  - Evidence: ${f.evidence.map(quote).join(', ')}` : '';
+      return `- ${f.insight} *(${f.confidence} confidence)*${evidence}`;
+    });
+    parts.push(`### ${title}\n${lines.join('\n')}`);
+  }
+
+  // Attached after validation for full-coverage analyses (counted, not generated)
+  if (report.prevalence?.length) {
+    parts.push(`## Theme Prevalence\n${report.prevalence.map(t => (
+      `- **${t.percent}% of comments** (${t.count.toLocaleString()}) mention ${t.label.toLowerCase()} — ${t.description}`
+    )).join('\n')}`);
+  }
+
+  parts.push('## Impact-Ranked Recommendations');
+  parts.push(report.recommendations.map((rec, i) => (
+    `${i + 1}. **${rec.change}** *(${rec.confidence} confidence)*\n   - Why: ${rec.rationale}\n   - Expected outcome: ${rec.expected_outcome}`
+  )).join('\n'));
+
+  const { hook, messaging, call_to_action: cta } = report.content_adjustments;
+  parts.push(`## Content/Campaign Adjustments\n- **Hook/thumbnail:** ${hook}\n- **Messaging:** ${messaging}\n- **Call-to-action:** ${cta}`);
+
+  if (report.marketing_insights) {
+    parts.push(`## Marketing Analysis\n\n${renderMarketingInsights(report.marketing_insights)}`);
+  }
+
+  if (report.score) {
+    const { score } = report;
+    parts.push([
+      '## Video Score',
+      `- Engagement: ${score.engagement.score}/${SCORE_WEIGHTS.engagement} - ${score.engagement.reason}`,
+      `- Content Fit: ${score.content_fit.score}/${SCORE_WEIGHTS.content_fit} - ${score.content_fit.reason}`,
+      `- Conversion: ${score.conversion.score}/${SCORE_WEIGHTS.conversion} - ${score.conversion.reason}`,
+      `- Red Flags: -${score.red_flags.score}/${SCORE_WEIGHTS.red_flags} - ${score.red_flags.reason}`,
+      '',
+      `**Overall Score: ${calculateVideoScore(score)}/100**`,
+      '',
+      `**Priority Improvement:** ${score.priority_improvement}`,
+      '',
+      score.explanation,
+    ].join('\n'));
+  }
+
+  if (report.notes_assessment) {
+    const notes = report.notes_assessment;
+    const lines = [`## Creator Self-Assessment Check`, `**Self-awareness: ${notes.rating}** — ${notes.summary}`];
+    if (notes.right_about.length) lines.push(`\n**Where you're right:**\n${bullets(notes.right_about)}`);
+    if (notes.blind_spots.length) lines.push(`\n**Blind spots:**\n${bullets(notes.blind_spots)}`);
+    parts.push(lines.join('\n'));
+  }
+
+  return parts.join('\n\n');
+}
+
+export default {
+  buildAnalysisSchema,
+  validateAgainstSchema,
+  calculateVideoScore,
+  toScoreBreakdown,
+  toActionItems,
+  renderAnalysisMarkdown,
+  renderMarketingInsights,
+  renderCompetitorAnalysis,
+};
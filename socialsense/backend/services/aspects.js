@@ -0,0 +1,169 @@
+/**
+ * Aspect-Based Sentiment
+ * Sentiment per topic ("audio", "editing", "price") rather than per comment.
+ * Each comment is split into clauses, and an aspect takes the sentiment of
+ * the clause that mentions it, so "love the editing but the audio is awful"
+ * counts as positive for editing and negative for audio. Aspects come from
+ * the user, a built-in list of common creator topics, and the most frequent
+ * keywords and bigrams of the comments themselves.
+ */
+
+import { extractThemesAndKeywords } from './commentProcessor.js';
+import { scoreSentiment, splitClauses, isOpinionWord, aggregateSentiment } from './sentiment.js';
+import { tokenize } from './language.js';
+
+// Common things viewers comment on, with the words that mention them
+export const DEFAULT_ASPECTS = {
+  audio: ['audio', 'sound', 'mic', 'microphone', 'volume', 'music', 'voice'],
+  editing: ['editing', 'edit', 'edits', 'editor', 'cuts', 'transitions'],
+  pacing: ['pacing', 'pace', 'intro', 'length', 'too long', 'dragged'],
+  visuals: ['visuals', 'lighting', 'camera', 'graphics', 'resolution', 'thumbnail', 'colors'],
+  price: ['price', 'prices', 'cost', 'expensive', 'cheap', 'money', 'overpriced'],
+  explanation: ['explanation', 'explained', 'explains', 'explaining', 'tutorial', 'instructions', 'steps'],
+  humor: ['humor', 'humour', 'jokes', 'joke', 'funny'],
+  sponsors: ['sponsor', 'sponsored', 'sponsors', 'ads', 'ad'],
+};
+
+export const MAX_CUSTOM_ASPECTS = 10;
+const MAX_ASPECT_LENGTH = 40;
+const MAX_DISCOVERED = 6;
+const EXAMPLES_PER_SIDE = 2;
+
+// Frequent words that are about the medium rather than a topic
+export const GENERIC_WORDS = new Set([
+  'video', 'videos', 'vídeo', 'vidéo', 'channel', 'content', 'comment', 'comments', 'watch',
+  'watching', 'watched', 'youtube', 'tiktok', 'reddit', 'post', 'people', 'thing', 'things',
+  'time', 'guys', 'everyone', 'someone', 'today', 'year', 'years', 'please', 'know', 'think',
+]);
+
+/**
+ * Normalize user-defined aspects from a form field or JSON body
+ * @param {string|string[]} input - "audio, price, pacing" or ['audio', 'price']
+ * @returns {string[]} lowercase, de-duplicated, at most MAX_CUSTOM_ASPECTS
+ */
+export function parseAspects(input) {
+  let values = input;
+  if (typeof input === 'string') {
+    try {
+      values = input.trim().startsWith('[') ? JSON.parse(input) : input.split(',');
+    } catch {
+      values = input.split(',');
+    }
+  }
+  if (!Array.isArray(values)) return [];
+
+  const aspects = values
+    .filter(value => typeof value === 'string')
+    .map(value => value.trim().toLowerCase().replace(/\s+/g, ' ').slice(0, MAX_ASPECT_LENGTH))
+    .filter(Boolean);
+  return [...new Set(aspects)].slice(0, MAX_CUSTOM_ASPECTS);
+}
+
+/**
+ * Whether a clause's words mention one of the terms (single words also match their plural)
+ */
+function mentions(words, joined, terms) {
+  return terms.some(term => (term.includes(' ') ? joined.includes(` ${term} `) : words.has(term) || words.has(`${term}s`)));
+}
+
+/**
+ * Frequent keywords and bigrams that are topics rather than opinions
+ */
+function discoverAspects(comments, taken, minMentions, rules) {
+  const { keywords, phrases } = extractThemesAndKeywords(comments.map(c => c.clean_text), 30, rules?.stopWords);
+  const isTopicWord = word => !isOpinionWord(word, rules?.lexicon) && !GENERIC_WORDS.has(word) && !taken.has(word);
+
+  const discovered = [];
+  const covered = new Set();
+  const candidates = [
+    ...phrases.filter(p => p.count >= minMentions).map(p => p.phrase),
+    ...keywords.filter(k => k.count >= minMentions).map(k => k.word),
+  ];
+  for (const candidate of candidates) {
+    const words = candidate.split(' ');
+    if (!words.every(isTopicWord) || words.some(word => covered.has(word))) continue;
+    discovered.push(candidate);
+    words.forEach(word => covered.add(word));
+    if (discovered.length >= MAX_DISCOVERED) break;
+  }
+  return discovered;
+}
+
+/**
+ * Per-aspect sentiment for an analysis
+ * @param {Array} comments - processed comments (clean_text, language, sentiment)
+ * @param {object} [options] - { custom: string[] from parseAspects, maxAspects, minMentions,
+ *   rules: the user's compiled filter rules }
+ * @returns {Array<{ aspect, source, mentions, positive, neutral, negative, positive_pct, neutral_pct,
+ *   negative_pct, average_score, examples: { positive: Array, negative: Array } }>} most mentioned first
+ */
+export function extractAspects(comments, { custom = [], maxAspects = 12, minMentions, rules = null } = {}) {
+  const textComments = comments.filter(c => !c.is_emoji_only && c.clean_text);
+  if (!textComments.length) return [];
+  const threshold = minMentions ?? Math.max(2, Math.ceil(textComments.length * 0.005));
+
+  const definitions = [
+    ...custom.map(name => ({ aspect: name, source: 'custom', terms: DEFAULT_ASPECTS[name] || [name] })),
+    ...Object.entries(DEFAULT_ASPECTS)
+      .filter(([name]) => !custom.includes(name))
+      .map(([name, terms]) => ({ aspect: name, source: 'default', terms })),
+  ];
+  const taken = new Set(definitions.flatMap(d => d.terms.flatMap(term => [term, `${term}s`])));
+  for (const name of discoverAspects(textComments, taken, threshold, rules)) {
+    definitions.push({ aspect: name, source: 'discovered', terms: [name] });
+  }
+
+  const results = definitions.map(definition => ({ ...definition, matches: [] }));
+  for (const comment of textComments) {
+    const clauses = splitClauses(comment.clean_text).map(text => {
+      const words = tokenize(text);
+      return { text, words: new Set(words), joined: ` ${words.join(' ')} ` };
+    });
+
+    for (const result of results) {
+      const clause = clauses.find(c => mentions(c.words, c.joined, result.terms));
+      if (!clause) continue;
+
+      // A clause without opinion words ("the audio, it's fantastic") takes the comment's sentiment
+      let sentiment = scoreSentiment(clause.text, comment.language || 'en', rules?.lexicon);
+      if (!sentiment.positive_count && !sentiment.negative_count) sentiment = comment.sentiment || sentiment;
+      else if (comment.sentiment?.sarcasm) sentiment = { ...sentiment, score: -Math.abs(sentiment.score), label: 'negative' };
+
+      result.matches.push({ comment, sentiment });
+    }
+  }
+
+  // Aspects the user asked for are always reported, even when nobody mentioned them
+  const requested = results.filter(r => r.source === 'custom');
+  const found = results
+    .filter(r => r.source !== 'custom' && r.matches.length >= threshold)
+    .sort((a, b) => b.matches.length - a.matches.length)
+    .slice(0, Math.max(0, maxAspects - requested.length));
+
+  return [...requested, ...found]
+    .sort((a, b) => b.matches.length - a.matches.length)
+    .map(({ aspect, source, matches }) => {
+      const summary = aggregateSentiment(matches.map(m => m.sentiment));
+      const examples = (label) => matches
+        .filter(m => m.sentiment.label === label)
+        .sort((a, b) => (b.comment.likes || 0) - (a.comment.likes || 0))
+        .slice(0, EXAMPLES_PER_SIDE)
+        .map(({ comment }) => ({ user: comment.user || null, text: comment.text, likes: comment.likes || 0 }));
+
+      return {
+        aspect,
+        source,
+        mentions: matches.length,
+        positive: summary.positive,
+        neutral: summary.neutral,
+        negative: summary.negative,
+        positive_pct: summary.positive_pct,
+        neutral_pct: summary.neutral_pct,
+        negative_pct: summary.negative_pct,
+        average_score: summary.average_score,
+        examples: { positive: examples('positive'), negative: examples('negative') },
+      };
+    });
+}
+
+export default { extractAspects, parseAspects, DEFAULT_ASPECTS };
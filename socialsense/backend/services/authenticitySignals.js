@@ -0,0 +1,298 @@
+/**
+ * Authenticity Signals
+ * Deterministic bot/authenticity scoring that runs before the engagement model.
+ * Every signal is computed from the video metrics and the comments alone and
+ * adds or removes a fixed number of points from a base score, so the same
+ * data always gives the same score and the report can show where it came from.
+ */
+
+export const BASE_SCORE = 75;
+
+// Signals that need a sample of comments skip smaller ones
+const MIN_COMMENTS = 20;
+const MIN_AUTHORS = 10;
+const BURST_WINDOW_MS = 10 * 60 * 1000;
+// Comments pile up right after upload; bursts inside the first hour are normal
+const LAUNCH_WINDOW_MS = 60 * 60 * 1000;
+const MIN_BURST_SPAN_MS = 2 * 60 * 60 * 1000;
+
+const VERDICT_THRESHOLDS = [
+  [85, 'Highly Authentic'],
+  [70, 'Likely Authentic'],
+  [55, 'Some Concerns'],
+  [35, 'Significant Red Flags'],
+  [0, 'High Fraud Risk'],
+];
+
+/**
+ * Verdict for a score
+ * @param {number} score - 0-100
+ */
+export function verdictFor(score) {
+  return VERDICT_THRESHOLDS.find(([min]) => score >= min)[1];
+}
+
+/**
+ * Gini coefficient of a list of counts: 0 when all are equal, towards 1 when a few hold everything
+ * @param {number[]} values
+ */
+export function giniCoefficient(values) {
+  const sorted = values.filter(v => v >= 0).sort((a, b) => a - b);
+  const n = sorted.length;
+  const total = sorted.reduce((sum, v) => sum + v, 0);
+  if (n < 2 || total === 0) return 0;
+  const weighted = sorted.reduce((sum, v, i) => sum + (i + 1) * v, 0);
+  return (2 * weighted) / (n * total) - (n + 1) / n;
+}
+
+/**
+ * Shannon entropy of a string's characters, in bits per character
+ */
+export function nameEntropy(name) {
+  const counts = new Map();
+  for (const ch of name) counts.set(ch, (counts.get(ch) || 0) + 1);
+  const length = [...name].length;
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Whether a display name looks generated rather than chosen: platform default
+ * handles ("@user-k2j9x8q1"), long digit suffixes ("maria48213") or random
+ * letter-and-digit strings
+ */
+export function looksGenerated(name) {
+  const handle = String(name || '').trim().replace(/^@/, '').toLowerCase();
+  if (!handle) return false;
+  if (/^user[-_]?[a-z0-9]{6,}$/.test(handle)) return true;
+  if (/\d{4,}$/.test(handle)) return true;
+  return !/\s/.test(handle) && handle.length >= 8 && /\d/.test(handle) && /[a-z]/.test(handle)
+    && nameEntropy(handle) >= 3;
+}
+
+/**
+ * Densest 10-minute window of comments, ignoring the first hour after upload
+ * @returns {{ peak: number, share: number, ratio: number, at: string }|null} null without enough timestamps
+ */
+export function detectBurst(comments, videoPublishedAt = null) {
+  const times = comments
+    .map(c => Date.parse(c.publishedAt))
+    .filter(t => !Number.isNaN(t))
+    .sort((a, b) => a - b);
+  if (times.length < MIN_COMMENTS) return null;
+
+  const span = times[times.length - 1] - times[0];
+  if (span < MIN_BURST_SPAN_MS) return null;
+
+  const launch = Date.parse(videoPublishedAt);
+  const from = Number.isNaN(launch) ? -Infinity : launch + LAUNCH_WINDOW_MS;
+
+  let peak = 0;
+  let peakStart = null;
+  let end = 0;
+  for (let start = 0; start < times.length; start++) {
+    if (times[start] < from) continue;
+    if (end < start) end = start;
+    while (end < times.length && times[end] < times[start] + BURST_WINDOW_MS) end++;
+    if (end - start > peak) {
+      peak = end - start;
+      peakStart = times[start];
+    }
+  }
+  if (peakStart === null) return null;
+
+  const expected = times.length * BURST_WINDOW_MS / span;
+  return {
+    peak,
+    share: peak / times.length,
+    ratio: peak / expected,
+    at: new Date(peakStart).toISOString(),
+  };
+}
+
+const pct = (value, digits = 1) => `${(value * 100).toFixed(digits)}%`;
+
+/**
+ * Ratio signals against the platform benchmarks; skipped without view counts
+ */
+function ratioSignals(videoData, benchmarks) {
+  const views = parseInt(videoData.viewCount) || 0;
+  const likes = parseInt(videoData.likeCount) || 0;
+  const commentCount = parseInt(videoData.commentCount) || 0;
+  if (!benchmarks || views === 0) return [];
+
+  const signals = [];
+  const rate = (likes + commentCount) / views * 100;
+  const er = benchmarks.engagementRate;
+  signals.push({
+    id: 'engagement_rate',
+    label: 'Engagement rate',
+    value: `${rate.toFixed(2)}%`,
+    ...(rate > er.suspiciousHigh
+      ? { points: -15, detail: `Above the ${er.suspiciousHigh}% that organic videos rarely exceed` }
+      : rate < er.suspiciousLow
+        ? { points: -10, detail: `Below ${er.suspiciousLow}%, typical of bought views` }
+        : rate >= er.good
+          ? { points: 5, detail: `Above the ${er.good}% benchmark for a good video` }
+          : { points: 0, detail: 'Within the normal range' }),
+  });
+
+  if (likes > 0) {
+    const { min, max } = benchmarks.likesToViews;
+    const ratio = likes / views;
+    signals.push({
+      id: 'likes_to_views',
+      label: 'Likes per view',
+      value: pct(ratio, 2),
+      ...(ratio > max
+        ? { points: -15, detail: `More than ${pct(max, 0)} of viewers liking points to bought likes` }
+        : ratio < min
+          ? { points: -10, detail: `Fewer than ${pct(min, 0)} of viewers liking points to bought views` }
+          : { points: 3, detail: `Within the ${pct(min, 0)}-${pct(max, 0)} benchmark` }),
+    });
+
+    const { min: cMin, max: cMax } = benchmarks.commentsToLikes;
+    const commentRatio = commentCount / likes;
+    signals.push({
+      id: 'comments_to_likes',
+      label: 'Comments per like',
+      value: pct(commentRatio, 2),
+      ...(commentRatio > cMax
+        ? { points: -10, detail: `Above the ${pct(cMax, 0)} benchmark, typical of comment campaigns` }
+        : commentRatio < cMin
+          ? { points: -5, detail: `Below the ${pct(cMin, 1)} benchmark, typical of bought likes` }
+          : { points: 3, detail: `Within the ${pct(cMin, 1)}-${pct(cMax, 0)} benchmark` }),
+    });
+  }
+
+  return signals;
+}
+
+/**
+ * Signals from the comments themselves
+ */
+function commentSignals(videoData, comments, commentAnalysis) {
+  const signals = [];
+  const total = commentAnalysis.total || comments.length;
+
+  if (total > 0) {
+    const duplicatePct = parseFloat(commentAnalysis.duplicatePct) || 0;
+    const clusters = `${commentAnalysis.clusterCount} copy-paste cluster${commentAnalysis.clusterCount === 1 ? '' : 's'}`;
+    signals.push({
+      id: 'near_duplicates',
+      label: 'Copy-pasted comments',
+      value: `${duplicatePct.toFixed(1)}%`,
+      ...(duplicatePct >= 15
+        ? { points: -25, detail: clusters }
+        : duplicatePct >= 5
+          ? { points: -15, detail: clusters }
+          : duplicatePct >= 2
+            ? { points: -5, detail: clusters }
+            : duplicatePct === 0 && total >= MIN_COMMENTS
+              ? { points: 5, detail: 'No comment was posted twice' }
+              : { points: 0, detail: 'Too few copies to matter' }),
+    });
+
+    const linked = (commentAnalysis.clusters || []).filter(c => c.shared_authors > 0).length;
+    if (linked > 0) {
+      signals.push({
+        id: 'cluster_accounts',
+        label: 'Clusters sharing accounts',
+        value: String(linked),
+        points: -5,
+        detail: 'The same accounts posted more than one copy-paste comment',
+      });
+    }
+
+    const genericPct = parseFloat(commentAnalysis.genericPct) || 0;
+    if (genericPct >= 15) {
+      signals.push({
+        id: 'generic_comments',
+        label: 'Generic comments',
+        value: `${genericPct.toFixed(1)}%`,
+        points: genericPct >= 30 ? -10 : -5,
+        detail: '"Nice", "great video" and similar comments that fit any video',
+      });
+    }
+
+    const repeatPct = parseFloat(commentAnalysis.repeatAuthorPct) || 0;
+    if (repeatPct >= 5) {
+      signals.push({
+        id: 'repeat_authors',
+        label: 'Comments from accounts posting 3+ times',
+        value: `${repeatPct.toFixed(1)}%`,
+        points: repeatPct >= 15 ? -10 : -5,
+        detail: `${commentAnalysis.repeatAuthors} accounts left three or more top-level comments`,
+      });
+    }
+  }
+
+  const burst = detectBurst(comments, videoData.publishedAt);
+  if (burst) {
+    const suspicious = burst.ratio >= 5 && burst.share >= 0.3;
+    signals.push({
+      id: 'comment_burst',
+      label: 'Densest 10 minutes of comments',
+      value: pct(burst.share),
+      points: suspicious ? (burst.share >= 0.5 ? -15 : -10) : 0,
+      detail: suspicious
+        ? `${burst.peak} comments from ${burst.at}, ${burst.ratio.toFixed(0)}x the average rate`
+        : 'Comments are spread out over time',
+    });
+  }
+
+  const names = [...new Set(comments.map(c => c.user).filter(Boolean))];
+  if (names.length >= MIN_AUTHORS) {
+    const generated = names.filter(looksGenerated).length / names.length;
+    signals.push({
+      id: 'author_names',
+      label: 'Generated-looking account names',
+      value: pct(generated),
+      points: generated >= 0.5 ? -10 : generated >= 0.3 ? -5 : 0,
+      detail: 'Default handles, long digit suffixes and random letter-digit names',
+    });
+  }
+
+  const likes = comments.map(c => c.likes || 0);
+  const likeTotal = likes.reduce((sum, n) => sum + n, 0);
+  if (likes.length >= MIN_COMMENTS && likeTotal >= MIN_COMMENTS) {
+    const gini = giniCoefficient(likes);
+    signals.push({
+      id: 'like_distribution',
+      label: 'Comment like inequality (Gini)',
+      value: gini.toFixed(2),
+      ...(gini < 0.3
+        ? { points: -10, detail: 'Likes are spread evenly across comments, typical of bought comment likes' }
+        : gini < 0.5
+          ? { points: -5, detail: 'Likes are spread more evenly than on most videos' }
+          : gini >= 0.7
+            ? { points: 5, detail: 'A few comments hold most likes, as on organic videos' }
+            : { points: 0, detail: 'Within the normal range' }),
+    });
+  }
+
+  return signals;
+}
+
+/**
+ * Score a video's engagement from its metrics and comments
+ * @param {object} videoData - viewCount, likeCount, commentCount, publishedAt
+ * @param {Array} comments - processed comments (user, likes, publishedAt)
+ * @param {object} benchmarks - the platform's PLATFORM_BENCHMARKS entry
+ * @param {object} commentAnalysis - analyzeCommentPatterns result
+ * @returns {{ score: number, verdict: string, base: number, signals: Array<{ id, label, value, points, detail }> }}
+ */
+export function scoreAuthenticity(videoData, comments, benchmarks, commentAnalysis) {
+  const signals = [
+    ...ratioSignals(videoData, benchmarks),
+    ...commentSignals(videoData, comments, commentAnalysis),
+  ];
+  const score = Math.max(0, Math.min(100, signals.reduce((sum, s) => sum + s.points, BASE_SCORE)));
+  return { score, verdict: verdictFor(score), base: BASE_SCORE, signals };
+}
+
+export default { scoreAuthenticity, verdictFor, giniCoefficient, looksGenerated, detectBurst, BASE_SCORE };
@@ -0,0 +1,208 @@
+/**
+ * Billing Service
+ * Reserve-and-settle token accounting for analyses
+ *
+ * An analysis reserves its full estimated cost before the job starts.
+ * When the job finishes, the real cost is settled and anything that was
+ * not delivered is refunded through the refund_tokens RPC.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { TOKEN_COSTS } from '../config/stripe.js';
+import { getPlatform } from './platforms/index.js';
+import { UPLOAD_PLATFORM, UPLOAD_PRICING } from './commentImport.js';
+
+/**
+ * Pricing for a comment source: a registered platform or an uploaded file
+ */
+function getPricing(platform) {
+  if (platform === UPLOAD_PLATFORM) return UPLOAD_PRICING;
+
+  const adapter = getPlatform(platform);
+  if (!adapter) throw new Error(`Unknown platform: ${platform}`);
+  return adapter.pricing;
+}
+
+/**
+ * Calculate the scraping part of an analysis cost
+ * (for uploads this covers importing and processing the file)
+ */
+export function calculateScrapingCost(platform, commentCount) {
+  const { per, tokens } = getPricing(platform);
+  return Math.max(1, Math.ceil(commentCount / per) * tokens);
+}
+
+/**
+ * Calculate the full-coverage surcharge (map-reduce over every comment)
+ */
+export function calculateFullCoverageCost(commentCount) {
+  return Math.max(1, Math.ceil(commentCount / 1000) * TOKEN_COSTS.full_coverage_per_1000_comments);
+}
+
+/**
+ * Calculate the full cost of an analysis, itemized per add-on
+ * @returns {{ total: number, breakdown: object }}
+ */
+export function calculateCostBreakdown({
+  platform,
+  commentCount,
+  includeText = false,
+  fullCoverage = false,
+  includeMarketing = false,
+  includeEngagement = false,
+  hasVideo = false,
+}) {
+  const breakdown = {
+    scraping: calculateScrapingCost(platform, commentCount),
+    text_analysis: includeText ? TOKEN_COSTS.text_analysis : 0,
+    full_coverage: includeText && fullCoverage ? calculateFullCoverageCost(commentCount) : 0,
+    marketing: includeMarketing ? TOKEN_COSTS.marketing_analysis : 0,
+    video: hasVideo ? TOKEN_COSTS.video_analysis : 0,
+    engagement: includeEngagement ? TOKEN_COSTS.engagement_validation : 0,
+  };
+
+  const total = Math.max(1, Object.values(breakdown).reduce((sum, cost) => sum + cost, 0));
+
+  return { total, breakdown };
+}
+
+/**
+ * Reserve tokens for an analysis that has already been created
+ * @returns {Promise<{success: boolean, newBalance?: number, message: string}>}
+ */
+export async function reserveTokens({ userId, analysisId, amount, description, metadata = {} }) {
+  const { data, error } = await supabaseAdmin.rpc('reserve_tokens', {
+    p_user_id: userId,
+    p_analysis_id: analysisId,
+    p_amount: amount,
+    p_description: description,
+    p_metadata: metadata,
+  });
+
+  if (error || !data?.[0]?.success) {
+    return { success: false, message: data?.[0]?.message || 'Insufficient tokens' };
+  }
+
+  return { success: true, newBalance: data[0].new_balance, message: data[0].message };
+}
+
+/**
+ * Refund tokens for an analysis. The RPC caps the refund at what the
+ * analysis is still charged, so calling this twice can never over-refund.
+ * @returns {Promise<number>} Number of tokens actually refunded
+ */
+export async function refundTokens({ userId, analysisId, amount, reason, metadata = {} }) {
+  if (!amount || amount <= 0) return 0;
+
+  const { data, error } = await supabaseAdmin.rpc('refund_tokens', {
+    p_user_id: userId,
+    p_analysis_id: analysisId,
+    p_amount: amount,
+    p_description: `Refund: ${reason}`,
+    p_metadata: { reason, ...metadata },
+  });
+
+  if (error || !data?.[0]?.success) {
+    console.error(`[Billing] Refund of ${amount} tokens failed for analysis ${analysisId}:`, error || data?.[0]?.message);
+    return 0;
+  }
+
+  console.log(`[Billing] Refunded ${data[0].refunded} tokens for analysis ${analysisId} (${reason})`);
+  return data[0].refunded;
+}
+
+/**
+ * Work out what an analysis should really cost given what was delivered
+ * @param {object} reserved - Breakdown that was reserved up front
+ * @param {object} delivered - { commentCount, textAnalysis, fullCoverage, marketing, video, engagement }
+ */
+export function calculateSettlement(platform, reserved, delivered) {
+  const actual = {
+    scraping: delivered.commentCount > 0
+      ? Math.min(reserved.scraping, calculateScrapingCost(platform, delivered.commentCount))
+      : 0,
+    text_analysis: delivered.textAnalysis ? reserved.text_analysis : 0,
+    full_coverage: delivered.fullCoverage
+      ? Math.min(reserved.full_coverage || 0, calculateFullCoverageCost(delivered.commentCount))
+      : 0,
+    marketing: delivered.marketing ? reserved.marketing : 0,
+    video: delivered.video ? reserved.video : 0,
+    engagement: delivered.engagement ? reserved.engagement : 0,
+  };
+
+  const refunds = {};
+  for (const [item, cost] of Object.entries(reserved)) {
+    const refund = cost - (actual[item] || 0);
+    if (refund > 0) refunds[item] = refund;
+  }
+
+  return {
+    actual,
+    refunds,
+    totalRefund: Object.values(refunds).reduce((sum, cost) => sum + cost, 0),
+  };
+}
+
+/**
+ * Settle a finished analysis: refund every reserved item that was not delivered
+ * @returns {Promise<number>} Number of tokens refunded
+ */
+export async function settleAnalysisCost({ userId, analysisId, platform, reserved, delivered }) {
+  const { refunds, totalRefund } = calculateSettlement(platform, reserved, delivered);
+  if (totalRefund === 0) return 0;
+
+  return refundTokens({
+    userId,
+    analysisId,
+    amount: totalRefund,
+    reason: `undelivered ${Object.keys(refunds).join(', ').replace(/_/g, ' ')}`,
+    metadata: { refunds },
+  });
+}
+
+/**
+ * What an analysis still holds of its latest reservation: the reserved
+ * amount minus the refunds issued since, from token_transactions. A new
+ * reservation (a resumed analysis) replaces the charge, as reserve_tokens does.
+ * @returns {Promise<number|null>} null when no reservation was recorded (analyses from before reservations)
+ */
+export async function outstandingReservation(analysisId) {
+  const { data, error } = await supabaseAdmin
+    .from('token_transactions')
+    .select('transaction_type, amount')
+    .eq('metadata->>analysis_id', analysisId)
+    .in('transaction_type', ['usage', 'refund'])
+    .order('created_at', { ascending: true });
+
+  if (error) throw new Error(`Failed to load transactions for analysis ${analysisId}: ${error.message}`);
+  if (!data.some(t => t.transaction_type === 'usage')) return null;
+
+  let held = 0;
+  for (const transaction of data) {
+    held = transaction.transaction_type === 'usage'
+      ? -transaction.amount
+      : Math.max(0, held - transaction.amount);
+  }
+  return held;
+}
+
+/**
+ * Refund a whole reservation when an analysis fails without usable results
+ * @returns {Promise<number>} Number of tokens refunded
+ */
+export async function refundReservation({ userId, analysisId, reserved, reason, metadata = {} }) {
+  const reservedTotal = Object.values(reserved || {}).reduce((sum, cost) => sum + cost, 0);
+  return refundTokens({ userId, analysisId, amount: reservedTotal, reason, metadata });
+}
+
+export default {
+  calculateScrapingCost,
+  calculateFullCoverageCost,
+  calculateCostBreakdown,
+  reserveTokens,
+  refundTokens,
+  calculateSettlement,
+  settleAnalysisCost,
+  refundReservation,
+  outstandingReservation,
+};
@@ -0,0 +1,110 @@
+/**
+ * Scrape Checkpoints
+ * Long scrapes save what they have collected as they go, so a quota error or
+ * a platform block doesn't lose the pages already read. Each checkpoint is a
+ * chunk in scrape_checkpoints holding only the comments added since the
+ * previous one, plus the cursor to continue from. analyses.scrape_checkpoint
+ * keeps a small summary for the UI ({ comments, done }).
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+
+// Minimum time between checkpoint writes while a scrape is running
+export const CHECKPOINT_INTERVAL_MS = 10 * 1000;
+
+/**
+ * Checkpoint writer for one scrape
+ * save() is cheap to call after every page; writes are throttled and run one
+ * at a time. flush() writes whatever is still pending.
+ * @param {string} analysisId
+ * @param {number} [resumedCount] - comments already held by earlier checkpoints
+ */
+export function createCheckpointWriter(analysisId, resumedCount = 0, { intervalMs = CHECKPOINT_INTERVAL_MS } = {}) {
+  let savedCount = 0;
+  let lastWrite = Date.now();
+  let pending = null;
+  let writing = Promise.resolve();
+
+  const write = async ({ cursor, comments, length }) => {
+    const chunk = comments.slice(savedCount, length);
+    const total = resumedCount + length;
+
+    const { error } = await supabaseAdmin.from('scrape_checkpoints').insert({
+      analysis_id: analysisId,
+      cursor,
+      comments: chunk,
+      comment_count: total,
+    });
+    if (error) {
+      console.error(`[Checkpoint] Save failed for analysis ${analysisId}:`, error.message);
+      return;
+    }
+
+    savedCount = length;
+    await supabaseAdmin.from('analyses')
+      .update({ scrape_checkpoint: { comments: total, done: cursor === null } })
+      .eq('id', analysisId);
+  };
+
+  const drain = () => {
+    if (!pending) return writing;
+    const next = pending;
+    pending = null;
+    lastWrite = Date.now();
+    writing = writing.then(() => write(next));
+    return writing;
+  };
+
+  return {
+    /**
+     * @param {*} cursor - where the scrape continues (null once every comment was read)
+     * @param {Array} comments - everything this scrape has collected up to the cursor
+     */
+    save(cursor, comments) {
+      // Scrapers only append, so the first `length` comments can't change before the write
+      pending = { cursor, comments, length: comments.length };
+      if (cursor === null || Date.now() - lastWrite >= intervalMs) drain();
+    },
+
+    flush() {
+      return drain();
+    },
+  };
+}
+
+/**
+ * Everything saved so far for an analysis
+ * @returns {Promise<{ cursor, comments: Array, done: boolean } | null>} null when nothing was saved
+ */
+export async function loadCheckpoint(analysisId) {
+  const { data: chunks, error } = await supabaseAdmin
+    .from('scrape_checkpoints')
+    .select('cursor, comments, comment_count')
+    .eq('analysis_id', analysisId)
+    .order('id', { ascending: true });
+
+  if (error) {
+    console.error(`[Checkpoint] Load failed for analysis ${analysisId}:`, error.message);
+    return null;
+  }
+  if (!chunks?.length) return null;
+
+  const last = chunks[chunks.length - 1];
+  return {
+    cursor: last.cursor,
+    comments: chunks.flatMap(chunk => chunk.comments || []),
+    done: last.cursor === null,
+  };
+}
+
+/**
+ * Drop the checkpoints of an analysis that finished
+ */
+export async function clearCheckpoint(analysisId) {
+  const { error } = await supabaseAdmin.from('scrape_checkpoints').delete().eq('analysis_id', analysisId);
+  if (error) console.error(`[Checkpoint] Cleanup failed for analysis ${analysisId}:`, error.message);
+
+  await supabaseAdmin.from('analyses').update({ scrape_checkpoint: null }).eq('id', analysisId);
+}
+
+export default { createCheckpointWriter, loadCheckpoint, clearCheckpoint };
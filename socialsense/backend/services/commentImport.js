@@ -0,0 +1,278 @@
+/**
+ * Comment Import
+ * Parses user-uploaded comment files (CSV, JSON, NDJSON) into the comment
+ * shape the scrapers produce, so exports from platforms we can't scrape run
+ * through the normal analysis pipeline.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+import { TOKEN_COSTS } from '../config/stripe.js';
+
+export const UPLOAD_PLATFORM = 'upload';
+export const UPLOAD_PRICING = { per: 1000, tokens: TOKEN_COSTS.upload_per_1000_comments };
+export const IMPORT_FIELDS = ['user', 'text', 'likes', 'publishedAt'];
+export const MAX_IMPORT_BYTES = 25 * 1024 * 1024;
+
+const FORMATS_BY_EXTENSION = {
+  '.csv': 'csv',
+  '.json': 'json',
+  '.ndjson': 'ndjson',
+  '.jsonl': 'ndjson',
+};
+
+// Column names that usually hold each field, most specific first
+// (matched with spaces and dashes read as underscores)
+const FIELD_HINTS = {
+  text: [/^(comment|comment_?text|text|body|content|message|review|review_?text|feedback|response|answer)$/i, /text|comment|body|content|message|review/i],
+  user: [/^(user|username|user_?name|author|author_?name|name|handle|display_?name|reviewer)$/i, /user|author|name|handle/i],
+  likes: [/^(likes|like_?count|score|upvotes|votes|helpful|thumbs_?up|reactions)$/i, /like|score|vote|helpful/i],
+  publishedAt: [/^(published_?at|created_?at|date|timestamp|time|posted_?at|submitted_?at|created_?utc)$/i, /date|time|created|posted|published/i],
+};
+
+/**
+ * Work out the import format from a file name
+ * @returns {string|null} 'csv', 'json' or 'ndjson'; null when unsupported
+ */
+export function detectImportFormat(filename) {
+  return FORMATS_BY_EXTENSION[path.extname(filename || '').toLowerCase()] || null;
+}
+
+/**
+ * Pick the CSV delimiter by counting candidates in the header line
+ */
+function detectDelimiter(text) {
+  const header = text.slice(0, text.search(/\r?\n|$/));
+  const candidates = [',', ';', '\t'];
+  return candidates.reduce((best, candidate) =>
+    header.split(candidate).length > header.split(best).length ? candidate : best, ',');
+}
+
+/**
+ * Parse RFC 4180 CSV (quoted fields, escaped quotes, newlines inside quotes)
+ * @returns {Array<Array<string>>} records, blank lines skipped
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== '') records.push(record);
+    record = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) throw new Error('CSV has an unterminated quoted field');
+  if (field !== '' || record.length) endRecord();
+
+  return records;
+}
+
+/**
+ * Flatten nested objects into dotted keys ({ author: { name } } -> 'author.name')
+ */
+function flattenRow(value, prefix = '', out = {}) {
+  for (const [key, child] of Object.entries(value)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (child && typeof child === 'object' && !Array.isArray(child)) {
+      flattenRow(child, name, out);
+    } else {
+      out[name] = child;
+    }
+  }
+  return out;
+}
+
+/**
+ * Column names in first-seen order across all rows
+ */
+function collectColumns(rows) {
+  const columns = new Set();
+  for (const row of rows) {
+    for (const key of Object.keys(row)) columns.add(key);
+  }
+  return [...columns];
+}
+
+/**
+ * Parse an uploaded comment file
+ * JSON may be an array of objects or an object holding one (e.g. { comments: [...] }).
+ * @param {string} text - file contents
+ * @param {string} format - 'csv', 'json' or 'ndjson'
+ * @returns {{ format: string, columns: string[], rows: object[] }}
+ */
+export function parseImport(text, format) {
+  const content = text.replace(/^\uFEFF/, '');
+  let rows;
+
+  if (format === 'csv') {
+    const [header, ...records] = parseCsv(content);
+    if (!header) throw new Error('CSV file is empty');
+
+    const columns = header.map((name, i) => name.trim() || `column_${i + 1}`);
+    rows = records.map(record => Object.fromEntries(columns.map((name, i) => [name, record[i] ?? ''])));
+    return { format, columns, rows };
+  }
+
+  if (format === 'json') {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(data)) {
+      data = Object.values(data || {}).find(Array.isArray);
+      if (!data) throw new Error('JSON must be an array of comments or an object containing one');
+    }
+    rows = data;
+  } else if (format === 'ndjson') {
+    rows = [];
+    content.split(/\r?\n/).forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        rows.push(JSON.parse(line));
+      } catch {
+        throw new Error(`Invalid JSON on line ${index + 1}`);
+      }
+    });
+  } else {
+    throw new Error('Unsupported file format. Use CSV, JSON or NDJSON.');
+  }
+
+  rows = rows
+    .filter(row => row && typeof row === 'object' && !Array.isArray(row))
+    .map(row => flattenRow(row));
+
+  return { format, columns: collectColumns(rows), rows };
+}
+
+/**
+ * Guess which column holds each comment field
+ * @returns {{ user: string|null, text: string|null, likes: string|null, publishedAt: string|null }}
+ */
+export function suggestMapping(columns) {
+  const mapping = {};
+  const used = new Set();
+
+  for (const field of ['text', 'user', 'likes', 'publishedAt']) {
+    mapping[field] = null;
+    for (const pattern of FIELD_HINTS[field]) {
+      const match = columns.find(column => !used.has(column) && pattern.test(column.trim().replace(/[\s-]+/g, '_')));
+      if (match) {
+        mapping[field] = match;
+        used.add(match);
+        break;
+      }
+    }
+  }
+
+  return mapping;
+}
+
+/**
+ * Check a column mapping against the parsed columns
+ * @returns {string|null} error message, or null when the mapping is usable
+ */
+export function validateMapping(mapping, columns) {
+  if (!mapping?.text) return 'Choose the column that holds the comment text';
+
+  for (const field of IMPORT_FIELDS) {
+    if (mapping[field] && !columns.includes(mapping[field])) {
+      return `Column "${mapping[field]}" not found in file`;
+    }
+  }
+  return null;
+}
+
+const parseLikes = (value) => {
+  const likes = typeof value === 'number' ? value : parseInt(String(value ?? '').replace(/[,\s]/g, ''), 10);
+  return Number.isFinite(likes) && likes > 0 ? likes : 0;
+};
+
+const parseDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  // Bare numbers are Unix timestamps (seconds, or milliseconds when large)
+  const numeric = typeof value === 'number' ? value : /^\d{9,13}$/.test(String(value).trim()) ? Number(value) : null;
+  const date = numeric !== null ? new Date(numeric < 1e11 ? numeric * 1000 : numeric) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+/**
+ * Convert parsed rows into the comment shape used by the scrapers
+ * Rows without text are dropped. Imported comments are all treated as
+ * top-level since files carry no thread structure.
+ */
+export function mapRows(rows, mapping) {
+  const comments = [];
+
+  rows.forEach((row, index) => {
+    const text = String(row[mapping.text] ?? '').trim();
+    if (!text) return;
+
+    const user = mapping.user ? String(row[mapping.user] ?? '').trim() : '';
+    comments.push({
+      id: `upload_${index + 1}`,
+      parent_id: null,
+      user: user || 'Anonymous',
+      author_id: user || null,
+      text,
+      likes: mapping.likes ? parseLikes(row[mapping.likes]) : 0,
+      publishedAt: mapping.publishedAt ? parseDate(row[mapping.publishedAt]) : null,
+      reply_count: 0,
+      is_creator_reply: false,
+    });
+  });
+
+  return comments;
+}
+
+/**
+ * Read and map an uploaded file (used by the analysis job)
+ * @param {object} importFile - { path, format, mapping }
+ * @param {number} [maxComments] - stop after this many comments
+ */
+export async function readImportedComments({ path: filePath, format, mapping }, maxComments = Infinity) {
+  const text = await fs.readFile(filePath, 'utf8');
+  const { rows } = parseImport(text, format);
+  return mapRows(rows, mapping).slice(0, maxComments);
+}
+
+export default {
+  detectImportFormat,
+  parseCsv,
+  parseImport,
+  suggestMapping,
+  validateMapping,
+  mapRows,
+  readImportedComments,
+};
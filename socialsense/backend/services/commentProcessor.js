@@ -3,21 +3,40 @@
  * Filters, cleans, and processes comments for analysis
  */
 
-import { scoreSentiment } from './sentiment.js';
+import { scoreSentiment, aggregateSentiment } from './sentiment.js';
+import { detectLanguage, tokenize, isKeywordCandidate, languageName } from './language.js';
+import { findNearDuplicates, describeClusters, MIN_DUPLICATE_LENGTH } from './nearDuplicates.js';
+import { isQuestion } from './questions.js';
 
 const COMMENT_CHAR_LIMIT = 200;
+const HAS_EMOJI = /\p{Extended_Pictographic}/u;
+// Custom spam patterns only see the start of very long comments
+export const CUSTOM_PATTERN_TEXT_LIMIT = 1000;
+const LINK = /https?:\/\/([^\s/?#]+)\S*/gi;
 
 /**
- * Check if text is emoji-only (no alphanumeric characters)
+ * Check if text is emoji-only (no letters or digits in any script)
  */
 export function isEmojiOnly(text) {
-  return !/[a-zA-Z0-9]/.test(text);
+  return !/[\p{L}\p{N}]/u.test(text);
+}
+
+/**
+ * Drop links to whitelisted domains (and their subdomains) before the spam check
+ */
+function removeWhitelistedLinks(text, domains) {
+  return text.replace(LINK, (link, host) => {
+    const domain = host.toLowerCase().replace(/^www\./, '');
+    return domains.some(d => domain === d || domain.endsWith(`.${d}`)) ? '' : link;
+  });
 }
 
 /**
  * Check if text is spam or promotional
+ * @param {string} text
+ * @param {object} [rules] - compiled custom rules (extra patterns, whitelisted domains)
  */
-export function isSpamOrPromo(text) {
+export function isSpamOrPromo(text, rules = null) {
   const spamPatterns = [
     /http[s]?:\/\//i,
     /bit\.ly/i,
@@ -34,7 +53,11 @@ export function isSpamOrPromo(text) {
     /free gift/i,
   ];
   
-  return spamPatterns.some(pattern => pattern.test(text));
+  const checked = rules?.whitelistedDomains.length ? removeWhitelistedLinks(text, rules.whitelistedDomains) : text;
+  if (spamPatterns.some(pattern => pattern.test(checked))) return true;
+
+  const start = checked.slice(0, CUSTOM_PATTERN_TEXT_LIMIT);
+  return !!rules?.spamPatterns.test(start);
 }
 
 /**
@@ -92,7 +115,7 @@ export function isOffTopicNoise(text) {
 export function normalizeForDedup(text) {
   return text
     .toLowerCase()
-    .replace(/[^\w\s]/g, '')
+    .replace(/[^\p{L}\p{N}\s]/gu, '')
     .replace(/\s+/g, ' ')
     .trim();
 }
@@ -102,7 +125,7 @@ export function normalizeForDedup(text) {
  */
 export function cleanCommentText(text) {
   let cleaned = text
-    .replace(/@\w+/g, '') // Remove mentions
+    .replace(/@[\p{L}\p{N}_]+/gu, '') // Remove mentions
     .replace(/\s+/g, ' ') // Normalize whitespace
     .trim();
   
@@ -133,22 +156,106 @@ export function sanitizeCsvText(text) {
   return sanitized;
 }
 
+/**
+ * Summarize reply threads and find questions the creator never answered.
+ * A top-level question only counts as unanswered when we know its thread:
+ * it has no replies at all, or its replies were scraped and none came from
+ * the creator.
+ * @returns {{ stats: object, unansweredIds: Set<string>, answeredIds: Set<string> } | null} null when comments carry no thread ids
+ */
+export function summarizeConversations(comments) {
+  if (!comments.some(c => c.id)) return null;
+
+  const repliesByThread = new Map();
+  for (const comment of comments) {
+    if (!comment.parent_id) continue;
+    const thread = repliesByThread.get(comment.parent_id) || [];
+    thread.push(comment);
+    repliesByThread.set(comment.parent_id, thread);
+  }
+
+  const topLevel = comments.filter(c => !c.parent_id);
+  const questions = topLevel.filter(c => isQuestion(c.text));
+  const unansweredIds = new Set();
+  const answeredIds = new Set();
+
+  for (const question of questions) {
+    const replies = repliesByThread.get(question.id) || [];
+    const threadKnown = (question.reply_count || 0) === 0 || replies.length > 0;
+    if (replies.some(r => r.is_creator_reply)) {
+      answeredIds.add(question.id);
+    } else if (threadKnown) {
+      unansweredIds.add(question.id);
+    }
+  }
+
+  return {
+    stats: {
+      threads: topLevel.length,
+      replies: comments.length - topLevel.length,
+      threads_with_replies: topLevel.filter(c => (c.reply_count || 0) > 0).length,
+      creator_replies: comments.filter(c => c.is_creator_reply).length,
+      questions: questions.length,
+      unanswered_questions: unansweredIds.size,
+    },
+    unansweredIds,
+    answeredIds,
+  };
+}
+
+/**
+ * Language distribution of processed comments, with sentiment per language
+ * @returns {Array<{ language, name, count, pct, positive_pct, neutral_pct, negative_pct, average_score }>} most common first
+ */
+export function summarizeLanguages(comments) {
+  const byLanguage = new Map();
+  for (const comment of comments) {
+    const language = comment.language || 'und';
+    const own = byLanguage.get(language) || [];
+    own.push(comment);
+    byLanguage.set(language, own);
+  }
+
+  return [...byLanguage.entries()]
+    .sort((a, b) => b[1].length - a[1].length)
+    .map(([language, own]) => {
+      const sentiment = aggregateSentiment(own.map(c => c.sentiment).filter(Boolean));
+      return {
+        language,
+        name: languageName(language),
+        count: own.length,
+        pct: Math.round((own.length / comments.length) * 100),
+        positive_pct: sentiment.positive_pct,
+        neutral_pct: sentiment.neutral_pct,
+        negative_pct: sentiment.negative_pct,
+        average_score: sentiment.average_score,
+      };
+    });
+}
+
 /**
  * Process comments through the filtering pipeline
+ * @param {Array} comments
+ * @param {object} [rules] - the user's compiled custom rules (compileRules in filterRules.js)
  */
-export function processComments(comments) {
+export function processComments(comments, rules = null) {
   const stats = {
     original: comments.length,
     emoji_only: 0,
+    emoji_scored: 0,
     spam_promo: 0,
     duplicates: 0,
     generic_praise: 0,
     off_topic: 0,
     after_hard_filters: 0,
   };
+
+  // Thread structure is read before filtering so short creator replies still count
+  const conversations = summarizeConversations(comments);
   
-  // Add normalized text for deduplication
+  // Add normalized text for deduplication; exact copies are kept aside for the cluster report
   const seen = new Set();
+  const copies = new Map();
   const processed = [];
   
   for (const comment of comments) {
@@ -158,16 +265,36 @@ export function processComments(comments) {
     // Hard filters
     if (isEmojiOnly(text)) {
       stats.emoji_only++;
+      // Emoji reactions count towards sentiment but are not sent to the AI; "..." and blanks are dropped.
+      // They skip deduplication: a thousand "🔥" are a thousand reactions.
+      if (!HAS_EMOJI.test(text)) continue;
+      stats.emoji_scored++;
+      const cleanedText = cleanCommentText(text);
+      processed.push({
+        ...comment,
+        text: sanitizeCsvText(text),
+        clean_text: cleanedText,
+        is_emoji_only: true,
+        is_generic_praise: false,
+        is_off_topic: false,
+        normalized,
+        language: null,
+        sentiment: scoreSentiment(cleanedText),
+        ...(conversations && { is_unanswered_question: false }),
+      });
       continue;
     }
     
-    if (isSpamOrPromo(text)) {
+    if (isSpamOrPromo(text, rules)) {
       stats.spam_promo++;
       continue;
     }
     
     if (seen.has(normalized)) {
       stats.duplicates++;
+      const own = copies.get(normalized) || [];
+      own.push({ ...comment, text: sanitizeCsvText(text) });
+      copies.set(normalized, own);
       continue;
     }
     seen.add(normalized);
@@ -180,6 +307,7 @@ export function processComments(comments) {
     if (isOffTopic) stats.off_topic++;
     
     const cleanedText = cleanCommentText(text);
+    const language = detectLanguage(cleanedText);
     processed.push({
       ...comment,
       text: sanitizeCsvText(text),
@@ -187,13 +315,37 @@ export function processComments(comments) {
       is_generic_praise: isGeneric,
       is_off_topic: isOffTopic,
       normalized,
-      sentiment: scoreSentiment(cleanedText),
+      language,
+      sentiment: scoreSentiment(cleanedText, language, rules?.lexicon),
+      ...(conversations && { is_unanswered_question: conversations.unansweredIds.has(comment.id) }),
+      ...(conversations?.answeredIds.has(comment.id) && { is_answered_question: true }),
     });
   }
   
-  stats.after_hard_filters = processed.length;
+  // Copies with small edits are removed like exact ones; both are reported as clusters
+  const textComments = processed.filter(c => !c.is_emoji_only);
+  const nearClusters = findNearDuplicates(textComments.map(c => c.normalized));
+  const clustered = new Set(nearClusters.flat());
+  const nearCopies = new Set();
+  const groups = [];
+  for (const cluster of nearClusters) {
+    const members = cluster.map(i => textComments[i]);
+    members.slice(1).forEach(c => nearCopies.add(c));
+    groups.push(members.flatMap(c => [c, ...(copies.get(c.normalized) || [])]));
+  }
+  textComments.forEach((c, i) => {
+    if (!clustered.has(i) && copies.has(c.normalized) && c.normalized.length >= MIN_DUPLICATE_LENGTH) {
+      groups.push([c, ...copies.get(c.normalized)]);
+    }
+  });
+  const kept = nearCopies.size ? processed.filter(c => !nearCopies.has(c)) : processed;
+  stats.near_duplicates = describeClusters(groups, nearCopies.size);
+
+  stats.after_hard_filters = kept.length - stats.emoji_scored;
+  stats.languages = summarizeLanguages(kept.filter(c => !c.is_emoji_only));
+  if (conversations) stats.conversation = conversations.stats;
   
-  return { comments: processed, stats };
+  return { comments: kept, stats };
 }
 
 /**
@@ -257,28 +409,23 @@ export function stratifiedSample(comments, targetSize = 2500) {
 }
 
 /**
- * Extract themes and keywords from comments
+ * Extract keywords and frequent two-word phrases from comments
+ * (topics come from clusterTopics in topics.js)
+ * @param {string[]} texts
+ * @param {number} [topN]
+ * @param {Set<string>} [stopWords] - the user's custom stop-words, on top of the built-in ones
  */
-export function extractThemesAndKeywords(texts, topN = 20) {
+export function extractThemesAndKeywords(texts, topN = 20, stopWords = null) {
   if (!texts || texts.length === 0) {
-    return { keywords: [], themes: [] };
+    return { keywords: [], phrases: [] };
   }
   
-  const stopWords = new Set([
-    'this', 'that', 'with', 'from', 'your', 'they', 'have', 'will',
-    'what', 'about', 'would', 'there', 'their', 'which', 'when',
-    'like', 'just', 'really', 'very', 'been', 'being', 'were',
-    'much', 'many', 'some', 'more', 'also', 'only', 'such',
-    'than', 'then', 'them', 'these', 'those', 'into', 'over',
-  ]);
-  
-  // Extract words (4+ characters)
+  // Extract words in any script, minus stop words of every supported language
   const wordCounts = {};
   const bigramCounts = {};
   
   for (const text of texts) {
-    const words = text.toLowerCase().match(/\b[a-zA-Z]{4,}\b/g) || [];
-    const filteredWords = words.filter(w => !stopWords.has(w));
+    const filteredWords = tokenize(text).filter(word => isKeywordCandidate(word) && !stopWords?.has(word));
     
     // Count single words
     for (const word of filteredWords) {
@@ -298,12 +445,49 @@ export function extractThemesAndKeywords(texts, topN = 20) {
     .slice(0, topN)
     .map(([word, count]) => ({ word, count }));
   
-  const themes = Object.entries(bigramCounts)
+  const phrases = Object.entries(bigramCounts)
     .sort((a, b) => b[1] - a[1])
     .slice(0, 15)
-    .map(([theme, count]) => ({ theme, count }));
+    .map(([phrase, count]) => ({ phrase, count }));
   
-  return { keywords, themes };
+  return { keywords, phrases };
+}
+
+/**
+ * Per-video breakdown for analyses that merge several videos (channels, playlists)
+ * @param {Array} comments - processed comments tagged with video_id
+ * @param {Array} videos - [{ id, title, publishedAt, commentCount, viewCount }] in display order
+ * @param {Set<string>} [stopWords] - custom stop-words kept out of the keywords
+ */
+export function buildVideoBreakdown(comments, videos, stopWords = null) {
+  const byVideo = new Map();
+  for (const comment of comments) {
+    const own = byVideo.get(comment.video_id) || [];
+    own.push(comment);
+    byVideo.set(comment.video_id, own);
+  }
+
+  return videos.map(video => {
+    const own = byVideo.get(video.id) || [];
+    const sentiment = aggregateSentiment(own.map(c => c.sentiment).filter(Boolean));
+    const top = own.reduce((best, c) => (!best || (c.likes || 0) > (best.likes || 0) ? c : best), null);
+
+    return {
+      video_id: video.id,
+      title: video.title,
+      published_at: video.publishedAt || null,
+      view_count: video.viewCount || 0,
+      comment_count: video.commentCount || 0,
+      analyzed: own.length,
+      positive_pct: sentiment.positive_pct,
+      neutral_pct: sentiment.neutral_pct,
+      negative_pct: sentiment.negative_pct,
+      average_score: sentiment.average_score,
+      unanswered_questions: own.filter(c => c.is_unanswered_question).length,
+      keywords: extractThemesAndKeywords(own.map(c => c.clean_text), 5, stopWords).keywords.map(k => k.word),
+      top_comment: top ? { user: top.user, text: top.text, likes: top.likes || 0 } : null,
+    };
+  });
 }
 
 // Helper functions
@@ -324,8 +508,11 @@ function shuffleArray(array) {
 
 export default {
   processComments,
+  summarizeConversations,
+  summarizeLanguages,
   stratifiedSample,
   extractThemesAndKeywords,
+  buildVideoBreakdown,
   cleanCommentText,
   sanitizeCsvText,
 };
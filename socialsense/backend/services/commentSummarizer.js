@@ -0,0 +1,282 @@
+/**
+ * Comment Summarizer
+ * Map-reduce summarization for full-coverage analyses. Every filtered comment
+ * is read by the model: comments are split into chunks, each chunk is
+ * summarized into themes that cite the comments behind them, and the chunk
+ * themes are merged into one list. Prevalence is counted from the cited
+ * comments, not estimated by the model.
+ */
+
+import { chat } from './llm/index.js';
+import { validateAgainstSchema } from './analysisSchema.js';
+
+const CHUNK_MAX_COMMENTS = 150;
+const CHUNK_MAX_CHARS = 20000;
+const MAP_CONCURRENCY = 4;
+const MERGE_BATCH_SIZE = 120; // Candidate themes per merge request
+const MAX_THEMES = 15;
+const MAX_SIGNALS = 15; // Questions, complaints and buying signals kept for the final report
+
+const SENTIMENT = { type: 'string', enum: ['positive', 'negative', 'mixed', 'neutral'] };
+const strings = (maxItems) => ({ type: 'array', items: { type: 'string' }, maxItems });
+
+const CHUNK_SCHEMA = {
+  type: 'object',
+  properties: {
+    themes: {
+      type: 'array',
+      maxItems: 8,
+      items: {
+        type: 'object',
+        properties: {
+          label: { type: 'string' },
+          description: { type: 'string' },
+          sentiment: SENTIMENT,
+          comment_numbers: { type: 'array', items: { type: 'integer' } },
+        },
+        required: ['label', 'description', 'sentiment', 'comment_numbers'],
+        additionalProperties: false,
+      },
+    },
+    questions: strings(5),
+    complaints: strings(5),
+    buying_signals: strings(5),
+  },
+  required: ['themes', 'questions', 'complaints', 'buying_signals'],
+  additionalProperties: false,
+};
+
+const MERGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    themes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          label: { type: 'string' },
+          description: { type: 'string' },
+          sentiment: SENTIMENT,
+          member_ids: { type: 'array', items: { type: 'string' } },
+        },
+        required: ['label', 'description', 'sentiment', 'member_ids'],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ['themes'],
+  additionalProperties: false,
+};
+
+/**
+ * Split comments into chunks that fit one request
+ * @returns {Array<{ offset: number, comments: Array }>}
+ */
+export function chunkComments(comments, { maxComments = CHUNK_MAX_COMMENTS, maxChars = CHUNK_MAX_CHARS } = {}) {
+  const chunks = [];
+  let current = null;
+
+  comments.forEach((comment, index) => {
+    const length = (comment.clean_text || '').length;
+    if (!current || current.comments.length >= maxComments || current.chars + length > maxChars) {
+      current = { offset: index, comments: [], chars: 0 };
+      chunks.push(current);
+    }
+    current.comments.push(comment);
+    current.chars += length;
+  });
+
+  return chunks.map(({ offset, comments: chunkItems }) => ({ offset, comments: chunkItems }));
+}
+
+/**
+ * Rank merged themes by how many distinct comments mention them
+ * @param {Array<{ label, description, sentiment, commentIds: Set<number> }>} themes
+ * @param {number} covered - Comments that were actually summarized
+ */
+export function computePrevalence(themes, covered) {
+  return themes
+    .map(theme => ({
+      label: theme.label,
+      description: theme.description,
+      sentiment: theme.sentiment,
+      count: theme.commentIds.size,
+      percent: covered > 0 ? Math.round((theme.commentIds.size / covered) * 1000) / 10 : 0,
+    }))
+    .filter(theme => theme.count > 0)
+    .sort((a, b) => b.count - a.count);
+}
+
+async function requestJson(prompt, name, schema, signal) {
+  const response = await chat('analysis', {
+    messages: [{ role: 'user', content: prompt }],
+    temperature: 0.2,
+    maxTokens: 2000,
+    responseFormat: { type: 'json_schema', json_schema: { name, strict: true, schema } },
+  }, { timeout: 120000, signal });
+
+  if (response.refusal) throw new Error(`Model refused the request: ${response.refusal}`);
+  if (response.finishReason === 'length') throw new Error('Model response was cut off');
+
+  const data = JSON.parse(response.content);
+  const { valid, errors } = validateAgainstSchema(data, schema);
+  if (!valid) throw new Error(`Model response did not match the ${name} schema (${errors[0]})`);
+
+  return data;
+}
+
+/**
+ * Map step: summarize one chunk into themes with global comment ids
+ */
+async function summarizeChunk(chunk, platform, signal) {
+  const prompt = `You are reading a batch of ${chunk.comments.length} ${platform} comments on one video.
+
+Group them into at most 8 recurring themes. For each theme, list the numbers of EVERY comment in this batch that mentions it (a comment can belong to several themes). Skip one-off remarks.
+Also note up to 5 representative questions, complaints and buying signals, paraphrased in one sentence each.
+
+Comments:
+${chunk.comments.map((c, i) => `${i + 1}. ${c.clean_text}`).join('\n')}`;
+
+  const data = await requestJson(prompt, 'comment_chunk_summary', CHUNK_SCHEMA, signal);
+
+  return {
+    themes: data.themes.map(theme => ({
+      label: theme.label,
+      description: theme.description,
+      sentiment: theme.sentiment,
+      commentIds: new Set(theme.comment_numbers
+        .filter(n => n >= 1 && n <= chunk.comments.length)
+        .map(n => chunk.offset + n - 1)),
+    })),
+    questions: data.questions,
+    complaints: data.complaints,
+    buyingSignals: data.buying_signals,
+  };
+}
+
+/**
+ * Group themes by label when the model can't merge them
+ */
+function mergeByLabel(themes) {
+  const byLabel = new Map();
+  for (const theme of themes) {
+    const key = theme.label.trim().toLowerCase();
+    const existing = byLabel.get(key);
+    if (existing) {
+      theme.commentIds.forEach(id => existing.commentIds.add(id));
+    } else {
+      byLabel.set(key, { ...theme, commentIds: new Set(theme.commentIds) });
+    }
+  }
+  return [...byLabel.values()];
+}
+
+/**
+ * Reduce step: ask the model which candidate themes are the same theme and
+ * union their comment ids. Candidates the model leaves out are kept as-is.
+ */
+async function mergeThemeBatch(candidates, signal) {
+  const prompt = `These themes were found in different batches of comments on the same video. Merge themes that describe the same thing into one, with a clear label and description. Every id must be assigned to exactly one merged theme.
+
+${candidates.map((t, i) => `t${i}: ${t.label} (${t.sentiment}) - ${t.description}`).join('\n')}`;
+
+  let data;
+  try {
+    data = await requestJson(prompt, 'comment_theme_merge', MERGE_SCHEMA, signal);
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    console.warn('[Summarizer] Theme merge failed, grouping by label:', error.message);
+    return mergeByLabel(candidates);
+  }
+
+  const assigned = new Set();
+  const merged = data.themes.map(theme => {
+    const commentIds = new Set();
+    for (const id of theme.member_ids) {
+      const candidate = candidates[parseInt(id.replace(/^t/, ''), 10)];
+      if (!candidate) continue;
+      assigned.add(candidate);
+      candidate.commentIds.forEach(commentId => commentIds.add(commentId));
+    }
+    return { label: theme.label, description: theme.description, sentiment: theme.sentiment, commentIds };
+  });
+
+  return [...merged, ...candidates.filter(c => !assigned.has(c))];
+}
+
+async function mergeThemes(themes, signal) {
+  let candidates = mergeByLabel(themes);
+
+  // Merge in batches until everything fits in one request
+  while (candidates.length > MERGE_BATCH_SIZE) {
+    const next = [];
+    for (let i = 0; i < candidates.length; i += MERGE_BATCH_SIZE) {
+      next.push(...await mergeThemeBatch(candidates.slice(i, i + MERGE_BATCH_SIZE), signal));
+    }
+    // Stop if a pass didn't shrink the list (the model kept everything separate)
+    if (next.length >= candidates.length) {
+      candidates = next;
+      break;
+    }
+    candidates = next;
+  }
+
+  return candidates.length > 1 ? mergeThemeBatch(candidates, signal) : candidates;
+}
+
+const dedupe = (items) => [...new Map(items.map(item => [item.trim().toLowerCase(), item.trim()])).values()];
+
+/**
+ * Summarize every comment with map-reduce
+ * @param {Array} comments - Filtered comments (with clean_text)
+ * @param {string} platform
+ * @param {object} options - { signal, onProgress({ done, total }) }
+ * @returns {Promise<{ themes, questions, complaints, buyingSignals, covered, chunks, failedChunks }>}
+ */
+export async function summarizeAllComments(comments, platform, options = {}) {
+  const { signal, onProgress } = options;
+  const chunks = chunkComments(comments);
+  const results = new Array(chunks.length).fill(null);
+  let next = 0;
+  let done = 0;
+
+  console.log(`[Summarizer] Summarizing ${comments.length} comments in ${chunks.length} chunks`);
+
+  const worker = async () => {
+    while (next < chunks.length) {
+      const index = next++;
+      for (let attempt = 1; attempt <= 2 && !results[index]; attempt++) {
+        try {
+          results[index] = await summarizeChunk(chunks[index], platform, signal);
+        } catch (error) {
+          if (signal?.aborted) throw error;
+          console.warn(`[Summarizer] Chunk ${index + 1}/${chunks.length} failed (attempt ${attempt}):`, error.message);
+        }
+      }
+      done++;
+      onProgress?.({ done, total: chunks.length });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(MAP_CONCURRENCY, chunks.length) }, worker));
+
+  const summarized = results.filter(Boolean);
+  if (summarized.length === 0) {
+    throw new Error('Every comment chunk failed to summarize');
+  }
+
+  const covered = chunks.reduce((sum, chunk, i) => sum + (results[i] ? chunk.comments.length : 0), 0);
+  const merged = await mergeThemes(summarized.flatMap(r => r.themes), signal);
+
+  return {
+    themes: computePrevalence(merged, covered).slice(0, MAX_THEMES),
+    questions: dedupe(summarized.flatMap(r => r.questions)).slice(0, MAX_SIGNALS),
+    complaints: dedupe(summarized.flatMap(r => r.complaints)).slice(0, MAX_SIGNALS),
+    buyingSignals: dedupe(summarized.flatMap(r => r.buyingSignals)).slice(0, MAX_SIGNALS),
+    covered,
+    chunks: chunks.length,
+    failedChunks: chunks.length - summarized.length,
+  };
+}
+
+export default { summarizeAllComments, chunkComments, computePrevalence };
@@ -1,18 +1,55 @@
 /**
  * Engagement Validator Service
- * Analyzes influencer authenticity using GPT-5.2
+ * Scores influencer authenticity from local signals (authenticitySignals.js);
+ * the configured engagement model writes the narrative around that score
  * Supports YouTube and TikTok only
  */
 
-import OpenAI from 'openai';
 import {
   isEmojiOnly,
   normalizeForDedup,
 } from './commentProcessor.js';
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+import { findNearDuplicates, describeClusters } from './nearDuplicates.js';
+import { scoreAuthenticity } from './authenticitySignals.js';
+import { chat, describeTask } from './llm/index.js';
+
+// Structured output schema for the validation narrative; the score is computed locally
+const ENGAGEMENT_SCHEMA = {
+  type: 'object',
+  properties: {
+    engagementAssessment: { type: 'string' },
+    ratioAnalysis: { type: 'string' },
+    commentQuality: { type: 'string' },
+    redFlags: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          severity: { type: 'string', enum: ['high', 'medium', 'low'] },
+          flag: { type: 'string' },
+          details: { type: 'string' },
+        },
+        required: ['severity', 'flag', 'details'],
+        additionalProperties: false,
+      },
+    },
+    positiveSignals: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          signal: { type: 'string' },
+          details: { type: 'string' },
+        },
+        required: ['signal', 'details'],
+        additionalProperties: false,
+      },
+    },
+    recommendations: { type: 'array', items: { type: 'string' } },
+  },
+  required: ['engagementAssessment', 'ratioAnalysis', 'commentQuality', 'redFlags', 'positiveSignals', 'recommendations'],
+  additionalProperties: false,
+};
 
 // Platform benchmarks (2025 industry data) - YouTube and TikTok only
 const PLATFORM_BENCHMARKS = {
@@ -30,10 +67,13 @@ const PLATFORM_BENCHMARKS = {
 
 /**
  * Analyze comment patterns for bot detection
+ * @param {Array} comments
+ * @param {object} [nearDuplicates] - filter_stats.near_duplicates when the comments were already
+ *   de-duplicated by processComments; otherwise the clusters are found here
  */
-function analyzeCommentPatterns(comments) {
+function analyzeCommentPatterns(comments, nearDuplicates = null) {
   if (!comments || comments.length === 0) {
-    return { total: 0, emojiOnly: 0, generic: 0, duplicates: 0, samples: [] };
+    return { total: 0, emojiOnly: 0, generic: 0, duplicates: 0, samples: [], clusters: [] };
   }
 
   const patterns = {
@@ -51,39 +91,55 @@ function analyzeCommentPatterns(comments) {
     /^keep it up[!.]*$/i, /^great video[!.]*$/i, /^love this[!.]*$/i,
   ];
 
-  const seen = new Set();
+  const byAuthor = new Map();
 
   for (const comment of comments) {
+    if (comment.author_id && !comment.parent_id) {
+      byAuthor.set(comment.author_id, (byAuthor.get(comment.author_id) || 0) + 1);
+    }
+
     const text = (comment.text || comment.clean_text || '').trim();
 
     if (isEmojiOnly(text)) patterns.emojiOnly++;
     if (genericPatterns.some(p => p.test(text))) patterns.generic++;
     if (text.split(/\s+/).length < 3) patterns.shortComments++;
 
-    const normalized = normalizeForDedup(text);
-    if (normalized.length > 5) {
-      if (seen.has(normalized)) patterns.duplicates++;
-      else seen.add(normalized);
-    }
-
     if (patterns.samples.length < 50 && text.length > 0 && text.length < 200) {
       patterns.samples.push(text);
     }
   }
 
+  // Copy-paste clusters are the hard evidence: every comment past the first of a cluster is a copy
+  let campaigns = nearDuplicates;
+  if (!campaigns) {
+    const clusters = findNearDuplicates(comments.map(c => normalizeForDedup(c.text || c.clean_text || '')));
+    campaigns = describeClusters(clusters.map(cluster => cluster.map(i => comments[i])));
+  }
+  patterns.duplicates = campaigns.clustered_comments - campaigns.cluster_count;
+  patterns.clusterCount = campaigns.cluster_count;
+  patterns.clusters = campaigns.clusters;
+  // processComments already removed the copies, but they were still posted
+  const posted = nearDuplicates ? patterns.total + patterns.duplicates : patterns.total;
+
   patterns.emojiOnlyPct = ((patterns.emojiOnly / patterns.total) * 100).toFixed(1);
   patterns.genericPct = ((patterns.generic / patterns.total) * 100).toFixed(1);
-  patterns.duplicatePct = ((patterns.duplicates / patterns.total) * 100).toFixed(1);
+  patterns.duplicatePct = ((patterns.duplicates / posted) * 100).toFixed(1);
+
+  // Accounts leaving 3+ top-level comments on one video are a common bot pattern
+  if (byAuthor.size > 0) {
+    const repeated = [...byAuthor.values()].filter(count => count >= 3);
+    patterns.repeatAuthors = repeated.length;
+    patterns.repeatAuthorPct = ((repeated.reduce((sum, n) => sum + n, 0) / patterns.total) * 100).toFixed(1);
+  }
 
   return patterns;
 }
 
 /**
- * Build GPT prompt for engagement analysis
+ * Build prompt for engagement analysis
  */
-function buildAnalysisPrompt(videoData, comments, platform) {
+function buildAnalysisPrompt(videoData, comments, platform, commentAnalysis, authenticity) {
   const benchmarks = PLATFORM_BENCHMARKS[platform];
-  const commentAnalysis = analyzeCommentPatterns(comments);
 
   const viewCount = parseInt(videoData.viewCount) || 0;
   const likeCount = parseInt(videoData.likeCount) || 0;
@@ -126,32 +182,41 @@ Your analysis should focus PRIMARILY on comment patterns and quality rather than
 DO NOT flag missing metrics as red flags - this is a platform limitation, not a sign of fake engagement.`;
   }
 
-  return `You are an expert social media engagement analyst. Analyze this ${platform.toUpperCase()} video's engagement authenticity and provide a detailed report.
+  return `You are an expert social media engagement analyst. Explain this ${platform.toUpperCase()} video's engagement authenticity in a detailed report.
 
 ${metricsSection}
 
+## AUTHENTICITY SCORE (computed from the signals below; do not change it)
+- Score: ${authenticity.score}/100 (${authenticity.verdict}), starting from ${authenticity.base}
+${authenticity.signals.map(s => `- ${s.label}: ${s.value} → ${s.points > 0 ? '+' : ''}${s.points} points (${s.detail})`).join('\n')}
+
 ## COMMENT PATTERN ANALYSIS (${commentAnalysis.total} comments analyzed)
 - Emoji-Only Comments: ${commentAnalysis.emojiOnlyPct}%
 - Generic Phrases: ${commentAnalysis.genericPct}%
-- Duplicate Comments: ${commentAnalysis.duplicatePct}%
+- Duplicate Comments (exact and near copies): ${commentAnalysis.duplicatePct}%
+- Copy-Paste Clusters: ${commentAnalysis.clusterCount}${commentAnalysis.repeatAuthors !== undefined ? `
+- Accounts With 3+ Comments: ${commentAnalysis.repeatAuthors} (${commentAnalysis.repeatAuthorPct}% of comments)` : ''}
+
+${commentAnalysis.clusters.length ? `## COPY-PASTE CLUSTERS (hard evidence: the same comment posted with small edits)
+${commentAnalysis.clusters.slice(0, 5).map((c, i) => `${i + 1}. ${c.size} comments by ${c.authors} accounts${c.shared_authors ? ` (${c.shared_authors} also in other clusters)` : ''}${c.first_seen ? `, first seen ${c.first_seen}${c.last_seen !== c.first_seen ? `, last ${c.last_seen}` : ''}` : ''}: "${c.text}"`).join('\n')}
 
-## SAMPLE COMMENTS
+` : ''}## SAMPLE COMMENTS
 ${commentAnalysis.samples.slice(0, 25).map((c, i) => `${i + 1}. "${c}"`).join('\n')}
 
 ---
 
-${!hasMetrics ? `IMPORTANT: Since engagement metrics (views/likes) are not available for this ${platform.toUpperCase()} video, base your authenticity score PRIMARILY on comment quality and patterns. Focus on:
+${!hasMetrics ? `IMPORTANT: Since engagement metrics (views/likes) are not available for this ${platform.toUpperCase()} video, base your assessment PRIMARILY on comment quality and patterns. Focus on:
 - Are comments substantive and relevant to the content?
 - Do comments show genuine engagement (questions, detailed feedback)?
 - Are there signs of bot activity in comment patterns (duplicates, generic phrases)?
 - Is there diversity in commenter language and style?
 
-Do NOT penalize the score for missing metrics - this is normal for ${platform.toUpperCase()} API limitations.
+Do NOT treat missing metrics as a red flag - this is normal for ${platform.toUpperCase()} API limitations.
 
-` : ''}Provide your analysis in this EXACT JSON format:
+` : ''}Explain the score above; base red flags and positive signals on the signals and the data, and do not contradict the score.
+
+Provide your analysis in this EXACT JSON format:
 {
-  "authenticityScore": <number 0-100>,
-  "verdict": "<Highly Authentic | Likely Authentic | Some Concerns | Significant Red Flags | High Fraud Risk>",
   "engagementAssessment": "<2-3 sentence analysis${!hasMetrics ? ' focusing on comment engagement patterns' : ''}>",
   "ratioAnalysis": "${!hasMetrics ? 'Metrics not available for this platform - analysis based on comment patterns only.' : '<2-3 sentence analysis>'}",
   "commentQuality": "<2-3 sentence analysis>",
@@ -168,15 +233,18 @@ Be direct and data-driven. If engagement appears genuine, say so. If there are r
 }
 
 /**
- * Main validation function using GPT-5.2
+ * Main validation function
+ * @param {object} options - { signal } to abort the request, { nearDuplicates } from filter_stats
  */
-export async function validateEngagement(videoData, comments, platform) {
-  console.log(`[EngagementValidator] Starting GPT-5.2 validation for ${platform}: ${videoData.title}`);
+export async function validateEngagement(videoData, comments, platform, options = {}) {
+  console.log(`[EngagementValidator] Starting ${describeTask('engagement')} validation for ${platform}: ${videoData.title}`);
 
-  const prompt = buildAnalysisPrompt(videoData, comments, platform);
+  const commentAnalysis = analyzeCommentPatterns(comments, options.nearDuplicates);
+  const authenticity = scoreAuthenticity(videoData, comments, PLATFORM_BENCHMARKS[platform], commentAnalysis);
+  console.log(`[EngagementValidator] Local score ${authenticity.score} from ${authenticity.signals.length} signals`);
+  const prompt = buildAnalysisPrompt(videoData, comments, platform, commentAnalysis, authenticity);
 
-  const completion = await openai.chat.completions.create({
-    model: 'gpt-5.2',
+  const completion = await chat('engagement', {
     messages: [
       {
         role: 'system',
@@ -184,12 +252,18 @@ export async function validateEngagement(videoData, comments, platform) {
       },
       { role: 'user', content: prompt },
     ],
-    max_completion_tokens: 2000,
+    maxTokens: 2000,
     temperature: 0.3,
+    responseFormat: {
+      type: 'json_schema',
+      json_schema: { name: 'engagement_validation', strict: true, schema: ENGAGEMENT_SCHEMA },
+    },
+  }, {
+    signal: options.signal,
   });
 
-  const response = completion.choices[0]?.message?.content || '{}';
-  console.log(`[EngagementValidator] GPT-5.2 response received`);
+  const response = completion.content || '{}';
+  console.log(`[EngagementValidator] Response received from ${completion.model}`);
 
   let result;
   try {
@@ -197,11 +271,10 @@ export async function validateEngagement(videoData, comments, platform) {
     const cleaned = response.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
     result = JSON.parse(cleaned);
   } catch (e) {
-    console.error('[EngagementValidator] Failed to parse GPT response:', e);
+    console.error('[EngagementValidator] Failed to parse model response:', e);
+    // The score does not depend on the model, so only the narrative is lost
     result = {
-      authenticityScore: 50,
-      verdict: 'Analysis Error',
-      engagementAssessment: 'Unable to parse analysis results.',
+      engagementAssessment: 'Unable to parse the written assessment. The score is computed from the signals below.',
       ratioAnalysis: '',
       commentQuality: '',
       redFlags: [],
@@ -214,21 +287,21 @@ export async function validateEngagement(videoData, comments, platform) {
   const viewCount = parseInt(videoData.viewCount) || 0;
   const likeCount = parseInt(videoData.likeCount) || 0;
   const commentCount = parseInt(videoData.commentCount) || comments.length;
-  const commentAnalysis = analyzeCommentPatterns(comments);
 
   // Set verdict color
   let verdictColor = 'warning';
-  if (result.authenticityScore >= 75) verdictColor = 'success';
-  else if (result.authenticityScore >= 60) verdictColor = 'primary';
-  else if (result.authenticityScore < 40) verdictColor = 'error';
+  if (authenticity.score >= 75) verdictColor = 'success';
+  else if (authenticity.score >= 60) verdictColor = 'primary';
+  else if (authenticity.score < 40) verdictColor = 'error';
 
   return {
     platform,
     videoTitle: videoData.title || 'Unknown',
     channelTitle: videoData.channelTitle || 'Unknown',
-    authenticityScore: result.authenticityScore,
-    verdict: result.verdict,
+    authenticityScore: authenticity.score,
+    verdict: authenticity.verdict,
     verdictColor,
+    scoreBreakdown: { base: authenticity.base, signals: authenticity.signals },
     metricsAnalysis: {
       viewCount,
       likeCount,
@@ -242,6 +315,7 @@ export async function validateEngagement(videoData, comments, platform) {
       emojiOnlyPct: parseFloat(commentAnalysis.emojiOnlyPct) || 0,
       genericPct: parseFloat(commentAnalysis.genericPct) || 0,
       duplicatePct: parseFloat(commentAnalysis.duplicatePct) || 0,
+      clusterCount: commentAnalysis.clusterCount,
     },
     engagementAssessment: result.engagementAssessment || '',
     ratioAnalysis: result.ratioAnalysis || '',
@@ -0,0 +1,301 @@
+/**
+ * Custom Filter Rules
+ * Per-user additions to the built-in comment filters and sentiment word
+ * lists. A gaming creator's "broken" build is praise and a finance creator's
+ * "scam" is often the topic rather than a complaint, so each user can add spam
+ * patterns, domains whose links are not spam, niche positive, negative and
+ * neutral terms and stop-words that are kept out of keywords.
+ *
+ * Spam patterns are regular expressions. V8 regexes backtrack and no static
+ * check catches every slow one, so patterns are tried on worst-case text when
+ * saved and always run under a timeout.
+ */
+
+import vm from 'vm';
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { processComments, extractThemesAndKeywords, CUSTOM_PATTERN_TEXT_LIMIT } from './commentProcessor.js';
+import { aggregateSentiment } from './sentiment.js';
+import { tokenize } from './language.js';
+
+export const RULE_LIMITS = {
+  spam_patterns: 50,
+  whitelisted_domains: 50,
+  positive_terms: 200,
+  negative_terms: 200,
+  neutral_terms: 200,
+  stop_words: 200,
+};
+
+export const EMPTY_RULES = Object.freeze(Object.fromEntries(Object.keys(RULE_LIMITS).map(key => [key, []])));
+
+const MAX_PATTERN_LENGTH = 200;
+const MAX_TERM_LENGTH = 50;
+const MAX_PREVIEW_CHANGES = 50;
+const TERM_LISTS = ['positive_terms', 'negative_terms', 'neutral_terms'];
+
+// Longest the spam patterns may run on one comment
+const PATTERN_TIMEOUT_MS = 50;
+// Runs of one character, as long as the text patterns see, make backtracking patterns blow up
+const SLOW_PATTERN_PROBES = ['a', 'A', '1', ' ', '-', '.'].map(c => `${c.repeat(CUSTOM_PATTERN_TEXT_LIMIT - 1)}!`);
+// Runs in its own context so the timeout can stop a regex mid-match; current tells which one ran out
+const MATCH_SCRIPT = new vm.Script(`
+  matched = false;
+  for (current = 0; current < patterns.length; current++) {
+    if (patterns[current] && patterns[current].test(text)) {
+      matched = true;
+      break;
+    }
+  }
+`);
+const DOMAIN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+export class RuleValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RuleValidationError';
+  }
+}
+
+/**
+ * A rule list from the API: an array or one entry per line
+ */
+function toList(value) {
+  if (value == null) return [];
+  if (typeof value === 'string') return value.split('\n');
+  if (Array.isArray(value)) return value.filter(entry => typeof entry === 'string');
+  throw new RuleValidationError('Rule lists must be arrays of strings');
+}
+
+function normalizeDomain(entry) {
+  return entry.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').split(/[/?#]/)[0];
+}
+
+/**
+ * Validate and clean a rule set before it is saved or previewed
+ * @param {object} input - { spam_patterns, whitelisted_domains, positive_terms, negative_terms, neutral_terms, stop_words }
+ * @returns {object} rule set with every key, trimmed and de-duplicated
+ * @throws {RuleValidationError} on invalid patterns, domains or too many entries
+ */
+export function normalizeRules(input = {}) {
+  if (!input || typeof input !== 'object') throw new RuleValidationError('Rules must be an object');
+
+  const rules = {};
+  for (const [key, limit] of Object.entries(RULE_LIMITS)) {
+    let entries = toList(input[key]).map(entry => entry.trim()).filter(Boolean);
+    // Spam patterns are regular expressions and keep their case; everything else is matched lowercase
+    if (key !== 'spam_patterns') entries = entries.map(entry => entry.toLowerCase().replace(/\s+/g, ' '));
+    if (key === 'whitelisted_domains') entries = entries.map(normalizeDomain);
+    entries = [...new Set(entries)];
+
+    if (entries.length > limit) {
+      throw new RuleValidationError(`At most ${limit} ${key.replace(/_/g, ' ')} are allowed`);
+    }
+    rules[key] = entries;
+  }
+
+  for (const pattern of rules.spam_patterns) {
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      throw new RuleValidationError(`Spam patterns must be ${MAX_PATTERN_LENGTH} characters or less`);
+    }
+    let regex;
+    try {
+      regex = new RegExp(pattern, 'iu');
+    } catch (e) {
+      throw new RuleValidationError(`Invalid spam pattern "${pattern}": ${e.message}`);
+    }
+    if (isSlowPattern(regex)) {
+      throw new RuleValidationError(`Spam pattern "${pattern}" can be very slow on some comments`);
+    }
+  }
+
+  for (const domain of rules.whitelisted_domains) {
+    if (!DOMAIN.test(domain)) throw new RuleValidationError(`Invalid domain "${domain}"`);
+  }
+
+  for (const key of [...TERM_LISTS, 'stop_words']) {
+    const long = rules[key].find(term => term.length > MAX_TERM_LENGTH);
+    if (long) throw new RuleValidationError(`"${long}" is longer than ${MAX_TERM_LENGTH} characters`);
+  }
+  // Sentiment is scored word by word, so terms are single words or two-word phrases
+  const terms = TERM_LISTS.flatMap(key => rules[key]);
+  const phrase = terms.find(term => tokenize(term).length > 2);
+  if (phrase) throw new RuleValidationError(`"${phrase}" is longer than two words`);
+  const twice = terms.find((term, i) => terms.indexOf(term) !== i);
+  if (twice) throw new RuleValidationError(`"${twice}" can only be in one of the positive, negative and neutral terms`);
+
+  return rules;
+}
+
+/**
+ * Run the patterns on one text under the timeout
+ * @returns {boolean} whether one matched
+ * @throws {Error} ERR_SCRIPT_EXECUTION_TIMEOUT, with context.current at the pattern that ran out
+ */
+function runPatterns(context, text) {
+  context.text = text;
+  MATCH_SCRIPT.runInContext(context, { timeout: PATTERN_TIMEOUT_MS });
+  return context.matched;
+}
+
+const isTimeout = error => error?.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+
+function isSlowPattern(regex) {
+  const context = vm.createContext({ patterns: [regex] });
+  try {
+    SLOW_PATTERN_PROBES.forEach(probe => runPatterns(context, probe));
+    return false;
+  } catch (e) {
+    if (isTimeout(e)) return true;
+    throw e;
+  }
+}
+
+/**
+ * Match text against a user's spam patterns. A pattern that runs out of time
+ * (one the probes on save didn't catch, or one saved before they existed) is
+ * switched off for the rest of the run rather than slowing every comment.
+ * @returns {{ test(text: string): boolean }}
+ */
+export function createSpamMatcher(patterns) {
+  const regexes = patterns.map(pattern => new RegExp(pattern, 'iu'));
+  const context = vm.createContext({ patterns: regexes });
+
+  return {
+    test(text) {
+      if (!regexes.length) return false;
+      for (;;) {
+        try {
+          return runPatterns(context, text);
+        } catch (e) {
+          if (!isTimeout(e)) throw e;
+          console.warn(`[Filter Rules] Spam pattern "${patterns[context.current]}" took over ${PATTERN_TIMEOUT_MS}ms and is skipped`);
+          regexes[context.current] = null;
+        }
+      }
+    },
+  };
+}
+
+/**
+ * Turn a normalized rule set into what the comment pipeline uses
+ * @returns {{ spamPatterns: { test }, whitelistedDomains: string[], lexicon: object|null, stopWords: Set<string> } | null}
+ *   null when the rule set is empty, so the built-in behaviour is untouched
+ */
+export function compileRules(rules) {
+  if (!rules || Object.keys(RULE_LIMITS).every(key => !rules[key]?.length)) return null;
+
+  const terms = (list = []) => new Set(list.map(term => tokenize(term).join(' ')).filter(Boolean));
+  const lexicon = {
+    positive: terms(rules.positive_terms),
+    negative: terms(rules.negative_terms),
+    neutral: terms(rules.neutral_terms),
+  };
+
+  return {
+    spamPatterns: createSpamMatcher(rules.spam_patterns || []),
+    whitelistedDomains: rules.whitelisted_domains || [],
+    lexicon: Object.values(lexicon).some(set => set.size) ? lexicon : null,
+    stopWords: new Set((rules.stop_words || []).flatMap(word => tokenize(word))),
+  };
+}
+
+/**
+ * A user's saved rule set (empty when they have none)
+ */
+export async function getFilterRules(userId) {
+  const { data, error } = await supabaseAdmin
+    .from('filter_rules')
+    .select(Object.keys(RULE_LIMITS).join(', '))
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  // Analyses still run on the built-in rules if the custom ones can't be read
+  if (error) {
+    console.error('[Filter Rules] Failed to load rules:', error.message);
+    return { ...EMPTY_RULES };
+  }
+  return data ? { ...EMPTY_RULES, ...data } : { ...EMPTY_RULES };
+}
+
+/**
+ * Replace a user's rule set
+ * @param {object} rules - output of normalizeRules
+ */
+export async function saveFilterRules(userId, rules) {
+  const { error } = await supabaseAdmin
+    .from('filter_rules')
+    .upsert({ user_id: userId, ...rules, updated_at: new Date().toISOString() }, { onConflict: 'user_id' });
+  if (error) throw new Error(`Failed to save filter rules: ${error.message}`);
+}
+
+function summarizeRun({ comments, stats }, stopWords) {
+  const textComments = comments.filter(c => !c.is_emoji_only);
+  return {
+    stats: {
+      spam_promo: stats.spam_promo,
+      duplicates: stats.duplicates,
+      near_duplicates: stats.near_duplicates.removed,
+      generic_praise: stats.generic_praise,
+      off_topic: stats.off_topic,
+      after_hard_filters: stats.after_hard_filters,
+    },
+    sentiment: aggregateSentiment(comments.map(c => c.sentiment).filter(Boolean)),
+    keywords: extractThemesAndKeywords(textComments.map(c => c.clean_text), 10, stopWords).keywords,
+  };
+}
+
+/**
+ * Re-run the comment pipeline on an analysis' stored comments with the
+ * saved rules and with a draft, and list the comments whose outcome changed.
+ * Comments removed as spam when the analysis ran are not stored, so a new
+ * whitelisted domain only shows up on the next analysis.
+ * @param {Array} comments - the analysis' raw_comments
+ * @param {object} currentRules - normalized saved rules
+ * @param {object} draftRules - normalized draft rules
+ */
+export function previewRules(comments, currentRules, draftRules) {
+  const current = compileRules(currentRules);
+  const draft = compileRules(draftRules);
+  // Older analyses may hold comments without ids; they are matched by position
+  const keyed = comments.map((comment, i) => (comment.id ? comment : { ...comment, id: `preview_${i}` }));
+  const before = processComments(keyed, current);
+  const after = processComments(keyed, draft);
+
+  const outcome = (comment) => {
+    if (!comment) return 'removed';
+    if (comment.is_generic_praise) return `${comment.sentiment.label} (generic)`;
+    if (comment.is_off_topic) return `${comment.sentiment.label} (off-topic)`;
+    return comment.sentiment.label;
+  };
+  const index = (run) => new Map(run.comments.map(c => [c.id, c]));
+  const beforeById = index(before);
+  const afterById = index(after);
+
+  const changes = [];
+  for (const comment of keyed) {
+    const was = outcome(beforeById.get(comment.id));
+    const now = outcome(afterById.get(comment.id));
+    if (was !== now) changes.push({ user: comment.user || null, text: comment.text, likes: comment.likes || 0, before: was, after: now });
+  }
+  changes.sort((a, b) => b.likes - a.likes);
+
+  return {
+    comments: comments.length,
+    current: summarizeRun(before, current?.stopWords),
+    draft: summarizeRun(after, draft?.stopWords),
+    changed: changes.length,
+    changes: changes.slice(0, MAX_PREVIEW_CHANGES),
+  };
+}
+
+export default {
+  normalizeRules,
+  compileRules,
+  createSpamMatcher,
+  getFilterRules,
+  saveFilterRules,
+  previewRules,
+  RULE_LIMITS,
+  EMPTY_RULES,
+};
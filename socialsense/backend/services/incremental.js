@@ -0,0 +1,138 @@
+/**
+ * Incremental Analyses
+ * Scheduled runs only analyze (and bill) comments posted since the previous
+ * run. The previous analysis provides the baseline: the newest comment it saw
+ * and its comments, which are merged with the new ones for an all-time view.
+ * Channels and playlists keep a marker per video, since an older video can get
+ * new comments after a newer one was last commented on.
+ */
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { aggregateSentiment } from './sentiment.js';
+
+/**
+ * Newest comment of a list, by publish time
+ * @returns {{ id: string, publishedAt: string } | null}
+ */
+export function newestComment(comments) {
+  let newest = null;
+  for (const comment of comments) {
+    if (!comment.publishedAt) continue;
+    if (!newest || new Date(comment.publishedAt) > new Date(newest.publishedAt)) {
+      newest = { id: comment.id, publishedAt: comment.publishedAt };
+    }
+  }
+  return newest;
+}
+
+/**
+ * Newest comment of each video, for comments scraped from a channel or playlist
+ * @returns {object} video_id -> { id, publishedAt }
+ */
+export function newestByVideo(comments) {
+  const byVideo = new Map();
+  for (const comment of comments) {
+    if (!comment.video_id) continue;
+    if (!byVideo.has(comment.video_id)) byVideo.set(comment.video_id, []);
+    byVideo.get(comment.video_id).push(comment);
+  }
+  const newest = {};
+  for (const [videoId, videoComments] of byVideo) {
+    const marker = newestComment(videoComments);
+    if (marker) newest[videoId] = marker;
+  }
+  return newest;
+}
+
+/**
+ * Load the baseline left by a previous analysis
+ * @returns {Promise<{ previousAnalysisId, since, sinceByVideo, previousComments, previousRuns } | null>} null when
+ *          there is no usable previous analysis, in which case everything is scraped
+ */
+export async function loadIncrementalBaseline(previousAnalysisId) {
+  if (!previousAnalysisId) return null;
+
+  const { data: previous, error } = await supabaseAdmin
+    .from('analyses')
+    .select('id, status, raw_comments, incremental')
+    .eq('id', previousAnalysisId)
+    .single();
+
+  // Cancelled and failed runs hold a partial comment list, so they start a full scrape
+  if (error || previous?.status !== 'completed') return null;
+
+  const previousComments = previous.raw_comments || [];
+  // Incremental runs record their marker; for a full run it comes from its comments
+  const since = previous.incremental?.newest || newestComment(previousComments);
+  if (!since) return null;
+
+  return {
+    previousAnalysisId,
+    since,
+    // Stored markers outlive comments trimmed from the stored list
+    sinceByVideo: { ...newestByVideo(previousComments), ...previous.incremental?.newest_by_video },
+    previousComments,
+    previousRuns: previous.incremental?.runs || 1,
+  };
+}
+
+/**
+ * Keep only comments posted since the baseline. Comments from the same
+ * second as the newest one are kept unless the previous run already had them.
+ * Comments of a channel or playlist are compared with their own video's
+ * marker; a video the previous run did not see has everything new.
+ */
+export function filterNewComments(comments, baseline) {
+  const sinceByVideo = baseline.sinceByVideo || {};
+  const seen = new Set(baseline.previousComments.map(c => c.id).filter(Boolean));
+  seen.add(baseline.since.id);
+  Object.values(sinceByVideo).forEach(marker => seen.add(marker.id));
+
+  return comments.filter(comment => {
+    if (comment.id && seen.has(comment.id)) return false;
+    const marker = comment.video_id ? sinceByVideo[comment.video_id] : baseline.since;
+    // Without a timestamp the id check above is all we can go on
+    return !marker || !comment.publishedAt || new Date(comment.publishedAt) >= new Date(marker.publishedAt);
+  });
+}
+
+/**
+ * Merge the new processed comments with the previous run's, newest first
+ * @returns {Array} all-time comments, the new ones flagged with is_new
+ */
+export function mergeWithPrevious(newComments, previousComments, maxComments = Infinity) {
+  const newIds = new Set(newComments.map(c => c.id));
+  const merged = [
+    ...newComments.map(c => ({ ...c, is_new: true })),
+    ...previousComments
+      .filter(c => !newIds.has(c.id))
+      .map(({ is_new, ...c }) => c),
+  ];
+  return merged.slice(0, maxComments);
+}
+
+/**
+ * "New since last run" versus "all time" summary stored on the analysis
+ */
+export function summarizeIncremental(baseline, newComments, mergedComments) {
+  return {
+    previous_analysis_id: baseline.previousAnalysisId,
+    since: baseline.since,
+    newest: newestComment(newComments) || baseline.since,
+    newest_by_video: { ...baseline.sinceByVideo, ...newestByVideo(newComments) },
+    runs: baseline.previousRuns + 1,
+    new_comments: newComments.length,
+    all_time_comments: mergedComments.length,
+    new_sentiment: aggregateSentiment(newComments.map(c => c.sentiment).filter(Boolean)),
+    all_time_sentiment: aggregateSentiment(mergedComments.map(c => c.sentiment).filter(Boolean)),
+  };
+}
+
+export default {
+  newestComment,
+  newestByVideo,
+  loadIncrementalBaseline,
+  filterNewComments,
+  mergeWithPrevious,
+  summarizeIncremental,
+};
@@ -0,0 +1,381 @@
+/**
+ * Job Queue Service
+ * Postgres-backed queue for background analyses (see migrations/add_analysis_jobs.sql)
+ *
+ * Jobs are claimed with a lease that the worker keeps alive with heartbeats.
+ * If a worker dies, the sweeper re-queues its jobs once the lease expires.
+ * Jobs with uploaded files are pinned to the host whose temp directory holds
+ * them (see migrations/add_job_files_host.sql).
+ */
+
+import os from 'os';
+
+import { supabaseAdmin } from '../config/supabase.js';
+
+// How long a claimed job stays owned without a heartbeat
+export const LEASE_SECONDS = 120;
+
+// Uploads are written to this host's temp directory
+export const FILES_HOST = os.hostname();
+
+// Retry backoff: 30s, 60s, 120s ... capped at 10 minutes
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 10 * 60 * 1000;
+
+/**
+ * Error that should fail a job immediately instead of retrying it
+ * (bad input, video has no comments, ...)
+ */
+export class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentJobError';
+  }
+}
+
+/**
+ * Abort reason for a job whose lease expired while it ran. The sweeper has
+ * handed the job to another worker, so this one stops without saving or billing.
+ */
+export class LeaseLostError extends Error {
+  constructor(jobId) {
+    super(`Lost lease on job ${jobId}`);
+    this.name = 'LeaseLostError';
+  }
+}
+
+/**
+ * Error that puts a job back in the queue until a given time without using up
+ * an attempt (e.g. an external API quota that resets at a known time)
+ */
+export class DeferJobError extends Error {
+  /**
+   * @param {string} message
+   * @param {Date} retryAt - when the job can run again
+   * @param {string} [stage] - progress stage shown while the job waits
+   */
+  constructor(message, retryAt, stage = 'deferred') {
+    super(message);
+    this.name = 'DeferJobError';
+    this.retryAt = retryAt;
+    this.stage = stage;
+  }
+}
+
+/**
+ * Delay before the next attempt of a job that has failed `attempts` times
+ */
+export function calculateBackoff(attempts) {
+  return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * Whether a failed job should be retried
+ */
+export function shouldRetry(job, error) {
+  if (error instanceof PermanentJobError) return false;
+  return job.attempts < job.max_attempts;
+}
+
+/**
+ * Add a job to the queue
+ * @param {Date} [runAfter] - don't start the job before this time
+ * @param {string} [stage] - progress stage shown while it waits for runAfter
+ */
+export async function enqueueJob({ analysisId, userId, jobType = 'comment_analysis', payload, maxAttempts = 3, runAfter = null, stage = 'queued' }) {
+  const { data, error } = await supabaseAdmin
+    .from('analysis_jobs')
+    .insert({
+      analysis_id: analysisId,
+      user_id: userId,
+      job_type: jobType,
+      payload,
+      files_host: hasLocalFiles(payload) ? FILES_HOST : null,
+      max_attempts: maxAttempts,
+      // Jobs that must wait (e.g. for a quota reset) show why until they start
+      ...(runAfter && {
+        run_after: runAfter.toISOString(),
+        progress: { stage, count: 0, percent: 0, run_after: runAfter.toISOString() },
+      }),
+    })
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error('Failed to enqueue job: ' + error.message);
+  }
+
+  return data;
+}
+
+/**
+ * Whether a job payload refers to files uploaded to this host
+ */
+export function hasLocalFiles(payload) {
+  return !!(payload?.importFile || payload?.productImagePath || payload?.videoFilePath);
+}
+
+/**
+ * Claim the next runnable job for this worker, or null if the queue is empty
+ * @param {Object} options
+ * @param {boolean} options.pinnedOnly - Only claim jobs whose files are on this host
+ */
+export async function claimJob(workerId, { pinnedOnly = false } = {}) {
+  const { data, error } = await supabaseAdmin.rpc('claim_analysis_job', {
+    p_worker_id: workerId,
+    p_lease_seconds: LEASE_SECONDS,
+    p_files_host: FILES_HOST,
+    p_pinned_only: pinnedOnly,
+  });
+
+  if (error) {
+    throw new Error('Failed to claim job: ' + error.message);
+  }
+
+  return data?.[0] || null;
+}
+
+/**
+ * Extend the lease on a running job and optionally record progress
+ * @returns {Promise<boolean>} false if this worker no longer owns the job
+ */
+export async function heartbeatJob(jobId, workerId, progress = null) {
+  const { data, error } = await supabaseAdmin.rpc('heartbeat_analysis_job', {
+    p_job_id: jobId,
+    p_worker_id: workerId,
+    p_lease_seconds: LEASE_SECONDS,
+    p_progress: progress,
+  });
+
+  if (error) {
+    console.error(`[Queue] Heartbeat failed for job ${jobId}:`, error.message);
+    return true; // Transient - the lease is still valid until it expires
+  }
+
+  return data === true;
+}
+
+/**
+ * Mark a job as finished ('completed', or 'cancelled' when it stopped early on request)
+ */
+export async function completeJob(job, workerId, status = 'completed') {
+  const { error } = await supabaseAdmin
+    .from('analysis_jobs')
+    .update({
+      status,
+      progress: { stage: status, count: job.progress?.count || 0, percent: 100 },
+      locked_by: null,
+      locked_until: null,
+      completed_at: new Date().toISOString(),
+    })
+    .eq('id', job.id)
+    .eq('locked_by', workerId);
+
+  if (error) console.error(`[Queue] Failed to complete job ${job.id}:`, error.message);
+}
+
+/**
+ * Put a failed job back in the queue after a backoff delay
+ */
+export async function retryJob(job, workerId, errorMessage) {
+  const delay = calculateBackoff(job.attempts);
+
+  const { error } = await supabaseAdmin
+    .from('analysis_jobs')
+    .update({
+      status: 'queued',
+      run_after: new Date(Date.now() + delay).toISOString(),
+      progress: { stage: 'retrying', count: 0, percent: 0 },
+      locked_by: null,
+      locked_until: null,
+      last_error: errorMessage,
+    })
+    .eq('id', job.id)
+    .eq('locked_by', workerId);
+
+  if (error) console.error(`[Queue] Failed to re-queue job ${job.id}:`, error.message);
+
+  return delay;
+}
+
+/**
+ * Put a job back in the queue until `error.retryAt`. The attempt it was
+ * claimed with is handed back, so waiting never makes a job fail.
+ */
+export async function deferJob(job, workerId, error) {
+  const { error: updateError } = await supabaseAdmin
+    .from('analysis_jobs')
+    .update({
+      status: 'queued',
+      attempts: Math.max(0, job.attempts - 1),
+      run_after: error.retryAt.toISOString(),
+      progress: { stage: error.stage, count: job.progress?.count || 0, percent: 0, run_after: error.retryAt.toISOString() },
+      locked_by: null,
+      locked_until: null,
+      last_error: error.message,
+    })
+    .eq('id', job.id)
+    .eq('locked_by', workerId);
+
+  if (updateError) console.error(`[Queue] Failed to defer job ${job.id}:`, updateError.message);
+}
+
+/**
+ * Mark a job as permanently failed
+ */
+export async function failJob(job, workerId, errorMessage) {
+  const { error } = await supabaseAdmin
+    .from('analysis_jobs')
+    .update({
+      status: 'failed',
+      progress: { stage: 'failed', count: 0, percent: 0 },
+      locked_by: null,
+      locked_until: null,
+      last_error: errorMessage,
+      completed_at: new Date().toISOString(),
+    })
+    .eq('id', job.id)
+    .eq('locked_by', workerId);
+
+  if (error) console.error(`[Queue] Failed to mark job ${job.id} failed:`, error.message);
+}
+
+/**
+ * Re-queue or fail running jobs whose lease expired
+ * @returns {Promise<Array>} Jobs that ran out of attempts (full rows)
+ */
+export async function sweepStaleJobs() {
+  const { data, error } = await supabaseAdmin.rpc('sweep_stale_analysis_jobs');
+
+  if (error) {
+    console.error('[Queue] Sweep failed:', error.message);
+    return [];
+  }
+
+  const requeued = (data || []).filter(row => row.action === 'queued');
+  const failedIds = (data || []).filter(row => row.action === 'failed').map(row => row.job_id);
+
+  if (requeued.length > 0) {
+    console.log(`[Queue] Re-queued ${requeued.length} stale job(s)`);
+  }
+
+  if (failedIds.length === 0) return [];
+
+  const { data: failedJobs } = await supabaseAdmin
+    .from('analysis_jobs')
+    .select('*')
+    .in('id', failedIds);
+
+  return failedJobs || [];
+}
+
+/**
+ * Analyses stuck in 'processing' with no queued or running job behind them
+ */
+export async function findOrphanedAnalyses(staleMinutes = 30) {
+  const { data, error } = await supabaseAdmin.rpc('find_orphaned_analyses', {
+    p_stale_minutes: staleMinutes,
+  });
+
+  if (error) {
+    console.error('[Queue] Orphan check failed:', error.message);
+    return [];
+  }
+
+  return data || [];
+}
+
+/**
+ * Whether the user asked to cancel a running job
+ */
+export async function isCancelRequested(jobId) {
+  const { data } = await supabaseAdmin
+    .from('analysis_jobs')
+    .select('cancel_requested')
+    .eq('id', jobId)
+    .single();
+
+  return data?.cancel_requested === true;
+}
+
+/**
+ * Cancel the active job of an analysis.
+ * A queued job is cancelled on the spot and returned so the caller can
+ * finalize it; a running job is flagged and stopped by its worker.
+ * @returns {Promise<{state: 'cancelled'|'cancelling', job?: object}|null>} null if no active job
+ */
+export async function requestCancel(analysisId) {
+  const { data: queued, error: queuedError } = await supabaseAdmin
+    .from('analysis_jobs')
+    .update({
+      status: 'cancelled',
+      cancel_requested: true,
+      progress: { stage: 'cancelled', count: 0, percent: 0 },
+      completed_at: new Date().toISOString(),
+    })
+    .eq('analysis_id', analysisId)
+    .eq('status', 'queued')
+    .select();
+
+  if (queuedError) throw new Error('Failed to cancel job: ' + queuedError.message);
+  if (queued?.length) return { state: 'cancelled', job: queued[0] };
+
+  const { data: running, error: runningError } = await supabaseAdmin
+    .from('analysis_jobs')
+    .update({ cancel_requested: true })
+    .eq('analysis_id', analysisId)
+    .eq('status', 'running')
+    .select('id');
+
+  if (runningError) throw new Error('Failed to cancel job: ' + runningError.message);
+  if (running?.length) return { state: 'cancelling' };
+
+  return null;
+}
+
+/**
+ * Most recent job for an analysis
+ */
+export async function getLatestJob(analysisId) {
+  const { data } = await supabaseAdmin
+    .from('analysis_jobs')
+    .select('id, status, progress, attempts, max_attempts, last_error, run_after, cancel_requested')
+    .eq('analysis_id', analysisId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return data || null;
+}
+
+/**
+ * Payload of the most recent job for an analysis (used to resume it)
+ */
+export async function getLatestJobPayload(analysisId) {
+  const { data } = await supabaseAdmin
+    .from('analysis_jobs')
+    .select('payload')
+    .eq('analysis_id', analysisId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  return data?.payload || null;
+}
+
+export default {
+  enqueueJob,
+  hasLocalFiles,
+  claimJob,
+  heartbeatJob,
+  completeJob,
+  retryJob,
+  deferJob,
+  failJob,
+  sweepStaleJobs,
+  findOrphanedAnalyses,
+  isCancelRequested,
+  requestCancel,
+  getLatestJob,
+  getLatestJobPayload,
+};
@@ -0,0 +1,215 @@
+/**
+ * Job Worker
+ * Polls the analysis_jobs queue, runs jobs with a heartbeat-kept lease,
+ * retries failures with backoff and sweeps jobs abandoned by dead workers.
+ *
+ * Runs inside the API process by default (see server.js) or standalone via
+ * `npm run worker`. Uploaded files stay in the API's temp directory, so jobs
+ * that need them are only claimed on the API's host; with START_JOB_WORKER=false
+ * the API still runs a worker for those jobs alone.
+ */
+
+import os from 'os';
+import { randomUUID } from 'crypto';
+
+import {
+  claimJob, heartbeatJob, completeJob, retryJob, deferJob, failJob,
+  sweepStaleJobs, findOrphanedAnalyses, isCancelRequested, shouldRetry, DeferJobError, LeaseLostError,
+} from './jobQueue.js';
+import { runAnalysisJob, failAnalysisJob } from './analysisJob.js';
+import { refundTokens, outstandingReservation } from './billing.js';
+import { supabaseAdmin } from '../config/supabase.js';
+import { checkLLMConfig } from '../config/llm.js';
+
+// Job type -> { run, fail } handlers
+const JOB_HANDLERS = {
+  comment_analysis: { run: runAnalysisJob, fail: failAnalysisJob },
+};
+
+const POLL_INTERVAL_MS = 2000;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const CANCEL_CHECK_INTERVAL_MS = 2000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const PROGRESS_THROTTLE_MS = 1000;
+
+const workerId = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+const concurrency = Math.max(1, parseInt(process.env.JOB_WORKER_CONCURRENCY) || 2);
+
+let running = false;
+let pinnedOnly = false;
+let pollTimer = null;
+let sweepTimer = null;
+const activeJobs = new Map();
+
+/**
+ * Run one claimed job to completion, retry or failure
+ */
+async function executeJob(job) {
+  const handler = JOB_HANDLERS[job.job_type];
+  let latestProgress = job.progress;
+  let lastProgressWrite = 0;
+
+  console.log(`[Worker] Running job ${job.id} (${job.job_type}) attempt ${job.attempts}/${job.max_attempts}`);
+
+  // Progress is written through the heartbeat, throttled so a fast scraper
+  // callback doesn't turn into one DB write per page
+  const reportProgress = (progress) => {
+    const stageChanged = progress.stage !== latestProgress?.stage;
+    latestProgress = progress;
+    if (stageChanged || Date.now() - lastProgressWrite >= PROGRESS_THROTTLE_MS) {
+      lastProgressWrite = Date.now();
+      heartbeatJob(job.id, workerId, progress).catch(() => {});
+    }
+  };
+
+  // Aborted when the user cancels or the lease is lost; the handler stops scrapers, FFmpeg and AI calls
+  const controller = new AbortController();
+  if (job.cancel_requested) controller.abort();
+
+  const heartbeat = setInterval(async () => {
+    const owned = await heartbeatJob(job.id, workerId, latestProgress);
+    if (!owned && !(controller.signal.reason instanceof LeaseLostError)) {
+      console.warn(`[Worker] Lost lease on job ${job.id} - stopping, another worker will run it`);
+      controller.abort(new LeaseLostError(job.id));
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  const cancelCheck = setInterval(async () => {
+    if (!controller.signal.aborted && await isCancelRequested(job.id)) {
+      console.log(`[Worker] Cancel requested for job ${job.id}`);
+      controller.abort();
+    }
+  }, CANCEL_CHECK_INTERVAL_MS);
+
+  try {
+    if (!handler) {
+      throw new Error(`Unknown job type: ${job.job_type}`);
+    }
+
+    reportProgress({ stage: 'init', count: 0, percent: 5 });
+    const result = await handler.run(job, { reportProgress, signal: controller.signal });
+    const status = result?.cancelled ? 'cancelled' : 'completed';
+    await completeJob({ ...job, progress: latestProgress }, workerId, status);
+    console.log(`[Worker] Job ${job.id} ${status}`);
+  } catch (error) {
+    if (error instanceof LeaseLostError) {
+      // The job belongs to another worker now; writing its status here would clobber that run
+      console.warn(`[Worker] Job ${job.id} abandoned after losing its lease`);
+    } else if (handler && error instanceof DeferJobError) {
+      await deferJob({ ...job, progress: latestProgress }, workerId, error);
+      console.warn(`[Worker] Job ${job.id} deferred until ${error.retryAt.toISOString()}:`, error.message);
+    } else if (handler && shouldRetry(job, error)) {
+      const delay = await retryJob(job, workerId, error.message);
+      console.warn(`[Worker] Job ${job.id} failed (attempt ${job.attempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+    } else {
+      console.error(`[Worker] Job ${job.id} failed permanently:`, error.message);
+      await failJob(job, workerId, error.message);
+      if (handler) await handler.fail(job, error);
+    }
+  } finally {
+    clearInterval(heartbeat);
+    clearInterval(cancelCheck);
+  }
+}
+
+/**
+ * Claim jobs until the worker is at capacity or the queue is empty
+ */
+async function poll() {
+  if (!running) return;
+
+  try {
+    while (running && activeJobs.size < concurrency) {
+      const job = await claimJob(workerId, { pinnedOnly });
+      if (!job) break;
+
+      const promise = executeJob(job)
+        .catch(err => console.error(`[Worker] Unexpected error in job ${job.id}:`, err))
+        .finally(() => activeJobs.delete(job.id));
+      activeJobs.set(job.id, promise);
+    }
+  } catch (error) {
+    console.error('[Worker] Poll error:', error.message);
+  }
+
+  if (running) {
+    pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+  }
+}
+
+/**
+ * Recover work lost by dead workers: re-queue expired leases, fail jobs that
+ * are out of attempts, and fail + refund analyses with no job behind them
+ */
+export async function sweep() {
+  try {
+    const exhausted = await sweepStaleJobs();
+    for (const job of exhausted) {
+      const handler = JOB_HANDLERS[job.job_type];
+      console.warn(`[Worker] Job ${job.id} ran out of attempts after lease expiry`);
+      if (handler) await handler.fail(job, new Error('Analysis was interrupted too many times. Please try again.'));
+    }
+
+    const orphans = await findOrphanedAnalyses();
+    for (const analysis of orphans) {
+      console.warn(`[Worker] Failing orphaned analysis ${analysis.id}`);
+      await supabaseAdmin.from('analyses').update({
+        status: 'failed',
+        error_message: 'Analysis was interrupted. Please try again.',
+      }).eq('id', analysis.id);
+
+      // Only what is still held: an earlier attempt may have settled part of the reservation
+      const outstanding = await outstandingReservation(analysis.id);
+      const amount = Math.min(outstanding ?? analysis.tokens_used, analysis.tokens_used);
+      if (amount > 0) {
+        await refundTokens({
+          userId: analysis.user_id,
+          analysisId: analysis.id,
+          amount,
+          reason: 'analysis interrupted',
+        });
+      }
+    }
+  } catch (error) {
+    console.error('[Worker] Sweep error:', error.message);
+  }
+}
+
+/**
+ * Start polling the queue
+ * @param {Object} options
+ * @param {boolean} options.pinnedOnly - Only run jobs whose uploaded files are on this host
+ */
+export function startJobWorker(options = {}) {
+  if (running) return;
+  running = true;
+  pinnedOnly = !!options.pinnedOnly;
+
+  console.log(`[Worker] Starting job worker ${workerId} (concurrency ${concurrency}${pinnedOnly ? ', upload jobs only' : ''})`);
+  checkLLMConfig();
+
+  // Recover anything a previous process left behind before taking new work
+  sweep().finally(() => poll());
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+}
+
+/**
+ * Stop claiming new jobs and wait for running ones to finish
+ * @param {number} timeoutMs - Give up waiting after this long; unfinished
+ *   jobs are re-queued by the sweeper once their lease expires
+ */
+export async function stopJobWorker(timeoutMs = 30 * 1000) {
+  running = false;
+  clearTimeout(pollTimer);
+  clearInterval(sweepTimer);
+
+  if (activeJobs.size === 0) return;
+
+  console.log(`[Worker] Waiting for ${activeJobs.size} running job(s) to finish...`);
+  await Promise.race([
+    Promise.allSettled(activeJobs.values()),
+    new Promise(resolve => setTimeout(resolve, timeoutMs)),
+  ]);
+}
+
+export default { startJobWorker, stopJobWorker, sweep };
@@ -0,0 +1,194 @@
+/**
+ * Language Detection
+ * Per-comment language detection without external services: the writing
+ * system decides for non-Latin scripts, and for Latin script the language
+ * whose common words (and accents) appear most. Also holds the Unicode-aware
+ * tokenizer and the stop-word lists used for keyword extraction.
+ */
+
+export const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  pt: 'Portuguese',
+  fr: 'French',
+  de: 'German',
+  ru: 'Russian',
+  ar: 'Arabic',
+  hi: 'Hindi',
+  ja: 'Japanese',
+  ko: 'Korean',
+  zh: 'Chinese',
+  th: 'Thai',
+  he: 'Hebrew',
+  el: 'Greek',
+  und: 'Unknown',
+};
+
+// Languages told apart by their words rather than their script
+export const LATIN_LANGUAGES = ['en', 'es', 'pt', 'fr', 'de'];
+
+// Writing systems that identify a language on their own, checked by letter count
+const SCRIPTS = [
+  ['ja', /[\p{Script=Hiragana}\p{Script=Katakana}]/gu],
+  ['ko', /\p{Script=Hangul}/gu],
+  ['zh', /\p{Script=Han}/gu],
+  ['ar', /\p{Script=Arabic}/gu],
+  ['hi', /\p{Script=Devanagari}/gu],
+  ['ru', /\p{Script=Cyrillic}/gu],
+  ['th', /\p{Script=Thai}/gu],
+  ['he', /\p{Script=Hebrew}/gu],
+  ['el', /\p{Script=Greek}/gu],
+  ['latin', /\p{Script=Latin}/gu],
+];
+
+// Words common enough to identify a language, also dropped from keywords
+export const STOP_WORDS = {
+  en: new Set([
+    'the', 'and', 'you', 'your', 'is', 'are', 'was', 'were', 'it', 'its', 'i', 'my', 'no',
+    'to', 'of', 'for', 'on', 'be', 'so', 'she', 'we', 'they', 'do', 'does', 'did',
+    'not', 'but', 'can', 'how', 'why', 'who', 'all', 'out', 'get', 'got', 'one', 'if',
+    "don't", "doesn't", "didn't", "can't", "won't", "isn't", "it's", "i'm", "i've", "you're", "that's",
+    'this', 'that', 'with', 'from', 'have', 'will', 'what', 'about', 'would', 'there',
+    'their', 'which', 'when', 'like', 'just', 'really', 'very', 'been', 'being',
+    'much', 'many', 'some', 'more', 'also', 'only', 'such',
+    'than', 'then', 'them', 'these', 'those', 'into', 'over',
+  ]),
+  es: new Set([
+    'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'y', 'o', 'pero', 'que', 'de', 'del',
+    'en', 'con', 'por', 'para', 'es', 'son', 'está', 'están', 'esta', 'este', 'esto', 'eso',
+    'muy', 'más', 'mi', 'mis', 'tu', 'su', 'sus', 'se', 'lo', 'le', 'les', 'al', 'como',
+    'cuando', 'porque', 'también', 'yo', 'hay', 'ya', 'sí', 'fue', 'era', 'todo', 'todos',
+    'nada', 'algo', 'donde', 'quien', 'desde', 'hasta', 'sobre', 'entre', 'usted', 'ustedes',
+    'nosotros', 'ellos', 'ella', 'tiene', 'tengo', 'puede', 'hace', 'estoy', 'solo', 'sólo',
+    'siempre', 'ahora', 'otro', 'otra', 'cada', 'bien', 'aquí', 'así',
+  ]),
+  pt: new Set([
+    'o', 'os', 'as', 'um', 'uma', 'e', 'ou', 'mas', 'que', 'de', 'do', 'da', 'dos', 'das',
+    'em', 'no', 'na', 'nos', 'nas', 'com', 'por', 'para', 'pra', 'é', 'são', 'está', 'estão',
+    'muito', 'mais', 'meu', 'minha', 'seu', 'sua', 'você', 'vocês', 'vc', 'eu', 'não',
+    'também', 'isso', 'esse', 'essa', 'isto', 'ele', 'ela', 'eles', 'foi', 'tem', 'ter',
+    'quando', 'porque', 'como', 'onde', 'quem', 'tudo', 'todos', 'nada', 'ainda', 'agora',
+    'sempre', 'aqui', 'assim', 'pelo', 'pela', 'sobre', 'entre', 'estou', 'tenho', 'pode',
+    'faz', 'só', 'já', 'outro', 'outra', 'cada', 'bem',
+  ]),
+  fr: new Set([
+    'le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'et', 'ou', 'mais', 'que', 'qui',
+    'en', 'dans', 'avec', 'pour', 'par', 'sur', 'est', 'sont', 'ce', 'cette', 'ces',
+    "c'est", "j'ai", "n'est", "qu'il", "d'un", "d'une", "l'on",
+    'je', 'tu', 'il', 'elle', 'nous', 'vous', 'ils', 'elles', 'pas', 'ne', 'très', 'plus',
+    'mon', 'ma', 'mes', 'ton', 'ta', 'tes', 'son', 'sa', 'ses', 'au', 'aux', 'été', 'aussi',
+    'tout', 'tous', 'toute', 'vraiment', 'comme', 'quand', 'parce', 'donc', 'alors', 'avoir',
+    'être', 'fait', 'faire', 'peut', 'leur', 'leurs', 'notre', 'votre', 'même', 'encore',
+    'toujours', 'ici', 'chaque', 'autre', 'rien',
+  ]),
+  de: new Set([
+    'der', 'die', 'das', 'den', 'dem', 'des', 'ein', 'eine', 'einen', 'einem', 'einer',
+    'und', 'oder', 'aber', 'ist', 'sind', 'war', 'mit', 'für', 'auf', 'von', 'zu', 'im',
+    'nicht', 'ich', 'du', 'er', 'sie', 'es', 'wir', 'ihr', 'sehr', 'auch', 'noch', 'wie',
+    'wenn', 'dass', 'mein', 'meine', 'dein', 'deine', 'sein', 'seine', 'schon', 'hier',
+    'nur', 'mal', 'diese', 'dieser', 'dieses', 'habe', 'haben', 'hat', 'wird', 'werden',
+    'kann', 'können', 'immer', 'jetzt', 'warum', 'weil', 'bei', 'nach', 'über', 'durch',
+    'gegen', 'ohne', 'doch', 'also', 'alle', 'alles', 'viel', 'mehr', 'jeder', 'andere',
+  ]),
+};
+
+// Letters typical of one language more than the others
+const ACCENT_HINTS = [
+  [/[ñ¿¡]/g, { es: 2 }],
+  [/[ãõ]/g, { pt: 2 }],
+  [/ç/g, { pt: 1, fr: 1 }],
+  [/ß/g, { de: 2 }],
+  [/[äöü]/g, { de: 1 }],
+  [/[èùœîïë]/g, { fr: 1 }],
+  [/[êâô]/g, { fr: 1, pt: 1 }],
+];
+
+// Scripts written without spaces between words
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}]/u;
+const WORD = /[\p{L}\p{M}\p{N}']+/gu;
+
+let segmenter = null;
+
+/**
+ * Split text into lowercase words, for any script
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  const lower = text.toLowerCase().replace(/[’`]/g, "'");
+
+  if (UNSPACED_SCRIPT.test(lower) && typeof Intl.Segmenter === 'function') {
+    segmenter ||= new Intl.Segmenter(undefined, { granularity: 'word' });
+    return [...segmenter.segment(lower)]
+      .filter(s => s.isWordLike)
+      .map(s => s.segment.replace(/^'+|'+$/g, ''))
+      .filter(Boolean);
+  }
+
+  return (lower.match(WORD) || [])
+    .map(word => word.replace(/^'+|'+$/g, ''))
+    .filter(Boolean);
+}
+
+/**
+ * Detect the language of a comment
+ * @returns {string} ISO 639-1 code from LANGUAGE_NAMES; 'und' when the text has no letters
+ */
+export function detectLanguage(text) {
+  if (!text) return 'und';
+
+  let script = null;
+  let best = 0;
+  for (const [name, pattern] of SCRIPTS) {
+    const letters = text.match(pattern)?.length || 0;
+    if (letters > best) {
+      script = name;
+      best = letters;
+    }
+  }
+  if (!script) return 'und';
+  // Kana next to kanji is Japanese even when the kanji outnumber it
+  if (script === 'zh' && /[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(text)) return 'ja';
+  if (script !== 'latin') return script;
+
+  const scores = Object.fromEntries(LATIN_LANGUAGES.map(language => [language, 0]));
+  for (const word of tokenize(text)) {
+    for (const language of LATIN_LANGUAGES) {
+      if (STOP_WORDS[language].has(word)) scores[language]++;
+    }
+  }
+  const lower = text.toLowerCase();
+  for (const [pattern, hints] of ACCENT_HINTS) {
+    const count = lower.match(pattern)?.length || 0;
+    for (const [language, weight] of Object.entries(hints)) scores[language] += count * weight;
+  }
+
+  // Ties and comments without any signal ("lol", "W video") count as English
+  return LATIN_LANGUAGES.reduce((top, language) => (scores[language] > scores[top] ? language : top), 'en');
+}
+
+const ANY_STOP_WORD = new Set(Object.values(STOP_WORDS).flatMap(words => [...words]));
+const SHORT_WORD_SCRIPTS = /^[\p{Script=Latin}\p{Script=Cyrillic}\p{Script=Greek}]/u;
+
+/**
+ * Whether a token is worth counting as a keyword. Latin, Cyrillic and Greek
+ * words need 4+ letters; in other scripts 2 characters can be a whole word.
+ */
+export function isKeywordCandidate(word) {
+  if (ANY_STOP_WORD.has(word) || /^[\p{N}']+$/u.test(word)) return false;
+  // Japanese particles and endings are written in hiragana
+  if (/^\p{Script=Hiragana}+$/u.test(word)) return false;
+  return word.length >= (SHORT_WORD_SCRIPTS.test(word) ? 4 : 2);
+}
+
+export function languageName(code) {
+  return LANGUAGE_NAMES[code] || code;
+}
+
+export default {
+  detectLanguage,
+  tokenize,
+  isKeywordCandidate,
+  languageName,
+  LANGUAGE_NAMES,
+  STOP_WORDS,
+};
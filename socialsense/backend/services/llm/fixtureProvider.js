@@ -0,0 +1,69 @@
+/**
+ * Fixture Provider
+ * Deterministic offline stand-in for development and CI. Structured requests
+ * get a response built from their JSON schema, so the output always passes
+ * validation; the same request always gets the same response.
+ */
+
+import path from 'path';
+
+/**
+ * Build a deterministic value that satisfies a JSON schema
+ * @param {object} schema
+ * @param {string} label - Property path, used as placeholder text
+ */
+export function fixtureFromSchema(schema, label = 'value') {
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+
+  if (schema.enum) return schema.enum[0];
+
+  switch (type) {
+    case 'object': {
+      const result = {};
+      for (const [key, child] of Object.entries(schema.properties || {})) {
+        result[key] = fixtureFromSchema(child, key);
+      }
+      return result;
+    }
+    case 'array': {
+      const count = Math.max(schema.minItems || 0, Math.min(schema.maxItems ?? 2, 2));
+      return Array.from({ length: count }, (_, i) => fixtureFromSchema(schema.items || {}, `${label} ${i + 1}`));
+    }
+    case 'integer':
+    case 'number': {
+      const min = schema.minimum ?? 0;
+      const max = schema.maximum ?? min + 100;
+      return Math.floor((min + max) / 2);
+    }
+    case 'boolean':
+      return false;
+    case 'null':
+      return null;
+    default:
+      return `Fixture ${label.replace(/_/g, ' ')}`;
+  }
+}
+
+export function createFixtureProvider() {
+  return {
+    name: 'fixture',
+
+    async chat({ responseFormat }, { signal } = {}) {
+      signal?.throwIfAborted();
+
+      const schema = responseFormat?.json_schema?.schema;
+      const content = schema
+        ? JSON.stringify(fixtureFromSchema(schema))
+        : 'Fixture response.';
+
+      return { content, refusal: null, finishReason: 'stop' };
+    },
+
+    async transcribe({ filePath }, { signal } = {}) {
+      signal?.throwIfAborted();
+      return `Fixture transcript for ${path.basename(filePath)}.`;
+    },
+  };
+}
+
+export default { createFixtureProvider, fixtureFromSchema };
@@ -0,0 +1,66 @@
+/**
+ * LLM Service
+ * Routes chat, vision and transcription requests to the provider configured
+ * for each task (see config/llm.js).
+ */
+
+import { getTaskConfig } from '../../config/llm.js';
+import { createOpenAIProvider } from './openaiProvider.js';
+import { createFixtureProvider } from './fixtureProvider.js';
+
+const PROVIDER_FACTORIES = {
+  openai: () => createOpenAIProvider({
+    name: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+  }),
+  local: () => createOpenAIProvider({
+    name: 'local',
+    apiKey: process.env.LOCAL_LLM_API_KEY || 'local',
+    baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+    tokenParam: 'max_tokens',
+  }),
+  fixture: () => createFixtureProvider(),
+};
+
+const providers = new Map();
+
+function getProvider(name) {
+  if (!providers.has(name)) {
+    providers.set(name, PROVIDER_FACTORIES[name]());
+  }
+  return providers.get(name);
+}
+
+/**
+ * Run a chat completion for a task ('analysis', 'vision', 'engagement')
+ * @param {string} task
+ * @param {object} request - { messages, temperature, maxTokens, responseFormat }
+ * @param {object} options - { signal, timeout }
+ * @returns {Promise<{ content: string|null, refusal: string|null, finishReason: string, model: string }>}
+ */
+export async function chat(task, request, options = {}) {
+  const { provider, model } = getTaskConfig(task);
+  const result = await getProvider(provider).chat({ ...request, model }, options);
+  return { ...result, model };
+}
+
+/**
+ * Transcribe an audio file
+ * @param {string} filePath
+ * @param {object} options - { signal }
+ * @returns {Promise<string>}
+ */
+export async function transcribe(filePath, options = {}) {
+  const { provider, model } = getTaskConfig('transcription');
+  return getProvider(provider).transcribe({ model, filePath }, options);
+}
+
+/**
+ * Describe the provider behind a task, for logs
+ */
+export function describeTask(task) {
+  const { provider, model } = getTaskConfig(task);
+  return `${provider}/${model}`;
+}
+
+export default { chat, transcribe, describeTask };
@@ -0,0 +1,64 @@
+/**
+ * OpenAI Provider
+ * Chat, vision and transcription through the OpenAI SDK. Also used for
+ * OpenAI-compatible local servers (Ollama, vLLM, LM Studio, ...) by passing
+ * their baseURL.
+ */
+
+import OpenAI from 'openai';
+import fs from 'fs';
+
+/**
+ * @param {object} options
+ * @param {string} options.name - Provider name used in logs and errors
+ * @param {string} [options.apiKey]
+ * @param {string} [options.baseURL] - Override for OpenAI-compatible endpoints
+ * @param {string} [options.tokenParam] - Name of the output token limit parameter;
+ *   OpenAI's newer models only accept max_completion_tokens, most local servers only max_tokens
+ */
+export function createOpenAIProvider({ name, apiKey, baseURL, tokenParam = 'max_completion_tokens' }) {
+  let client = null;
+
+  // Created on first use so a missing key only fails the calls that need it
+  const getClient = () => {
+    if (!client) {
+      if (!apiKey) {
+        throw new Error(`${name} provider is not configured (missing API key)`);
+      }
+      client = new OpenAI({ apiKey, baseURL });
+    }
+    return client;
+  };
+
+  return {
+    name,
+
+    /**
+     * @returns {Promise<{ content: string|null, refusal: string|null, finishReason: string }>}
+     */
+    async chat({ model, messages, temperature, maxTokens, responseFormat }, { signal, timeout } = {}) {
+      const params = { model, messages, temperature };
+      if (maxTokens) params[tokenParam] = maxTokens;
+      if (responseFormat) params.response_format = responseFormat;
+
+      const response = await getClient().chat.completions.create(params, { signal, timeout });
+      const choice = response.choices[0];
+
+      return {
+        content: choice?.message?.content ?? null,
+        refusal: choice?.message?.refusal ?? null,
+        finishReason: choice?.finish_reason,
+      };
+    },
+
+    async transcribe({ model, filePath }, { signal } = {}) {
+      return getClient().audio.transcriptions.create({
+        file: fs.createReadStream(filePath),
+        model,
+        response_format: 'text',
+      }, { signal });
+    },
+  };
+}
+
+export default { createOpenAIProvider };
@@ -0,0 +1,168 @@
+/**
+ * Near-Duplicate Detection
+ * Finds comments that are copies of each other with small edits (a changed
+ * word, an added emoji), the usual shape of bot and paid comment campaigns.
+ * Comments are compared as sets of 5-character shingles of their normalized
+ * text. MinHash signatures split into bands pick candidate pairs without
+ * comparing every pair, and a candidate joins a cluster when at least 70% of
+ * its shingles are shared.
+ */
+
+const SHINGLE_SIZE = 5;
+const BANDS = 8;
+const ROWS = 4;
+const NUM_HASHES = BANDS * ROWS;
+
+export const SIMILARITY_THRESHOLD = 0.7;
+// Shorter comments ("great video thanks") are alike without being copies
+export const MIN_DUPLICATE_LENGTH = 30;
+const MAX_REPORTED_CLUSTERS = 20;
+const MAX_VARIANTS = 3;
+
+// One seed per MinHash function, fixed so results are reproducible
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => Math.imul(i + 1, 0x9e3779b1) >>> 0);
+
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function mix(value, seed) {
+  let x = (value ^ seed) >>> 0;
+  x = Math.imul(x ^ (x >>> 16), 0x85ebca6b);
+  x = Math.imul(x ^ (x >>> 13), 0xc2b2ae35);
+  return (x ^ (x >>> 16)) >>> 0;
+}
+
+function shingles(text) {
+  const set = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= text.length; i++) {
+    set.add(hashString(text.slice(i, i + SHINGLE_SIZE)));
+  }
+  return set;
+}
+
+function signature(shingleSet) {
+  const mins = new Array(NUM_HASHES).fill(0xffffffff);
+  for (const shingle of shingleSet) {
+    for (let h = 0; h < NUM_HASHES; h++) {
+      const value = mix(shingle, SEEDS[h]);
+      if (value < mins[h]) mins[h] = value;
+    }
+  }
+  return mins;
+}
+
+function jaccard(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let shared = 0;
+  for (const value of small) if (large.has(value)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Group near-identical texts
+ * @param {string[]} texts - normalized comment texts (normalizeForDedup)
+ * @returns {number[][]} clusters of 2+ indices into texts, each in ascending order
+ */
+export function findNearDuplicates(texts) {
+  const parent = texts.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  const sets = new Map();
+  const buckets = new Map();
+  texts.forEach((text, i) => {
+    if (!text || text.length < MIN_DUPLICATE_LENGTH) return;
+    const set = shingles(text);
+    sets.set(i, set);
+    const sig = signature(set);
+    for (let b = 0; b < BANDS; b++) {
+      const key = `${b}:${sig.slice(b * ROWS, (b + 1) * ROWS).join(',')}`;
+      const bucket = buckets.get(key);
+      if (bucket) bucket.push(i);
+      else buckets.set(key, [i]);
+    }
+  });
+
+  for (const bucket of buckets.values()) {
+    for (let x = 0; x < bucket.length; x++) {
+      for (let y = x + 1; y < bucket.length; y++) {
+        const a = find(bucket[x]);
+        const b = find(bucket[y]);
+        if (a === b) continue;
+        if (jaccard(sets.get(bucket[x]), sets.get(bucket[y])) >= SIMILARITY_THRESHOLD) {
+          parent[Math.max(a, b)] = Math.min(a, b);
+        }
+      }
+    }
+  }
+
+  const clusters = new Map();
+  for (const i of sets.keys()) {
+    const root = find(i);
+    const cluster = clusters.get(root);
+    if (cluster) cluster.push(i);
+    else clusters.set(root, [i]);
+  }
+  return [...clusters.values()].filter(cluster => cluster.length > 1);
+}
+
+const authorOf = (comment) => comment.author_id || comment.user || null;
+
+/**
+ * Campaign clusters for filter_stats.near_duplicates
+ * @param {Array<Array>} groups - comments of each cluster, the one kept in the analysis first
+ * @param {number} removed - copies dropped from the analysis
+ * @returns {{ removed, cluster_count, clustered_comments, clusters: Array }} largest clusters first
+ */
+export function describeClusters(groups, removed = 0) {
+  // Accounts that post in more than one cluster are the strongest sign of coordination
+  const clustersByAuthor = new Map();
+  groups.forEach((group) => {
+    for (const author of new Set(group.map(authorOf).filter(Boolean))) {
+      clustersByAuthor.set(author, (clustersByAuthor.get(author) || 0) + 1);
+    }
+  });
+
+  const clusters = groups
+    .map((group) => {
+      const perAuthor = new Map();
+      for (const author of group.map(authorOf).filter(Boolean)) {
+        perAuthor.set(author, (perAuthor.get(author) || 0) + 1);
+      }
+      const times = group.map(c => c.publishedAt).filter(Boolean).sort();
+      const texts = [...new Set(group.map(c => c.text))];
+
+      return {
+        size: group.length,
+        text: group[0].text,
+        variants: texts.slice(1, 1 + MAX_VARIANTS),
+        exact_copies: group.length - texts.length,
+        authors: perAuthor.size,
+        repeat_authors: [...perAuthor.values()].filter(count => count > 1).length,
+        shared_authors: [...perAuthor.keys()].filter(author => clustersByAuthor.get(author) > 1).length,
+        first_seen: times[0] || null,
+        last_seen: times[times.length - 1] || null,
+        likes: group.reduce((sum, c) => sum + (c.likes || 0), 0),
+      };
+    })
+    .sort((a, b) => b.size - a.size);
+
+  return {
+    removed,
+    cluster_count: clusters.length,
+    clustered_comments: clusters.reduce((sum, c) => sum + c.size, 0),
+    clusters: clusters.slice(0, MAX_REPORTED_CLUSTERS),
+  };
+}
+
+export default { findNearDuplicates, describeClusters, SIMILARITY_THRESHOLD, MIN_DUPLICATE_LENGTH };
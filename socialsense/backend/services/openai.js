@@ -1,16 +1,13 @@
-import OpenAI from 'openai';
-import fs from 'fs';
-import { extractThemesAndKeywords, stratifiedSample } from './commentProcessor.js';
-
-// Validate OpenAI API key
-if (!process.env.OPENAI_API_KEY) {
-  console.error('❌ OPENAI_API_KEY is not set!');
-  process.exit(1);
-}
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+import { extractThemesAndKeywords, stratifiedSample, summarizeLanguages } from './commentProcessor.js';
+import {
+  buildAnalysisSchema, validateAgainstSchema, calculateVideoScore, toScoreBreakdown,
+  toActionItems, renderAnalysisMarkdown, renderMarketingInsights, renderCompetitorAnalysis,
+} from './analysisSchema.js';
+import { chat, transcribe, describeTask } from './llm/index.js';
+import { summarizeAllComments } from './commentSummarizer.js';
+import { clusterTopics, labelTopics } from './topics.js';
+import { topicLabelsEnabled } from '../config/llm.js';
+import { mineQuestions } from './questions.js';
 
 /**
  * Detect image MIME type from base64 data
@@ -28,202 +25,18 @@ function detectImageMimeType(base64Data) {
 const THEME_ANALYSIS_THRESHOLD = 3000;
 
 /**
- * Transcribe audio file using OpenAI Whisper API
+ * Transcribe audio file with the configured transcription provider
+ * @param {object} options - { signal } to abort the request
  */
-export async function transcribeAudio(audioFilePath) {
-  console.log(`[AI] Transcribing audio: ${audioFilePath}`);
-  const audioStream = fs.createReadStream(audioFilePath);
-
-  const transcription = await openai.audio.transcriptions.create({
-    file: audioStream,
-    model: 'whisper-1',
-    response_format: 'text',
-  });
+export async function transcribeAudio(audioFilePath, options = {}) {
+  console.log(`[AI] Transcribing audio with ${describeTask('transcription')}: ${audioFilePath}`);
+
+  const transcription = await transcribe(audioFilePath, { signal: options.signal });
 
   console.log(`[AI] Transcription complete: ${transcription.length} characters`);
   return transcription;
 }
 
-/**
- * Extract video score from AI response
- */
-function extractVideoScore(summary) {
-  const patterns = [
-    /\*\*Overall Score:\s*(\d{1,3})\/100\*\*/i,
-    /Overall Score:\s*(\d{1,3})\/100/i,
-    /\*\*Score:\s*(\d{1,3})\/100\*\*/i,
-    /Score:\s*(\d{1,3})\/100/i,
-    /(\d{1,3})\/100/i, // Fallback: any X/100 pattern
-  ];
-
-  for (const pattern of patterns) {
-    const match = summary.match(pattern);
-    if (match) {
-      const score = parseInt(match[1], 10);
-      if (score >= 0 && score <= 100) {
-        console.log('[OpenAI] Score extracted:', score, 'using pattern:', pattern.toString());
-        return score;
-      }
-    }
-  }
-  console.log('[OpenAI] No score found in response. Last 500 chars:', summary.slice(-500));
-  return null;
-}
-
-/**
- * Extract priority improvement from AI response
- */
-function extractPriorityImprovement(summary) {
-  const match = summary.match(/\*\*Priority Improvement:\*\*\s*([^\n]+)/i);
-  return match ? match[1].trim() : null;
-}
-
-/**
- * Extract notes assessment from AI response
- */
-function extractNotesAssessment(summary) {
-  const match = summary.match(/## CREATOR SELF-ASSESSMENT CHECK[\s\S]*?((?:Accurate|Partially Accurate|Delusional|Needs Recalibration)[^\n]*)/i);
-  return match ? match[1].trim() : null;
-}
-
-/**
- * Extract marketing insights from AI response
- */
-function extractMarketingInsights(summary) {
-  const match = summary.match(/\*\*MARKETING_INSIGHTS_START\*\*([\s\S]*?)\*\*MARKETING_INSIGHTS_END\*\*/i);
-  if (match) {
-    return match[1].trim();
-  }
-  // Fallback: try to find the Marketing Analysis section
-  const fallback = summary.match(/## MARKETING ANALYSIS([\s\S]*?)(?=---|\*\*Overall Score|## VIDEO SCORE|## CREATOR|$)/i);
-  return fallback ? fallback[1].trim() : null;
-}
-
-/**
- * Extract competitor analysis from AI response
- */
-function extractCompetitorAnalysis(summary) {
-  const match = summary.match(/\*\*COMPETITOR_ANALYSIS_START\*\*([\s\S]*?)\*\*COMPETITOR_ANALYSIS_END\*\*/i);
-  if (match) {
-    return match[1].trim();
-  }
-  // Fallback: try to find the Competitor Intelligence section
-  const fallback = summary.match(/## COMPETITOR INTELLIGENCE ANALYSIS([\s\S]*?)(?=---|\*\*Overall Score|## VIDEO SCORE|$)/i);
-  return fallback ? fallback[1].trim() : null;
-}
-
-/**
- * Extract score breakdown from AI response
- */
-function extractScoreBreakdown(summary) {
-  const match = summary.match(/\*\*SCORE_BREAKDOWN_START\*\*([\s\S]*?)\*\*SCORE_BREAKDOWN_END\*\*/i);
-  if (!match) return null;
-
-  const text = match[1];
-  const breakdown = {
-    engagement: { score: 0, max: 40, reason: '' },
-    contentFit: { score: 0, max: 30, reason: '' },
-    conversion: { score: 0, max: 20, reason: '' },
-    redFlags: { score: 0, max: 10, reason: '' },
-  };
-
-  // Extract Engagement
-  const engMatch = text.match(/Engagement:\s*(\d+)\/40\s*-?\s*(.+)/i);
-  if (engMatch) {
-    breakdown.engagement.score = parseInt(engMatch[1], 10);
-    breakdown.engagement.reason = engMatch[2].trim();
-  }
-
-  // Extract Content Fit
-  const fitMatch = text.match(/Content Fit:\s*(\d+)\/30\s*-?\s*(.+)/i);
-  if (fitMatch) {
-    breakdown.contentFit.score = parseInt(fitMatch[1], 10);
-    breakdown.contentFit.reason = fitMatch[2].trim();
-  }
-
-  // Extract Conversion
-  const convMatch = text.match(/Conversion:\s*(\d+)\/20\s*-?\s*(.+)/i);
-  if (convMatch) {
-    breakdown.conversion.score = parseInt(convMatch[1], 10);
-    breakdown.conversion.reason = convMatch[2].trim();
-  }
-
-  // Extract Red Flags
-  const flagMatch = text.match(/Red Flags:\s*-?(\d+)\/10\s*-?\s*(.+)/i);
-  if (flagMatch) {
-    breakdown.redFlags.score = parseInt(flagMatch[1], 10);
-    breakdown.redFlags.reason = flagMatch[2].trim();
-  }
-
-  return breakdown;
-}
-
-/**
- * Extract action items from AI response
- */
-function extractActionItems(summary) {
-  const items = [];
-
-  // Look for action items section first
-  const actionMatch = summary.match(/\*\*ACTION_ITEMS_START\*\*([\s\S]*?)\*\*ACTION_ITEMS_END\*\*/i);
-  if (actionMatch) {
-    const actionText = actionMatch[1];
-    // Parse numbered items
-    const itemMatches = actionText.matchAll(/\d+\.\s*\*\*([^*]+)\*\*:?\s*([^\n]+)?/g);
-    for (const match of itemMatches) {
-      items.push({
-        id: `action_${items.length + 1}`,
-        title: match[1].trim(),
-        description: match[2]?.trim() || '',
-        completed: false,
-        priority: items.length < 3 ? 'high' : 'medium',
-      });
-    }
-    if (items.length > 0) return items;
-  }
-
-  // Fallback: Extract from "Impact-Ranked Recommendations" section
-  const recsMatch = summary.match(/## Impact-Ranked Recommendations([\s\S]*?)(?=##|---|\*\*Overall Score|$)/i);
-  if (recsMatch) {
-    const recsText = recsMatch[1];
-    const recItems = recsText.matchAll(/\d+\.\s*(?:\*\*)?(?:What to change:?\s*)?([^*\n]+)(?:\*\*)?/gi);
-    for (const match of recItems) {
-      const title = match[1].trim().replace(/^\*\*|\*\*$/g, '');
-      if (title.length > 10 && title.length < 200) {
-        items.push({
-          id: `action_${items.length + 1}`,
-          title,
-          description: '',
-          completed: false,
-          priority: items.length < 3 ? 'high' : 'medium',
-        });
-      }
-    }
-  }
-
-  // Also try to extract from bullet points with action verbs
-  if (items.length < 3) {
-    const actionVerbs = /^[-*]\s*(Add|Create|Update|Fix|Improve|Change|Remove|Implement|Test|Review|Optimize|Refactor|Include|Consider)\s+/gim;
-    const bulletMatches = summary.matchAll(actionVerbs);
-    for (const match of bulletMatches) {
-      const lineEnd = summary.indexOf('\n', match.index);
-      const line = summary.substring(match.index + 2, lineEnd > 0 ? lineEnd : match.index + 100).trim();
-      if (line.length > 10 && line.length < 200 && !items.some(i => i.title === line)) {
-        items.push({
-          id: `action_${items.length + 1}`,
-          title: line,
-          description: '',
-          completed: false,
-          priority: 'medium',
-        });
-      }
-      if (items.length >= 10) break;
-    }
-  }
-
-  return items.slice(0, 10);
-}
-
 /**
  * Analyze comments and generate insights
  * Optionally includes video transcript and frames for unified analysis
@@ -232,9 +45,13 @@ function extractActionItems(summary) {
  * @param {boolean} isCompetitor - If true, enables competitor analysis mode
  * @param {string} competitorNotes - What the user wants to learn from competitor
  * @param {boolean} harshFeedback - If true, enables brutally honest feedback mode
+ * @param {object} options - { signal, fullCoverage, onProgress({ done, total }), stopWords, questions }
+ *   fullCoverage summarizes every comment (map-reduce) instead of a sample;
+ *   stopWords are the user's custom words to keep out of the keywords;
+ *   questions is the mineQuestions report when the caller already built it
  */
-export async function analyzeComments(comments, platform, marketingContext = null, videoTranscript = null, videoFrames = null, isMyVideo = false, creatorNotes = null, isCompetitor = false, competitorNotes = null, harshFeedback = false) {
-  console.log('[OpenAI] analyzeComments called with isMyVideo:', isMyVideo, 'isCompetitor:', isCompetitor, 'harshFeedback:', harshFeedback, 'creatorNotes:', creatorNotes ? 'provided' : 'none', 'competitorNotes:', competitorNotes ? 'provided' : 'none');
+export async function analyzeComments(comments, platform, marketingContext = null, videoTranscript = null, videoFrames = null, isMyVideo = false, creatorNotes = null, isCompetitor = false, competitorNotes = null, harshFeedback = false, options = {}) {
+  console.log('[AI] analyzeComments called with isMyVideo:', isMyVideo, 'isCompetitor:', isCompetitor, 'harshFeedback:', harshFeedback, 'creatorNotes:', creatorNotes ? 'provided' : 'none', 'competitorNotes:', competitorNotes ? 'provided' : 'none');
 
   if (!comments || comments.length === 0) {
     return {
@@ -244,8 +61,8 @@ export async function analyzeComments(comments, platform, marketingContext = nul
     };
   }
 
-  // Filter out generic/off-topic for analysis
-  const analysisComments = comments.filter(c => !c.is_generic_praise && !c.is_off_topic);
+  // Filter out generic/off-topic for analysis; emoji-only reactions are only scored
+  const analysisComments = comments.filter(c => !c.is_generic_praise && !c.is_off_topic && !c.is_emoji_only);
 
   if (analysisComments.length === 0) {
     return {
@@ -261,19 +78,16 @@ export async function analyzeComments(comments, platform, marketingContext = nul
     ? stratifiedSample(analysisComments)
     : { sampled: analysisComments, size: analysisComments.length };
 
-  const coveragePct = (size / analysisComments.length) * 100;
-
-  // Extract keywords and themes
-  const { keywords, themes } = extractThemesAndKeywords(
-    sampled.map(c => c.clean_text)
+  // Extract keywords and topics; the model only relabels topics when LLM_TOPIC_LABELS is on
+  const { keywords } = extractThemesAndKeywords(
+    sampled.map(c => c.clean_text),
+    20,
+    options.stopWords
   );
+  const topics = clusterTopics(sampled, { stopWords: options.stopWords });
+  const themes = topicLabelsEnabled() ? await labelTopics(topics, { signal: options.signal }) : topics;
 
   // Categorize comments
-  const questions = sampled
-    .filter(c => c.clean_text?.includes('?'))
-    .slice(0, 20)
-    .map(c => c.clean_text);
-
   const negativePattern = /\b(but|however|disappointed|issue|problem|wrong|bad|terrible|worst|hate|confused|why|unclear)\b/i;
   const complaints = sampled
     .filter(c => negativePattern.test(c.clean_text || ''))
@@ -286,6 +100,20 @@ export async function analyzeComments(comments, platform, marketingContext = nul
     .slice(0, 20)
     .map(c => c.clean_text);
 
+  // Full coverage: summarize every comment instead of reading a sample
+  let digest = null;
+  if (options.fullCoverage) {
+    try {
+      digest = await summarizeAllComments(analysisComments, platform, {
+        signal: options.signal,
+        onProgress: options.onProgress,
+      });
+    } catch (error) {
+      if (options.signal?.aborted) throw error;
+      console.error('[AI] Full-coverage summarization failed, falling back to a sample:', error.message);
+    }
+  }
+
   // Build prompt with conditional persona based on harshFeedback setting
   const expertPreamble = harshFeedback
     ? `You are a brutally honest content strategy expert with 15+ years experience.
@@ -318,26 +146,70 @@ TONE GUIDELINES:
   const promptParts = [
     expertPreamble,
     `You are analyzing ${platform} comments to identify what the creator should change or improve next.`,
-    `\n**Dataset:** ${comments.length} total comments, ${analysisComments.length} after filtering, ${size} analyzed (${coveragePct.toFixed(0)}% coverage).`,
+    digest
+      ? `\n**Dataset:** ${comments.length} total comments, ${analysisComments.length} after filtering, ${digest.covered} of them read and summarized in ${digest.chunks} batches.`
+      : `\n**Dataset:** ${comments.length} total comments, ${analysisComments.length} after filtering. You only see the samples below.`,
     `\n**Top Keywords:** ${keywords.slice(0, 10).map(k => k.word).join(', ')}`,
-    `\n**Recurring Themes:** ${themes.slice(0, 8).map(t => t.theme).join(', ')}`,
   ];
 
-  if (questions.length > 0) {
-    promptParts.push(`\n**Questions/Confusion (${questions.length} samples):**\n${questions.slice(0, 10).map(q => `- ${q}`).join('\n')}`);
+  if (themes.length > 0) {
+    promptParts.push(`\n**Topic Clusters (grouped from ${size} comments before you read them):**\n${themes.map(t => (
+      `- ${t.theme}: ${t.count} comments (${t.percent}%), ${t.positive_pct}% positive / ${t.negative_pct}% negative - keywords: ${t.keywords.join(', ')} - typical: "${t.representative.text}"`
+    )).join('\n')}`);
   }
 
-  if (complaints.length > 0) {
-    promptParts.push(`\n**Complaints/Objections (${complaints.length} samples):**\n${complaints.slice(0, 10).map(c => `- ${c}`).join('\n')}`);
+  // Comments the model actually reads, for honest coverage stats
+  const readComments = new Set();
+  const addSamples = (title, items) => {
+    if (items.length === 0) return;
+    items.forEach(item => readComments.add(item));
+    promptParts.push(`\n**${title} (${items.length} samples):**\n${items.map(item => `- ${item}`).join('\n')}`);
+  };
+
+  if (digest) {
+    promptParts.push(`\n**Theme Prevalence (counted across all ${digest.covered} summarized comments):**\n${digest.themes.map(t => (
+      `- ${t.label}: ${t.percent}% (${t.count} comments, ${t.sentiment}) - ${t.description}`
+    )).join('\n')}`);
+    const digestSections = [
+      ['Questions/Confusion', digest.questions],
+      ['Complaints/Objections', digest.complaints],
+      ['Purchase Intent', digest.buyingSignals],
+    ];
+    for (const [title, items] of digestSections) {
+      if (items.length > 0) promptParts.push(`\n**${title}:**\n${items.map(item => `- ${item}`).join('\n')}`);
+    }
+    promptParts.push('\nWhen saying how common something is, use the prevalence figures above.');
+  } else {
+    addSamples('Complaints/Objections', complaints.slice(0, 10));
+    addSamples('Purchase Intent', buyingSignals.slice(0, 10));
   }
 
-  if (buyingSignals.length > 0) {
-    promptParts.push(`\n**Purchase Intent (${buyingSignals.length} samples):**\n${buyingSignals.slice(0, 10).map(b => `- ${b}`).join('\n')}`);
+  // Grouped across every comment; answer status is only known where reply threads were scraped
+  const questionReport = options.questions || mineQuestions(comments, { stopWords: options.stopWords });
+  if (questionReport?.groups.length) {
+    // Question groups are a summary, not comments read, so they stay out of the coverage stats
+    const asked = questionReport.groups.slice(0, 10);
+    promptParts.push(`\n**Most Asked Questions (${questionReport.total} questions, grouped by what they ask):**\n${asked.map(g => (
+      `- "${g.question}" - asked ${g.count}x, ${g.likes} likes${g.status === 'unanswered' ? ', never answered by the creator' : g.status === 'answered' ? ', answered by the creator' : ''}`
+    )).join('\n')}`);
   }
 
   // Add sample comments
-  const sampleComments = shuffleArray(sampled).slice(0, 30).map(c => c.clean_text);
-  promptParts.push(`\n**Representative Comments (30 samples):**\n${sampleComments.map((c, i) => `${i + 1}. ${c}`).join('\n')}`);
+  const sampleComments = shuffleArray(sampled).slice(0, digest ? 15 : 30).map(c => c.clean_text);
+  sampleComments.forEach(c => readComments.add(c));
+  promptParts.push(`\n**Representative Comments (${sampleComments.length} samples):**\n${sampleComments.map((c, i) => `${i + 1}. ${c}`).join('\n')}`);
+
+  const analyzed = digest ? digest.covered : readComments.size;
+  const stats = {
+    mode: digest ? 'full' : 'sample',
+    total: comments.length,
+    filtered: analysisComments.length,
+    analyzed,
+    coverage: (analyzed / analysisComments.length) * 100,
+    keyword_sample: size,
+    sampled: needsSampling,
+    ...(digest && { chunks: digest.chunks, failed_chunks: digest.failedChunks }),
+  };
 
   let prompt = promptParts.join('\n');
 
@@ -350,6 +222,12 @@ TONE GUIDELINES:
     prompt += `\n\n**Sentiment Breakdown (rule-based):** ${sentimentCounts.positive} positive, ${sentimentCounts.negative} negative, ${sentimentCounts.neutral} neutral`;
   }
 
+  // Multilingual audiences: name the mix so the model doesn't skip the non-English comments
+  const languages = summarizeLanguages(analysisComments);
+  if (languages.length > 1) {
+    prompt += `\n\n**Comment Languages:** ${languages.slice(0, 5).map(l => `${l.name} ${l.pct}%`).join(', ')}. Quote comments in their original language, but write your analysis in English.`;
+  }
+
   // Add video transcript if available
   if (videoTranscript) {
     const truncatedTranscript = videoTranscript.substring(0, 5000);
@@ -370,54 +248,33 @@ When analyzing, consider:
   prompt += `
 
 **Your Task:**
-Provide a strategic analysis focused on actionable changes. Structure your response with:
+Provide a strategic analysis focused on actionable changes. Respond with JSON matching the provided schema:
 
-## Key Findings
-- What viewers like and why (be specific, not generic)
-- Main confusion points or friction
-- Dominant objections or concerns
-- Purchase/conversion readiness
-
-## Impact-Ranked Recommendations
-Rank the top 3-5 changes by potential impact (not just frequency). For each:
-1. What to change (specific and testable)
-2. Why it matters (evidence from comments)
-3. Expected outcome
-
-## Content/Campaign Adjustments
-- Hook/thumbnail insights
-- Messaging improvements
-- Call-to-action suggestions
+- findings: What viewers like and why (strength), main confusion points or friction (confusion), dominant objections or concerns (objection) and purchase/conversion readiness (conversion). Quote up to 3 comments as evidence for each.
+- recommendations: The top 3-5 changes ranked by potential impact (not just frequency), most impactful first. Each needs a specific, testable change, why it matters (evidence from comments) and the expected outcome.
+- content_adjustments: Hook/thumbnail insights, messaging improvements and call-to-action suggestions.
+- action_items: Up to 10 concrete next steps the creator can check off, most important first.
 
 **Rules:**
 - Base insights ONLY on comment evidence
 - No speculation about psychology or causality
-- State confidence level (high/medium/low) for each insight
-- Prioritize actionable changes over observations`;
+- State confidence (high/medium/low) for each finding and recommendation
+- Prioritize actionable changes over observations
+- Write every text field in markdown-free plain sentences`;
 
   if (marketingContext) {
     prompt += `
 
 ---
-## MARKETING ANALYSIS
+## Marketing Analysis (marketing_insights)
 
 Product Description: "${marketingContext.description}"
 
-Based on the comments AND the product image provided, analyze:
-
-**MARKETING_INSIGHTS_START**
-### Perception vs Positioning
-[How audience perceives the product vs intended positioning]
-
-### Messaging Gaps
-[Visual/messaging resonance issues identified from comments]
-
-### Platform Strategy
-[Specific ${platform} content strategy improvements]
-
-### Creative Tests
-[Testable creative adjustments with expected outcomes]
-**MARKETING_INSIGHTS_END**
+Based on the comments AND the product image provided, fill in:
+- perception_vs_positioning: How the audience perceives the product vs its intended positioning
+- messaging_gaps: Visual/messaging resonance issues identified from comments
+- platform_strategy: Specific ${platform} content strategy improvements
+- creative_tests: Testable creative adjustments with expected outcomes
 
 **Important:** Image insights are hypotheses only. Comment evidence takes precedence.`;
   }
@@ -427,17 +284,17 @@ Based on the comments AND the product image provided, analyze:
     prompt += `
 
 ---
-## VIDEO SCORE (0-100)
+## Video Score (score)
 
-IMPORTANT: Analyze the SPECIFIC comments above and assign a PRECISE score. Do NOT default to generic middle scores like 50 or 55. Every video is different - your score should reflect THIS video's actual performance.
+IMPORTANT: Analyze the SPECIFIC comments above and assign PRECISE component scores. Do NOT default to generic middle scores. Every video is different - your scores should reflect THIS video's actual performance.
 
-Score based on comment evidence:
-- Audience Engagement Quality (40%): Are comments substantive discussions or just "nice video" spam?
-- Content-Audience Fit (30%): Do viewers understand and resonate, or are they confused/off-topic?
-- Conversion Signals (20%): Purchase intent, action-taking, questions about how to apply the content
-- Red Flags (-10%): Complaints, negative sentiment, clickbait backlash, viewer disappointment
+Score each component based on comment evidence, with a brief reason:
+- engagement (0-40): Are comments substantive discussions or just "nice video" spam?
+- content_fit (0-30): Do viewers understand and resonate, or are they confused/off-topic?
+- conversion (0-20): Purchase intent, action-taking, questions about how to apply the content
+- red_flags (0-10, subtracted): Complaints, negative sentiment, clickbait backlash, viewer disappointment
 
-**Scoring Reference:**
+The overall score is engagement + content_fit + conversion - red_flags. Use this reference for the total:
 - 85-100: Exceptional - Comments show deep engagement, questions, sharing intent, purchase signals
 - 70-84: Strong - Mostly positive with substantive feedback, clear audience connection
 - 55-69: Average - Generic positive reactions, some engagement but lacks depth
@@ -445,28 +302,11 @@ Score based on comment evidence:
 - 25-39: Poor - Significant negative feedback, audience mismatch, complaints
 - 0-24: Critical - Overwhelmingly negative, misleading content, audience rejection
 
-**REQUIRED OUTPUT FORMAT (at END of analysis):**
-
-**SCORE_BREAKDOWN_START**
-- Engagement: [0-40]/40 - [brief reason]
-- Content Fit: [0-30]/30 - [brief reason]
-- Conversion: [0-20]/20 - [brief reason]
-- Red Flags: -[0-10]/10 - [brief reason]
-**SCORE_BREAKDOWN_END**
-
-**Overall Score: [YOUR CALCULATED NUMBER]/100**
-
-**Priority Improvement:** [The single most impactful change based on comment evidence]
-
-[2-3 sentences explaining WHY this specific score, citing specific comment patterns or quotes]`;
+Also give priority_improvement (the single most impactful change based on comment evidence) and an explanation of 2-3 sentences citing specific comment patterns or quotes.`;
   }
 
   // Add notes reality check if creator provided notes
   if (creatorNotes && creatorNotes.trim()) {
-    const selfAwarenessRating = harshFeedback
-      ? 'Accurate / Partially Accurate / Delusional'
-      : 'Accurate / Partially Accurate / Needs Recalibration';
-
     const directnessNote = harshFeedback
       ? 'Be direct. If the creator is wrong, tell them clearly with evidence from the comments.'
       : 'Be honest but constructive. If the creator\'s perception differs from reality, explain the gap with evidence and suggest how they can recalibrate their understanding.';
@@ -474,15 +314,15 @@ Score based on comment evidence:
     prompt += `
 
 ---
-## CREATOR SELF-ASSESSMENT CHECK
+## Creator Self-Assessment Check (notes_assessment)
 
 The creator believes: "${creatorNotes}"
 
 Compare their self-assessment against actual audience reactions:
-- Where is the creator RIGHT about what worked?
-- Where is the creator's perception different from audience reality?
-- What blind spots might the creator have?
-- Rate their self-awareness: ${selfAwarenessRating}
+- right_about: Where the creator is RIGHT about what worked
+- blind_spots: Where the creator's perception differs from audience reality, and what they might be missing
+- rating: How self-aware the creator is
+- summary: One or two sentences explaining the rating
 
 ${directnessNote}`;
   }
@@ -492,58 +332,33 @@ ${directnessNote}`;
     prompt += `
 
 ---
-## COMPETITOR INTELLIGENCE ANALYSIS
+## Competitor Intelligence Analysis (competitor_analysis)
 
 You are analyzing a COMPETITOR'S video. The goal is to extract actionable intelligence that can be used against them.
 
-**COMPETITOR_ANALYSIS_START**
-
-### What Makes This Work
-Identify 3-5 specific tactics this competitor uses that clearly resonate with their audience:
-- Hook/opening strategy
-- Content structure and pacing
-- Call-to-action approach
-- Audience engagement techniques
-- Unique value proposition
-
-### Steal-Worthy Elements
-What specific elements could be adapted/copied ethically:
-- Exact phrases or talking points that get engagement
-- Visual or formatting patterns
-- Topics or angles that resonate
-- Thumbnail/title patterns (if discernible from comments)
-
-### Their Weaknesses
-Where is the competitor vulnerable? What complaints or confusion exists:
-- Unmet audience needs mentioned in comments
-- Questions they fail to answer
-- Criticism or pushback patterns
-- Gaps in their content
-
-### Audience Profile
-Based on who's commenting, describe this competitor's audience:
-- Demographics signals (language, interests, knowledge level)
-- Pain points and desires expressed
-- What triggers engagement vs. passive viewing
-
-### Counter-Strategy
-How to compete directly with this content:
-- Differentiation opportunities
-- Underserved segments of their audience
-- Better ways to deliver similar value
-
-**COMPETITOR_ANALYSIS_END**`;
+- what_works: 3-5 specific tactics that clearly resonate with their audience (hook/opening, structure and pacing, call-to-action, engagement techniques, unique value proposition)
+- steal_worthy: Elements that could be adapted ethically (phrases or talking points that get engagement, visual or formatting patterns, topics or angles, thumbnail/title patterns if discernible from comments)
+- weaknesses: Where the competitor is vulnerable (unmet needs, unanswered questions, criticism, content gaps)
+- audience_profile: Who is commenting - demographic signals, pain points and desires, what triggers engagement vs. passive viewing
+- counter_strategy: Differentiation opportunities, underserved segments, better ways to deliver similar value`;
 
     if (competitorNotes && competitorNotes.trim()) {
       prompt += `
-
-### User's Specific Question
-The user wants to understand: "${competitorNotes}"
-
-Make sure to directly address this question with specific evidence from the comments.`;
+- user_question_answer: The user wants to understand: "${competitorNotes}". Answer directly with specific evidence from the comments.`;
+    } else {
+      prompt += `
+- user_question_answer: null`;
     }
   }
 
+  const schema = buildAnalysisSchema({
+    score: isMyVideo,
+    notesAssessment: !!(creatorNotes && creatorNotes.trim()),
+    marketing: !!marketingContext,
+    competitor: isCompetitor,
+    harshFeedback,
+  });
+
   // Build messages array — use multimodal content if we have images
   const hasImages = !!(videoFrames?.length > 0) || !!(marketingContext?.image_base64);
   const messages = [];
@@ -591,34 +406,28 @@ Make sure to directly address this question with specific evidence from the comm
     messages.push({ role: 'user', content: prompt });
   }
 
-  // Choose model — gpt-4o for vision, gpt-4o-mini for text-only
-  const model = hasImages ? 'gpt-4o' : 'gpt-4o-mini';
-  const maxTokens = hasImages ? 3000 : 2000;
+  // Vision-capable model when images are attached, cheaper text model otherwise
+  const task = hasImages ? 'vision' : 'analysis';
+  const maxTokens = hasImages ? 4000 : 3000; // JSON is wordier than the old markdown
 
-  console.log(`[AI] Sending request to OpenAI (model: ${model}). Prompt length: ${prompt.length} chars`);
+  console.log(`[AI] Sending request to ${describeTask(task)}. Prompt length: ${prompt.length} chars`);
   try {
-    const response = await openai.chat.completions.create({
-      model,
+    const response = await chat(task, {
       messages,
       temperature: 0.3,
-      max_tokens: maxTokens,
+      maxTokens,
+      responseFormat: {
+        type: 'json_schema',
+        json_schema: { name: 'comment_analysis', strict: true, schema },
+      },
     }, {
       timeout: 300000,
+      signal: options.signal,
     });
 
-    console.log('[AI] Received response from OpenAI');
-    const summary = response.choices[0].message.content;
-
-    // Log score section if this is a "my video" analysis
-    if (isMyVideo) {
-      console.log('[AI] My Video analysis - looking for score section...');
-      const scoreSection = summary.match(/VIDEO SCORE[\s\S]*$/i);
-      if (scoreSection) {
-        console.log('[AI] Score section found:', scoreSection[0].slice(0, 300));
-      } else {
-        console.log('[AI] No VIDEO SCORE section found. Last 500 chars:', summary.slice(-500));
-      }
-    }
+    console.log(`[AI] Received response from ${response.model}`);
+    const report = parseReport(response, schema);
+    if (digest) report.prevalence = digest.themes;
 
     let footer = `
 
@@ -626,75 +435,52 @@ Make sure to directly address this question with specific evidence from the comm
   **Analysis Transparency:**
   - Total Comments: ${comments.length.toLocaleString()}
   - Filtered Out: ${(comments.length - analysisComments.length).toLocaleString()} (generic/spam/duplicates)
-  - Analyzed: ${size.toLocaleString()} (${coveragePct.toFixed(0)}% coverage)
-  - Sampling Used: ${needsSampling ? 'Yes' : 'No'}`;
+  - Read by AI: ${analyzed.toLocaleString()} (${stats.coverage.toFixed(0)}% coverage${digest ? `, map-reduce over ${digest.chunks} batches` : ', sampled'})
+  - Keywords & Topics From: ${size.toLocaleString()} comments${needsSampling ? ' (stratified sample)' : ''}`;
+
+    if (digest?.failedChunks) {
+      footer += `\n  - Batches Failed: ${digest.failedChunks} of ${digest.chunks} (their comments are not counted)`;
+    }
 
     if (videoTranscript || videoFrames) {
       footer += `\n  - Video Enrichment: ${videoTranscript ? 'Transcript included' : 'No transcript'}${videoFrames ? `, ${videoFrames.length} frames analyzed` : ''}`;
     }
 
-    // Extract scoring data if this is a "my video" analysis
-    const videoScore = isMyVideo ? extractVideoScore(summary) : null;
-    const priorityImprovement = isMyVideo ? extractPriorityImprovement(summary) : null;
-    const scoreBreakdown = isMyVideo ? extractScoreBreakdown(summary) : null;
-    const notesAssessment = creatorNotes ? extractNotesAssessment(summary) : null;
-    const marketingInsights = marketingContext ? extractMarketingInsights(summary) : null;
-    const competitorAnalysis = isCompetitor ? extractCompetitorAnalysis(summary) : null;
-    const actionItems = extractActionItems(summary);
-
-    console.log('[OpenAI] Scoring extraction - isMyVideo:', isMyVideo, 'videoScore:', videoScore, 'priorityImprovement:', priorityImprovement ? 'found' : 'null', 'scoreBreakdown:', scoreBreakdown ? 'found' : 'null');
-    if (marketingInsights) {
-      console.log('[OpenAI] Marketing insights extracted:', marketingInsights.slice(0, 100) + '...');
-    }
-    if (competitorAnalysis) {
-      console.log('[OpenAI] Competitor analysis extracted:', competitorAnalysis.slice(0, 100) + '...');
-    }
-    if (actionItems.length > 0) {
-      console.log('[OpenAI] Action items extracted:', actionItems.length);
-    }
+    const videoScore = calculateVideoScore(report.score);
+    const actionItems = toActionItems(report);
 
-    // Clean summary by removing internal markers before returning
-    let cleanedSummary = summary
-      .replace(/\*\*SCORE_BREAKDOWN_START\*\*[\s\S]*?\*\*SCORE_BREAKDOWN_END\*\*/gi, '')
-      .replace(/\*\*ACTION_ITEMS_START\*\*[\s\S]*?\*\*ACTION_ITEMS_END\*\*/gi, '')
-      .replace(/\*\*COMPETITOR_ANALYSIS_START\*\*[\s\S]*?\*\*COMPETITOR_ANALYSIS_END\*\*/gi, '')
-      .replace(/\n{3,}/g, '\n\n') // Clean up extra newlines left behind
-      .trim();
+    console.log('[AI] Structured report - findings:', report.findings.length, 'recommendations:', report.recommendations.length, 'actionItems:', actionItems.length, 'videoScore:', videoScore);
 
     return {
-      summary: cleanedSummary + footer,
+      summary: renderAnalysisMarkdown(report) + footer,
+      report,
       keywords,
       themes,
-      stats: {
-        total: comments.length,
-        filtered: analysisComments.length,
-        analyzed: size,
-        coverage: coveragePct,
-        sampled: needsSampling,
-      },
+      stats,
       videoScore,
-      priorityImprovement,
-      scoreBreakdown,
-      notesAssessment,
-      marketingInsights,
-      competitorAnalysis,
+      priorityImprovement: report.score?.priority_improvement || null,
+      scoreBreakdown: toScoreBreakdown(report.score),
+      notesAssessment: report.notes_assessment
+        ? `${report.notes_assessment.rating} — ${report.notes_assessment.summary}`
+        : null,
+      marketingInsights: renderMarketingInsights(report.marketing_insights),
+      competitorAnalysis: renderCompetitorAnalysis(report.competitor_analysis),
       actionItems,
     };
 
   } catch (aiError) {
+    // A cancelled analysis is not an AI failure - let the job handle it
+    if (options.signal?.aborted) throw aiError;
+
     console.error('[AI] Analysis failed:', aiError);
 
     return {
-      summary: `**AI Analysis Unavailable:** ${aiError.message}\n\nKeywords and themes were still extracted from ${size} comments.`,
+      summary: `**AI Analysis Unavailable:** ${aiError.message}\n\nKeywords and topics were still extracted from ${size} comments.`,
+      aiFailed: true,
+      report: null,
       keywords,
       themes,
-      stats: {
-        total: comments.length,
-        filtered: analysisComments.length,
-        analyzed: size,
-        coverage: coveragePct,
-        sampled: needsSampling,
-      },
+      stats,
       videoScore: null,
       priorityImprovement: null,
       scoreBreakdown: null,
@@ -706,6 +492,34 @@ Make sure to directly address this question with specific evidence from the comm
   }
 }
 
+/**
+ * Parse and validate the structured report from a chat response
+ * @throws {Error} if the model refused, was cut off, or broke the schema
+ */
+function parseReport({ content, refusal, finishReason }, schema) {
+  if (refusal) {
+    throw new Error(`Model refused the request: ${refusal}`);
+  }
+  if (finishReason === 'length') {
+    throw new Error('Model response was cut off before the report was complete');
+  }
+
+  let report;
+  try {
+    report = JSON.parse(content);
+  } catch {
+    throw new Error('Model returned invalid JSON');
+  }
+
+  const { valid, errors } = validateAgainstSchema(report, schema);
+  if (!valid) {
+    console.error('[AI] Report failed schema validation:', errors.slice(0, 10));
+    throw new Error(`Model response did not match the report schema (${errors[0]})`);
+  }
+
+  return report;
+}
+
 // Helper function
 function shuffleArray(array) {
   const shuffled = [...array];
@@ -0,0 +1,107 @@
+/**
+ * Platform Registry
+ * Every supported network is a PlatformAdapter. Routes, the scheduler, the
+ * job worker and billing look platforms up here instead of branching on the
+ * platform name, so a new network only needs an adapter and a register call.
+ *
+ * PlatformAdapter contract:
+ * - id, name                 - 'youtube', 'YouTube'
+ * - domains, domainError     - allowed URL hostnames and the error shown otherwise
+ * - detailsErrorHint         - extra help shown when getDetails fails
+ * - pricing                  - { per, tokens }: tokens charged per `per` comments scraped
+ * - supportsReplies          - whether scrapeComments can fetch reply threads
+ * - supportsEngagement       - whether engagement validation has benchmarks for it
+ * - supportsCollections      - whether channel/playlist URLs are accepted; their getDetails(id, options)
+ *                              returns { isCollection: true, videos, ... } for the whole batch
+ * - supportsIncremental      - whether scrapeComments honors `since`, so scheduled runs can scrape only new comments
+ * - extractId(url)           - resolve a URL to the platform's video id (throws if invalid)
+ * - getDetails(id)           - { id, title, commentCount, viewCount, likeCount, ... }
+ * - countComments(id)        - { count, estimated }
+ * - checkQuota(details, opts) - optional, for APIs with a daily quota; opts { commentCount, includeReplies };
+ *                              resolves { units, remaining, daily_limit, reset_at, must_wait, exceeds_daily_limit }
+ * - reserveQuota(analysisId, units) - optional, with checkQuota; holds the units atomically and resolves
+ *                              checkQuota's result plus reserved (false when they don't fit today)
+ * - releaseQuota(analysisId) - optional, gives the hold back once the scrape has ended
+ * - scrapeComments(id, opts) - opts { cursor, maxComments, onProgress, onCheckpoint, signal, includeReplies, details, since, sinceByVideo };
+ *                              resolves { comments, cursor } where cursor resumes after the
+ *                              last fully read page (null once every comment was read).
+ *                              onCheckpoint(cursor, comments) is called after each fully read page
+ *                              with that cursor and the comments collected up to it
+ *                              since ({ id, publishedAt }) marks the newest comment already analyzed;
+ *                              scrapers that read newest-first stop there, and the job drops
+ *                              older comments either way; sinceByVideo (video_id -> marker) does the
+ *                              same per video for channels and playlists
+ */
+
+import { createYouTubeAdapter } from './youtubeAdapter.js';
+import { createTikTokAdapter } from './tiktokAdapter.js';
+import { createRedditAdapter } from './redditAdapter.js';
+
+const platforms = new Map();
+
+/**
+ * Add a platform adapter to the registry
+ */
+export function registerPlatform(adapter) {
+  platforms.set(adapter.id, adapter);
+}
+
+/**
+ * Look up a platform adapter
+ * @returns {object|null} null when the platform is not supported
+ */
+export function getPlatform(id) {
+  return platforms.get(id) || null;
+}
+
+/**
+ * Public description of every supported platform
+ */
+export function listPlatforms() {
+  return [...platforms.values()].map(adapter => ({
+    id: adapter.id,
+    name: adapter.name,
+    domains: adapter.domains,
+    pricing: adapter.pricing,
+    supports_replies: adapter.supportsReplies,
+    supports_engagement: adapter.supportsEngagement,
+    supports_collections: !!adapter.supportsCollections,
+    supports_incremental: !!adapter.supportsIncremental,
+  }));
+}
+
+/**
+ * Check that a URL is a well-formed http(s) link on one of the platform's
+ * domains before anything fetches it (prevents SSRF)
+ * @returns {{ adapter: object } | { error: string }}
+ */
+export function validatePlatformUrl(platformId, url) {
+  const adapter = getPlatform(platformId);
+  if (!adapter) {
+    return { error: `Invalid platform. Use ${[...platforms.keys()].map(id => `"${id}"`).join(' or ')}.` };
+  }
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch {
+    return { error: 'Invalid URL format' };
+  }
+
+  // Only allow https (and http for local dev)
+  if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+    return { error: 'Only HTTP/HTTPS URLs are allowed' };
+  }
+
+  if (!adapter.domains.includes(parsedUrl.hostname.toLowerCase())) {
+    return { error: adapter.domainError };
+  }
+
+  return { adapter };
+}
+
+registerPlatform(createYouTubeAdapter());
+registerPlatform(createTikTokAdapter());
+registerPlatform(createRedditAdapter());
+
+export default { registerPlatform, getPlatform, listPlatforms, validatePlatformUrl };
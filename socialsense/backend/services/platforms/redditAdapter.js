@@ -0,0 +1,50 @@
+/**
+ * Reddit Platform Adapter
+ */
+
+import { TOKEN_COSTS } from '../../config/stripe.js';
+import { extractRedditPostId, getRedditPostDetails, scrapeRedditComments } from '../reddit.js';
+
+export function createRedditAdapter() {
+  return {
+    id: 'reddit',
+    name: 'Reddit',
+    domains: ['reddit.com', 'www.reddit.com', 'old.reddit.com', 'new.reddit.com', 'np.reddit.com', 'm.reddit.com', 'redd.it'],
+    domainError: 'URL must be from reddit.com or redd.it',
+    detailsErrorHint: 'Use the link to the post itself. Private and quarantined subreddits cannot be analyzed.',
+    pricing: { per: 1000, tokens: TOKEN_COSTS.reddit_per_1000_comments },
+    supportsReplies: true, // The whole comment tree is always scraped
+    supportsEngagement: false, // No view counts or platform benchmarks
+    supportsCollections: false,
+    supportsIncremental: true,
+
+    extractId(url) {
+      return extractRedditPostId(url);
+    },
+
+    getDetails(postId) {
+      return getRedditPostDetails(postId);
+    },
+
+    async countComments(postId) {
+      const details = await getRedditPostDetails(postId);
+      return { count: details.commentCount, estimated: false };
+    },
+
+    async scrapeComments(postId, { cursor = null, maxComments, onProgress, onCheckpoint, signal, since } = {}) {
+      let next = cursor;
+      const comments = await scrapeRedditComments(postId, maxComments, onProgress, {
+        signal,
+        cursor,
+        since,
+        onPage: (nextCursor, collected) => {
+          next = nextCursor;
+          onCheckpoint?.(nextCursor, collected);
+        },
+      });
+      return { comments, cursor: next };
+    },
+  };
+}
+
+export default { createRedditAdapter };
@@ -0,0 +1,76 @@
+/**
+ * TikTok Platform Adapter
+ */
+
+import { TOKEN_COSTS } from '../../config/stripe.js';
+import {
+  extractTikTokVideoId,
+  getTikTokVideoDetails,
+  getTikTokCommentCount,
+  scrapeTikTokComments,
+} from '../tiktok.js';
+
+export function createTikTokAdapter() {
+  return {
+    id: 'tiktok',
+    name: 'TikTok',
+    domains: ['tiktok.com', 'www.tiktok.com', 'vm.tiktok.com', 'm.tiktok.com'],
+    domainError: 'URL must be from tiktok.com',
+    detailsErrorHint: 'TikTok URLs can be tricky. Make sure to use the full video URL.',
+    pricing: { per: 100, tokens: TOKEN_COSTS.tiktok_per_100_comments },
+    supportsReplies: true,
+    supportsEngagement: true,
+    supportsCollections: false,
+    // The comment list is not in time order, so a scrape can't stop at the last run's comments
+    supportsIncremental: false,
+
+    extractId(url) {
+      return extractTikTokVideoId(url);
+    },
+
+    countComments(videoId) {
+      return getTikTokCommentCount(videoId);
+    },
+
+    async getDetails(videoId) {
+      const details = await getTikTokVideoDetails(videoId);
+      let commentCount = details.commentCount || 0;
+
+      // If we didn't get metrics from the page, fall back to comment count API
+      if (commentCount === 0) {
+        commentCount = (await getTikTokCommentCount(videoId)).count;
+      }
+
+      console.log(`[TikTok] Video details: views=${details.viewCount}, likes=${details.likeCount}, hasMetrics=${details.hasMetrics}`);
+
+      return {
+        id: videoId,
+        title: details.title || 'TikTok Video',
+        channelTitle: details.channelTitle || 'Unknown',
+        viewCount: details.viewCount || 0,
+        likeCount: details.likeCount || 0,
+        commentCount,
+        shareCount: details.shareCount || 0,
+        hasMetrics: details.hasMetrics || false,
+        authorId: details.authorId || null,
+      };
+    },
+
+    async scrapeComments(videoId, { cursor = 0, maxComments, onProgress, onCheckpoint, signal, includeReplies, details } = {}) {
+      let next = cursor;
+      const comments = await scrapeTikTokComments(videoId, maxComments, onProgress, {
+        signal,
+        includeReplies,
+        authorId: details?.authorId,
+        cursor,
+        onPage: (nextCursor, collected) => {
+          next = nextCursor;
+          onCheckpoint?.(nextCursor, collected);
+        },
+      });
+      return { comments, cursor: next };
+    },
+  };
+}
+
+export default { createTikTokAdapter };
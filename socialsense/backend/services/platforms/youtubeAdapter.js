@@ -0,0 +1,97 @@
+/**
+ * YouTube Platform Adapter
+ * Handles single videos as well as channels and playlists, whose ids come
+ * from extractCollectionId ('channel:UC...', 'handle:@name', 'playlist:PL...').
+ */
+
+import { TOKEN_COSTS } from '../../config/stripe.js';
+import {
+  extractVideoId,
+  extractCollectionId,
+  isCollectionId,
+  getVideoDetails,
+  getCollectionDetails,
+  scrapeYouTubeComments,
+  scrapeYouTubeCollection,
+} from '../youtube.js';
+import { checkQuota, estimateScrapeUnits, reserveQuota, releaseQuota } from '../youtubeQuota.js';
+
+export function createYouTubeAdapter() {
+  return {
+    id: 'youtube',
+    name: 'YouTube',
+    domains: ['youtube.com', 'www.youtube.com', 'youtu.be', 'm.youtube.com'],
+    domainError: 'URL must be from youtube.com or youtu.be',
+    detailsErrorHint: 'Make sure your YouTube API key is valid and has quota remaining.',
+    pricing: { per: 1000, tokens: TOKEN_COSTS.youtube_per_1000_comments },
+    supportsReplies: true,
+    supportsEngagement: true,
+    supportsCollections: true,
+    supportsIncremental: true,
+
+    async extractId(url) {
+      const id = extractVideoId(url) || extractCollectionId(url);
+      if (!id) throw new Error('Invalid YouTube URL. Could not extract a video, channel or playlist.');
+      return id;
+    },
+
+    /**
+     * @param {object} [options] - { maxVideos, perVideoComments } for channels and playlists
+     */
+    getDetails(id, options = {}) {
+      return isCollectionId(id) ? getCollectionDetails(id, options) : getVideoDetails(id);
+    },
+
+    /**
+     * Whether scraping `commentCount` comments fits in today's API quota
+     */
+    checkQuota(details, { commentCount, includeReplies = false }) {
+      return checkQuota(estimateScrapeUnits({
+        commentCount,
+        includeReplies,
+        videoCount: details?.isCollection ? details.videoCount : 0,
+      }));
+    },
+
+    /**
+     * Hold the units checkQuota estimated for an analysis until its scrape ends
+     */
+    reserveQuota(analysisId, units) {
+      return reserveQuota(analysisId, units);
+    },
+
+    releaseQuota(analysisId) {
+      return releaseQuota(analysisId);
+    },
+
+    async countComments(id) {
+      const details = await this.getDetails(id);
+      return { count: details.commentCount, estimated: false };
+    },
+
+    async scrapeComments(id, { cursor = null, maxComments, onProgress, onCheckpoint, signal, includeReplies, details, since, sinceByVideo } = {}) {
+      // Channels and playlists are scraped whole; there is no page token to resume from or checkpoint
+      if (isCollectionId(id)) {
+        const collection = details?.isCollection ? details : await getCollectionDetails(id);
+        const comments = await scrapeYouTubeCollection(collection, maxComments, onProgress, { signal, includeReplies, since, sinceByVideo });
+        return { comments, cursor: null };
+      }
+
+      let next = cursor;
+      const comments = await scrapeYouTubeComments(id, maxComments, onProgress, {
+        signal,
+        includeReplies,
+        channelId: details?.channelId,
+        cursor,
+        since,
+        onPage: (pageToken, collected) => {
+          next = pageToken;
+          onCheckpoint?.(pageToken, collected);
+        },
+      });
+      return { comments, cursor: next };
+    },
+  };
+}
+
+export default { createYouTubeAdapter };
@@ -0,0 +1,202 @@
+/**
+ * Question Mining
+ * Finds the questions viewers ask, with or without a question mark: "how do
+ * you get that sound", "¿dónde compraste la cámara", "does anyone know the
+ * song". Questions that ask the same thing in different words are grouped by
+ * the keywords they share (IDF-weighted cosine), and groups are ranked by how
+ * often they were asked and how many likes they got. Where reply threads were
+ * scraped, each group records whether the creator answered it.
+ */
+
+import { tokenize, isKeywordCandidate } from './language.js';
+
+const QUESTION_MARK = /[?？¿]/;
+
+// Words that open a question on their own, in the languages told apart by their words
+const QUESTION_WORDS = new Set([
+  'what', "what's", 'whats', 'why', 'how', "how's", 'hows', 'when', 'where', "where's", 'wheres',
+  'who', "who's", 'which', 'whose',
+  'qué', 'cómo', 'cuándo', 'dónde', 'cuál', 'cuáles', 'quién', 'quiénes', 'cuánto', 'cuánta', 'cuántos', 'cuántas',
+  'onde', 'quais', 'quem', 'quantos', 'quantas',
+  'pourquoi', 'quand', 'où', 'quel', 'quelle', 'quels', 'quelles', 'combien',
+  'warum', 'wieso', 'weshalb', 'wann', 'wo', 'welche', 'welcher', 'welches', 'wer', 'wie',
+]);
+const QUESTION_OPENERS = ['por qué', 'por que', 'est ce que', 'como faço', 'como fazer', 'gibt es', 'kann man'];
+
+// "Can you", "is there", "does anyone": an auxiliary only asks when a subject follows it
+const AUXILIARIES = new Set([
+  'can', 'could', 'would', 'will', 'should', 'shall', 'may', 'might', 'do', 'does', 'did',
+  'is', 'are', 'am', 'was', 'were', 'has', 'have', 'had',
+  "don't", "doesn't", "didn't", "isn't", "aren't", "wasn't", "won't", "wouldn't", "couldn't", "shouldn't", "haven't",
+]);
+const SUBJECTS = new Set([
+  'i', 'you', 'u', 'ya', "y'all", 'we', 'they', 'he', 'she', 'it', 'this', 'that', 'these', 'those',
+  'there', 'anyone', 'anybody', 'someone', 'somebody',
+]);
+// "When I saw this", "what I love": a question word followed by these starts a statement
+const STATEMENT_SUBJECTS = new Set(['i', "i'm", 'im', 'we']);
+const CLAUSE_WORDS = new Set(['when', 'where', 'wenn', 'quand', 'cuando', 'quando']);
+
+const QUESTION_PHRASES = /\b(?:does anyone know|anyone know|anybody know|i wonder|i was wondering|i'm wondering|any (?:tips|advice|ideas?|recommendations)|can (?:you|someone|anyone|somebody) (?:please )?(?:explain|tell|share|recommend|help|make|show)|please (?:explain|tell)|alguien sabe|alguém sabe|quelqu'un sait|weiß jemand)\b/;
+// Roll calls ("who's watching in 2025", "anyone else here") look like questions but ask for nothing
+const REMARKS = /\b(?:who(?:'s| is)? (?:else|still|here)|(?:anyone|anybody) (?:else )?(?:here|watching)|still watching)\b/;
+const EXCLAMATIONS = /^(?:what an? |how (?:cool|cute|amazing|beautiful|sweet|funny|nice|awesome|great|lucky|sad)\b)/;
+
+const MAX_QUESTION_LENGTH = 300;
+// Questions this close in keywords ask the same thing
+export const GROUP_SIMILARITY = 0.5;
+// Most-liked questions grouped per analysis; grouping compares each to every group
+const MAX_QUESTIONS = 2000;
+const MAX_GROUPS = 100;
+const MAX_VARIANTS = 3;
+
+function splitSentences(text) {
+  return String(text || '')
+    .replace(/[’`]/g, "'")
+    .split(/(?<=[.!?？。！])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Whether one sentence asks something
+ */
+export function isQuestionSentence(sentence) {
+  // Mentions and timestamps ("@ana 2:31 what song is this") come before the question
+  const lower = sentence.toLowerCase().replace(/^(?:@\S+\s*|\d{1,2}:\d{2}(?::\d{2})?\s*)+/, '');
+  if (REMARKS.test(lower)) return false;
+  if (QUESTION_MARK.test(lower)) return true;
+  if (/!\s*$/.test(lower) || EXCLAMATIONS.test(lower)) return false;
+  if (QUESTION_PHRASES.test(lower)) return true;
+
+  const words = tokenize(lower);
+  const [first, second] = words;
+  if (!first) return false;
+  if (QUESTION_OPENERS.some(opener => words.slice(0, opener.split(' ').length).join(' ') === opener)) return true;
+  if (QUESTION_WORDS.has(first)) {
+    if (STATEMENT_SUBJECTS.has(second)) return false;
+    return !(CLAUSE_WORDS.has(first) && SUBJECTS.has(second));
+  }
+  return AUXILIARIES.has(first) && SUBJECTS.has(second);
+}
+
+/**
+ * The sentences of a comment that ask something
+ * @returns {string[]}
+ */
+export function questionSentences(text) {
+  return splitSentences(text).filter(isQuestionSentence);
+}
+
+/**
+ * Whether a comment asks a question
+ */
+export function isQuestion(text) {
+  return questionSentences(text).length > 0;
+}
+
+// "cameras" and "camera" ask about the same thing
+const singular = word => (word.length > 4 && /[^s]s$/.test(word) ? word.slice(0, -1) : word);
+
+function termsOf(text, stopWords) {
+  return [...new Set(tokenize(text).filter(word => isKeywordCandidate(word) && !stopWords?.has(word)).map(singular))];
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let sum = 0;
+  for (const [term, weight] of small) {
+    if (large.has(term)) sum += weight * large.get(term);
+  }
+  return sum;
+}
+
+/**
+ * Whether the creator answered a question, from the flags processComments sets
+ * @returns {'answered'|'unanswered'|null} null when its thread is unknown
+ */
+function answerStatus(comment) {
+  if (comment.is_answered_question) return 'answered';
+  if (comment.is_unanswered_question) return 'unanswered';
+  return null;
+}
+
+/**
+ * Group and rank the questions in a set of comments
+ * @param {Array} comments - processed comments (text, likes, parent_id, is_unanswered_question, is_answered_question)
+ * @param {object} [options] - { stopWords: Set of the user's custom stop-words }
+ * @returns {{ total: number, grouped: number, answered: number, unanswered: number, groups: Array }|null}
+ *   null without questions; groups are most asked first
+ */
+export function mineQuestions(comments, { stopWords = null } = {}) {
+  const asked = [];
+  for (const comment of comments || []) {
+    if (comment.parent_id || comment.is_emoji_only) continue;
+    const sentences = questionSentences(comment.text);
+    if (!sentences.length) continue;
+    const question = sentences.join(' ');
+    asked.push({
+      comment,
+      question: question.length > MAX_QUESTION_LENGTH ? `${question.slice(0, MAX_QUESTION_LENGTH - 3)}...` : question,
+      status: answerStatus(comment),
+    });
+  }
+  if (!asked.length) return null;
+
+  // The most liked question of a group leads it and names it
+  const ranked = [...asked]
+    .sort((a, b) => (b.comment.likes || 0) - (a.comment.likes || 0))
+    .slice(0, MAX_QUESTIONS);
+  const terms = ranked.map(q => termsOf(q.question, stopWords));
+  const df = new Map();
+  for (const own of terms) {
+    for (const term of own) df.set(term, (df.get(term) || 0) + 1);
+  }
+  const vectors = terms.map((own) => {
+    const weighted = own.map(term => [term, Math.log((1 + ranked.length) / (1 + df.get(term))) + 1]);
+    const norm = Math.sqrt(weighted.reduce((sum, [, w]) => sum + w * w, 0));
+    return new Map(weighted.map(([term, w]) => [term, w / norm]));
+  });
+
+  const groups = [];
+  ranked.forEach((entry, i) => {
+    // "Why?" and "how??" share no keywords with anything; they stay on their own
+    const group = vectors[i].size
+      ? groups.find(g => g.vector.size && cosine(vectors[i], g.vector) >= GROUP_SIMILARITY)
+      : null;
+    if (group) group.members.push(entry);
+    else groups.push({ vector: vectors[i], members: [entry] });
+  });
+
+  const described = groups
+    .map(({ members }) => {
+      const likes = members.reduce((sum, m) => sum + (m.comment.likes || 0), 0);
+      const answered = members.filter(m => m.status === 'answered').length;
+      const unanswered = members.filter(m => m.status === 'unanswered').length;
+      return {
+        question: members[0].question,
+        user: members[0].comment.user || null,
+        count: members.length,
+        likes,
+        score: Math.round((members.length + Math.log2(1 + likes)) * 100) / 100,
+        status: answered ? 'answered' : unanswered ? 'unanswered' : null,
+        answered,
+        unanswered,
+        variants: [...new Set(members.slice(1).map(m => m.question))]
+          .filter(text => text !== members[0].question)
+          .slice(0, MAX_VARIANTS),
+        first_asked: members.map(m => m.comment.publishedAt).filter(Boolean).sort()[0] || null,
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.likes - a.likes || a.question.localeCompare(b.question));
+
+  return {
+    total: asked.length,
+    grouped: described.length,
+    answered: described.filter(g => g.status === 'answered').length,
+    unanswered: described.filter(g => g.status === 'unanswered').length,
+    groups: described.slice(0, MAX_GROUPS),
+  };
+}
+
+export default { mineQuestions, isQuestion, questionSentences, isQuestionSentence, GROUP_SIMILARITY };
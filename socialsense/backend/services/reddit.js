@@ -0,0 +1,295 @@
+import axios from 'axios';
+
+const REDDIT_URL = 'https://www.reddit.com';
+// Reddit throttles generic user agents, so identify the app
+const USER_AGENT = 'web:socialsense:v1.0 (comment analysis)';
+const MORE_BATCH_SIZE = 100; // morechildren accepts at most 100 ids per request
+const MAX_RETRIES = 3;
+const REQUEST_DELAY_MS = 600;
+
+const UNUSABLE_BODIES = ['[deleted]', '[removed]'];
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Extract the post ID from a Reddit URL
+ * Handles /comments/<id>/ links, redd.it short links and /s/ share links
+ */
+export async function extractRedditPostId(url) {
+  try {
+    let match = url.match(/\/comments\/([a-z0-9]+)/i);
+    if (match) return match[1];
+
+    match = url.match(/redd\.it\/([a-z0-9]+)/i);
+    if (match) return match[1];
+
+    // Share links (/r/<sub>/s/<token>) redirect to the post
+    if (/\/s\/[a-z0-9]+/i.test(url)) {
+      const response = await axios.get(url, {
+        maxRedirects: 5,
+        timeout: 10000,
+        headers: { 'User-Agent': USER_AGENT },
+        validateStatus: () => true,
+      });
+
+      const finalUrl = response.request?.res?.responseUrl || response.headers?.location || url;
+      match = finalUrl.match(/\/comments\/([a-z0-9]+)/i);
+      if (match) return match[1];
+    }
+
+    throw new Error('Could not extract Reddit post ID from URL');
+  } catch (error) {
+    console.error('Reddit URL resolution error:', error.message);
+    throw new Error(`Failed to resolve Reddit URL: ${error.message}`);
+  }
+}
+
+/**
+ * GET a Reddit JSON endpoint, retrying with exponential backoff
+ */
+async function fetchJson(path, params, { signal } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await axios.get(`${REDDIT_URL}${path}`, {
+        params: { raw_json: 1, ...params },
+        headers: { 'User-Agent': USER_AGENT, 'Accept': 'application/json' },
+        timeout: 15000,
+        signal,
+      });
+      return response.data;
+    } catch (error) {
+      if (signal?.aborted || attempt >= MAX_RETRIES || error.response?.status === 404) throw error;
+
+      console.warn(`[Reddit] Request failed (attempt ${attempt}/${MAX_RETRIES}):`, error.message);
+      await delay(Math.pow(2, attempt) * 1000);
+    }
+  }
+}
+
+/**
+ * Get Reddit post details
+ * @returns {Promise<{id, title, channelTitle, commentCount, likeCount, viewCount, ...}>}
+ */
+export async function getRedditPostDetails(postId) {
+  const [postListing] = await fetchJson(`/comments/${postId}.json`, { limit: 1 });
+  const post = postListing?.data?.children?.[0]?.data;
+  if (!post) throw new Error('Reddit post not found');
+
+  return {
+    id: postId,
+    title: post.title,
+    channelTitle: `r/${post.subreddit}`,
+    subreddit: post.subreddit,
+    author: post.author,
+    description: post.selftext || '',
+    publishedAt: new Date(post.created_utc * 1000).toISOString(),
+    commentCount: post.num_comments || 0,
+    likeCount: post.score || 0,
+    upvoteRatio: post.upvote_ratio ?? null,
+    viewCount: 0, // Reddit does not expose views
+    hasMetrics: false,
+  };
+}
+
+const stripPrefix = (fullname) => fullname?.replace(/^t\d_/, '') || null;
+
+/**
+ * Convert a Reddit comment (t1) into our comment shape
+ */
+function toComment(data) {
+  const parentId = data.parent_id?.startsWith('t1_') ? stripPrefix(data.parent_id) : null;
+  return {
+    id: data.id,
+    parent_id: parentId,
+    user: data.author,
+    author_id: data.author_fullname || null,
+    text: data.body?.trim(),
+    likes: data.score || 0,
+    publishedAt: data.created_utc ? new Date(data.created_utc * 1000).toISOString() : null,
+    reply_count: 0,
+    depth: data.depth || 0,
+    is_creator_reply: !!parentId && !!data.is_submitter, // Replies from the original poster
+    is_pinned: !!data.stickied,
+  };
+}
+
+const isUsable = (comment) => comment.text && !UNUSABLE_BODIES.includes(comment.text);
+
+/**
+ * Flatten a comment listing depth-first, collecting "load more" stubs
+ * @returns {{ comments: Array, stubs: Array<{ parentId, children, depth }> }}
+ */
+function walkListing(listing, parentFullname = null) {
+  const comments = [];
+  const stubs = [];
+
+  for (const child of listing?.data?.children || []) {
+    if (child.kind === 'more') {
+      stubs.push({
+        parentId: child.data.parent_id || parentFullname,
+        children: child.data.children || [],
+        depth: child.data.depth || 0,
+      });
+      continue;
+    }
+    if (child.kind !== 't1') continue;
+
+    const comment = toComment(child.data);
+    const nested = walkListing(child.data.replies, child.data.name);
+    comment.reply_count = (child.data.replies?.data?.children || [])
+      .reduce((sum, reply) => sum + (reply.kind === 'more' ? reply.data.count || 0 : 1), 0);
+
+    comments.push(comment, ...nested.comments);
+    stubs.push(...nested.stubs);
+  }
+
+  return { comments, stubs };
+}
+
+/**
+ * Expand one "load more" stub. Stubs with ids go through morechildren; a stub
+ * without ids is a "continue this thread" link and is fetched as a sub-thread.
+ * @returns {Promise<{ comments: Array, stubs: Array }>}
+ */
+async function expandStub(postId, stub, { signal }) {
+  if (stub.children.length === 0) {
+    const parentId = stripPrefix(stub.parentId);
+    const [, listing] = await fetchJson(`/comments/${postId}/_/${parentId}.json`, {}, { signal });
+    // The listing starts with the parent comment itself, which we already have
+    const parent = listing?.data?.children?.[0];
+    return walkListing(parent?.data?.replies, parent?.data?.name);
+  }
+
+  const data = await fetchJson('/api/morechildren.json', {
+    api_type: 'json',
+    link_id: `t3_${postId}`,
+    children: stub.children.slice(0, MORE_BATCH_SIZE).join(','),
+    limit_children: false,
+  }, { signal });
+
+  const comments = [];
+  const stubs = [];
+  const byFullname = new Map();
+  // Things come back flat, in tree order, with parent_id links
+  for (const thing of data?.json?.data?.things || []) {
+    const parent = byFullname.get(thing.data.parent_id);
+    if (thing.kind === 't1') {
+      const comment = toComment(thing.data);
+      comments.push(comment);
+      byFullname.set(thing.data.name, comment);
+      if (parent) parent.reply_count++;
+    }
+    if (thing.kind === 'more') {
+      stubs.push({ parentId: thing.data.parent_id, children: thing.data.children || [], depth: thing.data.depth || 0 });
+      if (parent) parent.reply_count += thing.data.count || 0;
+    }
+  }
+
+  if (stub.children.length > MORE_BATCH_SIZE) {
+    stubs.unshift({ ...stub, children: stub.children.slice(MORE_BATCH_SIZE) });
+  }
+
+  return { comments, stubs };
+}
+
+/**
+ * Scrape the full comment tree of a Reddit post, including "load more" stubs
+ * Every comment carries id, parent_id (null for top-level), depth,
+ * reply_count and is_creator_reply (replies from the original poster).
+ * @param {object} options
+ * @param {AbortSignal} [options.signal] - when aborted, stops and returns the comments collected so far
+ * @param {object} [options.cursor] - { stubs } left over from an earlier scrape, to resume from
+ * @param {function} [options.onPage] - called with the cursor to resume from (null at the end) and the comments
+ *                                     collected so far after each fully read request
+ * @param {object} [options.since] - { publishedAt } of the newest comment already seen; top-level comments
+ *                                   are then read newest first and the scrape stops at the first older one
+ */
+export async function scrapeRedditComments(postId, maxComments = 1000, onProgress = null, options = {}) {
+  const { signal, onPage } = options;
+  const since = options.since ? new Date(options.since.publishedAt) : null;
+  const comments = [];
+  let queue = [];
+  let reachedSince = false;
+
+  console.log(`[Reddit] Starting scrape for post ${postId}, max ${maxComments} comments`);
+
+  // Threads whose top-level comment is older than the last run are skipped whole, like on YouTube
+  const newThreads = (page) => {
+    const oldIds = new Set();
+    let oldThread = false;
+    const kept = page.comments.filter((comment) => {
+      if (comment.depth === 0) {
+        oldThread = !!comment.publishedAt && new Date(comment.publishedAt) < since;
+        if (oldThread) reachedSince = true;
+      }
+      if (oldThread) oldIds.add(comment.id);
+      return !oldThread;
+    });
+    // Top-level "load more" stubs only hold older comments once one was reached
+    const stubs = page.stubs.filter(stub => (stub.depth === 0 ? !reachedSince : !oldIds.has(stripPrefix(stub.parentId))));
+    if (reachedSince) queue = queue.filter(stub => stub.depth !== 0);
+    return { comments: kept, stubs };
+  };
+
+  const collect = (found) => {
+    const page = since ? newThreads(found) : found;
+    const usable = page.comments.filter(isUsable);
+    const room = maxComments - comments.length;
+    comments.push(...usable.slice(0, room));
+    queue = [...page.stubs, ...queue];
+
+    if (usable.length <= room && !signal?.aborted) {
+      onPage?.(queue.length ? { stubs: [...queue] } : null, comments);
+    }
+    onProgress?.(comments.length);
+  };
+
+  try {
+    if (options.cursor?.stubs) {
+      queue = [...options.cursor.stubs];
+    } else {
+      const [, listing] = await fetchJson(`/comments/${postId}.json`, { limit: 500, sort: since ? 'new' : 'top' }, { signal });
+      collect(walkListing(listing));
+    }
+
+    while (queue.length && comments.length < maxComments && !signal?.aborted) {
+      await delay(REQUEST_DELAY_MS);
+      const stub = queue.shift();
+
+      try {
+        collect(await expandStub(postId, stub, { signal }));
+      } catch (error) {
+        if (signal?.aborted) break;
+        // Keep going; that branch of the tree is just left incomplete
+        console.warn('[Reddit] Could not load more comments:', error.message);
+      }
+    }
+  } catch (error) {
+    if (!signal?.aborted) {
+      console.error('[Reddit] Scrape error:', error.message);
+      if (comments.length === 0) {
+        if (error.response?.status === 404) throw new Error('Reddit post not found');
+        if (error.response?.status === 403) throw new Error('Reddit post is private or quarantined');
+        throw error;
+      }
+    }
+  }
+
+  // Replies loaded through "load more" arrive flat, so count collected children too
+  const childCounts = new Map();
+  for (const comment of comments) {
+    if (comment.parent_id) childCounts.set(comment.parent_id, (childCounts.get(comment.parent_id) || 0) + 1);
+  }
+  for (const comment of comments) {
+    comment.reply_count = Math.max(comment.reply_count, childCounts.get(comment.id) || 0);
+  }
+
+  console.log(`[Reddit] Scrape complete: ${comments.length} comments collected`);
+  return comments;
+}
+
+export default {
+  extractRedditPostId,
+  getRedditPostDetails,
+  scrapeRedditComments,
+};
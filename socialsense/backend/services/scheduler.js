@@ -5,12 +5,9 @@
 
 import cron from 'node-cron';
 import { supabaseAdmin } from '../config/supabase.js';
-import { TOKEN_COSTS } from '../config/stripe.js';
-import { extractVideoId, getVideoDetails, scrapeYouTubeComments } from './youtube.js';
-import { extractTikTokVideoId, getTikTokCommentCount, scrapeTikTokComments } from './tiktok.js';
-import { processComments, extractThemesAndKeywords } from './commentProcessor.js';
-import { analyzeComments } from './openai.js';
-import { aggregateSentiment } from './sentiment.js';
+import { getPlatform } from './platforms/index.js';
+import { calculateCostBreakdown, reserveTokens, refundReservation } from './billing.js';
+import { enqueueJob } from './jobQueue.js';
 
 // Track if scheduler is running to prevent overlap
 let isProcessing = false;
@@ -42,85 +39,48 @@ function calculateNextRun(frequency, fromDate = new Date()) {
   return next.toISOString();
 }
 
-/**
- * Calculate token cost for an analysis
- */
-function calculateTokenCost(platform, commentCount, includeText, includeMarketing) {
-  let cost = 0;
-
-  if (platform === 'youtube') {
-    cost += Math.max(1, Math.ceil(commentCount / 1000) * TOKEN_COSTS.youtube_per_1000_comments);
-  } else {
-    cost += Math.max(1, Math.ceil(commentCount / 100) * TOKEN_COSTS.tiktok_per_100_comments);
-  }
-
-  if (includeText) cost += TOKEN_COSTS.text_analysis;
-  if (includeMarketing) cost += TOKEN_COSTS.marketing_analysis;
-
-  return Math.max(1, cost);
-}
-
 /**
  * Run a single scheduled analysis
  */
 async function runScheduledAnalysis(schedule) {
-  const startTime = Date.now();
   console.log(`[Scheduler] Running scheduled analysis: ${schedule.id} for ${schedule.video_url}`);
 
   try {
     // 1. Get video details and comment count
-    let videoId, videoDetails;
-
-    if (schedule.platform === 'youtube') {
-      videoId = extractVideoId(schedule.video_url);
-      if (!videoId) {
-        throw new Error('Invalid YouTube URL');
-      }
-      videoDetails = await getVideoDetails(videoId);
-    } else if (schedule.platform === 'tiktok') {
-      videoId = await extractTikTokVideoId(schedule.video_url);
-      const countResult = await getTikTokCommentCount(videoId);
-      videoDetails = {
-        id: videoId,
-        title: schedule.video_title || 'TikTok Video',
-        commentCount: countResult.count
-      };
-    } else {
+    const adapter = getPlatform(schedule.platform);
+    if (!adapter) {
       throw new Error('Invalid platform');
     }
 
-    const commentsToFetch = Math.min(schedule.max_comments || 1000, videoDetails.commentCount || 1000, MAX_COMMENTS);
-
-    // 2. Calculate token cost
-    const tokenCost = calculateTokenCost(
-      schedule.platform,
-      commentsToFetch,
-      schedule.include_text_analysis,
-      schedule.include_marketing
-    );
-
-    // 3. Check user balance and deduct tokens
-    const { data: deductResult, error: deductError } = await supabaseAdmin.rpc('deduct_tokens', {
-      p_user_id: schedule.user_id,
-      p_amount: tokenCost,
-      p_description: `Scheduled ${schedule.platform} analysis: ${videoDetails.title || videoId}`,
-      p_metadata: { platform: schedule.platform, url: schedule.video_url, scheduled: true, schedule_id: schedule.id }
-    });
+    const videoId = await adapter.extractId(schedule.video_url);
+    const videoDetails = await adapter.getDetails(videoId);
 
-    if (deductError || !deductResult?.[0]?.success) {
-      const errorMsg = deductResult?.[0]?.message || 'Insufficient tokens';
-      console.log(`[Scheduler] Token deduction failed for schedule ${schedule.id}: ${errorMsg}`);
+    // Channels and playlists are budgeted per video, as when the analysis is started by hand
+    const commentsToFetch = videoDetails.isCollection
+      ? Math.min(videoDetails.commentCount, MAX_COMMENTS)
+      : Math.min(schedule.max_comments || 1000, videoDetails.commentCount || 1000, MAX_COMMENTS);
 
-      // Update schedule with error and pause it
+    // Same quota rules as an analysis started by hand: bigger than a whole day is refused
+    const quota = adapter.checkQuota ? await adapter.checkQuota(videoDetails, { commentCount: commentsToFetch }) : null;
+    if (quota?.exceeds_daily_limit) {
+      const message = `Needs about ${quota.units} ${adapter.name} API units, more than the ${quota.daily_limit} available per day`;
+      console.log(`[Scheduler] ${message} for schedule ${schedule.id}`);
       await supabaseAdmin.from('scheduled_analyses').update({
-        last_error: `Insufficient tokens (needed ${tokenCost})`,
+        last_error: message,
         is_active: false, // Pause the schedule
       }).eq('id', schedule.id);
-
-      return { success: false, error: errorMsg };
+      return { success: false, error: message };
     }
 
-    // 4. Create analysis record
+    // 2. Calculate token cost (incremental runs are settled down to the new comments)
+    const { total: tokenCost, breakdown: costBreakdown } = calculateCostBreakdown({
+      platform: schedule.platform,
+      commentCount: commentsToFetch,
+      includeText: schedule.include_text_analysis,
+      includeMarketing: schedule.include_marketing,
+    });
+
+    // 3. Create analysis record
     const { data: analysis, error: createError } = await supabaseAdmin
       .from('analyses')
       .insert({
@@ -129,8 +89,8 @@ async function runScheduledAnalysis(schedule) {
         platform: schedule.platform,
         video_url: schedule.video_url,
         video_title: videoDetails.title || schedule.video_title,
-        tokens_used: tokenCost,
-        status: 'processing',
+        tokens_used: 0,
+        status: 'pending',
         has_video: false,
         is_my_video: schedule.is_my_video || false,
         is_competitor: schedule.is_competitor || false,
@@ -144,32 +104,82 @@ async function runScheduledAnalysis(schedule) {
       throw new Error('Failed to create analysis record: ' + createError.message);
     }
 
-    // 5. Run the analysis (simplified version without video upload)
-    await processScheduledAnalysisJob({
+    // 4. Reserve tokens (settled against the real cost when the job finishes)
+    const reservation = await reserveTokens({
+      userId: schedule.user_id,
       analysisId: analysis.id,
-      videoId,
-      platform: schedule.platform,
-      commentsToFetch,
-      includeText: schedule.include_text_analysis,
-      includeMkt: schedule.include_marketing,
-      product_description: schedule.product_description,
-      isMyVideo: schedule.is_my_video || false,
-      isCompetitor: schedule.is_competitor || false,
-      creatorNotes: schedule.creator_notes,
-      competitorNotes: schedule.competitor_notes,
-      startTime,
+      amount: tokenCost,
+      description: `Scheduled ${schedule.platform} analysis: ${videoDetails.title || videoId}`,
+      metadata: { platform: schedule.platform, url: schedule.video_url, scheduled: true, schedule_id: schedule.id, breakdown: costBreakdown },
     });
 
-    // 6. Update schedule with success (next_run_at was already updated by claim)
+    if (!reservation.success) {
+      console.log(`[Scheduler] Token reservation failed for schedule ${schedule.id}: ${reservation.message}`);
+      await supabaseAdmin.from('analyses').delete().eq('id', analysis.id);
+
+      // Update schedule with error and pause it
+      await supabaseAdmin.from('scheduled_analyses').update({
+        last_error: `Insufficient tokens (needed ${tokenCost})`,
+        is_active: false, // Pause the schedule
+      }).eq('id', schedule.id);
+
+      return { success: false, error: reservation.message };
+    }
+
+    await supabaseAdmin.from('analyses').update({ status: 'processing' }).eq('id', analysis.id);
+
+    // Runs that don't fit in what is left of today's quota wait for the reset
+    const quotaHold = quota && adapter.reserveQuota ? await adapter.reserveQuota(analysis.id, quota.units) : quota;
+    const runAfter = quotaHold?.must_wait ? new Date(quotaHold.reset_at) : null;
+    if (runAfter) {
+      console.log(`[Scheduler] ${adapter.name} quota too low for schedule ${schedule.id} (${quotaHold.units} units needed, ${quotaHold.remaining} left) - queued until ${quotaHold.reset_at}`);
+    }
+
+    // 5. Queue the analysis (no video upload or engagement for scheduled runs)
+    try {
+      await enqueueJob({
+        analysisId: analysis.id,
+        userId: schedule.user_id,
+        payload: {
+          analysisId: analysis.id,
+          userId: schedule.user_id,
+          costBreakdown,
+          videoId,
+          platform: schedule.platform,
+          commentsToFetch,
+          includeText: schedule.include_text_analysis,
+          includeMkt: schedule.include_marketing,
+          includeEng: false,
+          productDescription: schedule.product_description || null,
+          isMyVideo: schedule.is_my_video || false,
+          isCompetitor: schedule.is_competitor || false,
+          creatorNotes: schedule.creator_notes || null,
+          competitorNotes: schedule.competitor_notes || null,
+          scheduleId: schedule.id,
+          videoDetails,
+          // Only comments posted since the last completed run are scraped and billed
+          previousAnalysisId: schedule.incremental !== false && adapter.supportsIncremental ? schedule.last_completed_analysis_id : null,
+          quotaUnits: quota?.units ?? null,
+        },
+        runAfter,
+        stage: 'waiting_for_quota',
+      });
+    } catch (queueError) {
+      await supabaseAdmin.from('analyses').update({ status: 'failed', error_message: queueError.message }).eq('id', analysis.id);
+      await refundReservation({ userId: schedule.user_id, analysisId: analysis.id, reserved: costBreakdown, reason: 'scheduled analysis could not be queued' });
+      await adapter.releaseQuota?.(analysis.id);
+      throw queueError;
+    }
+
+    // 6. Update schedule (next_run_at was already updated by claim, last_error is set by the job)
     await supabaseAdmin.from('scheduled_analyses').update({
       last_run_at: new Date().toISOString(),
       // next_run_at is NOT updated here because we already bumped it forward in the claiming step
       run_count: (schedule.run_count || 0) + 1,
       last_analysis_id: analysis.id,
-      last_error: null,
     }).eq('id', schedule.id);
 
-    console.log(`[Scheduler] Completed scheduled analysis: ${schedule.id}, analysis_id: ${analysis.id}`);
+    console.log(`[Scheduler] Queued scheduled analysis: ${schedule.id}, analysis_id: ${analysis.id}`);
     return { success: true, analysisId: analysis.id };
 
   } catch (error) {
@@ -184,120 +194,6 @@ async function runScheduledAnalysis(schedule) {
   }
 }
 
-/**
- * Process a scheduled analysis job (simplified version of the main analysis job)
- */
-async function processScheduledAnalysisJob({
-  analysisId, videoId, platform, commentsToFetch,
-  includeText, includeMkt, product_description,
-  isMyVideo, isCompetitor, creatorNotes, competitorNotes, startTime
-}) {
-  try {
-    // 1. Scrape Comments
-    let rawComments = [];
-
-    if (platform === 'youtube') {
-      rawComments = await scrapeYouTubeComments(videoId, commentsToFetch);
-    } else {
-      rawComments = await scrapeTikTokComments(videoId, commentsToFetch);
-    }
-
-    if (!rawComments || !rawComments.length) {
-      throw new Error('No comments found');
-    }
-
-    // 2. Process Comments
-    const { comments: processedComments, stats: filterStats } = processComments(rawComments);
-
-    // 3. Aggregate Sentiment
-    const sentimentResults = processedComments.map(c => c.sentiment).filter(Boolean);
-    const sentimentScores = aggregateSentiment(sentimentResults);
-
-    // 4. Save metadata
-    await supabaseAdmin.from('analyses').update({
-      filter_stats: filterStats,
-      sentiment_scores: sentimentScores,
-      comment_count: rawComments.length,
-      status: 'processing'
-    }).eq('id', analysisId);
-
-    // Save raw comments
-    await supabaseAdmin.from('analyses').update({
-      raw_comments: processedComments
-    }).eq('id', analysisId);
-
-    // 5. Marketing context (if enabled)
-    let marketingContext = null;
-    if (includeMkt && product_description) {
-      marketingContext = { description: product_description, image_base64: null };
-    }
-
-    // 6. AI Analysis
-    let analysisResult = { summary: null, keywords: [], themes: [], stats: null };
-    if (includeText) {
-      try {
-        analysisResult = await analyzeComments(
-          processedComments,
-          platform,
-          marketingContext,
-          null, // videoTranscript
-          null, // videoFrames
-          isMyVideo,
-          creatorNotes,
-          isCompetitor,
-          competitorNotes
-        );
-      } catch (aiErr) {
-        console.error('[Scheduler] AI Error:', aiErr);
-        const fallback = extractThemesAndKeywords(processedComments.map(c => c.clean_text));
-        analysisResult = {
-          ...fallback,
-          stats: { total: rawComments.length, analyzed: 0, coverage: 0 },
-          summary: `**AI Analysis Failed:** ${aiErr.message}\n\nKeywords extracted successfully.`
-        };
-      }
-    } else {
-      const fallback = extractThemesAndKeywords(processedComments.map(c => c.clean_text));
-      analysisResult = {
-        ...fallback,
-        stats: { total: rawComments.length, analyzed: 0, coverage: 0 },
-        summary: 'AI analysis not requested.'
-      };
-    }
-
-    const processingTime = Date.now() - startTime;
-
-    // 7. Final Update
-    await supabaseAdmin.from('analyses').update({
-      status: 'completed',
-      summary: analysisResult.summary,
-      keywords: analysisResult.keywords,
-      themes: analysisResult.themes,
-      processing_time_ms: processingTime,
-      video_score: analysisResult.videoScore || null,
-      priority_improvement: analysisResult.priorityImprovement || null,
-      score_breakdown: analysisResult.scoreBreakdown || null,
-      notes_assessment: analysisResult.notesAssessment || null,
-      marketing_insights: analysisResult.marketingInsights || null,
-      competitor_analysis: analysisResult.competitorAnalysis || null,
-      action_items: analysisResult.actionItems || [],
-    }).eq('id', analysisId);
-
-    console.log(`[Scheduler] Analysis ${analysisId} completed in ${processingTime}ms`);
-
-  } catch (error) {
-    console.error('[Scheduler] Job Error:', error);
-    await supabaseAdmin.from('analyses').update({
-      status: 'failed',
-      error_message: error.message
-    }).eq('id', analysisId);
-    throw error;
-  }
-}
-
-/**
- * Check for and process due scheduled analyses
- */
 /**
  * Check for and process due scheduled analyses
  */
@@ -49,57 +49,278 @@ const NEGATORS = new Set([
   'not', "n't", 'no', 'never', 'neither', 'nor', 'hardly', 'barely',
   'scarcely', 'rarely', "don't", "doesn't", "didn't", "won't",
   "wouldn't", "couldn't", "shouldn't", "isn't", "aren't", "wasn't",
+  "can't", 'cannot', "ain't", "haven't", "hasn't", "weren't",
 ]);
 
-export function scoreSentiment(text) {
+// Word lists for the other languages detected by language.js
+const LEXICONS = {
+  es: {
+    positive: [
+      'bueno', 'buena', 'buenos', 'buenas', 'buenísimo', 'buenisimo', 'excelente', 'genial',
+      'increíble', 'increible', 'maravilloso', 'maravillosa', 'hermoso', 'hermosa', 'precioso',
+      'preciosa', 'perfecto', 'perfecta', 'mejor', 'mejores', 'encanta', 'encantó', 'amo',
+      'gracias', 'útil', 'util', 'interesante', 'divertido', 'divertida', 'gracioso', 'bonito',
+      'bonita', 'lindo', 'linda', 'fantástico', 'fantastico', 'espectacular', 'impresionante',
+      'recomiendo', 'feliz', 'felicidades', 'crack', 'chido', 'bacán', 'top', 'éxito', 'gran',
+    ],
+    negative: [
+      'malo', 'mala', 'malos', 'malas', 'pésimo', 'pesimo', 'horrible', 'terrible', 'peor',
+      'odio', 'aburrido', 'aburrida', 'basura', 'falso', 'falsa', 'mentira', 'decepción',
+      'decepcion', 'decepcionante', 'decepcionado', 'inútil', 'inutil', 'feo', 'fea', 'triste',
+      'error', 'problema', 'estafa', 'caro', 'lento', 'asco', 'vergüenza', 'porquería', 'fatal',
+      'molesto', 'confuso', 'difícil', 'dificil',
+    ],
+    intensifiers: ['muy', 'tan', 'súper', 'demasiado', 'realmente', 'bastante', 'sumamente'],
+    negators: ['no', 'nunca', 'jamás', 'jamas', 'ni', 'tampoco'],
+  },
+  pt: {
+    positive: [
+      'bom', 'boa', 'bons', 'boas', 'ótimo', 'otimo', 'ótima', 'otima', 'excelente', 'incrível',
+      'incrivel', 'maravilhoso', 'maravilhosa', 'lindo', 'linda', 'perfeito', 'perfeita', 'melhor',
+      'melhores', 'amei', 'amo', 'adorei', 'obrigado', 'obrigada', 'útil', 'util', 'interessante',
+      'divertido', 'engraçado', 'engracado', 'top', 'show', 'parabéns', 'parabens', 'feliz', 'legal',
+      'sensacional', 'fantástico', 'fantastico', 'recomendo', 'massa', 'gostei', 'sucesso',
+    ],
+    negative: [
+      'ruim', 'péssimo', 'pessimo', 'péssima', 'horrível', 'horrivel', 'terrível', 'terrivel', 'pior',
+      'odeio', 'odiei', 'chato', 'chata', 'lixo', 'falso', 'falsa', 'mentira', 'decepção', 'decepcao',
+      'decepcionante', 'decepcionado', 'inútil', 'inutil', 'feio', 'feia', 'triste', 'erro', 'problema',
+      'golpe', 'caro', 'lento', 'nojo', 'vergonha', 'fraco', 'fraca', 'confuso', 'difícil', 'dificil',
+    ],
+    intensifiers: ['muito', 'tão', 'tao', 'super', 'demais', 'realmente', 'bem', 'bastante'],
+    negators: ['não', 'nao', 'nunca', 'jamais', 'nem'],
+  },
+  fr: {
+    positive: [
+      'bon', 'bonne', 'bons', 'bonnes', 'excellent', 'excellente', 'génial', 'genial', 'géniale',
+      'incroyable', 'magnifique', 'parfait', 'parfaite', 'meilleur', 'meilleure', 'adore', 'aime',
+      'merci', 'utile', 'intéressant', 'interessant', 'drôle', 'drole', 'beau', 'belle', 'super',
+      'top', 'bravo', 'fantastique', 'recommande', 'heureux', 'heureuse', 'content', 'contente',
+      'chouette', 'superbe', 'formidable', 'extraordinaire', 'sublime', 'cool',
+    ],
+    negative: [
+      'mauvais', 'mauvaise', 'nul', 'nulle', 'horrible', 'terrible', 'pire', 'déteste', 'deteste',
+      'ennuyeux', 'ennuyeuse', 'arnaque', 'faux', 'fausse', 'décevant', 'decevant', 'déçu', 'decu',
+      'déçue', 'inutile', 'moche', 'triste', 'erreur', 'problème', 'probleme', 'cher', 'lent', 'honte',
+      'dommage', 'bof', 'naze', 'pourri', 'confus', 'difficile',
+    ],
+    intensifiers: ['très', 'tres', 'tellement', 'trop', 'vraiment', 'hyper', 'vachement', 'si'],
+    negators: ['pas', 'ne', 'jamais', 'aucun', 'aucune', 'rien', 'ni'],
+  },
+  de: {
+    positive: [
+      'gut', 'gute', 'guter', 'gutes', 'super', 'toll', 'tolle', 'großartig', 'grossartig', 'genial',
+      'geil', 'klasse', 'hervorragend', 'ausgezeichnet', 'perfekt', 'beste', 'besten', 'besser',
+      'liebe', 'danke', 'hilfreich', 'nützlich', 'nuetzlich', 'interessant', 'lustig', 'witzig',
+      'schön', 'schoen', 'schöne', 'wunderbar', 'fantastisch', 'empfehlenswert', 'glücklich',
+      'spitze', 'top', 'bravo', 'stark', 'cool',
+    ],
+    negative: [
+      'schlecht', 'schlechte', 'schlechter', 'schrecklich', 'furchtbar', 'schlimm', 'schlimmste',
+      'hasse', 'langweilig', 'müll', 'muell', 'falsch', 'enttäuschend', 'enttäuscht', 'enttaeuscht',
+      'nutzlos', 'sinnlos', 'hässlich', 'traurig', 'fehler', 'problem', 'betrug', 'teuer', 'langsam',
+      'peinlich', 'nervig', 'schade', 'mies', 'verwirrend', 'schwierig',
+    ],
+    intensifiers: ['sehr', 'so', 'total', 'wirklich', 'echt', 'extrem', 'mega', 'voll', 'richtig'],
+    negators: ['nicht', 'kein', 'keine', 'keinen', 'nie', 'niemals'],
+  },
+};
+
+const ENGLISH = { positive: POSITIVE_WORDS, negative: NEGATIVE_WORDS, intensifiers: INTENSIFIERS, negators: NEGATORS };
+
+// Comments mix in English slang ("muy cool", "trop nice"), so English words count in every language
+const WORD_LISTS = Object.fromEntries(Object.entries(LEXICONS).map(([language, lists]) => [
+  language,
+  Object.fromEntries(Object.entries(lists).map(([kind, words]) => [kind, new Set([...words, ...ENGLISH[kind]])])),
+]));
+
+// Emoji carry their own sentiment, and on TikTok it is often not the literal one:
+// 💀 ("I'm dead") and 😭 mean something was hilarious or overwhelming, 🤡 mocks
+const EMOJI_SENTIMENT = {
+  '🔥': 1, '❤': 1, '♥': 1, '😍': 1, '🥰': 1, '💕': 1, '💖': 1, '💗': 1, '💜': 1, '💙': 1,
+  '💚': 1, '🧡': 1, '🤍': 1, '🖤': 1, '🫶': 1, '💯': 1, '👏': 1, '🙌': 1, '🤩': 1, '🐐': 1,
+  '😘': 0.8, '👍': 0.8, '🙏': 0.8, '😊': 0.8, '☺': 0.8, '😁': 0.8, '😄': 0.8, '😆': 0.8,
+  '😂': 0.8, '🤣': 0.8, '💀': 0.8, '🥹': 0.8, '🎉': 0.8, '🥳': 0.8, '👑': 0.8,
+  '😭': 0.6, '✨': 0.6, '😀': 0.6, '😃': 0.6, '😎': 0.6, '💪': 0.6, '🤯': 0.6,
+  '👎': -1, '😡': -1, '🤬': -1, '😠': -1, '🤮': -1, '🤢': -1, '💩': -1, '🗑': -1,
+  '😒': -0.8, '🙄': -0.8, '😞': -0.8, '💔': -0.8, '🥱': -0.8, '🤡': -0.8, '☹': -0.8, '🚩': -0.8,
+  '😔': -0.6, '😢': -0.6, '😥': -0.6, '😴': -0.6, '🙁': -0.6,
+  '😩': -0.5, '😫': -0.5, '😑': -0.5, '😕': -0.5, '😤': -0.5, '😬': -0.4, '🤨': -0.3,
+};
+
+// Internet slang, weighted like emoji
+const SLANG = {
+  bussin: 1, slaps: 1, goated: 1, banger: 1, w: 1, iconic: 1, slay: 1, slayed: 1, elite: 1,
+  kino: 1, pog: 1, poggers: 1, tysm: 1, fye: 1, based: 0.8, peak: 0.8, sheesh: 0.8, clutch: 0.8,
+  ty: 0.8, thx: 0.8, valid: 0.6, hype: 0.6, vibes: 0.5, gg: 0.5,
+  mid: -1, l: -1, flop: -1, flopped: -1, ratio: -0.8, yikes: -0.8, smh: -0.8, fml: -0.8, ick: -0.8,
+  cap: -0.6, sus: -0.6, wtf: -0.6, ugh: -0.6, oof: -0.5, boo: -0.5, bruh: -0.4,
+};
+
+// Two-word expressions read before their words; 0 just stops the words from counting
+const SLANG_PHRASES = {
+  'hits different': 1,
+  "chef's kiss": 1,
+  'fell off': -1,
+  // French understatement for "mediocre"
+  'pas terrible': -0.5,
+  'no cap': 0,
+  'no doubt': 0,
+  'no way': 0,
+  'based on': 0,
+};
+
+// "hahaha", "jajaja" (es), "kkkk" (pt), "mdr" (fr), "xD", "lmaooo"
+const LAUGHTER = /^(?:(?:ha|he|ja|je|hi){2,}h?|k{3,}|(?:rs){2,}|mdr|ptdr|xd+|lo+l+|lmf?a+o+|rofl)$/;
+
+// Slang that strengthens the word before it ("good af", "fire fr")
+const POST_INTENSIFIERS = new Set(['af', 'asf', 'fr', 'frfr']);
+
+// Words that start a new clause, which ends the reach of a negation
+const CLAUSE_WORDS = new Set([
+  'but', 'however', 'although', 'though', 'yet', 'except',
+  'pero', 'aunque', 'sino', 'porém', 'embora', 'mais', 'cependant', 'pourtant',
+  'aber', 'doch', 'sondern', 'obwohl', 'jedoch',
+]);
+
+// Markers that flip what a comment literally says
+const SARCASM_MARKERS = [
+  /(^|\s)\/s(?=$|[\s.!?])/i,
+  /\byeah,? right\b/i,
+  /\bsure,? jan\b/i,
+  /\bsaid no one ever\b/i,
+  /\bthanks for nothing\b/i,
+  /\boh,? great(?=\s*[.,!…]|\s*$)/i,
+  /🙄/u,
+];
+
+const UNIT = /(\p{Extended_Pictographic})|([.,;:!?…]+)|([\p{L}\p{M}\p{N}']+)/gu;
+
+/**
+ * Split text into words, emoji and clause-ending punctuation, in order
+ */
+function sentimentUnits(text) {
+  const units = [];
+  for (const [, emoji, punctuation, word] of text.toLowerCase().replace(/[’`]/g, "'").matchAll(UNIT)) {
+    if (emoji) units.push({ type: 'emoji', value: emoji });
+    else if (punctuation) units.push({ type: 'boundary' });
+    else {
+      const value = word.replace(/^'+|'+$/g, '');
+      if (value) units.push({ type: 'word', value });
+    }
+  }
+  return units;
+}
+
+export function isSarcastic(text) {
+  return SARCASM_MARKERS.some(pattern => pattern.test(text));
+}
+
+const CLAUSE_SPLIT = new RegExp(`[.,;:!?…]+|\\s(?:${[...CLAUSE_WORDS].join('|')})\\s`, 'iu');
+
+/**
+ * Split a comment into the clauses a negation can reach
+ */
+export function splitClauses(text) {
+  return (text || '').split(CLAUSE_SPLIT).map(clause => clause.trim()).filter(Boolean);
+}
+
+/**
+ * Whether a word carries sentiment in any language (word lists, slang or laughter)
+ * @param {string} word
+ * @param {object} [lexicon] - the user's custom { positive, negative, neutral } terms
+ */
+export function isOpinionWord(word, lexicon = null) {
+  if (lexicon?.neutral.has(word)) return false;
+  return word in SLANG || LAUGHTER.test(word) || !!lexicon?.positive.has(word) || !!lexicon?.negative.has(word)
+    || Object.values(WORD_LISTS).some(lists => lists.positive.has(word) || lists.negative.has(word));
+}
+
+/**
+ * Score a comment with the word lists of its language, plus emoji and slang.
+ * A negation reaches every sentiment word up to the end of its clause
+ * ("not good or useful, but fun" only negates good and useful).
+ * @param {string} text
+ * @param {string} [language] - code from detectLanguage(); languages without word lists use English
+ * @param {object} [lexicon] - the user's custom { positive, negative, neutral } words and two-word
+ *   phrases, which win over the built-in lists ("broken" for a gaming channel)
+ */
+export function scoreSentiment(text, language = 'en', lexicon = null) {
   if (!text || typeof text !== 'string') {
     return { score: 0, label: 'neutral', positive_count: 0, negative_count: 0 };
   }
 
-  const words = text.toLowerCase().match(/\b[\w']+\b/g) || [];
-  let score = 0;
-  let positiveCount = 0;
-  let negativeCount = 0;
-
-  for (let i = 0; i < words.length; i++) {
-    const word = words[i];
-    let wordScore = 0;
-
-    if (POSITIVE_WORDS.has(word)) {
-      wordScore = 1;
-      positiveCount++;
-    } else if (NEGATIVE_WORDS.has(word)) {
-      wordScore = -1;
-      negativeCount++;
-    } else {
-      continue;
-    }
+  const lists = WORD_LISTS[language] || ENGLISH;
+  const units = sentimentUnits(text);
+  // Weight of every unit that carried sentiment, by unit index
+  const scored = new Map();
+  let negated = false;
 
-    // Check for preceding negator (look back up to 3 words)
-    const lookback = Math.max(0, i - 3);
-    let negated = false;
-    for (let j = lookback; j < i; j++) {
-      if (NEGATORS.has(words[j])) {
-        negated = true;
-        break;
-      }
+  for (let i = 0; i < units.length; i++) {
+    const unit = units[i];
+
+    if (unit.type === 'boundary') {
+      negated = false;
+      continue;
     }
-    if (negated) {
-      wordScore *= -1;
-      if (wordScore > 0) { negativeCount--; positiveCount++; }
-      else { positiveCount--; negativeCount++; }
+    if (unit.type === 'emoji') {
+      if (EMOJI_SENTIMENT[unit.value]) scored.set(i, EMOJI_SENTIMENT[unit.value]);
+      continue;
     }
 
-    // Check for preceding intensifier
-    if (i > 0 && INTENSIFIERS.has(words[i - 1])) {
-      wordScore *= 1.5;
+    const word = unit.value;
+    const next = units[i + 1]?.type === 'word' ? units[i + 1].value : null;
+    const phrase = next && `${word} ${next}`;
+    let weight;
+
+    if (phrase && lexicon && (lexicon.positive.has(phrase) || lexicon.negative.has(phrase) || lexicon.neutral.has(phrase))) {
+      weight = lexicon.positive.has(phrase) ? 1 : lexicon.negative.has(phrase) ? -1 : 0;
+      i++;
+      if (!weight) continue;
+    } else if (phrase && phrase in SLANG_PHRASES) {
+      weight = SLANG_PHRASES[phrase];
+      i++;
+      if (!weight) continue;
+    } else if (CLAUSE_WORDS.has(word)) {
+      negated = false;
+      continue;
+    } else if (lists.negators.has(word)) {
+      negated = true;
+      continue;
+    } else if (POST_INTENSIFIERS.has(word)) {
+      if (scored.has(i - 1)) scored.set(i - 1, scored.get(i - 1) * 1.5);
+      continue;
+    } else if (lexicon?.positive.has(word)) {
+      weight = 1;
+    } else if (lexicon?.negative.has(word)) {
+      weight = -1;
+    } else if (lexicon?.neutral.has(word)) {
+      continue;
+    } else if (lists.positive.has(word)) {
+      weight = 1;
+    } else if (lists.negative.has(word)) {
+      weight = -1;
+    } else {
+      weight = SLANG[word] || (LAUGHTER.test(word) ? 0.6 : 0);
+      if (!weight) continue;
     }
 
-    score += wordScore;
+    if (negated) weight *= -1;
+    const previous = units[i - 1];
+    if (previous?.type === 'word' && lists.intensifiers.has(previous.value)) weight *= 1.5;
+
+    scored.set(i, weight);
   }
 
-  const maxPossible = Math.max(1, positiveCount + negativeCount);
-  const normalizedScore = Math.max(-1, Math.min(1, score / maxPossible));
+  const weights = [...scored.values()];
+  const positiveCount = weights.filter(w => w > 0).length;
+  const negativeCount = weights.filter(w => w < 0).length;
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  let normalizedScore = Math.max(-1, Math.min(1, total / Math.max(1, weights.length)));
+
+  // Sarcasm turns literal praise into criticism; a marker alone is mildly negative
+  const sarcasm = isSarcastic(text);
+  if (sarcasm) normalizedScore = normalizedScore === 0 ? -0.5 : -Math.abs(normalizedScore);
 
   let label;
   if (normalizedScore > 0.1) label = 'positive';
@@ -109,8 +330,9 @@ export function scoreSentiment(text) {
   return {
     score: Math.round(normalizedScore * 100) / 100,
     label,
-    positive_count: Math.max(0, positiveCount),
-    negative_count: Math.max(0, negativeCount),
+    positive_count: positiveCount,
+    negative_count: negativeCount,
+    ...(sarcasm && { sarcasm: true }),
   };
 }
 
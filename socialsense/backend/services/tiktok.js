@@ -50,7 +50,7 @@ export async function extractTikTokVideoId(url) {
 
 /**
  * Get TikTok video details (views, likes, shares, etc.) by scraping the page
- * @returns {Promise<{viewCount, likeCount, commentCount, shareCount, title, channelTitle}>}
+ * @returns {Promise<{viewCount, likeCount, commentCount, shareCount, title, channelTitle, authorId}>}
  */
 export async function getTikTokVideoDetails(videoId) {
   try {
@@ -73,6 +73,7 @@ export async function getTikTokVideoDetails(videoId) {
         id: videoId,
         title: itemInfo.desc || 'TikTok Video',
         channelTitle: itemInfo.author?.nickname || itemInfo.author?.uniqueId || 'Unknown',
+        authorId: itemInfo.author?.id || null,
         viewCount: stats.playCount || 0,
         likeCount: stats.diggCount || 0,
         commentCount: stats.commentCount || 0,
@@ -110,6 +111,7 @@ export async function getTikTokVideoDetails(videoId) {
           id: videoId,
           title: itemModule.desc || 'TikTok Video',
           channelTitle: itemModule.author?.nickname || itemModule.author?.uniqueId || 'Unknown',
+          authorId: itemModule.author?.id || null,
           viewCount: stats.playCount || 0,
           likeCount: stats.diggCount || 0,
           commentCount: stats.commentCount || 0,
@@ -193,107 +195,193 @@ export async function getTikTokCommentCount(videoId) {
   }
 }
 
+const COMMENT_LIST_URL = 'https://www.tiktok.com/api/comment/list/';
+const REPLY_LIST_URL = 'https://www.tiktok.com/api/comment/list/reply/';
+const PAGE_SIZE = 50;
+const MAX_RETRIES = 3;
+
+/**
+ * Fetch one page from a TikTok comment endpoint, retrying with exponential backoff
+ * @returns {Promise<object|null>} response body, or null when TikTok returned an error status
+ */
+async function fetchCommentPage(url, params, { videoId, signal }) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const response = await axios.get(url, {
+        params: { aid: 1988, count: PAGE_SIZE, ...params },
+        headers: {
+          'User-Agent': getRandomUA(),
+          'Referer': `https://www.tiktok.com/@user/video/${videoId}`,
+          'Accept': 'application/json',
+          'Accept-Language': 'en-US,en;q=0.9',
+        },
+        timeout: 15000,
+        signal,
+      });
+
+      const data = response.data || {};
+      if (data.status_code && data.status_code !== 0) {
+        console.warn('TikTok API returned error status:', data.status_code);
+        return null;
+      }
+      return data;
+    } catch (error) {
+      if (signal?.aborted || attempt >= MAX_RETRIES) throw error;
+
+      console.warn(`TikTok request failed (attempt ${attempt}/${MAX_RETRIES}):`, error.message);
+      await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
+    }
+  }
+}
+
+/**
+ * Convert a TikTok comment into our comment shape (same thread fields as YouTube)
+ */
+function toComment(comment, { parentId = null, authorId = null } = {}) {
+  const user = comment.user || {};
+  // Without the uploader's id, fall back to TikTok's "Creator" label on the comment
+  const byCreator = authorId
+    ? user.uid === authorId
+    : (comment.label_list || []).some(label => label.type === 1);
+
+  return {
+    id: comment.cid,
+    parent_id: parentId,
+    user: user.nickname || user.unique_id || 'Unknown',
+    author_id: user.uid || null,
+    text: comment.text?.trim(),
+    likes: comment.digg_count || 0,
+    publishedAt: comment.create_time
+      ? new Date(comment.create_time * 1000).toISOString()
+      : null,
+    reply_count: comment.reply_comment_total || 0,
+    is_creator_reply: !!parentId && byCreator,
+    is_pinned: !!comment.author_pin || comment.stick_position === 1,
+    is_creator_liked: !!comment.is_author_digged,
+  };
+}
+
+const isUsable = (comment) => comment.text && comment.text !== '[sticker]';
+
+/**
+ * Fetch the replies of a comment through the reply-list endpoint
+ */
+async function fetchReplies(parent, limit, { videoId, authorId, signal }) {
+  const replies = [];
+  let cursor = 0;
+
+  while (replies.length < limit && !signal?.aborted) {
+    const data = await fetchCommentPage(REPLY_LIST_URL, {
+      item_id: videoId,
+      comment_id: parent.cid,
+      cursor,
+    }, { videoId, signal });
+    if (!data) break;
+
+    for (const reply of data.comments || []) {
+      replies.push(toComment(reply, { parentId: parent.cid, authorId }));
+    }
+
+    if (!data.has_more || !(data.comments || []).length) break;
+    cursor = data.cursor || cursor + PAGE_SIZE;
+
+    await new Promise(resolve => setTimeout(resolve, 300 + Math.random() * 400));
+  }
+
+  return replies.slice(0, limit);
+}
+
 /**
  * Scrape comments from a TikTok video
+ * Every comment carries id, parent_id (null for top-level), author_id,
+ * reply_count, is_creator_reply, is_pinned and is_creator_liked.
+ * @param {object} options
+ * @param {AbortSignal} [options.signal] - when aborted, stops and returns the comments collected so far
+ * @param {boolean} [options.includeReplies] - also fetch reply threads (replies count towards maxComments)
+ * @param {string} [options.authorId] - uploader's user id, used to spot creator replies
+ * @param {number} [options.cursor] - comment-list cursor to start from
+ * @param {function} [options.onPage] - called with the next cursor (null at the end) and the comments
+ *                                     collected so far after each fully read page
  */
-export async function scrapeTikTokComments(videoId, maxComments = 500, onProgress = null) {
+export async function scrapeTikTokComments(videoId, maxComments = 500, onProgress = null, options = {}) {
+  const { signal, includeReplies = false, authorId = null, onPage } = options;
   const comments = [];
-  let cursor = 0;
-  let consecutiveFailures = 0;
-  const maxRetries = 3;
+  let cursor = options.cursor || 0;
   const maxEmptyResponses = 3;
   let emptyResponses = 0;
   
   console.log(`Starting TikTok scrape for video ${videoId}, max ${maxComments} comments`);
   
   try {
-    while (comments.length < maxComments && consecutiveFailures < maxRetries) {
+    while (comments.length < maxComments && !signal?.aborted) {
+      let data;
       try {
-        const response = await axios.get('https://www.tiktok.com/api/comment/list/', {
-          params: {
-            aid: 1988,
-            aweme_id: videoId,
-            count: 50,
-            cursor: cursor,
-          },
-          headers: {
-            'User-Agent': getRandomUA(),
-            'Referer': `https://www.tiktok.com/@user/video/${videoId}`,
-            'Accept': 'application/json',
-            'Accept-Language': 'en-US,en;q=0.9',
-          },
-          timeout: 15000,
-        });
-        
-        consecutiveFailures = 0;
-        const data = response.data;
-        
-        if (data.status_code && data.status_code !== 0) {
-          console.warn('TikTok API returned error status:', data.status_code);
+        data = await fetchCommentPage(COMMENT_LIST_URL, { aweme_id: videoId, cursor }, { videoId, signal });
+      } catch (error) {
+        if (!signal?.aborted) console.error('TikTok API not responding after retries');
+        break;
+      }
+      if (!data) break;
+      
+      const newComments = data.comments || [];
+      
+      if (newComments.length === 0) {
+        emptyResponses++;
+        if (emptyResponses >= maxEmptyResponses) {
+          console.log('Multiple empty responses, ending scrape');
           break;
         }
-        
-        const newComments = data.comments || [];
-        
-        if (newComments.length === 0) {
-          emptyResponses++;
-          if (emptyResponses >= maxEmptyResponses) {
-            console.log('Multiple empty responses, ending scrape');
-            break;
-          }
-          cursor += 50;
-          continue;
+        cursor += PAGE_SIZE;
+        continue;
+      }
+      
+      emptyResponses = 0;
+      let read = 0;
+      
+      for (const item of newComments) {
+        read++;
+        const comment = toComment(item, { authorId });
+        if (isUsable(comment)) {
+          comments.push(comment);
         }
-        
-        emptyResponses = 0;
-        
-        for (const comment of newComments) {
-          const text = comment.text?.trim();
-          if (text && text !== '[sticker]' && text.length > 0) {
-            comments.push({
-              user: comment.user?.nickname || comment.user?.unique_id || 'Unknown',
-              text: text,
-              likes: comment.digg_count || 0,
-              publishedAt: comment.create_time 
-                ? new Date(comment.create_time * 1000).toISOString() 
-                : null,
-            });
+
+        if (includeReplies && comment.reply_count > 0 && comments.length < maxComments) {
+          try {
+            const replies = await fetchReplies(item, maxComments - comments.length, { videoId, authorId, signal });
+            comments.push(...replies.filter(isUsable));
+          } catch (error) {
+            if (signal?.aborted) break;
+            // Keep the top-level comment; its thread is just left incomplete
+            console.warn(`TikTok replies for comment ${item.cid} failed:`, error.message);
           }
-          
-          if (comments.length >= maxComments) break;
-        }
-        
-        if (onProgress) {
-          onProgress(comments.length);
-        }
-        
-        console.log(`TikTok scrape progress: ${comments.length} comments`);
-        
-        if (!data.has_more || data.has_more === false) {
-          console.log('No more comments available');
-          break;
-        }
-        
-        cursor = data.cursor || cursor + 50;
-        
-        await new Promise(resolve => setTimeout(resolve, 300 + Math.random() * 400));
-        
-      } catch (error) {
-        consecutiveFailures++;
-        console.warn(`TikTok request failed (attempt ${consecutiveFailures}/${maxRetries}):`, error.message);
-        
-        if (consecutiveFailures >= maxRetries) {
-          console.error('TikTok API not responding after retries');
-          break;
         }
         
-        await new Promise(resolve => setTimeout(resolve, Math.pow(2, consecutiveFailures) * 1000));
+        if (comments.length >= maxComments || signal?.aborted) break;
       }
+      
+      if (onProgress) {
+        onProgress(comments.length);
+      }
+      
+      console.log(`TikTok scrape progress: ${comments.length} comments`);
+      
+      const nextCursor = data.cursor || cursor + PAGE_SIZE;
+      // A page cut short by maxComments is read again when resuming
+      if (read === newComments.length && !signal?.aborted) onPage?.(data.has_more ? nextCursor : null, comments);
+
+      if (!data.has_more) {
+        console.log('No more comments available');
+        break;
+      }
+      
+      cursor = nextCursor;
+      
+      await new Promise(resolve => setTimeout(resolve, 300 + Math.random() * 400));
     }
     
     console.log(`TikTok scrape complete: ${comments.length} comments collected`);
     
-    if (comments.length > 0) {
+    if (comments.length > 0 || signal?.aborted) {
       return comments.slice(0, maxComments);
     }
     
@@ -0,0 +1,138 @@
+/**
+ * Comment Timeline
+ * Comment volume and sentiment over time, bucketed by hour for videos up to
+ * three days old and by day after that (by week once a day-by-day series
+ * would pass a year). Spikes are buckets well above the median of the
+ * buckets before them, so the usual decay after upload is not a spike but a
+ * wave after a reaction video or a brigading raid is.
+ */
+
+import { aggregateSentiment } from './sentiment.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+const HOURLY_MAX_AGE = 3 * DAY;
+const MAX_BUCKETS = 366;
+
+// Buckets before a spike that set its baseline, per bucket size
+const BASELINE_WINDOW = { hour: 24, day: 7, week: 4 };
+const MIN_BASELINE_BUCKETS = 3;
+const SPIKE_FACTOR = 3;
+const MIN_SPIKE_COMMENTS = 5;
+const MAX_SPIKES = 10;
+const SPIKE_EXAMPLES = 3;
+
+const SIZES = { hour: HOUR, day: DAY, week: WEEK };
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Bucket size for a video's age
+ * @param {number} age - ms between upload (or the first comment) and now
+ * @param {number} span - ms between the first and last comment
+ * @returns {'hour'|'day'|'week'}
+ */
+export function chooseBucket(age, span) {
+  if (age <= HOURLY_MAX_AGE && span / HOUR < MAX_BUCKETS) return 'hour';
+  return span / DAY < MAX_BUCKETS ? 'day' : 'week';
+}
+
+/**
+ * Runs of buckets well above their trailing median
+ * @param {Array<{ count: number }>} buckets
+ * @param {string} bucket - bucket size, picks the baseline window
+ * @returns {Array<{ from: number, to: number, baseline: number }>} index ranges, inclusive
+ */
+export function detectSpikes(buckets, bucket = 'day') {
+  const window = BASELINE_WINDOW[bucket];
+  const runs = [];
+
+  buckets.forEach((b, i) => {
+    if (i < MIN_BASELINE_BUCKETS) return;
+    const baseline = median(buckets.slice(Math.max(0, i - window), i).map(p => p.count));
+    if (b.count < MIN_SPIKE_COMMENTS || b.count < SPIKE_FACTOR * Math.max(baseline, 1)) return;
+
+    const last = runs[runs.length - 1];
+    if (last && last.to === i - 1) last.to = i;
+    else runs.push({ from: i, to: i, baseline });
+  });
+
+  return runs;
+}
+
+/**
+ * Build the timeline stored on analyses.timeline
+ * @param {Array} comments - processed comments (publishedAt, sentiment, likes)
+ * @param {object} [options] - { videoPublishedAt, now }
+ * @returns {{ bucket, buckets: Array, spikes: Array, undated: number }|null} null without dated comments
+ */
+export function buildTimeline(comments, { videoPublishedAt = null, now = Date.now() } = {}) {
+  const dated = [];
+  let undated = 0;
+  for (const comment of comments) {
+    const time = Date.parse(comment.publishedAt);
+    if (Number.isNaN(time)) undated++;
+    else dated.push({ time, comment });
+  }
+  if (!dated.length) return null;
+  dated.sort((a, b) => a.time - b.time);
+
+  const first = dated[0].time;
+  const last = dated[dated.length - 1].time;
+  const published = Date.parse(videoPublishedAt);
+  const bucket = chooseBucket(now - (Number.isNaN(published) ? first : published), last - first);
+  const size = SIZES[bucket];
+
+  const start = Math.floor(first / size) * size;
+  const slots = Array.from({ length: Math.floor(last / size) - Math.floor(first / size) + 1 }, () => []);
+  for (const entry of dated) {
+    slots[Math.floor((entry.time - start) / size)].push(entry.comment);
+  }
+
+  const buckets = slots.map((slot, i) => {
+    const summary = aggregateSentiment(slot.map(c => c.sentiment).filter(Boolean));
+    return {
+      start: new Date(start + i * size).toISOString(),
+      count: slot.length,
+      positive: summary.positive,
+      neutral: summary.neutral,
+      negative: summary.negative,
+      average_score: summary.average_score,
+    };
+  });
+
+  const spikes = detectSpikes(buckets, bucket)
+    .map(({ from, to, baseline }) => {
+      const spikeComments = slots.slice(from, to + 1).flat();
+      const summary = aggregateSentiment(spikeComments.map(c => c.sentiment).filter(Boolean));
+      const peak = Math.max(...buckets.slice(from, to + 1).map(b => b.count));
+      return {
+        start: buckets[from].start,
+        end: new Date(start + (to + 1) * size).toISOString(),
+        count: spikeComments.length,
+        peak,
+        baseline,
+        ratio: Math.round(peak / Math.max(baseline, 1) * 10) / 10,
+        positive_pct: summary.positive_pct,
+        neutral_pct: summary.neutral_pct,
+        negative_pct: summary.negative_pct,
+        examples: [...spikeComments]
+          .sort((a, b) => (b.likes || 0) - (a.likes || 0))
+          .slice(0, SPIKE_EXAMPLES)
+          .map(c => ({ user: c.user || null, text: c.text, likes: c.likes || 0, sentiment: c.sentiment?.label || null })),
+      };
+    })
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_SPIKES)
+    .sort((a, b) => a.start.localeCompare(b.start));
+
+  return { bucket, buckets, spikes, undated };
+}
+
+export default { buildTimeline, detectSpikes, chooseBucket };
@@ -0,0 +1,284 @@
+/**
+ * Topic Clustering
+ * Groups comments into topics locally instead of counting raw bigrams.
+ * Each comment becomes a TF-IDF vector of its keywords; k-means on those
+ * vectors (cosine similarity) starts from one centroid per frequent,
+ * unrelated term, so the same comments always give the same topics.
+ * Comments close to no topic, and topics too small to matter, are left
+ * out as noise. Labels come from the terms that weigh most in each topic and
+ * can be rewritten by the analysis model.
+ */
+
+import { tokenize, isKeywordCandidate } from './language.js';
+import { aggregateSentiment } from './sentiment.js';
+import { GENERIC_WORDS } from './aspects.js';
+import { chat } from './llm/index.js';
+
+const MIN_COMMENTS = 10;
+const MAX_TOPICS = 8;
+const MAX_VOCABULARY = 2000;
+// Terms in more than this share of comments describe the video, not a topic
+const MAX_TERM_SHARE = 0.4;
+// A seed this close to an earlier one would split the same topic in two
+const MAX_SEED_SIMILARITY = 0.5;
+const MIN_SIMILARITY = 0.1;
+const MAX_ITERATIONS = 25;
+const KEYWORDS_PER_TOPIC = 5;
+// A bigram in this share of a topic's comments is a better label than two loose words
+const LABEL_BIGRAM_SHARE = 0.3;
+const MAX_LABEL_LENGTH = 40;
+
+function termsOf(text, stopWords) {
+  return tokenize(text).filter(word => isKeywordCandidate(word) && !GENERIC_WORDS.has(word) && !stopWords?.has(word));
+}
+
+function dot(sparse, dense) {
+  let sum = 0;
+  for (const [term, weight] of sparse) sum += weight * dense[term];
+  return sum;
+}
+
+function normalize(dense) {
+  const norm = Math.sqrt(dense.reduce((sum, w) => sum + w * w, 0));
+  return norm ? dense.map(w => w / norm) : dense;
+}
+
+function centroidOf(vectors, size) {
+  const dense = new Array(size).fill(0);
+  for (const vector of vectors) {
+    for (const [term, weight] of vector) dense[term] += weight;
+  }
+  return normalize(dense);
+}
+
+/**
+ * TF-IDF vectors (sparse [termIndex, weight] lists, unit length) for each text
+ * @returns {{ vocabulary: string[], vectors: Array<Array<[number, number]>>, terms: string[][] }}
+ */
+export function vectorize(texts, stopWords = null) {
+  const terms = texts.map(text => termsOf(text, stopWords));
+
+  const df = new Map();
+  for (const own of terms) {
+    for (const term of new Set(own)) df.set(term, (df.get(term) || 0) + 1);
+  }
+  const maxDf = Math.max(2, Math.floor(texts.length * MAX_TERM_SHARE));
+  const vocabulary = [...df.entries()]
+    .filter(([, count]) => count >= 2 && count <= maxDf)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_VOCABULARY)
+    .map(([term]) => term);
+  const index = new Map(vocabulary.map((term, i) => [term, i]));
+
+  const vectors = terms.map((own) => {
+    const tf = new Map();
+    for (const term of own) {
+      if (index.has(term)) tf.set(index.get(term), (tf.get(index.get(term)) || 0) + 1);
+    }
+    const weighted = [...tf].map(([i, count]) => [
+      i,
+      (1 + Math.log(count)) * (Math.log((1 + texts.length) / (1 + df.get(vocabulary[i]))) + 1),
+    ]);
+    const norm = Math.sqrt(weighted.reduce((sum, [, w]) => sum + w * w, 0));
+    return norm ? weighted.map(([i, w]) => [i, w / norm]) : [];
+  });
+
+  return { vocabulary, vectors, terms };
+}
+
+/**
+ * One seed centroid per frequent term, skipping terms whose comments are
+ * already covered by an earlier seed
+ */
+function seedCentroids(vectors, vocabulary, k) {
+  const byTerm = vocabulary.map(() => []);
+  vectors.forEach((vector) => {
+    for (const [term] of vector) byTerm[term].push(vector);
+  });
+
+  const seeds = [];
+  // The vocabulary is already ordered by document frequency
+  for (let term = 0; term < vocabulary.length && seeds.length < k; term++) {
+    if (byTerm[term].length < 2) continue;
+    const seed = centroidOf(byTerm[term], vocabulary.length);
+    if (seeds.every(other => seed.reduce((sum, w, i) => sum + w * other[i], 0) < MAX_SEED_SIMILARITY)) {
+      seeds.push(seed);
+    }
+  }
+  return seeds;
+}
+
+/**
+ * Cluster vectors with spherical k-means
+ * @returns {number[]} topic index per vector, -1 for noise
+ */
+export function kMeans(vectors, vocabulary, k) {
+  let centroids = seedCentroids(vectors, vocabulary, k);
+  let assignment = vectors.map(() => -1);
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS && centroids.length; iteration++) {
+    const next = vectors.map((vector) => {
+      if (!vector.length) return -1;
+      let best = -1;
+      let bestSimilarity = MIN_SIMILARITY;
+      centroids.forEach((centroid, c) => {
+        const similarity = dot(vector, centroid);
+        if (similarity > bestSimilarity) {
+          best = c;
+          bestSimilarity = similarity;
+        }
+      });
+      return best;
+    });
+
+    const changed = next.some((c, i) => c !== assignment[i]);
+    assignment = next;
+    if (!changed) break;
+
+    centroids = centroids.map((centroid, c) => {
+      const members = vectors.filter((_, i) => assignment[i] === c);
+      return members.length ? centroidOf(members, vocabulary.length) : centroid;
+    });
+  }
+
+  return assignment;
+}
+
+/**
+ * Short label from a topic's heaviest terms, or the bigram most of its comments share
+ */
+function labelFor(keywords, memberTerms) {
+  const bigrams = new Map();
+  for (const terms of memberTerms) {
+    const own = new Set();
+    for (let i = 0; i < terms.length - 1; i++) own.add(`${terms[i]} ${terms[i + 1]}`);
+    for (const bigram of own) bigrams.set(bigram, (bigrams.get(bigram) || 0) + 1);
+  }
+  const [bigram, count] = [...bigrams.entries()]
+    .filter(([text]) => text.split(' ').includes(keywords[0]))
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0] || [];
+
+  if (bigram && count >= Math.max(2, memberTerms.length * LABEL_BIGRAM_SHARE)) return bigram;
+  return keywords.slice(0, 2).join(' & ');
+}
+
+/**
+ * Topics of a set of comments, largest first
+ * @param {Array} comments - processed comments (clean_text, sentiment, user, likes)
+ * @param {object} [options] - { stopWords: Set of the user's custom stop-words }
+ * @returns {Array<{ theme, count, percent, keywords, representative, positive_pct, neutral_pct, negative_pct, average_score }>}
+ *   theme and count keep the shape of the old bigram themes
+ */
+export function clusterTopics(comments, { stopWords = null } = {}) {
+  if (!comments || comments.length < MIN_COMMENTS) return [];
+
+  const { vocabulary, vectors, terms } = vectorize(comments.map(c => c.clean_text || ''), stopWords);
+  const usable = vectors.filter(v => v.length).length;
+  if (usable < MIN_COMMENTS) return [];
+
+  const k = Math.min(MAX_TOPICS, Math.max(2, Math.round(Math.sqrt(usable / 2))));
+  const assignment = kMeans(vectors, vocabulary, k);
+  const minSize = Math.max(3, Math.ceil(usable * 0.02));
+
+  const groups = new Map();
+  assignment.forEach((topic, i) => {
+    if (topic < 0) return;
+    if (!groups.has(topic)) groups.set(topic, []);
+    groups.get(topic).push(i);
+  });
+
+  return [...groups.values()]
+    .filter(members => members.length >= minSize)
+    .map((members) => {
+      const centroid = centroidOf(members.map(i => vectors[i]), vocabulary.length);
+      const keywords = centroid
+        .map((weight, term) => [term, weight])
+        .filter(([, weight]) => weight > 0)
+        .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+        .slice(0, KEYWORDS_PER_TOPIC)
+        .map(([term]) => vocabulary[term]);
+
+      const closest = members.reduce((best, i) => {
+        const similarity = dot(vectors[i], centroid);
+        if (!best || similarity > best.similarity + 1e-9
+          || (Math.abs(similarity - best.similarity) <= 1e-9 && (comments[i].likes || 0) > (comments[best.i].likes || 0))) {
+          return { i, similarity };
+        }
+        return best;
+      }, null);
+      const representative = comments[closest.i];
+      const sentiment = aggregateSentiment(members.map(i => comments[i].sentiment).filter(Boolean));
+
+      return {
+        theme: labelFor(keywords, members.map(i => terms[i])),
+        count: members.length,
+        percent: Math.round((members.length / comments.length) * 100),
+        keywords,
+        representative: { user: representative.user || null, text: representative.text, likes: representative.likes || 0 },
+        positive_pct: sentiment.positive_pct,
+        neutral_pct: sentiment.neutral_pct,
+        negative_pct: sentiment.negative_pct,
+        average_score: sentiment.average_score,
+      };
+    })
+    .sort((a, b) => b.count - a.count || a.theme.localeCompare(b.theme));
+}
+
+const LABEL_SCHEMA = {
+  type: 'object',
+  properties: {
+    labels: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          topic: { type: 'integer' },
+          label: { type: 'string' },
+        },
+        required: ['topic', 'label'],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ['labels'],
+  additionalProperties: false,
+};
+
+/**
+ * Ask the analysis model for clearer topic labels; topics keep their local
+ * label when the model fails or returns an unusable one
+ * @param {Array} topics - clusterTopics result
+ * @param {object} [options] - { signal }
+ */
+export async function labelTopics(topics, options = {}) {
+  if (!topics.length) return topics;
+
+  const prompt = `Each numbered topic below is a cluster of comments on the same video, with its keywords and most typical comment. Give each topic a short label (2-4 words) that says what the comments are about.
+
+${topics.map((t, i) => `${i + 1}. Keywords: ${t.keywords.join(', ')}. Typical comment: "${t.representative.text}"`).join('\n')}`;
+
+  try {
+    const response = await chat('analysis', {
+      messages: [{ role: 'user', content: prompt }],
+      temperature: 0,
+      maxTokens: 400,
+      responseFormat: {
+        type: 'json_schema',
+        json_schema: { name: 'topic_labels', strict: true, schema: LABEL_SCHEMA },
+      },
+    }, { signal: options.signal });
+
+    const labels = new Map();
+    for (const { topic, label } of JSON.parse(response.content || '{}').labels || []) {
+      const clean = String(label || '').trim();
+      if (clean && clean.length <= MAX_LABEL_LENGTH) labels.set(topic - 1, clean);
+    }
+    return topics.map((t, i) => (labels.has(i) ? { ...t, theme: labels.get(i) } : t));
+  } catch (error) {
+    if (options.signal?.aborted) throw error;
+    console.error('[Topics] Labeling failed, keeping keyword labels:', error.message);
+    return topics;
+  }
+}
+
+export default { clusterTopics, labelTopics, vectorize, kMeans };
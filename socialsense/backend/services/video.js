@@ -0,0 +1,217 @@
+/**
+ * Video Service
+ * FFmpeg helpers for uploaded videos (frame extraction, audio for Whisper)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { spawn } from 'child_process';
+
+import { safeUnlink } from '../utils/files.js';
+
+/**
+ * Extract frames from video using FFmpeg
+ * @param {string} videoPath - Path to video file
+ * @param {number} framesPerSecond - Frames to extract per second
+ * @param {number} timeoutMs - Timeout in milliseconds (default 5 minutes)
+ * @param {object} options - { signal } - kills FFmpeg when aborted
+ */
+export async function extractVideoFrames(videoPath, framesPerSecond = 2, timeoutMs = 5 * 60 * 1000, options = {}) {
+  const { signal } = options;
+  const tempDir = os.tmpdir();
+  const framePrefix = `frame-${Date.now()}`;
+
+  if (signal?.aborted) throw new Error('Video frame extraction cancelled');
+
+  return new Promise((resolve, reject) => {
+    const frames = [];
+    const outputPattern = path.join(tempDir, `${framePrefix}-%03d.jpg`);
+    let isResolved = false;
+
+    // Extract 1 frame every N seconds, max 20 frames, good quality JPEG
+    const ffmpeg = spawn('ffmpeg', [
+      '-i', videoPath,
+      '-vf', `fps=1/${framesPerSecond},scale=512:-1`,  // Resize to 512px width for API limits
+      '-frames:v', '20',
+      '-q:v', '2',  // Higher quality (lower = better, 2-5 is good)
+      '-y',  // Overwrite existing
+      outputPattern,
+    ]);
+
+    // Set timeout
+    const timeout = setTimeout(() => {
+      if (!isResolved) {
+        isResolved = true;
+        ffmpeg.kill('SIGKILL');
+        console.error('[Video] FFmpeg timeout - process killed');
+        reject(new Error('Video frame extraction timed out after 5 minutes'));
+      }
+    }, timeoutMs);
+
+    // Kill FFmpeg and drop any frames it already wrote if the analysis is cancelled
+    const onAbort = async () => {
+      if (isResolved) return;
+      isResolved = true;
+      clearTimeout(timeout);
+      ffmpeg.kill('SIGKILL');
+      console.log('[Video] FFmpeg killed - analysis cancelled');
+      reject(new Error('Video frame extraction cancelled'));
+
+      const files = await fs.readdir(tempDir).catch(() => []);
+      for (const file of files.filter(f => f.startsWith(framePrefix))) {
+        await safeUnlink(path.join(tempDir, file), 'videoFrame');
+      }
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    let stderr = '';
+    ffmpeg.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    ffmpeg.on('error', (err) => {
+      if (isResolved) return;
+      isResolved = true;
+      clearTimeout(timeout);
+      signal?.removeEventListener('abort', onAbort);
+
+      if (err.code === 'ENOENT') {
+        console.error('[Video] FFmpeg not found');
+        reject(new Error('ffmpeg not found. Please install ffmpeg to use video analysis features.'));
+      } else {
+        console.error('[Video] FFmpeg spawn error:', err);
+        reject(err);
+      }
+    });
+
+    ffmpeg.on('close', async (code) => {
+      if (isResolved) return;
+      isResolved = true;
+      clearTimeout(timeout);
+      signal?.removeEventListener('abort', onAbort);
+
+      if (code !== 0) {
+        console.error(`[Video] FFmpeg exited with code ${code}`);
+        console.error('[Video] FFmpeg stderr:', stderr.slice(-500));
+        reject(new Error('Failed to extract frames from video.'));
+        return;
+      }
+
+      try {
+        const files = await fs.readdir(tempDir);
+        const frameFiles = files
+          .filter(f => f.startsWith(framePrefix) && f.endsWith('.jpg'))
+          .sort();
+
+        console.log(`[Video] Found ${frameFiles.length} frame files`);
+
+        for (const file of frameFiles.slice(0, 15)) {  // Limit to 15 frames
+          const framePath = path.join(tempDir, file);
+          const frameBuffer = await fs.readFile(framePath);
+
+          // Only include frames larger than 1KB (valid images)
+          if (frameBuffer.length > 1024) {
+            frames.push(frameBuffer.toString('base64'));
+          }
+          await safeUnlink(framePath, 'videoFrame');
+        }
+
+        // Clean up any remaining frames
+        for (const file of frameFiles.slice(15)) {
+          const framePath = path.join(tempDir, file);
+          await safeUnlink(framePath, 'videoFrame');
+        }
+
+        if (frames.length === 0) {
+          reject(new Error('No valid frames extracted from video.'));
+          return;
+        }
+
+        console.log(`[Video] Successfully extracted ${frames.length} frames`);
+        resolve(frames);
+      } catch (err) {
+        console.error('[Video] Frame reading error:', err);
+        reject(err);
+      }
+    });
+  });
+}
+
+/**
+ * Extract audio from video using FFmpeg (for Whisper transcription)
+ * @param {string} videoPath - Path to video file
+ * @param {number} timeoutMs - Timeout in milliseconds (default 5 minutes)
+ * @param {object} options - { signal } - kills FFmpeg when aborted
+ */
+export async function extractAudio(videoPath, timeoutMs = 5 * 60 * 1000, options = {}) {
+  const { signal } = options;
+  const outputPath = videoPath + '.audio.mp3';
+
+  if (signal?.aborted) throw new Error('Audio extraction cancelled');
+
+  return new Promise((resolve, reject) => {
+    let isResolved = false;
+
+    const ffmpeg = spawn('ffmpeg', [
+      '-i', videoPath,
+      '-vn',                    // No video
+      '-acodec', 'libmp3lame',  // MP3 encoding
+      '-ab', '128k',            // 128kbps bitrate
+      '-ar', '16000',           // 16kHz sample rate (optimal for Whisper)
+      '-ac', '1',               // Mono
+      '-y',                     // Overwrite output
+      outputPath,
+    ]);
+
+    // Set timeout
+    const timeout = setTimeout(() => {
+      if (!isResolved) {
+        isResolved = true;
+        ffmpeg.kill('SIGKILL');
+        console.error('[Audio] FFmpeg timeout - process killed');
+        reject(new Error('Audio extraction timed out after 5 minutes'));
+      }
+    }, timeoutMs);
+
+    // Kill FFmpeg and drop the partial audio file if the analysis is cancelled
+    const onAbort = async () => {
+      if (isResolved) return;
+      isResolved = true;
+      clearTimeout(timeout);
+      ffmpeg.kill('SIGKILL');
+      console.log('[Audio] FFmpeg killed - analysis cancelled');
+      reject(new Error('Audio extraction cancelled'));
+      await safeUnlink(outputPath, 'audioFile');
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    ffmpeg.on('error', (err) => {
+      if (isResolved) return;
+      isResolved = true;
+      clearTimeout(timeout);
+      signal?.removeEventListener('abort', onAbort);
+
+      if (err.code === 'ENOENT') {
+        reject(new Error('ffmpeg not found'));
+      } else {
+        reject(err);
+      }
+    });
+
+    ffmpeg.on('close', (code) => {
+      if (isResolved) return;
+      isResolved = true;
+      clearTimeout(timeout);
+      signal?.removeEventListener('abort', onAbort);
+
+      if (code !== 0) {
+        reject(new Error('Audio extraction failed'));
+      } else {
+        resolve(outputPath);
+      }
+    });
+  });
+}
+
+export default { extractVideoFrames, extractAudio };
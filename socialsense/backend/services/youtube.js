@@ -1,16 +1,11 @@
-import { google } from 'googleapis';
+import { callYouTube, errorReason, hasYouTubeKeys, QuotaExhaustedError } from './youtubeQuota.js';
 
-// Validate YouTube API key
-if (!process.env.YOUTUBE_API_KEY) {
-  console.error('❌ YOUTUBE_API_KEY is not set!');
+// Validate YouTube API keys
+if (!hasYouTubeKeys()) {
+  console.error('❌ YOUTUBE_API_KEY (or YOUTUBE_API_KEYS) is not set!');
   process.exit(1);
 }
 
-const youtube = google.youtube({
-  version: 'v3',
-  auth: process.env.YOUTUBE_API_KEY,
-});
-
 /**
  * Extract video ID from YouTube URL
  */
@@ -28,15 +23,162 @@ export function extractVideoId(url) {
   return null;
 }
 
+// Channel and playlist analyses
+export const DEFAULT_COLLECTION_VIDEOS = 10;
+export const MAX_COLLECTION_VIDEOS = 50;
+export const DEFAULT_PER_VIDEO_COMMENTS = 500;
+
+/**
+ * Extract a channel or playlist from a YouTube URL
+ * Video URLs (even with a &list= parameter) are not collections.
+ * @returns {string|null} collection id: 'channel:UC...', 'handle:@name' or 'playlist:PL...'
+ */
+export function extractCollectionId(url) {
+  if (extractVideoId(url)) return null;
+
+  let match = url.match(/[?&]list=([0-9A-Za-z_-]+)/);
+  if (match) return `playlist:${match[1]}`;
+
+  match = url.match(/youtube\.com\/channel\/(UC[0-9A-Za-z_-]{22})/);
+  if (match) return `channel:${match[1]}`;
+
+  match = url.match(/youtube\.com\/@([0-9A-Za-z._-]+)/);
+  if (match) return `handle:@${match[1]}`;
+
+  return null;
+}
+
+/**
+ * Whether an id returned by extractCollectionId (rather than a video id)
+ */
+export function isCollectionId(id) {
+  return /^(channel|handle|playlist):/.test(id || '');
+}
+
+/**
+ * Resolve a collection to the playlist holding its videos
+ * Channels use their uploads playlist, which lists the newest uploads first.
+ * @returns {Promise<{ playlistId, title, channel, channelId, type }>}
+ */
+async function resolveCollection(collectionId) {
+  const [, type, value] = collectionId.match(/^(\w+):(.+)$/);
+
+  if (type === 'playlist') {
+    const response = await callYouTube('playlists.list', (youtube) => youtube.playlists.list({ part: ['snippet'], id: [value] }));
+    const playlist = response.data.items?.[0];
+    if (!playlist) throw new Error('Playlist not found or private');
+
+    return {
+      type,
+      playlistId: value,
+      title: playlist.snippet.title,
+      channel: playlist.snippet.channelTitle,
+      channelId: playlist.snippet.channelId,
+    };
+  }
+
+  // forHandle is newer than the bundled type definitions but is passed through as-is
+  const response = await callYouTube('channels.list', (youtube) => youtube.channels.list({
+    part: ['snippet', 'contentDetails'],
+    ...(type === 'handle' ? { forHandle: value } : { id: [value] }),
+  }));
+  const channel = response.data.items?.[0];
+  if (!channel) throw new Error('Channel not found');
+
+  return {
+    type: 'channel',
+    playlistId: channel.contentDetails.relatedPlaylists.uploads,
+    title: channel.snippet.title,
+    channel: channel.snippet.title,
+    channelId: channel.id,
+  };
+}
+
+/**
+ * List the first videos of a playlist with their statistics
+ */
+async function listPlaylistVideos(playlistId, maxVideos) {
+  const videoIds = [];
+  let pageToken = null;
+
+  do {
+    const response = await callYouTube('playlistItems.list', (youtube) => youtube.playlistItems.list({
+      part: ['contentDetails'],
+      playlistId,
+      maxResults: Math.min(50, maxVideos - videoIds.length),
+      pageToken,
+    }));
+
+    for (const item of response.data.items || []) {
+      videoIds.push(item.contentDetails.videoId);
+    }
+    pageToken = response.data.nextPageToken;
+  } while (pageToken && videoIds.length < maxVideos);
+
+  if (videoIds.length === 0) return [];
+
+  // Private and deleted videos are left out of videos.list
+  const response = await callYouTube('videos.list', (youtube) => youtube.videos.list({
+    part: ['statistics', 'snippet'],
+    id: videoIds.slice(0, maxVideos),
+    maxResults: 50,
+  }));
+
+  return (response.data.items || []).map(video => ({
+    id: video.id,
+    title: video.snippet.title,
+    channelId: video.snippet.channelId,
+    publishedAt: video.snippet.publishedAt,
+    commentCount: parseInt(video.statistics.commentCount || '0'),
+    viewCount: parseInt(video.statistics.viewCount || '0'),
+    likeCount: parseInt(video.statistics.likeCount || '0'),
+  }));
+}
+
+/**
+ * Get details for a channel or playlist: its latest videos and the number of
+ * comments a scrape with the given per-video budget will collect
+ * @param {object} [options]
+ * @param {number} [options.maxVideos] - how many videos to include (newest first for channels)
+ * @param {number} [options.perVideoComments] - comment budget per video
+ */
+export async function getCollectionDetails(collectionId, options = {}) {
+  const maxVideos = Math.min(Math.max(1, parseInt(options.maxVideos) || DEFAULT_COLLECTION_VIDEOS), MAX_COLLECTION_VIDEOS);
+  const perVideoComments = Math.max(1, parseInt(options.perVideoComments) || DEFAULT_PER_VIDEO_COMMENTS);
+
+  const collection = await resolveCollection(collectionId);
+  const videos = await listPlaylistVideos(collection.playlistId, maxVideos);
+  if (videos.length === 0) throw new Error(`No public videos found in this ${collection.type}`);
+
+  const sum = (key) => videos.reduce((total, video) => total + video[key], 0);
+
+  return {
+    id: collectionId,
+    isCollection: true,
+    collectionType: collection.type,
+    title: collection.title,
+    channel: collection.channel,
+    channelId: collection.channelId,
+    videoCount: videos.length,
+    perVideoComments,
+    // What will actually be scraped, so estimates price the whole batch
+    commentCount: videos.reduce((total, video) => total + Math.min(video.commentCount, perVideoComments), 0),
+    totalCommentCount: sum('commentCount'),
+    viewCount: sum('viewCount'),
+    likeCount: sum('likeCount'),
+    videos,
+  };
+}
+
 /**
  * Get video details including comment count
  */
 export async function getVideoDetails(videoId) {
   try {
-    const response = await youtube.videos.list({
+    const response = await callYouTube('videos.list', (youtube) => youtube.videos.list({
       part: ['statistics', 'snippet'],
       id: [videoId],
-    });
+    }));
 
     if (!response.data.items || response.data.items.length === 0) {
       throw new Error('Video not found');
@@ -47,6 +189,7 @@ export async function getVideoDetails(videoId) {
       id: videoId,
       title: video.snippet.title,
       channel: video.snippet.channelTitle,
+      channelId: video.snippet.channelId,
       description: video.snippet.description,
       publishedAt: video.snippet.publishedAt,
       commentCount: parseInt(video.statistics.commentCount || '0'),
@@ -59,37 +202,119 @@ export async function getVideoDetails(videoId) {
   }
 }
 
+/**
+ * Convert a YouTube comment resource into our comment shape
+ */
+function toComment(resource, { parentId = null, replyCount = 0, channelId = null } = {}) {
+  const snippet = resource.snippet;
+  return {
+    id: resource.id,
+    parent_id: parentId,
+    user: snippet.authorDisplayName,
+    author_id: snippet.authorChannelId?.value || null,
+    text: snippet.textDisplay?.trim(),
+    likes: snippet.likeCount || 0,
+    publishedAt: snippet.publishedAt,
+    reply_count: replyCount,
+    is_creator_reply: !!parentId && !!channelId && snippet.authorChannelId?.value === channelId,
+  };
+}
+
+const isUsable = (comment) => comment.text && comment.text !== '[sticker]';
+
+/**
+ * Fetch the replies of a thread. commentThreads.list only embeds the first
+ * few, so longer threads are paged through comments.list.
+ */
+async function fetchReplies(thread, limit, { channelId, signal }) {
+  const total = thread.snippet.totalReplyCount || 0;
+  const embedded = thread.replies?.comments || [];
+
+  if (embedded.length >= total) {
+    return embedded.slice(0, limit).map(reply => toComment(reply, { parentId: thread.id, channelId }));
+  }
+
+  const replies = [];
+  let pageToken = null;
+
+  do {
+    const response = await callYouTube('comments.list', (youtube) => youtube.comments.list({
+      part: ['snippet'],
+      parentId: thread.id,
+      maxResults: 100,
+      pageToken,
+      textFormat: 'plainText',
+    }, { signal }));
+
+    for (const item of response.data.items || []) {
+      replies.push(toComment(item, { parentId: thread.id, channelId }));
+    }
+    pageToken = response.data.nextPageToken;
+  } while (pageToken && replies.length < limit && !signal?.aborted);
+
+  return replies.slice(0, limit);
+}
+
 /**
  * Scrape comments from a YouTube video
+ * Every comment carries id, parent_id (null for top-level), reply_count and
+ * is_creator_reply so conversation structure survives processing.
+ * @param {object} options
+ * @param {AbortSignal} [options.signal] - when aborted, stops and returns the comments collected so far
+ * @param {boolean} [options.includeReplies] - also fetch reply threads (replies count towards maxComments)
+ * @param {string} [options.channelId] - uploader's channel, used to spot creator replies (looked up if omitted)
+ * @param {string} [options.cursor] - page token to start from
+ * @param {function} [options.onPage] - called with the next page token (null at the end) and the comments
+ *                                     collected so far after each fully read page
+ * @param {object} [options.since] - { publishedAt } of the newest comment already seen; threads come
+ *                                   newest first, so the scrape stops at the first older one
  */
-export async function scrapeYouTubeComments(videoId, maxComments = 1000, onProgress = null) {
+export async function scrapeYouTubeComments(videoId, maxComments = 1000, onProgress = null, options = {}) {
+  const { signal, includeReplies = false, onPage, since } = options;
   const comments = [];
-  let nextPageToken = null;
+  let nextPageToken = options.cursor || null;
+  let reachedSince = false;
 
   try {
-    while (comments.length < maxComments) {
-      const response = await youtube.commentThreads.list({
-        part: ['snippet'],
+    let channelId = options.channelId || null;
+    if (includeReplies && !channelId) {
+      channelId = (await getVideoDetails(videoId)).channelId;
+    }
+
+    while (comments.length < maxComments && !signal?.aborted) {
+      const response = await callYouTube('commentThreads.list', (youtube) => youtube.commentThreads.list({
+        part: includeReplies ? ['snippet', 'replies'] : ['snippet'],
         videoId: videoId,
         maxResults: 100,
+        // Relevance order by default; incremental runs read newest first to stop at the last run
+        ...(since && { order: 'time' }),
         pageToken: nextPageToken,
         textFormat: 'plainText',
-      });
+      }, { signal }));
+
+      const items = response.data.items || [];
+      let read = 0;
+
+      for (const item of items) {
+        const replyCount = item.snippet.totalReplyCount || 0;
+        const comment = toComment(item.snippet.topLevelComment, { replyCount, channelId });
 
-      for (const item of response.data.items || []) {
-        const comment = item.snippet.topLevelComment.snippet;
-        const text = comment.textDisplay?.trim();
-
-        if (text && text !== '[sticker]') {
-          comments.push({
-            user: comment.authorDisplayName,
-            text: text,
-            likes: comment.likeCount || 0,
-            publishedAt: comment.publishedAt,
-          });
+        if (since && new Date(comment.publishedAt) < new Date(since.publishedAt)) {
+          reachedSince = true;
+          break;
         }
+        read++;
 
-        if (comments.length >= maxComments) break;
+        if (isUsable(comment)) {
+          comments.push(comment);
+        }
+
+        if (includeReplies && replyCount > 0 && comments.length < maxComments) {
+          const replies = await fetchReplies(item, maxComments - comments.length, { channelId, signal });
+          comments.push(...replies.filter(isUsable));
+        }
+
+        if (comments.length >= maxComments || signal?.aborted) break;
       }
 
       if (onProgress) {
@@ -97,7 +322,9 @@ export async function scrapeYouTubeComments(videoId, maxComments = 1000, onProgr
       }
 
       nextPageToken = response.data.nextPageToken;
-      if (!nextPageToken) break;
+      // A page cut short by maxComments is read again when resuming
+      if (read === items.length && !signal?.aborted) onPage?.(nextPageToken || null, comments);
+      if (!nextPageToken || reachedSince) break;
 
       // Small delay to respect rate limits
       await new Promise(resolve => setTimeout(resolve, 100));
@@ -105,23 +332,80 @@ export async function scrapeYouTubeComments(videoId, maxComments = 1000, onProgr
 
     return comments.slice(0, maxComments);
   } catch (error) {
+    if (signal?.aborted) {
+      console.log(`[YOUTUBE] Scrape cancelled after ${comments.length} comments`);
+      return comments.slice(0, maxComments);
+    }
+
     console.error('[YOUTUBE] Scrape error:', error.message);
     if (error.response?.data) {
       console.error('[YOUTUBE] API Details:', JSON.stringify(error.response.data, null, 2));
     }
 
+    // Every key is out of quota: the job waits for the reset and resumes from its checkpoint
+    if (error instanceof QuotaExhaustedError) throw error;
+
+    const reason = errorReason(error);
+    if (reason === 'commentsDisabled') {
+      throw new Error('Comments are disabled for this video');
+    }
     if (error.code === 403) {
-      throw new Error('YouTube API quota exceeded or comments are disabled');
+      throw new Error(`YouTube refused the request${reason ? ` (${reason})` : ''}. The video may be private or age-restricted.`);
     }
     if (error.code === 404) {
-      throw new Error('Video not found or comments are disabled');
+      throw new Error('Video not found');
     }
     throw error;
   }
 }
 
+/**
+ * Scrape every video of a channel or playlist and merge the comments
+ * Each comment is tagged with video_id and video_title. Videos whose
+ * comments can't be read (disabled, removed) are skipped.
+ * @param {object} details - from getCollectionDetails
+ * @param {object} options - { signal, includeReplies, since, sinceByVideo }; sinceByVideo
+ *                          (video_id -> { publishedAt }) replaces since, and videos
+ *                          without a marker are scraped from their newest comment down
+ */
+export async function scrapeYouTubeCollection(details, maxComments = 1000, onProgress = null, options = {}) {
+  const { signal, includeReplies = false, since, sinceByVideo } = options;
+  const comments = [];
+  let lastError = null;
+
+  for (const video of details.videos) {
+    const budget = Math.min(details.perVideoComments, maxComments - comments.length);
+    if (budget <= 0 || signal?.aborted) break;
+    if (video.commentCount === 0) continue;
+
+    try {
+      const videoComments = await scrapeYouTubeComments(video.id, budget, (count) => onProgress?.(comments.length + count), {
+        signal,
+        includeReplies,
+        channelId: video.channelId || details.channelId,
+        since: sinceByVideo ? sinceByVideo[video.id] : since,
+      });
+      comments.push(...videoComments.map(comment => ({ ...comment, video_id: video.id, video_title: video.title })));
+    } catch (error) {
+      // No quota means no other video can be read either
+      if (error instanceof QuotaExhaustedError) throw error;
+      lastError = error;
+      console.warn(`[YOUTUBE] Skipping video ${video.id}: ${error.message}`);
+    }
+  }
+
+  if (comments.length === 0 && lastError) throw lastError;
+
+  console.log(`[YOUTUBE] Collection scrape complete: ${comments.length} comments from ${details.videos.length} videos`);
+  return comments;
+}
+
 export default {
   extractVideoId,
+  extractCollectionId,
+  isCollectionId,
   getVideoDetails,
+  getCollectionDetails,
   scrapeYouTubeComments,
+  scrapeYouTubeCollection,
 };
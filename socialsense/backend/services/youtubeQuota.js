@@ -0,0 +1,319 @@
+/**
+ * YouTube Quota Accountant
+ * Every YouTube Data API call goes through callYouTube(), which picks the
+ * configured API key with the most quota left, records the units spent per
+ * key, call type and quota day in youtube_quota_usage, and moves on to the
+ * next key when Google reports one as exhausted. When every key is used up
+ * it throws QuotaExhaustedError, which makes the job wait for the reset.
+ * Queued analyses hold their expected units in youtube_quota_reservations
+ * (reserveQuota) until their scrape ends, and those units count as spent.
+ *
+ * Keys: YOUTUBE_API_KEYS (comma-separated) or YOUTUBE_API_KEY.
+ * Quota resets at midnight Pacific Time.
+ */
+
+import { createHash } from 'crypto';
+import { google } from 'googleapis';
+
+import { supabaseAdmin } from '../config/supabase.js';
+import { DeferJobError } from './jobQueue.js';
+
+// Units charged per call (https://developers.google.com/youtube/v3/determine_quota_cost)
+export const QUOTA_COSTS = {
+  'videos.list': 1,
+  'channels.list': 1,
+  'playlists.list': 1,
+  'playlistItems.list': 1,
+  'commentThreads.list': 1,
+  'comments.list': 1,
+  'search.list': 100,
+};
+
+// Default daily quota of a Google Cloud project
+export const DAILY_QUOTA_PER_KEY = parseInt(process.env.YOUTUBE_DAILY_QUOTA) || 10000;
+
+const QUOTA_TIME_ZONE = 'America/Los_Angeles';
+const USAGE_REFRESH_MS = 60 * 1000;
+const USAGE_FLUSH_MS = 5 * 1000;
+
+// Reasons Google gives in a 403 when a key has no quota left
+const QUOTA_REASONS = ['quotaExceeded', 'dailyLimitExceeded'];
+
+/**
+ * Thrown when no configured key has enough quota left today
+ */
+export class QuotaExhaustedError extends DeferJobError {
+  constructor(resetAt = nextQuotaReset()) {
+    super(`YouTube API quota is used up for today. It resets at ${resetAt.toISOString()} (midnight Pacific Time).`, resetAt, 'waiting_for_quota');
+    this.name = 'QuotaExhaustedError';
+    this.resetAt = resetAt;
+  }
+}
+
+/**
+ * Quota day (YYYY-MM-DD in Pacific Time) a moment belongs to
+ */
+export function quotaDay(date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: QUOTA_TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+}
+
+/**
+ * Next midnight Pacific Time
+ */
+export function nextQuotaReset(date = new Date()) {
+  const [year, month, day] = quotaDay(date).split('-').map(Number);
+  // Midnight PDT is 07:00 UTC; during PST that moment is still the previous day
+  const pdtMidnight = new Date(Date.UTC(year, month - 1, day + 1, 7));
+  return quotaDay(pdtMidnight) === quotaDay(date) ? new Date(pdtMidnight.getTime() + 60 * 60 * 1000) : pdtMidnight;
+}
+
+/**
+ * Configured API keys with a stable id that is safe to store
+ */
+function loadKeys() {
+  const raw = process.env.YOUTUBE_API_KEYS || process.env.YOUTUBE_API_KEY || '';
+  const secrets = [...new Set(raw.split(',').map(key => key.trim()).filter(Boolean))];
+  return secrets.map(secret => ({
+    id: createHash('sha256').update(secret).digest('hex').slice(0, 12),
+    client: google.youtube({ version: 'v3', auth: secret }),
+  }));
+}
+
+const keys = loadKeys();
+
+export function hasYouTubeKeys() {
+  return keys.length > 0;
+}
+
+// Units spent today per key ({ total, byCallType }) and held by queued analyses, plus increments not yet written
+const usage = { day: null, loadedAt: 0, byKey: new Map(), reserved: 0 };
+let pending = new Map();
+let flushTimer = null;
+
+function keyUsage(keyId) {
+  if (!usage.byKey.has(keyId)) usage.byKey.set(keyId, { total: 0, byCallType: {} });
+  return usage.byKey.get(keyId);
+}
+
+function addUsage(keyId, callType, units) {
+  const entry = keyUsage(keyId);
+  entry.total += units;
+  entry.byCallType[callType] = (entry.byCallType[callType] || 0) + units;
+}
+
+/**
+ * Reload today's usage from the database so every worker sees what the
+ * others spent. Starts from zero on a new quota day.
+ */
+async function refreshUsage() {
+  const day = quotaDay();
+  if (usage.day === day && Date.now() - usage.loadedAt < USAGE_REFRESH_MS) return;
+
+  if (usage.day !== day) {
+    // Units spent before midnight are written to the day they were spent on
+    if (pending.size) await flushUsage();
+    usage.byKey = new Map();
+    usage.reserved = 0;
+  }
+  usage.day = day;
+  usage.loadedAt = Date.now();
+
+  const [{ data, error }, { data: holds, error: holdError }] = await Promise.all([
+    supabaseAdmin.from('youtube_quota_usage').select('key_id, call_type, units').eq('quota_date', day),
+    supabaseAdmin.from('youtube_quota_reservations').select('units').eq('quota_date', day),
+  ]);
+
+  if (error || holdError) {
+    console.error('[YouTube Quota] Could not load usage:', (error || holdError).message);
+    return;
+  }
+
+  usage.byKey = new Map();
+  usage.reserved = (holds || []).reduce((sum, row) => sum + row.units, 0);
+  for (const row of data || []) addUsage(row.key_id, row.call_type, row.units);
+  for (const [id, units] of pending) {
+    const [keyId, callType] = id.split('|');
+    addUsage(keyId, callType, units);
+  }
+}
+
+/**
+ * Write pending increments (batched so a long scrape isn't one write per page)
+ */
+export async function flushUsage() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  const batch = pending;
+  const day = usage.day;
+  pending = new Map();
+
+  for (const [id, units] of batch) {
+    const [keyId, callType] = id.split('|');
+    const { error } = await supabaseAdmin.rpc('record_youtube_quota_usage', {
+      p_quota_date: day,
+      p_key_id: keyId,
+      p_call_type: callType,
+      p_units: units,
+    });
+    if (error) console.error('[YouTube Quota] Could not record usage:', error.message);
+  }
+}
+
+function recordUsage(keyId, callType, units) {
+  addUsage(keyId, callType, units);
+  const id = `${keyId}|${callType}`;
+  pending.set(id, (pending.get(id) || 0) + units);
+
+  if (!flushTimer) {
+    flushTimer = setTimeout(() => { flushUsage().catch(() => {}); }, USAGE_FLUSH_MS);
+    flushTimer.unref?.();
+  }
+}
+
+const remainingFor = (key) => Math.max(0, DAILY_QUOTA_PER_KEY - keyUsage(key.id).total);
+
+/**
+ * Reason Google gave for a failed call ('quotaExceeded', 'commentsDisabled', ...)
+ */
+export function errorReason(error) {
+  return error?.errors?.[0]?.reason || error?.response?.data?.error?.errors?.[0]?.reason || null;
+}
+
+/**
+ * Run one YouTube API call on the key with the most quota left
+ * @param {string} callType - e.g. 'commentThreads.list' (see QUOTA_COSTS)
+ * @param {function} request - (client) => promise of the API response
+ */
+export async function callYouTube(callType, request) {
+  await refreshUsage();
+  const cost = QUOTA_COSTS[callType] ?? 1;
+  const tried = new Set();
+
+  for (;;) {
+    const key = keys
+      .filter(k => !tried.has(k.id) && remainingFor(k) >= cost)
+      .sort((a, b) => remainingFor(b) - remainingFor(a))[0];
+    if (!key) throw new QuotaExhaustedError();
+    tried.add(key.id);
+
+    try {
+      const response = await request(key.client);
+      recordUsage(key.id, callType, cost);
+      return response;
+    } catch (error) {
+      if (!QUOTA_REASONS.includes(errorReason(error))) {
+        // Rejected calls still cost quota
+        recordUsage(key.id, callType, cost);
+        throw error;
+      }
+      // Google says this key is done for today, whatever our count says
+      console.warn(`[YouTube Quota] Key ${key.id} exhausted after ${keyUsage(key.id).total} units`);
+      recordUsage(key.id, 'quota_exceeded', remainingFor(key));
+    }
+  }
+}
+
+/**
+ * Estimate the units a scrape will spend
+ * @param {object} options - { commentCount, includeReplies, videoCount } (videoCount for channels and playlists)
+ */
+export function estimateScrapeUnits({ commentCount = 0, includeReplies = false, videoCount = 0 }) {
+  // 100 threads per page; long reply threads need comments.list pages of their own
+  const pages = Math.ceil(commentCount / 100);
+  const lookups = videoCount ? 3 + Math.ceil(videoCount / 50) : 1;
+  return lookups + Math.max(videoCount, pages) * (includeReplies ? 2 : 1);
+}
+
+/**
+ * Quota left today across every key, less what queued analyses hold
+ */
+export async function getQuotaStatus() {
+  await refreshUsage();
+  const used = keys.reduce((sum, key) => sum + keyUsage(key.id).total, 0);
+  return {
+    keys: keys.length,
+    daily_limit: DAILY_QUOTA_PER_KEY * keys.length,
+    used,
+    reserved: usage.reserved,
+    remaining: Math.max(0, keys.reduce((sum, key) => sum + remainingFor(key), 0) - usage.reserved),
+    reset_at: nextQuotaReset().toISOString(),
+  };
+}
+
+/**
+ * Whether a scrape of `units` fits in today's quota
+ * @returns {Promise<{ units, remaining, daily_limit, reset_at, must_wait: boolean, exceeds_daily_limit: boolean }>}
+ */
+export async function checkQuota(units) {
+  const status = await getQuotaStatus();
+  return {
+    units,
+    remaining: status.remaining,
+    daily_limit: status.daily_limit,
+    reset_at: status.reset_at,
+    must_wait: units > status.remaining,
+    exceeds_daily_limit: units > status.daily_limit,
+  };
+}
+
+/**
+ * Hold `units` of today's quota for an analysis. The check and the hold are
+ * one database call, so analyses queued at the same time can't both take the
+ * last units. Holding again on the same day keeps the first hold.
+ * @returns {Promise<object>} checkQuota's result plus reserved (false when it doesn't fit today)
+ */
+export async function reserveQuota(analysisId, units) {
+  await refreshUsage();
+  // The database decides from what every worker has written
+  await flushUsage();
+  const dailyLimit = DAILY_QUOTA_PER_KEY * keys.length;
+  const { data: reserved, error } = await supabaseAdmin.rpc('reserve_youtube_quota', {
+    p_quota_date: usage.day,
+    p_analysis_id: analysisId,
+    p_units: units,
+    p_daily_limit: dailyLimit,
+  });
+
+  if (error) {
+    // Without the hold, fall back to checking what is left
+    console.error('[YouTube Quota] Could not reserve quota:', error.message);
+    const check = await checkQuota(units);
+    return { ...check, reserved: !check.must_wait };
+  }
+
+  usage.loadedAt = 0;
+  const status = await getQuotaStatus();
+  return {
+    units,
+    remaining: status.remaining,
+    daily_limit: dailyLimit,
+    reset_at: status.reset_at,
+    must_wait: !reserved,
+    exceeds_daily_limit: units > dailyLimit,
+    reserved: !!reserved,
+  };
+}
+
+/**
+ * Give back an analysis' hold once its scrape has ended (or will never start)
+ */
+export async function releaseQuota(analysisId) {
+  const { error } = await supabaseAdmin
+    .from('youtube_quota_reservations')
+    .delete()
+    .eq('analysis_id', analysisId);
+  if (error) console.error('[YouTube Quota] Could not release quota:', error.message);
+  usage.loadedAt = 0;
+}
+
+export default {
+  callYouTube,
+  estimateScrapeUnits,
+  getQuotaStatus,
+  checkQuota,
+  reserveQuota,
+  releaseQuota,
+  flushUsage,
+  quotaDay,
+  nextQuotaReset,
+};
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import request from 'supertest';
+import app from '../server.js';
+
+const ANALYSIS_ID = '123e4567-e89b-42d3-a456-426614174000';
+
+describe('Analysis progress API', () => {
+  it('should require authentication for the event stream', async () => {
+    const res = await request(app).get(`/api/analysis/${ANALYSIS_ID}/events`);
+    expect(res.status).toBe(401);
+  });
+
+  it('should require authentication for the progress snapshot', async () => {
+    const res = await request(app).get(`/api/analysis/${ANALYSIS_ID}/progress`);
+    expect(res.status).toBe(401);
+  });
+
+  it('should require authentication to cancel an analysis', async () => {
+    const res = await request(app).post(`/api/analysis/${ANALYSIS_ID}/cancel`);
+    expect(res.status).toBe(401);
+  });
+
+  it('should require authentication to resume an analysis', async () => {
+    const res = await request(app).post(`/api/analysis/${ANALYSIS_ID}/resume`);
+    expect(res.status).toBe(401);
+  });
+
+  it('should no longer expose progress by client request id', async () => {
+    const res = await request(app).get('/api/analysis/progress/req_123');
+    expect(res.status).toBe(404);
+  });
+});
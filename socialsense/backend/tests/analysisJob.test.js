@@ -0,0 +1,85 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Records analyses updates and settlements instead of touching Supabase
+const db = vi.hoisted(() => ({ updates: [], settlements: [], released: [], checkpoint: null }));
+
+vi.mock('../config/supabase.js', () => ({
+    supabaseAdmin: {
+        from: () => ({
+            update: (values) => ({
+                eq: async () => {
+                    db.updates.push(values);
+                    return { error: null };
+                },
+            }),
+            delete: () => ({
+                eq: async (column, value) => {
+                    db.released.push(value);
+                    return { error: null };
+                },
+            }),
+        }),
+    },
+}));
+vi.mock('../services/billing.js', () => ({
+    settleAnalysisCost: async (args) => {
+        db.settlements.push(args);
+        return 0;
+    },
+    refundReservation: async () => 0,
+}));
+vi.mock('../services/filterRules.js', () => ({
+    getFilterRules: async () => null,
+    compileRules: () => null,
+}));
+vi.mock('../services/checkpoints.js', () => ({
+    loadCheckpoint: async () => db.checkpoint,
+    createCheckpointWriter: () => ({ save: () => {}, flush: async () => {} }),
+    clearCheckpoint: async () => {},
+}));
+
+const { cancelAnalysisJob } = await import('../services/analysisJob.js');
+
+const job = (payload = {}) => ({
+    payload: { analysisId: 'analysis-1', userId: 'user-1', platform: 'youtube', costBreakdown: { scraping: 4 }, ...payload },
+});
+const TEXTS = { a: 'The audio was much better this time', b: 'Where did you film the second scene', c: 'Pacing dragged in the middle for me' };
+const comment = (id) => ({ id, user: `user_${id}`, text: TEXTS[id], likes: 0 });
+
+describe('Analysis Job', () => {
+    beforeEach(() => {
+        db.updates = [];
+        db.settlements = [];
+        db.released = [];
+        db.checkpoint = null;
+    });
+
+    describe('cancelAnalysisJob', () => {
+        it('should keep and bill the checkpointed comments of a job cancelled in the queue', async () => {
+            db.checkpoint = { cursor: 'page-3', comments: [comment('a'), comment('b'), comment('c')], done: false };
+
+            await cancelAnalysisJob(job({ billedComments: 1 }));
+
+            expect(db.updates[0]).toMatchObject({ status: 'cancelled', comment_count: 3 });
+            expect(db.updates[0].raw_comments).toHaveLength(3);
+            expect(db.settlements[0].delivered).toEqual({ commentCount: 2 });
+            // The API units it was queued with are given back
+            expect(db.released).toEqual(['analysis-1']);
+        });
+
+        it('should prefer the comments the worker collected', async () => {
+            db.checkpoint = { cursor: 'page-3', comments: [comment('a'), comment('b'), comment('c')], done: false };
+
+            await cancelAnalysisJob(job(), { rawComments: [comment('a')], processed: null });
+
+            expect(db.updates[0]).toMatchObject({ comment_count: 1 });
+        });
+
+        it('should bill nothing without any saved comments', async () => {
+            await cancelAnalysisJob(job());
+
+            expect(db.updates[0]).toEqual({ status: 'cancelled', error_message: 'Cancelled by user' });
+            expect(db.settlements[0].delivered).toEqual({ commentCount: 0 });
+        });
+    });
+});
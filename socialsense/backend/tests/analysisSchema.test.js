@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import {
+    buildAnalysisSchema, validateAgainstSchema, calculateVideoScore,
+    toScoreBreakdown, toActionItems, renderAnalysisMarkdown,
+} from '../services/analysisSchema.js';
+
+const baseReport = () => ({
+    findings: [
+        { category: 'strength', insight: 'Viewers love the pacing', evidence: ['so well paced'], confidence: 'high' },
+        { category: 'confusion', insight: 'Setup steps are unclear', evidence: [], confidence: 'medium' },
+    ],
+    recommendations: [
+        { change: 'Add a setup checklist', rationale: 'Many ask how to start', expected_outcome: 'Fewer setup questions', confidence: 'high' },
+    ],
+    content_adjustments: { hook: 'Show the result first', messaging: 'Name the audience', call_to_action: 'Link the checklist' },
+    action_items: [{ title: 'Pin a setup comment', description: 'Answer the top question', priority: 'high' }],
+});
+
+const score = {
+    engagement: { score: 32, reason: 'Substantive replies' },
+    content_fit: { score: 24, reason: 'Clear fit' },
+    conversion: { score: 12, reason: 'Some purchase intent' },
+    red_flags: { score: 4, reason: 'A few complaints' },
+    priority_improvement: 'Explain setup earlier',
+    explanation: 'Strong engagement held back by setup confusion.',
+};
+
+describe('Analysis Schema Service', () => {
+    describe('buildAnalysisSchema', () => {
+        it('should only include the optional sections that were requested', () => {
+            const basic = buildAnalysisSchema();
+            expect(Object.keys(basic.properties)).toEqual(['findings', 'recommendations', 'content_adjustments', 'action_items']);
+
+            const full = buildAnalysisSchema({ score: true, notesAssessment: true, marketing: true, competitor: true });
+            expect(full.required).toEqual(expect.arrayContaining(['score', 'notes_assessment', 'marketing_insights', 'competitor_analysis']));
+        });
+
+        it('should use the harsh self-awareness rating in harsh mode', () => {
+            const schema = buildAnalysisSchema({ notesAssessment: true, harshFeedback: true });
+            expect(schema.properties.notes_assessment.properties.rating.enum).toContain('Delusional');
+        });
+    });
+
+    describe('validateAgainstSchema', () => {
+        it('should accept a report that matches the schema', () => {
+            const schema = buildAnalysisSchema({ score: true });
+            expect(validateAgainstSchema({ ...baseReport(), score }, schema)).toEqual({ valid: true, errors: [] });
+        });
+
+        it('should reject missing fields, bad enums, out-of-range scores and extra keys', () => {
+            const schema = buildAnalysisSchema({ score: true });
+            const report = {
+                ...baseReport(),
+                score: { ...score, engagement: { score: 55, reason: 'x' } },
+                extra: true,
+            };
+            delete report.recommendations;
+            report.findings[0].confidence = 'certain';
+
+            const { valid, errors } = validateAgainstSchema(report, schema);
+            expect(valid).toBe(false);
+            expect(errors).toEqual(expect.arrayContaining([
+                '$.recommendations: is required',
+                '$.extra: is not allowed',
+                '$.findings[0].confidence: must be one of high, medium, low',
+                '$.score.engagement.score: must be <= 40',
+            ]));
+        });
+    });
+
+    describe('scores and action items', () => {
+        it('should derive the overall score from the breakdown', () => {
+            expect(calculateVideoScore(score)).toBe(64);
+            expect(calculateVideoScore(null)).toBeNull();
+            expect(toScoreBreakdown(score).redFlags).toEqual({ score: 4, max: 10, reason: 'A few complaints' });
+        });
+
+        it('should number action items', () => {
+            expect(toActionItems(baseReport())).toEqual([
+                { id: 'action_1', title: 'Pin a setup comment', description: 'Answer the top question', completed: false, priority: 'high' },
+            ]);
+        });
+    });
+
+    describe('renderAnalysisMarkdown', () => {
+        it('should render findings, recommendations and the score', () => {
+            const markdown = renderAnalysisMarkdown({ ...baseReport(), score });
+            expect(markdown).toContain('## Key Findings');
+            expect(markdown).toContain('### What Viewers Like');
+            expect(markdown).toContain('1. **Add a setup checklist** *(high confidence)*');
+            expect(markdown).toContain('**Overall Score: 64/100**');
+            expect(markdown).not.toContain('### Objections & Concerns');
+        });
+    });
+});
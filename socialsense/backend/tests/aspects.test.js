@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { extractAspects, parseAspects, MAX_CUSTOM_ASPECTS } from '../services/aspects.js';
+import { processComments } from '../services/commentProcessor.js';
+
+const comments = (texts) => processComments(texts.map((text, i) => ({
+    id: String(i),
+    user: `viewer${i}`,
+    text,
+    likes: i,
+}))).comments;
+
+describe('Aspect Sentiment', () => {
+    it('should parse aspects from a form field, a JSON string or an array', () => {
+        expect(parseAspects('Audio,  price , pacing,audio')).toEqual(['audio', 'price', 'pacing']);
+        expect(parseAspects('["Sound Design", "price"]')).toEqual(['sound design', 'price']);
+        expect(parseAspects(['audio', 42, '  '])).toEqual(['audio']);
+        expect(parseAspects(undefined)).toEqual([]);
+        expect(parseAspects('[not json')).toEqual(['[not json']);
+
+        const many = Array.from({ length: 15 }, (_, i) => `aspect${i}`);
+        expect(parseAspects(many)).toHaveLength(MAX_CUSTOM_ASPECTS);
+        expect(parseAspects(['x'.repeat(100)])[0]).toHaveLength(40);
+    });
+
+    it('should score each aspect on the clause that mentions it', () => {
+        const aspects = extractAspects(comments([
+            'I love the editing but the audio is awful in this one',
+            'Great editing as always, the audio was terrible though',
+            'The editing here is amazing and the transitions are smooth',
+            'Audio is really bad, I could barely hear the explanation',
+        ]));
+
+        const editing = aspects.find(a => a.aspect === 'editing');
+        const audio = aspects.find(a => a.aspect === 'audio');
+        expect(editing).toMatchObject({ source: 'default', mentions: 3, positive: 3, negative: 0 });
+        expect(audio).toMatchObject({ source: 'default', mentions: 3, negative: 3 });
+        expect(audio.average_score).toBeLessThan(0);
+
+        // Ranked by mentions, and examples are the most liked comments first
+        expect(aspects[0].mentions).toBeGreaterThanOrEqual(aspects[aspects.length - 1].mentions);
+        expect(editing.examples.positive.map(e => e.likes)).toEqual([2, 1]);
+        expect(audio.examples.negative[0]).toMatchObject({ user: 'viewer3', likes: 3 });
+    });
+
+    it('should always report the aspects the user asked for', () => {
+        const aspects = extractAspects(comments([
+            'The editing was great and really well done',
+            'Loved the editing, super clean work',
+        ]), { custom: parseAspects('price, editing') });
+
+        expect(aspects.find(a => a.aspect === 'price')).toMatchObject({ source: 'custom', mentions: 0, examples: { positive: [], negative: [] } });
+        expect(aspects.find(a => a.aspect === 'editing')).toMatchObject({ source: 'custom', mentions: 2, positive: 2 });
+        expect(aspects.filter(a => a.aspect === 'editing')).toHaveLength(1);
+    });
+
+    it('should discover frequent topics the built-in list misses', () => {
+        const aspects = extractAspects(comments([
+            'The color grading in this is beautiful',
+            'That color grading looks incredible, what LUT did you use?',
+            'Color grading is a bit too orange for my taste, looks bad',
+            'Nice lens choice for the close ups in the kitchen',
+        ]));
+
+        const grading = aspects.find(a => a.aspect === 'color grading');
+        expect(grading).toMatchObject({ source: 'discovered', mentions: 3, positive: 2, negative: 1 });
+    });
+
+    it('should skip emoji-only reactions and return nothing without text', () => {
+        expect(extractAspects(comments(['💀💀', '🔥']))).toEqual([]);
+        expect(extractAspects([])).toEqual([]);
+    });
+});
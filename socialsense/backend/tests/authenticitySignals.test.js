@@ -0,0 +1,126 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../services/llm/index.js', () => ({
+    chat: vi.fn(async () => ({ content: 'not json', model: 'test-model' })),
+    describeTask: () => 'test-model',
+}));
+
+import {
+    scoreAuthenticity,
+    giniCoefficient,
+    looksGenerated,
+    detectBurst,
+    verdictFor,
+    BASE_SCORE,
+} from '../services/authenticitySignals.js';
+import engagementValidator, { validateEngagement } from '../services/engagementValidator.js';
+import { chat } from '../services/llm/index.js';
+
+const { PLATFORM_BENCHMARKS, analyzeCommentPatterns } = engagementValidator;
+
+const WORDS = ['audio', 'lighting', 'editing', 'pacing', 'intro', 'thumbnail', 'script', 'outro', 'music', 'colors',
+    'loved', 'confusing', 'part', 'why', 'never', 'tried', 'recipe', 'again', 'camera', 'question'];
+// Eight words per comment from a pseudo-random sequence seeded by its index, so no two comments are alike
+const wordsFor = (i) => {
+    let seed = i + 1;
+    return Array.from({ length: 8 }, () => {
+        seed = (seed * 1103515245 + 12345) % 2147483648;
+        return WORDS[(seed >>> 16) % WORDS.length];
+    }).join(' ');
+};
+const START = Date.parse('2026-05-01T12:00:00Z');
+
+// Distinct, organic-looking comments spread over two days with long-tail likes
+const organicComments = () => Array.from({ length: 40 }, (_, i) => ({
+    id: String(i),
+    user: `Viewer ${String.fromCharCode(65 + (i % 26))}${i}`,
+    author_id: `a${i}`,
+    text: wordsFor(i),
+    likes: i === 0 ? 400 : i < 4 ? 30 : i % 3,
+    publishedAt: new Date(START + i * 60 * 60 * 1000).toISOString(),
+}));
+
+const organicVideo = { viewCount: 100000, likeCount: 4000, commentCount: 120, publishedAt: '2026-05-01T11:00:00Z' };
+
+describe('Authenticity Signals', () => {
+    it('should measure like inequality with the Gini coefficient', () => {
+        expect(giniCoefficient([5, 5, 5, 5])).toBe(0);
+        expect(giniCoefficient([0, 0, 0, 100])).toBeCloseTo(0.75);
+        expect(giniCoefficient([])).toBe(0);
+    });
+
+    it('should spot generated-looking account names', () => {
+        expect(looksGenerated('@user-k2j9x8q1')).toBe(true);
+        expect(looksGenerated('maria48213')).toBe(true);
+        expect(looksGenerated('xk7qz2mw9p')).toBe(true);
+        expect(looksGenerated('Maria Lopez')).toBe(false);
+        expect(looksGenerated('techguy99')).toBe(false);
+    });
+
+    it('should find comment bursts after the first hour only', () => {
+        const spread = organicComments();
+        expect(detectBurst(spread).share).toBeLessThan(0.1);
+
+        const burst = [
+            ...spread,
+            ...Array.from({ length: 30 }, (_, i) => ({ publishedAt: new Date(START + 10.5 * 3600000 + i * 10000).toISOString() })),
+        ];
+        const found = detectBurst(burst, organicVideo.publishedAt);
+        expect(found.peak).toBe(30);
+        expect(found.at).toBe('2026-05-01T22:30:00.000Z');
+
+        // The same burst right after upload is normal
+        expect(detectBurst(burst, '2026-05-01T22:00:00Z').peak).toBeLessThan(30);
+    });
+
+    it('should score the same data the same way and explain every point', () => {
+        const comments = organicComments();
+        const analysis = analyzeCommentPatterns(comments);
+        const first = scoreAuthenticity(organicVideo, comments, PLATFORM_BENCHMARKS.youtube, analysis);
+
+        expect(scoreAuthenticity(organicVideo, comments, PLATFORM_BENCHMARKS.youtube, analysis)).toEqual(first);
+        expect(first.score).toBe(first.signals.reduce((sum, s) => sum + s.points, BASE_SCORE));
+        expect(first.signals.map(s => s.id)).toEqual(expect.arrayContaining([
+            'engagement_rate', 'likes_to_views', 'comments_to_likes', 'near_duplicates', 'comment_burst', 'author_names', 'like_distribution',
+        ]));
+        expect(first.signals.filter(s => s.points < 0)).toEqual([]);
+        expect(first.verdict).toBe('Highly Authentic');
+    });
+
+    it('should take points off for bought engagement and bot comments', () => {
+        const bots = Array.from({ length: 30 }, (_, i) => ({
+            id: `b${i}`,
+            user: `user${48210 + i}`,
+            author_id: `b${i}`,
+            text: `Amazing content, I learned so much from this video ${['!', '!!', ' wow', ' 🔥'][i % 4]}`,
+            likes: 3,
+            publishedAt: new Date(START + 20 * 3600000 + i * 5000).toISOString(),
+        }));
+        const video = { viewCount: 10000, likeCount: 2500, commentCount: 400, publishedAt: organicVideo.publishedAt };
+        const comments = [...organicComments().slice(0, 10), ...bots];
+        const { score, verdict, signals } = scoreAuthenticity(video, comments, PLATFORM_BENCHMARKS.youtube, analyzeCommentPatterns(comments));
+
+        const points = Object.fromEntries(signals.map(s => [s.id, s.points]));
+        expect(points.engagement_rate).toBe(-15);
+        expect(points.likes_to_views).toBe(-15);
+        expect(points.near_duplicates).toBe(-25);
+        expect(points.comment_burst).toBeLessThan(0);
+        expect(points.author_names).toBe(-10);
+        expect(score).toBe(0);
+        expect(verdict).toBe('High Fraud Risk');
+    });
+
+    it('should keep the local score when the model reply cannot be parsed', async () => {
+        const comments = organicComments();
+        const report = await validateEngagement({ ...organicVideo, title: 'Test' }, comments, 'youtube');
+        const expected = scoreAuthenticity(organicVideo, comments, PLATFORM_BENCHMARKS.youtube, analyzeCommentPatterns(comments));
+
+        expect(report.authenticityScore).toBe(expected.score);
+        expect(report.verdict).toBe(verdictFor(expected.score));
+        expect(report.scoreBreakdown).toEqual({ base: BASE_SCORE, signals: expected.signals });
+        // The model is told the score instead of being asked for one
+        const prompt = chat.mock.calls[0][1].messages[1].content;
+        expect(prompt).toContain(`Score: ${expected.score}/100`);
+        expect(prompt).not.toContain('"authenticityScore"');
+    });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, vi } from 'vitest';
+import { calculateCostBreakdown, calculateSettlement, outstandingReservation } from '../services/billing.js';
+
+// token_transactions rows, oldest first
+const db = vi.hoisted(() => ({ transactions: [] }));
+
+vi.mock('../config/supabase.js', () => {
+    const query = {
+        select: () => query,
+        eq: () => query,
+        in: () => query,
+        order: async () => ({ data: db.transactions, error: null }),
+    };
+    return { supabaseAdmin: { from: () => query } };
+});
+
+describe('Billing Service', () => {
+    describe('calculateCostBreakdown', () => {
+        it('should itemize add-ons', () => {
+            const { total, breakdown } = calculateCostBreakdown({
+                platform: 'youtube',
+                commentCount: 1500,
+                includeText: true,
+                includeMarketing: false,
+            });
+            expect(breakdown.marketing).toBe(0);
+            expect(breakdown.text_analysis).toBeGreaterThan(0);
+            expect(total).toBe(Object.values(breakdown).reduce((a, b) => a + b, 0));
+        });
+
+        it('should charge full coverage per 1,000 comments only with text analysis', () => {
+            const withText = calculateCostBreakdown({ platform: 'youtube', commentCount: 2500, includeText: true, fullCoverage: true });
+            expect(withText.breakdown.full_coverage).toBe(6);
+
+            const withoutText = calculateCostBreakdown({ platform: 'youtube', commentCount: 2500, fullCoverage: true });
+            expect(withoutText.breakdown.full_coverage).toBe(0);
+        });
+    });
+
+    describe('calculateSettlement', () => {
+        const reserved = { scraping: 4, text_analysis: 5, marketing: 3, video: 0, engagement: 0 };
+
+        it('should refund nothing when everything was delivered', () => {
+            const { totalRefund } = calculateSettlement('youtube', reserved, {
+                commentCount: 4000, textAnalysis: true, marketing: true,
+            });
+            expect(totalRefund).toBe(0);
+        });
+
+        it('should refund add-ons that were not delivered', () => {
+            const { refunds, totalRefund } = calculateSettlement('youtube', reserved, {
+                commentCount: 4000, textAnalysis: false, marketing: false,
+            });
+            expect(refunds).toEqual({ text_analysis: 5, marketing: 3 });
+            expect(totalRefund).toBe(8);
+        });
+
+        it('should refund full coverage for comments that were never collected', () => {
+            const { refunds } = calculateSettlement('youtube', { ...reserved, full_coverage: 10 }, {
+                commentCount: 1200, textAnalysis: true, fullCoverage: true, marketing: true,
+            });
+            expect(refunds.full_coverage).toBe(6);
+        });
+
+        it('should refund scraping when no comments were collected', () => {
+            const { refunds } = calculateSettlement('youtube', reserved, {
+                commentCount: 0, textAnalysis: true, marketing: true,
+            });
+            expect(refunds.scraping).toBe(4);
+        });
+    });
+
+    describe('outstandingReservation', () => {
+        it('should subtract the refunds issued since the latest reservation', async () => {
+            db.transactions = [
+                { transaction_type: 'usage', amount: -20 },
+                { transaction_type: 'refund', amount: 5 },
+                // Resumed: a new reservation replaces what was left of the first
+                { transaction_type: 'usage', amount: -8 },
+                { transaction_type: 'refund', amount: 3 },
+            ];
+            expect(await outstandingReservation('analysis-1')).toBe(5);
+        });
+
+        it('should return null for analyses without a recorded reservation', async () => {
+            db.transactions = [];
+            expect(await outstandingReservation('analysis-1')).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createCheckpointWriter, loadCheckpoint } from '../services/checkpoints.js';
+
+// In-memory scrape_checkpoints table
+const db = vi.hoisted(() => ({ chunks: [], summaries: [] }));
+
+vi.mock('../config/supabase.js', () => ({
+    supabaseAdmin: {
+        from: (table) => ({
+            insert: async (row) => {
+                db.chunks.push({ id: db.chunks.length + 1, ...row });
+                return { error: null };
+            },
+            update: (values) => ({
+                eq: async () => {
+                    db.summaries.push(values.scrape_checkpoint);
+                    return { error: null };
+                },
+            }),
+            select: () => ({
+                eq: () => ({
+                    order: async () => ({ data: table === 'scrape_checkpoints' ? db.chunks : [], error: null }),
+                }),
+            }),
+        }),
+    },
+}));
+
+const comment = (id) => ({ id, user: `user_${id}`, text: `Comment ${id}` });
+
+describe('Scrape Checkpoints', () => {
+    beforeEach(() => {
+        db.chunks = [];
+        db.summaries = [];
+    });
+
+    it('should save only the comments added since the previous checkpoint', async () => {
+        const writer = createCheckpointWriter('analysis-1', 0, { intervalMs: 0 });
+        const collected = [comment('a'), comment('b')];
+
+        writer.save('page-2', collected);
+        collected.push(comment('c'));
+        writer.save('page-3', collected);
+        await writer.flush();
+
+        expect(db.chunks.map(chunk => [chunk.cursor, chunk.comments.map(c => c.id), chunk.comment_count])).toEqual([
+            ['page-2', ['a', 'b'], 2],
+            ['page-3', ['c'], 3],
+        ]);
+        expect(db.summaries.at(-1)).toEqual({ comments: 3, done: false });
+    });
+
+    it('should throttle writes but always save the end of the scrape', async () => {
+        const writer = createCheckpointWriter('analysis-1', 0, { intervalMs: 60 * 1000 });
+        const collected = [comment('a')];
+
+        writer.save('page-2', collected);
+        collected.push(comment('b'));
+        writer.save('page-3', collected);
+        expect(db.chunks).toHaveLength(0);
+
+        collected.push(comment('c'));
+        writer.save(null, collected);
+        await writer.flush();
+
+        expect(db.chunks).toHaveLength(1);
+        expect(db.chunks[0]).toMatchObject({ cursor: null, comment_count: 3 });
+        expect(db.summaries.at(-1)).toEqual({ comments: 3, done: true });
+    });
+
+    it('should resume from the last cursor with every saved comment', async () => {
+        const first = createCheckpointWriter('analysis-1', 0, { intervalMs: 0 });
+        first.save('page-2', [comment('a'), comment('b')]);
+        await first.flush();
+
+        const resumed = await loadCheckpoint('analysis-1');
+        expect(resumed).toEqual({ cursor: 'page-2', comments: [comment('a'), comment('b')], done: false });
+
+        // The resumed scrape counts on from the comments it started with
+        const second = createCheckpointWriter('analysis-1', resumed.comments.length, { intervalMs: 0 });
+        second.save(null, [comment('c')]);
+        await second.flush();
+
+        expect(db.chunks.at(-1).comment_count).toBe(3);
+        expect(await loadCheckpoint('analysis-1')).toMatchObject({ cursor: null, done: true });
+        expect((await loadCheckpoint('analysis-1')).comments.map(c => c.id)).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should report nothing to resume when no checkpoint was saved', async () => {
+        expect(await loadCheckpoint('analysis-2')).toBeNull();
+    });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest';
+import { detectImportFormat, parseCsv, parseImport, suggestMapping, validateMapping, mapRows } from '../services/commentImport.js';
+import { processComments } from '../services/commentProcessor.js';
+import { calculateScrapingCost } from '../services/billing.js';
+
+describe('Comment Import', () => {
+    it('should detect the format from the file name', () => {
+        expect(detectImportFormat('reviews.CSV')).toBe('csv');
+        expect(detectImportFormat('export.jsonl')).toBe('ndjson');
+        expect(detectImportFormat('notes.txt')).toBeNull();
+    });
+
+    it('should parse quoted CSV fields with commas, quotes and newlines', () => {
+        const csv = 'author,comment,likes\r\n"Sam, Jr.","Loved it, ""really""\nwould buy again",12\r\n\r\nAna,Too pricey,3\r\n';
+        expect(parseCsv(csv)).toEqual([
+            ['author', 'comment', 'likes'],
+            ['Sam, Jr.', 'Loved it, "really"\nwould buy again', '12'],
+            ['Ana', 'Too pricey', '3'],
+        ]);
+        expect(() => parseCsv('a,b\n"unterminated,1')).toThrow(/unterminated/);
+    });
+
+    it('should detect semicolon delimited CSV and strip a byte order mark', () => {
+        const { columns, rows } = parseImport('\uFEFFuser;text\nAna;Great app\n', 'csv');
+        expect(columns).toEqual(['user', 'text']);
+        expect(rows).toEqual([{ user: 'Ana', text: 'Great app' }]);
+    });
+
+    it('should parse JSON arrays, wrapped arrays and NDJSON with nested fields', () => {
+        const wrapped = parseImport(JSON.stringify({ comments: [{ body: 'Nice', owner: { username: 'ana' } }] }), 'json');
+        expect(wrapped.columns).toEqual(['body', 'owner.username']);
+        expect(wrapped.rows[0]['owner.username']).toBe('ana');
+
+        const ndjson = parseImport('{"text":"one"}\n\n{"text":"two","score":4}\n', 'ndjson');
+        expect(ndjson.columns).toEqual(['text', 'score']);
+        expect(ndjson.rows).toHaveLength(2);
+
+        expect(() => parseImport('{"text":"one"}\nnot json', 'ndjson')).toThrow(/line 2/);
+        expect(() => parseImport('{"count": 3}', 'json')).toThrow(/array/);
+    });
+
+    it('should suggest a mapping from common column names', () => {
+        expect(suggestMapping(['Review Text', 'Reviewer', 'Date', 'Thumbs Up', 'Rating'])).toEqual({
+            text: 'Review Text',
+            user: 'Reviewer',
+            likes: 'Thumbs Up',
+            publishedAt: 'Date',
+        });
+        expect(validateMapping({ text: null }, ['a'])).toMatch(/comment text/);
+        expect(validateMapping({ text: 'a', user: 'missing' }, ['a'])).toMatch(/not found/);
+        expect(validateMapping({ text: 'a' }, ['a'])).toBeNull();
+    });
+
+    it('should map rows into the scraper comment shape', () => {
+        const rows = [
+            { who: 'ana', said: ' Love the new update ', votes: '1,204', at: '1717000000' },
+            { who: '', said: 'How do I export my data?', votes: 'n/a', at: 'yesterday' },
+            { who: 'sam', said: '   ', votes: '3', at: '' },
+        ];
+        const comments = mapRows(rows, { text: 'said', user: 'who', likes: 'votes', publishedAt: 'at' });
+
+        expect(comments).toEqual([
+            {
+                id: 'upload_1',
+                parent_id: null,
+                user: 'ana',
+                author_id: 'ana',
+                text: 'Love the new update',
+                likes: 1204,
+                publishedAt: '2024-05-29T16:26:40.000Z',
+                reply_count: 0,
+                is_creator_reply: false,
+            },
+            expect.objectContaining({ id: 'upload_2', user: 'Anonymous', author_id: null, likes: 0, publishedAt: null }),
+        ]);
+
+        const { stats } = processComments(comments);
+        expect(stats.conversation).toMatchObject({ threads: 2, questions: 1, unanswered_questions: 1 });
+    });
+
+    it('should price uploads per 1,000 comments', () => {
+        expect(calculateScrapingCost('upload', 10)).toBe(1);
+        expect(calculateScrapingCost('upload', 2500)).toBe(3);
+    });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { isEmojiOnly, isSpamOrPromo, isGenericShortPraise, cleanCommentText, processComments } from '../services/commentProcessor.js';
+import { isEmojiOnly, isSpamOrPromo, isGenericShortPraise, cleanCommentText, processComments, summarizeConversations, extractThemesAndKeywords } from '../services/commentProcessor.js';
 
 describe('Comment Processor Service', () => {
     describe('isEmojiOnly', () => {
@@ -9,6 +9,12 @@ describe('Comment Processor Service', () => {
             expect(isEmojiOnly('nice video')).toBe(false);
             expect(isEmojiOnly('nice video 🔥')).toBe(false);
         });
+
+        it('should not treat non-Latin scripts as emoji', () => {
+            expect(isEmojiOnly('最高の動画 🔥')).toBe(false);
+            expect(isEmojiOnly('رائع')).toBe(false);
+            expect(isEmojiOnly('बहुत अच्छा')).toBe(false);
+        });
     });
 
     describe('isSpamOrPromo', () => {
@@ -49,11 +55,86 @@ describe('Comment Processor Service', () => {
             ];
 
             const result = processComments(comments);
-            expect(result.comments.length).toBe(2); // Unique comment + nice (soft filtered but kept)
+            // Unique comment + nice (soft filtered but kept) + the emoji-only reaction, kept for sentiment only
+            expect(result.comments.length).toBe(3);
+            expect(result.comments.filter(c => c.is_emoji_only).map(c => c.author)).toEqual(['user1']);
             expect(result.stats.emoji_only).toBe(1);
+            expect(result.stats.after_hard_filters).toBe(2);
             expect(result.stats.spam_promo).toBe(1);
             expect(result.stats.duplicates).toBe(1);
             expect(result.stats.generic_praise).toBe(1);
         });
+
+        it('should keep non-English comments and report the language mix', () => {
+            const comments = [
+                { text: 'This is the best tutorial ever' },
+                { text: 'Great explanation, thank you' },
+                { text: 'Me encanta este video, es muy bueno' },
+                { text: 'この動画は最高です' },
+                { text: 'これはすごい' },
+            ];
+
+            const result = processComments(comments);
+            expect(result.comments).toHaveLength(5);
+            expect(result.stats.emoji_only).toBe(0);
+            expect(result.stats.duplicates).toBe(0);
+            expect(result.comments.map(c => c.language)).toEqual(['en', 'en', 'es', 'ja', 'ja']);
+            expect(result.comments[2].sentiment.label).toBe('positive');
+            expect(result.stats.languages.map(l => [l.language, l.count, l.pct])).toEqual([['en', 2, 40], ['ja', 2, 40], ['es', 1, 20]]);
+            expect(result.stats.languages[2]).toMatchObject({ name: 'Spanish', positive_pct: 100 });
+        });
+    });
+
+    describe('extractThemesAndKeywords', () => {
+        it('should find keywords in any language without their stop words', () => {
+            const { keywords } = extractThemesAndKeywords([
+                'La cámara es increíble',
+                'Qué cámara tan buena',
+                'Die Kamera ist wirklich gut',
+            ]);
+            expect(keywords[0]).toEqual({ word: 'cámara', count: 2 });
+            expect(keywords.map(k => k.word)).not.toContain('tan');
+            expect(keywords.map(k => k.word)).toContain('kamera');
+        });
+    });
+
+    describe('summarizeConversations', () => {
+        const thread = [
+            { id: 'q1', text: 'Which mic is this?', reply_count: 1 },
+            { id: 'r1', parent_id: 'q1', text: 'A Shure SM7B', is_creator_reply: true },
+            { id: 'q2', text: 'Does it work on Mac?', reply_count: 0 },
+            { id: 'q3', text: 'Where did you buy it?', reply_count: 4 },
+            { id: 'c1', text: 'Great video', reply_count: 1 },
+            { id: 'r2', parent_id: 'c1', text: 'Agreed, so good?' },
+        ];
+
+        it('should count threads, replies and creator replies', () => {
+            const { stats } = summarizeConversations(thread);
+            expect(stats).toEqual({
+                threads: 4,
+                replies: 2,
+                threads_with_replies: 3,
+                creator_replies: 1,
+                questions: 3,
+                unanswered_questions: 1,
+            });
+        });
+
+        it('should only flag questions whose thread is known to lack a creator reply', () => {
+            const { unansweredIds } = summarizeConversations(thread);
+            // q1 was answered; q3 has replies that were not scraped
+            expect([...unansweredIds]).toEqual(['q2']);
+        });
+
+        it('should return null for comments without ids', () => {
+            expect(summarizeConversations([{ text: 'Any tips?' }])).toBeNull();
+        });
+
+        it('should flag unanswered questions on processed comments', () => {
+            const result = processComments(thread);
+            const flagged = result.comments.filter(c => c.is_unanswered_question).map(c => c.id);
+            expect(flagged).toEqual(['q2']);
+            expect(result.stats.conversation.creator_replies).toBe(1);
+        });
     });
 });
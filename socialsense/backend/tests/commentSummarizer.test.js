@@ -0,0 +1,62 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { chunkComments, computePrevalence, summarizeAllComments } from '../services/commentSummarizer.js';
+
+const makeComments = (count, text = 'The audio was too quiet in the intro') =>
+    Array.from({ length: count }, (_, i) => ({ clean_text: `${text} ${i}` }));
+
+describe('Comment Summarizer Service', () => {
+    describe('chunkComments', () => {
+        it('should split by comment count and keep offsets', () => {
+            const chunks = chunkComments(makeComments(7), { maxComments: 3 });
+            expect(chunks.map(c => c.comments.length)).toEqual([3, 3, 1]);
+            expect(chunks.map(c => c.offset)).toEqual([0, 3, 6]);
+        });
+
+        it('should split by character budget', () => {
+            const chunks = chunkComments(makeComments(4, 'x'.repeat(50)), { maxChars: 120 });
+            expect(chunks.map(c => c.comments.length)).toEqual([2, 2]);
+        });
+    });
+
+    describe('computePrevalence', () => {
+        it('should count distinct comments and rank themes by prevalence', () => {
+            const prevalence = computePrevalence([
+                { label: 'Pacing', description: 'd', sentiment: 'positive', commentIds: new Set([1, 2]) },
+                { label: 'Audio quality', description: 'd', sentiment: 'negative', commentIds: new Set([1, 3, 4]) },
+                { label: 'Empty', description: 'd', sentiment: 'neutral', commentIds: new Set() },
+            ], 10);
+
+            expect(prevalence.map(t => [t.label, t.count, t.percent])).toEqual([
+                ['Audio quality', 3, 30],
+                ['Pacing', 2, 20],
+            ]);
+        });
+    });
+
+    describe('summarizeAllComments', () => {
+        let savedProvider;
+
+        beforeEach(() => {
+            savedProvider = process.env.LLM_PROVIDER;
+            process.env.LLM_PROVIDER = 'fixture';
+        });
+
+        afterEach(() => {
+            if (savedProvider === undefined) delete process.env.LLM_PROVIDER;
+            else process.env.LLM_PROVIDER = savedProvider;
+        });
+
+        it('should cover every comment and report chunk progress', async () => {
+            const progress = [];
+            const digest = await summarizeAllComments(makeComments(320), 'youtube', {
+                onProgress: (p) => progress.push(p),
+            });
+
+            expect(digest.covered).toBe(320);
+            expect(digest.chunks).toBe(3);
+            expect(digest.failedChunks).toBe(0);
+            expect(progress.at(-1)).toEqual({ done: 3, total: 3 });
+            expect(digest.themes.every(t => t.percent > 0 && t.percent <= 100)).toBe(true);
+        });
+    });
+});
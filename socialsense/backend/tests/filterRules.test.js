@@ -0,0 +1,114 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../config/supabase.js', () => ({ supabaseAdmin: {} }));
+
+import { normalizeRules, compileRules, createSpamMatcher, previewRules, RuleValidationError, EMPTY_RULES } from '../services/filterRules.js';
+import { processComments, extractThemesAndKeywords, isSpamOrPromo } from '../services/commentProcessor.js';
+import { scoreSentiment } from '../services/sentiment.js';
+
+const rules = (input) => compileRules(normalizeRules(input));
+
+describe('Filter Rules', () => {
+    it('should clean rule lists from arrays or one entry per line', () => {
+        expect(normalizeRules({
+            spam_patterns: 'Use code \\w+\n\n  Use code \\w+ ',
+            whitelisted_domains: ['https://www.MyShop.com/products?id=1', 'myshop.com'],
+            positive_terms: ['Broken', '  clean   build '],
+            stop_words: 'GG',
+        })).toEqual({
+            spam_patterns: ['Use code \\w+'],
+            whitelisted_domains: ['myshop.com'],
+            positive_terms: ['broken', 'clean build'],
+            negative_terms: [],
+            neutral_terms: [],
+            stop_words: ['gg'],
+        });
+        expect(normalizeRules(undefined)).toEqual(EMPTY_RULES);
+        expect(compileRules(EMPTY_RULES)).toBeNull();
+    });
+
+    it('should reject invalid or slow patterns, bad domains and conflicting terms', () => {
+        expect(() => normalizeRules({ spam_patterns: ['(unclosed'] })).toThrow(RuleValidationError);
+        expect(() => normalizeRules({ spam_patterns: ['(a+)+$'] })).toThrow(/very slow/);
+        expect(() => normalizeRules({ spam_patterns: ['(a|a)*$'] })).toThrow(/very slow/);
+        expect(() => normalizeRules({ spam_patterns: ['(\\w|\\d)+x'] })).toThrow(/very slow/);
+        expect(() => normalizeRules({ whitelisted_domains: ['not a domain'] })).toThrow(/Invalid domain/);
+        expect(() => normalizeRules({ positive_terms: ['broken'], neutral_terms: ['Broken'] })).toThrow(/only be in one/);
+        expect(() => normalizeRules({ negative_terms: ['way too many words'] })).toThrow(/two words/);
+        expect(() => normalizeRules({ stop_words: Array.from({ length: 201 }, (_, i) => `w${i}`) })).toThrow(/At most 200/);
+        expect(() => normalizeRules({ stop_words: 'ok', positive_terms: 5 })).toThrow(/arrays of strings/);
+    });
+
+    it('should add spam patterns and let links to whitelisted domains through', () => {
+        const custom = rules({ spam_patterns: ['use code \\w+'], whitelisted_domains: ['myshop.com'] });
+
+        expect(isSpamOrPromo('Use code SAVE20 at checkout')).toBe(false);
+        expect(isSpamOrPromo('Use code SAVE20 at checkout', custom)).toBe(true);
+        expect(isSpamOrPromo('Bought it at https://shop.myshop.com/item', custom)).toBe(false);
+        expect(isSpamOrPromo('Bought it at https://myshop.com.evil.io/item', custom)).toBe(true);
+        // Other built-in patterns still apply next to a whitelisted link
+        expect(isSpamOrPromo('https://myshop.com click here', custom)).toBe(true);
+    });
+
+    it('should skip a pattern that runs out of time instead of stalling on it', () => {
+        const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+        // Saved before patterns were tried on save
+        const matcher = createSpamMatcher(['(x+x+)+y', 'promo']);
+        const slow = `${'x'.repeat(40)} promo`;
+
+        expect(matcher.test(slow)).toBe(true);
+        expect(warn).toHaveBeenCalledTimes(1);
+        expect(matcher.test('just a promo')).toBe(true);
+        expect(matcher.test(slow)).toBe(true);
+        expect(warn).toHaveBeenCalledTimes(1);
+        warn.mockRestore();
+    });
+
+    it('should let niche terms override the built-in word lists', () => {
+        const { lexicon } = rules({ positive_terms: ['broken', 'clean build'], negative_terms: ['nerfed'], neutral_terms: ['scam', 'rug pull'] });
+
+        // Gaming: an overpowered build is "broken"
+        expect(scoreSentiment('This build is broken').label).toBe('negative');
+        expect(scoreSentiment('This build is broken', 'en', lexicon).label).toBe('positive');
+        expect(scoreSentiment('Such a clean build', 'en', lexicon).label).toBe('positive');
+        expect(scoreSentiment('They nerfed my main', 'en', lexicon).label).toBe('negative');
+        // Negation still applies to custom terms
+        expect(scoreSentiment("This build isn't broken", 'en', lexicon).label).toBe('negative');
+        // Finance: a scam-awareness channel's topic is not a complaint
+        expect(scoreSentiment('How to spot a scam', 'en', lexicon).label).toBe('neutral');
+        expect(scoreSentiment('Explain the rug pull please', 'en', lexicon).label).toBe('neutral');
+    });
+
+    it('should keep custom stop-words out of keywords', () => {
+        const texts = ['minecraft redstone build', 'minecraft redstone farm', 'minecraft server'];
+        const custom = rules({ stop_words: ['minecraft'] });
+
+        expect(extractThemesAndKeywords(texts).keywords[0].word).toBe('minecraft');
+        expect(extractThemesAndKeywords(texts, 20, custom.stopWords).keywords.map(k => k.word)).not.toContain('minecraft');
+    });
+
+    it('should apply rules in processComments and preview what a draft changes', () => {
+        const comments = [
+            { id: 'a', user: 'ana', text: 'This build is broken, love it', likes: 40 },
+            { id: 'b', user: 'ben', text: 'Use code SAVE20 for a discount on my merch', likes: 2 },
+            { id: 'c', user: 'cy', text: 'Great tutorial, thanks for the clear steps', likes: 10 },
+        ];
+
+        const saved = processComments(comments);
+        expect(saved.comments).toHaveLength(3);
+
+        const draft = normalizeRules({ spam_patterns: ['use code \\w+'], positive_terms: ['broken'] });
+        const preview = previewRules(comments, EMPTY_RULES, draft);
+
+        expect(preview.comments).toBe(3);
+        expect(preview.current.stats.spam_promo).toBe(0);
+        expect(preview.draft.stats).toMatchObject({ spam_promo: 1, after_hard_filters: 2 });
+        // Most liked first
+        expect(preview.changes).toEqual([
+            { user: 'ana', text: comments[0].text, likes: 40, before: 'neutral', after: 'positive' },
+            { user: 'ben', text: comments[1].text, likes: 2, before: 'neutral', after: 'removed' },
+        ]);
+        expect(preview.changed).toBe(2);
+        expect(processComments(comments, compileRules(draft)).comments[0].sentiment.label).toBe('positive');
+    });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+    newestComment,
+    newestByVideo,
+    loadIncrementalBaseline,
+    filterNewComments,
+    mergeWithPrevious,
+    summarizeIncremental,
+} from '../services/incremental.js';
+
+const db = vi.hoisted(() => ({ previous: null }));
+
+vi.mock('../config/supabase.js', () => ({
+    supabaseAdmin: {
+        from: () => ({
+            select: () => ({
+                eq: () => ({
+                    single: async () => (db.previous ? { data: db.previous, error: null } : { data: null, error: { message: 'not found' } }),
+                }),
+            }),
+        }),
+    },
+}));
+
+const comment = (id, publishedAt, label = 'positive') => ({
+    id, user: `user_${id}`, text: `Comment ${id}`, publishedAt, sentiment: { label, score: label === 'negative' ? -0.5 : 0.5 },
+});
+
+describe('Incremental Analyses', () => {
+    beforeEach(() => {
+        db.previous = null;
+    });
+
+    it('should find the newest comment by publish time', () => {
+        expect(newestComment([
+            comment('a', '2024-06-01T10:00:00Z'),
+            comment('b', '2024-06-03T10:00:00Z'),
+            { id: 'c', publishedAt: null },
+        ])).toEqual({ id: 'b', publishedAt: '2024-06-03T10:00:00Z' });
+        expect(newestComment([])).toBeNull();
+    });
+
+    it('should only use completed analyses as a baseline', async () => {
+        expect(await loadIncrementalBaseline(null)).toBeNull();
+
+        db.previous = { id: 'prev', status: 'cancelled', raw_comments: [comment('a', '2024-06-01T10:00:00Z')] };
+        expect(await loadIncrementalBaseline('prev')).toBeNull();
+
+        db.previous = { id: 'prev', status: 'completed', raw_comments: [comment('a', '2024-06-01T10:00:00Z')] };
+        expect(await loadIncrementalBaseline('prev')).toMatchObject({
+            previousAnalysisId: 'prev',
+            since: { id: 'a', publishedAt: '2024-06-01T10:00:00Z' },
+            previousRuns: 1,
+        });
+
+        // A previous incremental run keeps its own marker
+        db.previous.incremental = { newest: { id: 'z', publishedAt: '2024-06-05T00:00:00Z' }, runs: 3 };
+        expect(await loadIncrementalBaseline('prev')).toMatchObject({ since: { id: 'z' }, previousRuns: 3 });
+    });
+
+    it('should keep comments posted since the baseline that were not seen before', () => {
+        const baseline = {
+            since: { id: 'b', publishedAt: '2024-06-03T10:00:00Z' },
+            previousComments: [comment('a', '2024-06-01T10:00:00Z'), comment('b', '2024-06-03T10:00:00Z'), comment('s', '2024-06-03T10:00:00Z')],
+        };
+        const scraped = [
+            comment('d', '2024-06-04T09:00:00Z'),
+            comment('c', '2024-06-03T10:00:00Z'),
+            comment('s', '2024-06-03T10:00:00Z'),
+            comment('b', '2024-06-03T10:00:00Z'),
+            comment('a', '2024-06-01T10:00:00Z'),
+            comment('old', '2024-05-01T10:00:00Z'),
+        ];
+        expect(filterNewComments(scraped, baseline).map(c => c.id)).toEqual(['d', 'c']);
+    });
+
+    it('should compare channel comments with the newest comment of their own video', async () => {
+        const onVideo = (videoId, id, publishedAt) => ({ ...comment(id, publishedAt), video_id: videoId });
+        db.previous = {
+            id: 'prev',
+            status: 'completed',
+            raw_comments: [onVideo('v1', 'a', '2024-06-05T10:00:00Z'), onVideo('v2', 'b', '2024-06-01T10:00:00Z')],
+        };
+        const baseline = await loadIncrementalBaseline('prev');
+        expect(baseline.since).toMatchObject({ id: 'a' });
+        expect(baseline.sinceByVideo).toEqual({
+            v1: { id: 'a', publishedAt: '2024-06-05T10:00:00Z' },
+            v2: { id: 'b', publishedAt: '2024-06-01T10:00:00Z' },
+        });
+
+        const scraped = [
+            onVideo('v1', 'c', '2024-06-04T10:00:00Z'),
+            // Older than the newest comment on v1, but new on v2
+            onVideo('v2', 'd', '2024-06-03T10:00:00Z'),
+            onVideo('v2', 'b', '2024-06-01T10:00:00Z'),
+            // A video the previous run did not have
+            onVideo('v3', 'e', '2024-05-01T10:00:00Z'),
+        ];
+        const fresh = filterNewComments(scraped, baseline);
+        expect(fresh.map(c => c.id)).toEqual(['d', 'e']);
+
+        expect(summarizeIncremental(baseline, fresh, fresh).newest_by_video).toEqual({
+            v1: { id: 'a', publishedAt: '2024-06-05T10:00:00Z' },
+            v2: { id: 'd', publishedAt: '2024-06-03T10:00:00Z' },
+            v3: { id: 'e', publishedAt: '2024-05-01T10:00:00Z' },
+        });
+        expect(newestByVideo([comment('x', '2024-06-01T10:00:00Z')])).toEqual({});
+    });
+
+    it('should merge new comments ahead of the previous ones and summarize both', () => {
+        const previous = [{ ...comment('b', '2024-06-03T10:00:00Z'), is_new: true }, comment('a', '2024-06-01T10:00:00Z', 'negative')];
+        const fresh = [comment('d', '2024-06-04T09:00:00Z'), comment('c', '2024-06-03T11:00:00Z', 'negative')];
+
+        const merged = mergeWithPrevious(fresh, previous);
+        expect(merged.map(c => [c.id, !!c.is_new])).toEqual([['d', true], ['c', true], ['b', false], ['a', false]]);
+        expect(mergeWithPrevious(fresh, previous, 3)).toHaveLength(3);
+
+        const baseline = { previousAnalysisId: 'prev', since: { id: 'b', publishedAt: '2024-06-03T10:00:00Z' }, previousRuns: 1 };
+        const summary = summarizeIncremental(baseline, fresh, merged);
+        expect(summary).toMatchObject({
+            previous_analysis_id: 'prev',
+            newest: { id: 'd', publishedAt: '2024-06-04T09:00:00Z' },
+            runs: 2,
+            new_comments: 2,
+            all_time_comments: 4,
+        });
+        expect(summary.new_sentiment).toMatchObject({ positive: 1, negative: 1, total: 2 });
+        expect(summary.all_time_sentiment).toMatchObject({ positive: 2, negative: 2, total: 4 });
+
+        // Nothing new keeps the previous marker
+        expect(summarizeIncremental(baseline, [], previous).newest).toEqual(baseline.since);
+    });
+});
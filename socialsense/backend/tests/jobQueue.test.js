@@ -0,0 +1,162 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// RPC results by name and the ids each select filtered on, instead of Supabase
+const db = vi.hoisted(() => ({ rpc: {}, calls: [], selectedIds: null, inserted: null }));
+
+vi.mock('../config/supabase.js', () => ({
+    supabaseAdmin: {
+        rpc: async (name, params) => {
+            db.calls.push({ name, params });
+            return db.rpc[name] ?? { data: null, error: null };
+        },
+        from: () => ({
+            insert: (row) => {
+                db.inserted = row;
+                return { select: () => ({ single: async () => ({ data: { id: 'job-1', ...row }, error: null }) }) };
+            },
+            select: () => ({
+                in: async (column, ids) => {
+                    db.selectedIds = ids;
+                    return { data: ids.map(id => ({ id, job_type: 'comment_analysis' })), error: null };
+                },
+            }),
+        }),
+    },
+}));
+
+import {
+    calculateBackoff, shouldRetry, enqueueJob, claimJob, heartbeatJob, sweepStaleJobs,
+    PermanentJobError, LEASE_SECONDS, FILES_HOST,
+} from '../services/jobQueue.js';
+
+describe('Job Queue Service', () => {
+    describe('calculateBackoff', () => {
+        it('should double the delay on each attempt', () => {
+            expect(calculateBackoff(1)).toBe(30 * 1000);
+            expect(calculateBackoff(2)).toBe(60 * 1000);
+            expect(calculateBackoff(3)).toBe(120 * 1000);
+        });
+
+        it('should cap the delay at 10 minutes', () => {
+            expect(calculateBackoff(20)).toBe(10 * 60 * 1000);
+        });
+    });
+
+    describe('shouldRetry', () => {
+        it('should retry while attempts remain', () => {
+            expect(shouldRetry({ attempts: 1, max_attempts: 3 }, new Error('timeout'))).toBe(true);
+            expect(shouldRetry({ attempts: 3, max_attempts: 3 }, new Error('timeout'))).toBe(false);
+        });
+
+        it('should never retry permanent errors', () => {
+            expect(shouldRetry({ attempts: 1, max_attempts: 3 }, new PermanentJobError('No comments found'))).toBe(false);
+        });
+    });
+
+    describe('enqueueJob', () => {
+        it('should pin jobs with uploaded files to this host', async () => {
+            await enqueueJob({ analysisId: 'a-1', userId: 'u-1', payload: { importFile: { path: '/tmp/upload' } } });
+            expect(db.inserted.files_host).toBe(FILES_HOST);
+
+            await enqueueJob({ analysisId: 'a-1', userId: 'u-1', payload: { videoId: 'abc', productImagePath: '/tmp/image' } });
+            expect(db.inserted.files_host).toBe(FILES_HOST);
+        });
+
+        it('should let any worker run jobs without uploaded files', async () => {
+            await enqueueJob({ analysisId: 'a-1', userId: 'u-1', payload: { videoId: 'abc', productImagePath: null } });
+            expect(db.inserted.files_host).toBeNull();
+        });
+    });
+
+    describe('claimJob', () => {
+        beforeEach(() => {
+            db.rpc = {};
+            db.calls = [];
+        });
+
+        it('should claim with a lease and return the claimed job', async () => {
+            db.rpc.claim_analysis_job = { data: [{ id: 'job-1' }], error: null };
+
+            expect(await claimJob('worker-1')).toEqual({ id: 'job-1' });
+            expect(db.calls).toEqual([{
+                name: 'claim_analysis_job',
+                params: { p_worker_id: 'worker-1', p_lease_seconds: LEASE_SECONDS, p_files_host: FILES_HOST, p_pinned_only: false },
+            }]);
+        });
+
+        it('should claim only jobs pinned to this host when asked', async () => {
+            db.rpc.claim_analysis_job = { data: [], error: null };
+
+            await claimJob('worker-1', { pinnedOnly: true });
+            expect(db.calls[0].params).toMatchObject({ p_files_host: FILES_HOST, p_pinned_only: true });
+        });
+
+        it('should return null when the queue is empty', async () => {
+            db.rpc.claim_analysis_job = { data: [], error: null };
+            expect(await claimJob('worker-1')).toBeNull();
+        });
+
+        it('should throw when the claim fails', async () => {
+            db.rpc.claim_analysis_job = { data: null, error: { message: 'connection refused' } };
+            await expect(claimJob('worker-1')).rejects.toThrow('Failed to claim job: connection refused');
+        });
+    });
+
+    describe('heartbeatJob', () => {
+        beforeEach(() => {
+            db.rpc = {};
+            db.calls = [];
+        });
+
+        it('should extend the lease and record progress', async () => {
+            db.rpc.heartbeat_analysis_job = { data: true, error: null };
+            const progress = { stage: 'scraping', count: 10, percent: 20 };
+
+            expect(await heartbeatJob('job-1', 'worker-1', progress)).toBe(true);
+            expect(db.calls[0].params).toEqual({
+                p_job_id: 'job-1', p_worker_id: 'worker-1', p_lease_seconds: LEASE_SECONDS, p_progress: progress,
+            });
+        });
+
+        it('should report a lease another worker has taken', async () => {
+            db.rpc.heartbeat_analysis_job = { data: false, error: null };
+            expect(await heartbeatJob('job-1', 'worker-1')).toBe(false);
+        });
+
+        it('should keep the lease when the heartbeat itself fails', async () => {
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+            db.rpc.heartbeat_analysis_job = { data: null, error: { message: 'timeout' } };
+            expect(await heartbeatJob('job-1', 'worker-1')).toBe(true);
+        });
+    });
+
+    describe('sweepStaleJobs', () => {
+        beforeEach(() => {
+            db.rpc = {};
+            db.selectedIds = null;
+            vi.spyOn(console, 'log').mockImplementation(() => {});
+        });
+
+        it('should return only the jobs that ran out of attempts', async () => {
+            db.rpc.sweep_stale_analysis_jobs = {
+                data: [
+                    { job_id: 'job-1', analysis_id: 'a-1', action: 'queued' },
+                    { job_id: 'job-2', analysis_id: 'a-2', action: 'failed' },
+                ],
+                error: null,
+            };
+
+            const exhausted = await sweepStaleJobs();
+
+            expect(db.selectedIds).toEqual(['job-2']);
+            expect(exhausted).toEqual([{ id: 'job-2', job_type: 'comment_analysis' }]);
+        });
+
+        it('should not look up jobs when every expired lease was re-queued', async () => {
+            db.rpc.sweep_stale_analysis_jobs = { data: [{ job_id: 'job-1', analysis_id: 'a-1', action: 'queued' }], error: null };
+
+            expect(await sweepStaleJobs()).toEqual([]);
+            expect(db.selectedIds).toBeNull();
+        });
+    });
+});
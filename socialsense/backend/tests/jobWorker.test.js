@@ -0,0 +1,181 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+// RPC handlers by name, plus every update written, instead of Supabase
+const db = vi.hoisted(() => ({ rpc: {}, updates: [], rows: {}, refunds: [], outstanding: {} }));
+
+vi.mock('../config/supabase.js', () => {
+    const query = (table) => {
+        const q = {
+            eq: () => q,
+            in: () => q,
+            single: async () => ({ data: { cancel_requested: false }, error: null }),
+            then: (resolve) => resolve({ data: db.rows[table] || [], error: null }),
+        };
+        return q;
+    };
+    return {
+        supabaseAdmin: {
+            rpc: async (name, params) => db.rpc[name]?.(params) ?? { data: null, error: null },
+            from: (table) => ({
+                select: () => query(table),
+                update: (values) => {
+                    db.updates.push({ table, values });
+                    return query(table);
+                },
+            }),
+        },
+    };
+});
+vi.mock('../services/analysisJob.js', () => ({ runAnalysisJob: vi.fn(), failAnalysisJob: vi.fn() }));
+vi.mock('../services/billing.js', () => ({
+    refundTokens: async ({ analysisId, amount }) => {
+        db.refunds.push([analysisId, amount]);
+        return amount;
+    },
+    outstandingReservation: async (analysisId) => db.outstanding[analysisId] ?? null,
+}));
+vi.mock('../config/llm.js', () => ({ checkLLMConfig: () => {} }));
+
+const { startJobWorker, stopJobWorker, sweep } = await import('../services/jobWorker.js');
+const { runAnalysisJob, failAnalysisJob } = await import('../services/analysisJob.js');
+const { LEASE_SECONDS, LeaseLostError } = await import('../services/jobQueue.js');
+
+const job = { id: 'job-1', job_type: 'comment_analysis', attempts: 1, max_attempts: 3, payload: { analysisId: 'analysis-1' } };
+
+// Hands out the job once, then reports an empty queue
+function queueOnce() {
+    let claimed = false;
+    db.rpc.claim_analysis_job = (params) => {
+        expect(params).toMatchObject({ p_lease_seconds: LEASE_SECONDS });
+        if (claimed) return { data: [], error: null };
+        claimed = true;
+        return { data: [job], error: null };
+    };
+}
+
+const jobUpdates = () => db.updates.filter(u => u.table === 'analysis_jobs').map(u => u.values);
+
+describe('Job Worker', () => {
+    beforeEach(() => {
+        db.rpc = {
+            sweep_stale_analysis_jobs: () => ({ data: [], error: null }),
+            find_orphaned_analyses: () => ({ data: [], error: null }),
+            heartbeat_analysis_job: () => ({ data: true, error: null }),
+        };
+        db.updates = [];
+        db.rows = {};
+        db.refunds = [];
+        db.outstanding = {};
+        runAnalysisJob.mockReset();
+        failAnalysisJob.mockReset();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+        vi.useFakeTimers();
+    });
+
+    afterEach(async () => {
+        await stopJobWorker(0);
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it('should claim a job, run it and mark it completed', async () => {
+        queueOnce();
+        runAnalysisJob.mockResolvedValue({ cancelled: false });
+
+        startJobWorker();
+        await vi.advanceTimersByTimeAsync(0);
+
+        expect(runAnalysisJob).toHaveBeenCalledTimes(1);
+        expect(runAnalysisJob.mock.calls[0][0]).toBe(job);
+        expect(jobUpdates()).toEqual([expect.objectContaining({ status: 'completed', locked_by: null })]);
+    });
+
+    it('should stop a job that lost its lease without saving, retrying or failing it', async () => {
+        queueOnce();
+        const signals = [];
+        runAnalysisJob.mockImplementation((claimed, { signal }) => new Promise((resolve, reject) => {
+            signals.push(signal);
+            signal.addEventListener('abort', () => reject(signal.reason));
+        }));
+
+        startJobWorker();
+        await vi.advanceTimersByTimeAsync(0);
+        expect(signals).toHaveLength(1);
+
+        // Another worker took the job over
+        db.rpc.heartbeat_analysis_job = () => ({ data: false, error: null });
+        await vi.advanceTimersByTimeAsync(30 * 1000);
+
+        expect(signals[0].aborted).toBe(true);
+        expect(signals[0].reason).toBeInstanceOf(LeaseLostError);
+        expect(jobUpdates()).toEqual([]);
+        expect(failAnalysisJob).not.toHaveBeenCalled();
+    });
+
+    it('should keep the lease while heartbeats fail transiently', async () => {
+        queueOnce();
+        const signals = [];
+        let finish;
+        runAnalysisJob.mockImplementation((claimed, { signal }) => {
+            signals.push(signal);
+            return new Promise(resolve => { finish = resolve; });
+        });
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+        db.rpc.heartbeat_analysis_job = () => ({ data: null, error: { message: 'connection reset' } });
+
+        startJobWorker();
+        await vi.advanceTimersByTimeAsync(60 * 1000);
+
+        expect(signals[0].aborted).toBe(false);
+        finish({ cancelled: false });
+        await vi.advanceTimersByTimeAsync(0);
+        expect(jobUpdates()).toEqual([expect.objectContaining({ status: 'completed' })]);
+    });
+
+    it('should only claim upload jobs when other workers run the rest', async () => {
+        const claims = [];
+        db.rpc.claim_analysis_job = (params) => {
+            claims.push(params);
+            return { data: [], error: null };
+        };
+
+        startJobWorker({ pinnedOnly: true });
+        await vi.advanceTimersByTimeAsync(0);
+
+        expect(claims).toEqual([expect.objectContaining({ p_pinned_only: true })]);
+    });
+
+    describe('sweep', () => {
+        it('should fail jobs out of attempts and leave re-queued ones to run again', async () => {
+            db.rpc.sweep_stale_analysis_jobs = () => ({
+                data: [{ job_id: 'job-2', action: 'queued' }, { job_id: 'job-3', action: 'failed' }],
+                error: null,
+            });
+            db.rows.analysis_jobs = [{ id: 'job-3', job_type: 'comment_analysis' }];
+
+            await sweep();
+
+            expect(failAnalysisJob).toHaveBeenCalledTimes(1);
+            expect(failAnalysisJob.mock.calls[0][0]).toMatchObject({ id: 'job-3' });
+        });
+
+        it('should refund orphaned analyses only what is still held, at most tokens_used', async () => {
+            db.rpc.find_orphaned_analyses = () => ({
+                data: [
+                    { id: 'over', user_id: 'user-1', tokens_used: 100 },
+                    { id: 'settled', user_id: 'user-1', tokens_used: 80 },
+                    { id: 'partial', user_id: 'user-1', tokens_used: 60 },
+                    { id: 'untracked', user_id: 'user-1', tokens_used: 30 },
+                ],
+                error: null,
+            });
+            db.outstanding = { over: 300, settled: 0, partial: 25 };
+
+            await sweep();
+
+            expect(db.refunds).toEqual([['over', 100], ['partial', 25], ['untracked', 30]]);
+            expect(db.updates.filter(u => u.table === 'analyses').map(u => u.values.status)).toEqual(['failed', 'failed', 'failed', 'failed']);
+        });
+    });
+});
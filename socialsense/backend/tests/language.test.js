@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { detectLanguage, tokenize, isKeywordCandidate } from '../services/language.js';
+import { scoreSentiment } from '../services/sentiment.js';
+
+describe('Language Detection', () => {
+    it('should tell Latin-script languages apart by their common words and accents', () => {
+        expect(detectLanguage('This is the best video I have seen')).toBe('en');
+        expect(detectLanguage('Me encanta este video, es muy bueno')).toBe('es');
+        expect(detectLanguage('Muito bom, você é demais! Não para')).toBe('pt');
+        expect(detectLanguage("C'est vraiment génial, merci pour la vidéo")).toBe('fr');
+        expect(detectLanguage('Das ist wirklich großartig, danke für das Video')).toBe('de');
+        // Nothing to go on counts as English
+        expect(detectLanguage('lol')).toBe('en');
+    });
+
+    it('should detect other languages by their script', () => {
+        expect(detectLanguage('この動画は最高です')).toBe('ja');
+        expect(detectLanguage('这个视频太棒了')).toBe('zh');
+        expect(detectLanguage('정말 좋은 영상이에요')).toBe('ko');
+        expect(detectLanguage('فيديو رائع جدا')).toBe('ar');
+        expect(detectLanguage('बहुत अच्छा वीडियो')).toBe('hi');
+        expect(detectLanguage('Отличное видео')).toBe('ru');
+        expect(detectLanguage('🔥🔥')).toBe('und');
+    });
+
+    it('should tokenize any script and keep contractions whole', () => {
+        expect(tokenize("I don't think it’s THAT bad")).toEqual(['i', "don't", 'think', "it's", 'that', 'bad']);
+        expect(tokenize('¡Qué decepción!')).toEqual(['qué', 'decepción']);
+        expect(tokenize('この動画は最高です')).toContain('動画');
+    });
+
+    it('should skip stop words, numbers and short Latin words as keywords', () => {
+        expect(isKeywordCandidate('camera')).toBe(true);
+        expect(isKeywordCandidate('también')).toBe(false);
+        expect(isKeywordCandidate('wirklich')).toBe(true);
+        expect(isKeywordCandidate('2024')).toBe(false);
+        expect(isKeywordCandidate('mic')).toBe(false);
+        expect(isKeywordCandidate('動画')).toBe(true);
+        expect(isKeywordCandidate('です')).toBe(false);
+    });
+
+    it('should score sentiment with the word lists of the comment language', () => {
+        expect(scoreSentiment('Es muy bueno, me encanta', 'es').label).toBe('positive');
+        expect(scoreSentiment('No es bueno, es aburrido', 'es').label).toBe('negative');
+        expect(scoreSentiment("Ce n'est pas bon", 'fr').label).toBe('negative');
+        expect(scoreSentiment('Das ist nicht schlecht', 'de').label).toBe('positive');
+        expect(scoreSentiment('Vídeo péssimo', 'pt').label).toBe('negative');
+        // English slang counts in every language
+        expect(scoreSentiment('Muy cool', 'es').label).toBe('positive');
+        expect(scoreSentiment('bueno', 'en').label).toBe('neutral');
+    });
+});
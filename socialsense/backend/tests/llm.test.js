@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { getTaskConfig } from '../config/llm.js';
+import { fixtureFromSchema } from '../services/llm/fixtureProvider.js';
+import { buildAnalysisSchema, validateAgainstSchema } from '../services/analysisSchema.js';
+import { analyzeComments, transcribeAudio } from '../services/openai.js';
+
+const LLM_ENV = ['LLM_PROVIDER', 'LLM_ANALYSIS_PROVIDER', 'LLM_ANALYSIS_MODEL', 'LOCAL_LLM_MODEL', 'OPENAI_API_KEY'];
+
+describe('LLM Provider Layer', () => {
+    let savedEnv;
+
+    beforeEach(() => {
+        savedEnv = Object.fromEntries(LLM_ENV.map(key => [key, process.env[key]]));
+        LLM_ENV.forEach(key => delete process.env[key]);
+    });
+
+    afterEach(() => {
+        for (const [key, value] of Object.entries(savedEnv)) {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        }
+    });
+
+    describe('getTaskConfig', () => {
+        it('should use the OpenAI defaults when a key is set', () => {
+            process.env.OPENAI_API_KEY = 'sk-test';
+            expect(getTaskConfig('vision')).toEqual({ provider: 'openai', model: 'gpt-4o' });
+            expect(getTaskConfig('transcription')).toEqual({ provider: 'openai', model: 'whisper-1' });
+        });
+
+        it('should use the fixture provider without a key only under the test runner', () => {
+            const savedNodeEnv = process.env.NODE_ENV;
+            try {
+                process.env.NODE_ENV = 'test';
+                expect(getTaskConfig('analysis')).toEqual({ provider: 'fixture', model: 'fixture-analysis' });
+
+                process.env.NODE_ENV = 'development';
+                expect(() => getTaskConfig('analysis')).toThrow(/No AI provider configured/);
+
+                process.env.LLM_PROVIDER = 'fixture';
+                expect(getTaskConfig('analysis').provider).toBe('fixture');
+            } finally {
+                process.env.NODE_ENV = savedNodeEnv;
+            }
+        });
+
+        it('should apply per-task provider and model overrides', () => {
+            process.env.LLM_PROVIDER = 'fixture';
+            process.env.LLM_ANALYSIS_PROVIDER = 'local';
+            process.env.LOCAL_LLM_MODEL = 'llama3.1';
+
+            expect(getTaskConfig('analysis')).toEqual({ provider: 'local', model: 'llama3.1' });
+            expect(getTaskConfig('engagement')).toEqual({ provider: 'fixture', model: 'fixture-engagement' });
+
+            process.env.LLM_ANALYSIS_MODEL = 'qwen2.5';
+            expect(getTaskConfig('analysis').model).toBe('qwen2.5');
+        });
+
+        it('should reject unknown providers and local tasks without a model', () => {
+            process.env.LLM_PROVIDER = 'anthropic';
+            expect(() => getTaskConfig('analysis')).toThrow(/Unknown LLM provider/);
+
+            process.env.LLM_PROVIDER = 'local';
+            expect(() => getTaskConfig('analysis')).toThrow(/LLM_ANALYSIS_MODEL/);
+        });
+    });
+
+    describe('fixture provider', () => {
+        it('should build output that passes the analysis schema', () => {
+            const schema = buildAnalysisSchema({ score: true, notesAssessment: true, marketing: true, competitor: true });
+            expect(validateAgainstSchema(fixtureFromSchema(schema), schema).valid).toBe(true);
+        });
+
+        it('should run the comment analysis pipeline offline', async () => {
+            process.env.LLM_PROVIDER = 'fixture';
+            const comments = [
+                { clean_text: 'How do you set this up?', sentiment: { label: 'neutral' } },
+                { clean_text: 'The pacing was great but the audio was bad', sentiment: { label: 'negative' } },
+            ];
+
+            const first = await analyzeComments(comments, 'youtube', null, null, null, true);
+            const second = await analyzeComments(comments, 'youtube', null, null, null, true);
+
+            expect(first.aiFailed).toBeUndefined();
+            expect(first.videoScore).toBe(second.videoScore);
+            expect(first.scoreBreakdown.engagement.max).toBe(40);
+            expect(first.summary).toContain('## Key Findings');
+            expect(await transcribeAudio('/tmp/audio.mp3')).toBe('Fixture transcript for audio.mp3.');
+        });
+    });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+
+import { findNearDuplicates, describeClusters } from '../services/nearDuplicates.js';
+import { processComments, normalizeForDedup } from '../services/commentProcessor.js';
+import engagementValidator from '../services/engagementValidator.js';
+
+const CAMPAIGN = 'This product changed my life, everyone needs to buy it right now';
+
+describe('Near-Duplicate Detection', () => {
+    it('should cluster copies with a changed word or an added emoji', () => {
+        const texts = [
+            CAMPAIGN,
+            'Honest question, which microphone do you use for these videos?',
+            'This product changed my life, everybody needs to buy it right now',
+            'This product changed my life, everyone needs to buy it right now 🔥🔥',
+            'I tried the recipe last night and my kids loved every bite of it',
+        ].map(normalizeForDedup);
+
+        expect(findNearDuplicates(texts)).toEqual([[0, 2, 3]]);
+    });
+
+    it('should leave short comments alone', () => {
+        const texts = ['great video thanks', 'great video thanks!', 'great video, thanks'].map(normalizeForDedup);
+        expect(findNearDuplicates(texts)).toEqual([]);
+    });
+
+    it('should describe clusters with their authors and time span', () => {
+        const summary = describeClusters([
+            [
+                { text: 'a', user: 'bot1', publishedAt: '2026-01-01T10:05:00Z', likes: 1 },
+                { text: 'b', user: 'bot2', publishedAt: '2026-01-01T10:00:00Z', likes: 2 },
+                { text: 'a', user: 'bot1', publishedAt: '2026-01-01T10:10:00Z' },
+            ],
+            [
+                { text: 'c', user: 'bot2', publishedAt: '2026-01-02T00:00:00Z' },
+                { text: 'd', user: 'ana', publishedAt: '2026-01-02T01:00:00Z' },
+            ],
+        ], 3);
+
+        expect(summary).toMatchObject({ removed: 3, cluster_count: 2, clustered_comments: 5 });
+        expect(summary.clusters[0]).toEqual({
+            size: 3,
+            text: 'a',
+            variants: ['b'],
+            exact_copies: 1,
+            authors: 2,
+            repeat_authors: 1,
+            shared_authors: 1,
+            first_seen: '2026-01-01T10:00:00Z',
+            last_seen: '2026-01-01T10:10:00Z',
+            likes: 3,
+        });
+    });
+
+    it('should remove near copies in processComments and report the campaign', () => {
+        const comments = [
+            { id: '1', user: 'bot1', text: CAMPAIGN, likes: 3, publishedAt: '2026-03-01T12:00:00Z' },
+            { id: '2', user: 'bot2', text: CAMPAIGN, likes: 0, publishedAt: '2026-03-01T12:01:00Z' },
+            { id: '3', user: 'bot3', text: 'This product changed my life, everybody needs to buy it right now', likes: 0, publishedAt: '2026-03-01T12:02:00Z' },
+            { id: '4', user: 'ana', text: 'Honest question, which microphone do you use for these videos?', likes: 8 },
+        ];
+
+        const { comments: kept, stats } = processComments(comments);
+
+        expect(kept.map(c => c.id)).toEqual(['1', '4']);
+        expect(stats.duplicates).toBe(1);
+        expect(stats.near_duplicates).toMatchObject({ removed: 1, cluster_count: 1, clustered_comments: 3 });
+        expect(stats.near_duplicates.clusters[0]).toMatchObject({
+            size: 3,
+            exact_copies: 1,
+            authors: 3,
+            first_seen: '2026-03-01T12:00:00Z',
+            last_seen: '2026-03-01T12:02:00Z',
+        });
+        expect(stats.after_hard_filters).toBe(2);
+    });
+
+    it('should count cluster copies as duplicates in the engagement patterns', () => {
+        const comments = [
+            { text: CAMPAIGN, author_id: 'a' },
+            { text: 'This product changed my life, everybody needs to buy it right now', author_id: 'b' },
+            { text: 'Honest question, which microphone do you use for these videos?', author_id: 'c' },
+            { text: 'I tried the recipe last night and my kids loved every bite of it', author_id: 'd' },
+        ];
+
+        const patterns = engagementValidator.analyzeCommentPatterns(comments);
+        expect(patterns).toMatchObject({ duplicates: 1, clusterCount: 1, duplicatePct: '25.0' });
+
+        // Clusters from processComments: the copies were removed but still count as posted
+        const { comments: kept, stats } = processComments(comments.map((c, i) => ({ ...c, id: String(i) })));
+        const fromStats = engagementValidator.analyzeCommentPatterns(kept, stats.near_duplicates);
+        expect(fromStats).toMatchObject({ total: 3, duplicates: 1, clusterCount: 1, duplicatePct: '25.0' });
+    });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import request from 'supertest';
+import app from '../server.js';
+import { getPlatform, registerPlatform, validatePlatformUrl } from '../services/platforms/index.js';
+import { calculateScrapingCost } from '../services/billing.js';
+
+describe('Platform Registry', () => {
+    describe('validatePlatformUrl', () => {
+        it('should accept URLs on the platform domains', () => {
+            expect(validatePlatformUrl('youtube', 'https://youtu.be/dQw4w9WgXcQ').adapter.id).toBe('youtube');
+            expect(validatePlatformUrl('tiktok', 'https://www.tiktok.com/@a/video/1').adapter.id).toBe('tiktok');
+            expect(validatePlatformUrl('reddit', 'https://old.reddit.com/r/a/comments/abc123/').adapter.id).toBe('reddit');
+        });
+
+        it('should reject other domains, schemes and platforms', () => {
+            expect(validatePlatformUrl('youtube', 'https://www.tiktok.com/@a/video/1').error).toBe('URL must be from youtube.com or youtu.be');
+            expect(validatePlatformUrl('youtube', 'file:///etc/passwd').error).toBe('Only HTTP/HTTPS URLs are allowed');
+            expect(validatePlatformUrl('youtube', 'not a url').error).toBe('Invalid URL format');
+            expect(validatePlatformUrl('myspace', 'https://myspace.com/v/1').error).toMatch(/Invalid platform/);
+        });
+    });
+
+    describe('pricing', () => {
+        it('should price scraping from the adapter pricing unit', () => {
+            expect(calculateScrapingCost('youtube', 2500)).toBe(3);
+            expect(calculateScrapingCost('tiktok', 250)).toBe(3);
+            expect(calculateScrapingCost('tiktok', 0)).toBe(1);
+            expect(calculateScrapingCost('reddit', 1500)).toBe(4);
+            expect(() => calculateScrapingCost('myspace', 100)).toThrow(/Unknown platform/);
+        });
+
+        it('should pick up newly registered platforms', () => {
+            registerPlatform({ ...getPlatform('youtube'), id: 'test-network', name: 'Test', pricing: { per: 10, tokens: 2 } });
+            expect(calculateScrapingCost('test-network', 25)).toBe(6);
+        });
+    });
+
+    describe('GET /api/platforms', () => {
+        it('should list supported platforms', async () => {
+            const res = await request(app).get('/api/platforms');
+            expect(res.status).toBe(200);
+            expect(res.body.platforms.find(p => p.id === 'tiktok')).toEqual({
+                id: 'tiktok',
+                name: 'TikTok',
+                domains: ['tiktok.com', 'www.tiktok.com', 'vm.tiktok.com', 'm.tiktok.com'],
+                pricing: { per: 100, tokens: 1 },
+                supports_replies: true,
+                supports_engagement: true,
+                supports_collections: false,
+                supports_incremental: false,
+            });
+        });
+    });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+
+import { isQuestion, questionSentences, mineQuestions } from '../services/questions.js';
+import { processComments } from '../services/commentProcessor.js';
+
+describe('Question Mining', () => {
+    it('should detect questions with or without a question mark', () => {
+        [
+            'how do you get that sound',
+            'Do you use a tripod',
+            'does anyone know the song at 2:31',
+            '@ana 2:31 what song is this',
+            '¿Dónde compraste la cámara',
+            'Por qué no subes más videos',
+            'Where did you buy it?',
+        ].forEach(text => expect(isQuestion(text), text).toBe(true));
+    });
+
+    it('should not count statements, exclamations or roll calls', () => {
+        [
+            'What a video!',
+            'When I saw this I cried',
+            'What I love about this is the editing',
+            "Can't wait for part 2",
+            'Have a great day',
+            'Who else is watching in 2025?',
+            'Anyone else here from the livestream',
+        ].forEach(text => expect(isQuestion(text), text).toBe(false));
+    });
+
+    it('should keep only the sentences that ask something', () => {
+        expect(questionSentences('Great video. Which camera is this\nKeep it up!')).toEqual(['Which camera is this']);
+    });
+
+    it('should group questions that ask the same thing and rank them by count and likes', () => {
+        const comments = [
+            { id: 'a', text: 'What camera do you use?', likes: 40 },
+            { id: 'b', text: 'which camera is this', likes: 2 },
+            { id: 'c', text: 'What cameras are you using for this', likes: 1 },
+            { id: 'd', text: 'Where can I download the preset?', likes: 90 },
+            { id: 'e', text: 'Loved the ending', likes: 500 },
+            { id: 'f', text: 'Is there a link to the preset download?', likes: 0 },
+            { id: 'g', text: 'How long did the edit take?', likes: 0 },
+        ];
+        const report = mineQuestions(comments);
+
+        expect(report).toMatchObject({ total: 6, grouped: 3 });
+        expect(report.groups.map(g => [g.question, g.count, g.likes])).toEqual([
+            ['Where can I download the preset?', 2, 90],
+            ['What camera do you use?', 3, 43],
+            ['How long did the edit take?', 1, 0],
+        ]);
+        expect(report.groups[1].variants).toEqual(['which camera is this', 'What cameras are you using for this']);
+        expect(report.groups.every(g => g.status === null)).toBe(true);
+    });
+
+    it('should mark which groups the creator answered where threads were scraped', () => {
+        const { comments } = processComments([
+            { id: 'q1', text: 'What lens is this? Looks so sharp', reply_count: 1, likes: 10 },
+            { id: 'r1', parent_id: 'q1', text: 'Sigma 35mm!', is_creator_reply: true },
+            { id: 'q2', text: 'Which lens did you film this with', reply_count: 0, likes: 3 },
+            { id: 'q3', text: 'How did you light the kitchen scene', reply_count: 0, likes: 8 },
+            { id: 'q4', text: 'Where did you buy the lights?', reply_count: 2, likes: 1 },
+        ]);
+        const report = mineQuestions(comments);
+        const byQuestion = Object.fromEntries(report.groups.map(g => [g.question, g]));
+
+        expect(byQuestion['What lens is this?']).toMatchObject({ count: 2, status: 'answered', answered: 1, unanswered: 1 });
+        expect(byQuestion['How did you light the kitchen scene']).toMatchObject({ status: 'unanswered' });
+        // Replies to q4 exist but were not scraped, so nobody knows
+        expect(byQuestion['Where did you buy the lights?'].status).toBeNull();
+        expect(report).toMatchObject({ answered: 1, unanswered: 1 });
+    });
+
+    it('should return null without questions', () => {
+        expect(mineQuestions([{ text: 'Great video' }, { text: 'Loved it' }])).toBeNull();
+    });
+});
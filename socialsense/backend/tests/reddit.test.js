@@ -0,0 +1,120 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { readFileSync } from 'fs';
+import axios from 'axios';
+import { extractRedditPostId, getRedditPostDetails, scrapeRedditComments } from '../services/reddit.js';
+import { processComments } from '../services/commentProcessor.js';
+import { aggregateSentiment } from '../services/sentiment.js';
+
+vi.mock('axios', () => ({ default: { get: vi.fn() } }));
+
+const fixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/reddit/${name}.json`, import.meta.url), 'utf8'));
+
+// Serve recorded listings by endpoint
+function serveFixtures() {
+    axios.get.mockImplementation(async (url) => {
+        if (url.endsWith('/api/morechildren.json')) return { data: fixture('morechildren') };
+        if (url.endsWith('/comments/abc123/_/c2.json')) return { data: fixture('continue-thread') };
+        if (url.endsWith('/comments/abc123.json')) return { data: fixture('post') };
+        throw new Error(`Unexpected request: ${url}`);
+    });
+}
+
+describe('Reddit Scraper', () => {
+    beforeEach(() => {
+        axios.get.mockReset();
+    });
+
+    it('should extract post ids from post and short links', async () => {
+        expect(await extractRedditPostId('https://www.reddit.com/r/SideProject/comments/abc123/i_built_a_habit_tracker/')).toBe('abc123');
+        expect(await extractRedditPostId('https://redd.it/abc123')).toBe('abc123');
+        await expect(extractRedditPostId('https://www.reddit.com/r/SideProject/')).rejects.toThrow(/Could not extract/);
+    });
+
+    it('should read post details', async () => {
+        serveFixtures();
+        const details = await getRedditPostDetails('abc123');
+        expect(details).toMatchObject({
+            title: 'I built a habit tracker for remote teams',
+            channelTitle: 'r/SideProject',
+            commentCount: 9,
+            likeCount: 318,
+            hasMetrics: false,
+        });
+    });
+
+    it('should walk the full tree including load-more and continue-thread stubs', async () => {
+        serveFixtures();
+        const comments = await scrapeRedditComments('abc123', 100);
+
+        // Deleted comments are skipped but their replies are kept
+        expect(comments.map(c => c.id)).toEqual(['c1', 'c2', 'c4', 'c5', 'c8', 'c6', 'c9', 'c7']);
+        expect(comments[1]).toEqual({
+            id: 'c2',
+            parent_id: 'c1',
+            user: 'op_user',
+            author_id: 't2_op_user',
+            text: 'Yes, up to 3 projects',
+            likes: 20,
+            publishedAt: '2024-05-29T16:30:00.000Z',
+            reply_count: 1,
+            depth: 1,
+            is_creator_reply: true,
+            is_pinned: false,
+        });
+        expect(comments.find(c => c.id === 'c6').reply_count).toBe(1);
+        expect(comments.find(c => c.id === 'c5').is_pinned).toBe(true);
+
+        const [, { params }] = axios.get.mock.calls.find(([url]) => url.endsWith('/api/morechildren.json'));
+        expect(params).toMatchObject({ link_id: 't3_abc123', children: 'c6,c9,c7' });
+    });
+
+    it('should resume from the stubs left when the limit was reached', async () => {
+        serveFixtures();
+        let cursor;
+        let checkpointed;
+        const first = await scrapeRedditComments('abc123', 4, null, {
+            onPage: (next, collected) => {
+                cursor = next;
+                checkpointed = collected.slice();
+            },
+        });
+        expect(first).toHaveLength(4);
+        expect(cursor.stubs).toHaveLength(2);
+        expect(checkpointed).toHaveLength(4);
+
+        const rest = await scrapeRedditComments('abc123', 100, null, { cursor });
+        expect(rest.map(c => c.id)).toEqual(['c8', 'c6', 'c9', 'c7']);
+    });
+
+    it('should stop at the first thread older than the last run', async () => {
+        const t1 = (id, created, replies = [], parent = 't3_abc123', depth = 0) => ({
+            kind: 't1',
+            data: {
+                id, name: `t1_${id}`, parent_id: parent, author: `user_${id}`, body: `Comment ${id}`, score: 1, depth,
+                created_utc: Date.parse(created) / 1000,
+                replies: replies.length ? { data: { children: replies } } : '',
+            },
+        });
+        const more = (parent, depth) => ({ kind: 'more', data: { parent_id: parent, children: ['x1', 'x2'], count: 2, depth } });
+        axios.get.mockResolvedValue({ data: [{}, { data: { children: [
+            t1('n1', '2024-06-05T00:00:00Z', [t1('r1', '2024-06-05T01:00:00Z', [], 't1_n1', 1)]),
+            t1('o1', '2024-05-20T00:00:00Z', [t1('r2', '2024-06-06T00:00:00Z', [], 't1_o1', 1), more('t1_o1', 1)]),
+            more('t3_abc123', 0),
+        ] } }] });
+
+        const comments = await scrapeRedditComments('abc123', 100, null, { since: { id: 'seen', publishedAt: '2024-06-01T00:00:00Z' } });
+
+        expect(comments.map(c => c.id)).toEqual(['n1', 'r1']);
+        // Newest first, and neither the old thread's nor the older top-level "load more" is fetched
+        expect(axios.get).toHaveBeenCalledTimes(1);
+        expect(axios.get.mock.calls[0][1].params).toMatchObject({ sort: 'new' });
+    });
+
+    it('should feed the existing comment pipeline unchanged', async () => {
+        serveFixtures();
+        const { comments, stats } = processComments(await scrapeRedditComments('abc123', 100));
+
+        expect(stats.conversation).toMatchObject({ threads: 4, replies: 4, creator_replies: 2, questions: 2, unanswered_questions: 0 });
+        expect(aggregateSentiment(comments.map(c => c.sentiment)).total).toBe(comments.length);
+    });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { scoreSentiment, isSarcastic } from '../services/sentiment.js';
+import { processComments } from '../services/commentProcessor.js';
+
+const corpus = JSON.parse(readFileSync(new URL('./fixtures/sentiment/labeled-comments.json', import.meta.url), 'utf8'));
+
+describe('Sentiment Scoring', () => {
+    describe('labeled corpus', () => {
+        it.each(corpus.map(entry => [entry.category || 'plain', entry.text, entry.label, entry.language || 'en']))(
+            '%s: %s -> %s',
+            (category, text, label, language) => {
+                expect(scoreSentiment(text, language).label).toBe(label);
+            },
+        );
+    });
+
+    it('should end negation at the clause boundary', () => {
+        // "fun" is outside the negated clause
+        const result = scoreSentiment("I don't think this is good or useful, but the music is fun");
+        expect(result).toMatchObject({ positive_count: 1, negative_count: 2, label: 'negative' });
+        expect(scoreSentiment('Not good. Fun though').label).toBe('neutral');
+    });
+
+    it('should flag sarcasm and flip literal praise', () => {
+        expect(isSarcastic('Amazing quality /s')).toBe(true);
+        expect(isSarcastic('Check the docs/specs')).toBe(false);
+        expect(isSarcastic('Oh great video, thanks')).toBe(false);
+        expect(scoreSentiment('Amazing quality /s')).toMatchObject({ label: 'negative', sarcasm: true });
+        expect(scoreSentiment('Amazing quality')).not.toHaveProperty('sarcasm');
+    });
+
+    it('should keep emoji-only comments as a scored bucket outside the text stats', () => {
+        const result = processComments([
+            { id: '1', text: '💀💀💀' },
+            { id: '2', text: '💀💀💀' },
+            { id: '3', text: 'This tutorial is great' },
+            { id: '4', text: '...' },
+            { id: '5', text: '🤡' },
+        ]);
+
+        expect(result.comments.map(c => c.id)).toEqual(['1', '2', '3', '5']);
+        expect(result.comments.filter(c => c.is_emoji_only).map(c => c.sentiment.label)).toEqual(['positive', 'positive', 'negative']);
+        expect(result.stats).toMatchObject({ emoji_only: 4, emoji_scored: 3, duplicates: 0, after_hard_filters: 1 });
+        expect(result.stats.languages).toEqual([expect.objectContaining({ language: 'en', count: 1 })]);
+    });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { readFileSync } from 'fs';
+import axios from 'axios';
+import { scrapeTikTokComments } from '../services/tiktok.js';
+
+vi.mock('axios', () => ({ default: { get: vi.fn() } }));
+
+const fixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/tiktok/${name}.json`, import.meta.url), 'utf8'));
+
+// Serve recorded responses by endpoint and cursor
+function serveFixtures({ failFirst = false } = {}) {
+    let failed = !failFirst;
+    axios.get.mockImplementation(async (url, { params }) => {
+        if (!failed) {
+            failed = true;
+            throw new Error('socket hang up');
+        }
+        if (url.includes('/comment/list/reply/')) return { data: fixture('reply-list') };
+        return { data: fixture(params.cursor === 0 ? 'comment-list-page-1' : 'comment-list-page-2') };
+    });
+}
+
+describe('TikTok Scraper', () => {
+    beforeEach(() => {
+        axios.get.mockReset();
+    });
+
+    it('should keep comment metadata and skip stickers', async () => {
+        serveFixtures();
+        const comments = await scrapeTikTokComments('7300000000000000000', 100);
+
+        expect(comments.map(c => c.id)).toEqual([
+            '7301000000000000001',
+            '7301000000000000003',
+            '7301000000000000004',
+        ]);
+        expect(comments[0]).toEqual({
+            id: '7301000000000000001',
+            parent_id: null,
+            user: 'Lens Fan',
+            author_id: '6800000000000000010',
+            text: 'Which camera did you film this with?',
+            likes: 120,
+            publishedAt: '2023-11-14T22:13:20.000Z',
+            reply_count: 2,
+            is_creator_reply: false,
+            is_pinned: true,
+            is_creator_liked: true,
+        });
+        expect(comments[2].user).toBe('grader');
+        expect(comments[2].text).toBe('The color grading is unreal');
+        expect(axios.get.mock.calls.some(([url]) => url.includes('/reply/'))).toBe(false);
+    });
+
+    it('should fetch reply threads and spot creator replies', async () => {
+        serveFixtures();
+        const comments = await scrapeTikTokComments('7300000000000000000', 100, null, {
+            includeReplies: true,
+            authorId: '6800000000000000001',
+        });
+
+        const replies = comments.filter(c => c.parent_id === '7301000000000000001');
+        expect(replies.map(r => r.is_creator_reply)).toEqual([true, false]);
+        expect(comments.indexOf(replies[0])).toBe(1); // Replies follow their parent
+
+        const [, { params }] = axios.get.mock.calls.find(([url]) => url.includes('/reply/'));
+        expect(params).toMatchObject({ item_id: '7300000000000000000', comment_id: '7301000000000000001', cursor: 0 });
+    });
+
+    it('should fall back to the creator label without an author id', async () => {
+        serveFixtures();
+        const comments = await scrapeTikTokComments('7300000000000000000', 100, null, { includeReplies: true });
+        expect(comments.filter(c => c.is_creator_reply).map(c => c.id)).toEqual(['7301000000000000101']);
+    });
+
+    it('should count replies towards the comment limit', async () => {
+        serveFixtures();
+        const comments = await scrapeTikTokComments('7300000000000000000', 2, null, { includeReplies: true });
+        expect(comments.map(c => c.id)).toEqual(['7301000000000000001', '7301000000000000101']);
+    });
+
+    it('should report a resume cursor after each fully read page', async () => {
+        serveFixtures();
+        const cursors = [];
+        await scrapeTikTokComments('7300000000000000000', 100, null, { onPage: (cursor) => cursors.push(cursor) });
+        expect(cursors).toEqual([3, null]);
+
+        cursors.length = 0;
+        await scrapeTikTokComments('7300000000000000000', 1, null, { onPage: (cursor) => cursors.push(cursor) });
+        expect(cursors).toEqual([]); // Page cut short, so it is read again on resume
+    });
+
+    it('should retry failed requests with backoff', async () => {
+        serveFixtures({ failFirst: true });
+        const comments = await scrapeTikTokComments('7300000000000000000', 100);
+        expect(comments).toHaveLength(3);
+        expect(axios.get).toHaveBeenCalledTimes(3);
+    }, 10000);
+
+    it('should fail when TikTok returns an error status before any comments', async () => {
+        axios.get.mockResolvedValue({ data: fixture('error-status') });
+        await expect(scrapeTikTokComments('7300000000000000000', 100)).rejects.toThrow(/Could not retrieve comments/);
+    });
+});
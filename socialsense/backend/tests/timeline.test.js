@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+
+import { buildTimeline, detectSpikes, chooseBucket } from '../services/timeline.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const UPLOAD = Date.parse('2026-04-01T00:00:00Z');
+
+const comment = (time, label = 'neutral', extra = {}) => ({
+    text: `comment at ${new Date(time).toISOString()}`,
+    user: 'viewer',
+    likes: 0,
+    publishedAt: new Date(time).toISOString(),
+    sentiment: { label, score: label === 'positive' ? 0.5 : label === 'negative' ? -0.5 : 0 },
+    ...extra,
+});
+
+describe('Comment Timeline', () => {
+    it('should bucket by hour for new videos and by day or week for older ones', () => {
+        expect(chooseBucket(2 * DAY, 2 * DAY)).toBe('hour');
+        expect(chooseBucket(30 * DAY, 30 * DAY)).toBe('day');
+        expect(chooseBucket(3 * 365 * DAY, 3 * 365 * DAY)).toBe('week');
+
+        const comments = [comment(UPLOAD + 10 * 60000), comment(UPLOAD + 20 * 60000, 'positive'), comment(UPLOAD + 3 * HOUR + 5)];
+        const timeline = buildTimeline(comments, { videoPublishedAt: UPLOAD, now: UPLOAD + DAY });
+
+        expect(timeline.bucket).toBe('hour');
+        expect(timeline.buckets.map(b => b.count)).toEqual([2, 0, 0, 1]);
+        expect(timeline.buckets[0]).toMatchObject({ start: '2026-04-01T00:00:00.000Z', positive: 1, neutral: 1, negative: 0 });
+        expect(buildTimeline(comments, { videoPublishedAt: UPLOAD, now: UPLOAD + 10 * DAY }).bucket).toBe('day');
+    });
+
+    it('should not treat the decay after upload as a spike', () => {
+        const counts = [40, 25, 15, 10, 8, 6, 5, 4, 4, 3];
+        expect(detectSpikes(counts.map(count => ({ count })), 'hour')).toEqual([]);
+    });
+
+    it('should find a later burst and merge neighbouring spike buckets', () => {
+        const counts = [30, 12, 6, 4, 3, 2, 3, 2, 20, 14, 3, 2];
+        expect(detectSpikes(counts.map(count => ({ count })), 'day')).toEqual([{ from: 8, to: 9, baseline: 3 }]);
+    });
+
+    it('should describe spikes with their sentiment and most liked comments', () => {
+        const comments = [];
+        // A normal trickle, then a negative wave on day 10 after a reaction video
+        for (let day = 0; day < 14; day++) {
+            comments.push(comment(UPLOAD + day * DAY + HOUR, 'positive'), comment(UPLOAD + day * DAY + 2 * HOUR));
+        }
+        for (let i = 0; i < 12; i++) {
+            comments.push(comment(UPLOAD + 10 * DAY + 5 * HOUR + i * 60000, 'negative', { likes: i, user: `raider${i}` }));
+        }
+        comments.push({ text: 'no date', likes: 0, sentiment: { label: 'neutral', score: 0 } });
+
+        const timeline = buildTimeline(comments, { videoPublishedAt: UPLOAD, now: UPLOAD + 30 * DAY });
+
+        expect(timeline.bucket).toBe('day');
+        expect(timeline.buckets).toHaveLength(14);
+        expect(timeline.undated).toBe(1);
+        expect(timeline.spikes).toHaveLength(1);
+        expect(timeline.spikes[0]).toMatchObject({
+            start: '2026-04-11T00:00:00.000Z',
+            end: '2026-04-12T00:00:00.000Z',
+            count: 14,
+            peak: 14,
+            baseline: 2,
+            ratio: 7,
+            negative_pct: 86,
+        });
+        expect(timeline.spikes[0].examples.map(e => e.user)).toEqual(['raider11', 'raider10', 'raider9']);
+        expect(timeline.spikes[0].examples[0]).toMatchObject({ likes: 11, sentiment: 'negative' });
+    });
+
+    it('should return null without dated comments', () => {
+        expect(buildTimeline([{ text: 'imported', likes: 0 }])).toBeNull();
+    });
+});
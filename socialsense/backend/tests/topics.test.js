@@ -0,0 +1,78 @@
+import { describe, it, expect, vi } from 'vitest';
+
+vi.mock('../services/llm/index.js', () => ({ chat: vi.fn() }));
+
+import { clusterTopics, labelTopics } from '../services/topics.js';
+import { processComments } from '../services/commentProcessor.js';
+import { chat } from '../services/llm/index.js';
+
+const TEXTS = [
+    // Audio
+    'The audio quality is terrible, the mic keeps clipping',
+    'Please fix the audio, it is awful and way too quiet',
+    'Audio quality dropped halfway through, sounds bad and muffled',
+    'Why is the audio quality so bad now?',
+    'Your audio has so much annoying background noise lately',
+    'The audio quality on this one was much worse than usual',
+    // Recipe
+    'Made this recipe tonight, the garlic sauce was incredible',
+    'Can I use less garlic in the recipe? My kids hate it',
+    'The garlic sauce recipe is my new favorite dinner',
+    'Tried the recipe with chicken instead, garlic sauce still amazing',
+    'How long does the garlic sauce keep in the fridge?',
+    'This recipe is so easy, love the garlic sauce',
+    // Lighting
+    'The lighting in the kitchen looks so much better now',
+    'What lighting setup do you use? The colors look great',
+    'New lighting makes the food look amazing',
+    'Love the warm lighting in this episode',
+    'The lighting was too dark in the last part',
+    'Your lighting and camera upgrade really shows',
+    // Noise
+    'First!',
+    'Greetings from Brazil',
+];
+
+const comments = () => processComments(TEXTS.map((text, i) => ({ id: String(i), user: `viewer${i}`, text, likes: i % 4 }))).comments;
+
+describe('Topic Clustering', () => {
+    it('should group comments into labeled topics with a sentiment mix', () => {
+        const topics = clusterTopics(comments());
+
+        // "First!" and "Greetings from Brazil" belong to no topic
+        expect(topics.map(t => t.count)).toEqual([6, 6, 6]);
+        const byKeyword = (word) => topics.find(t => t.keywords.includes(word));
+        expect(byKeyword('audio').theme).toBe('audio quality');
+        expect(byKeyword('garlic').theme).toBe('garlic sauce');
+        expect(byKeyword('lighting').theme).toMatch(/^lighting/);
+        expect(byKeyword('audio').negative_pct).toBeGreaterThan(byKeyword('audio').positive_pct);
+        expect(byKeyword('garlic').positive_pct).toBeGreaterThan(byKeyword('garlic').negative_pct);
+
+        const recipe = byKeyword('garlic');
+        expect(recipe.percent).toBe(30);
+        expect(TEXTS.slice(6, 12)).toContain(recipe.representative.text);
+    });
+
+    it('should give the same topics for the same comments', () => {
+        expect(clusterTopics(comments())).toEqual(clusterTopics(comments()));
+    });
+
+    it('should skip small sets and honor custom stop-words', () => {
+        expect(clusterTopics(comments().slice(0, 5))).toEqual([]);
+
+        const topics = clusterTopics(comments(), { stopWords: new Set(['garlic']) });
+        expect(topics.flatMap(t => t.keywords)).not.toContain('garlic');
+    });
+
+    it('should take model labels and keep keyword labels when the model fails', async () => {
+        const topics = clusterTopics(comments());
+
+        chat.mockResolvedValueOnce({ content: JSON.stringify({ labels: [{ topic: 1, label: 'Microphone problems' }, { topic: 9, label: 'Unknown' }] }) });
+        const labeled = await labelTopics(topics);
+        expect(labeled[0].theme).toBe('Microphone problems');
+        expect(labeled.slice(1).map(t => t.theme)).toEqual(topics.slice(1).map(t => t.theme));
+
+        chat.mockRejectedValueOnce(new Error('rate limited'));
+        expect(await labelTopics(topics)).toEqual(topics);
+    });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { extractCollectionId, getCollectionDetails, scrapeYouTubeCollection, scrapeYouTubeComments } from '../services/youtube.js';
+import { processComments, buildVideoBreakdown } from '../services/commentProcessor.js';
+
+const api = vi.hoisted(() => ({
+    channels: { list: vi.fn() },
+    playlists: { list: vi.fn() },
+    playlistItems: { list: vi.fn() },
+    videos: { list: vi.fn() },
+    commentThreads: { list: vi.fn() },
+    comments: { list: vi.fn() },
+}));
+
+vi.mock('googleapis', () => ({ google: { youtube: () => api } }));
+
+const video = (id, commentCount) => ({
+    id,
+    snippet: { title: `Video ${id}`, channelId: 'UC_creator', publishedAt: '2024-06-01T00:00:00Z' },
+    statistics: { commentCount: String(commentCount), viewCount: '1000', likeCount: '50' },
+});
+
+const thread = (id, text, likes = 0, publishedAt = '2024-06-02T00:00:00Z') => ({
+    id,
+    snippet: {
+        totalReplyCount: 0,
+        topLevelComment: {
+            id,
+            snippet: { authorDisplayName: `user_${id}`, authorChannelId: { value: `UC_${id}` }, textDisplay: text, likeCount: likes, publishedAt },
+        },
+    },
+});
+
+describe('YouTube Channels & Playlists', () => {
+    beforeEach(() => {
+        Object.values(api).forEach(resource => resource.list.mockReset());
+    });
+
+    it('should recognize channel, handle and playlist URLs but not videos', () => {
+        expect(extractCollectionId('https://www.youtube.com/@SomeCreator/videos')).toBe('handle:@SomeCreator');
+        expect(extractCollectionId('https://www.youtube.com/channel/UCabcdefghijklmnopqrstuv')).toBe('channel:UCabcdefghijklmnopqrstuv');
+        expect(extractCollectionId('https://www.youtube.com/playlist?list=PLxyz123')).toBe('playlist:PLxyz123');
+        expect(extractCollectionId('https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PLxyz123')).toBeNull();
+    });
+
+    it('should list the latest uploads and price them with the per-video budget', async () => {
+        api.channels.list.mockResolvedValue({ data: { items: [{
+            id: 'UC_creator',
+            snippet: { title: 'Some Creator' },
+            contentDetails: { relatedPlaylists: { uploads: 'UU_creator' } },
+        }] } });
+        api.playlistItems.list.mockResolvedValue({ data: { items: ['v1', 'v2', 'v3'].map(videoId => ({ contentDetails: { videoId } })) } });
+        api.videos.list.mockResolvedValue({ data: { items: [video('v1', 800), video('v2', 120), video('v3', 0)] } });
+
+        const details = await getCollectionDetails('handle:@SomeCreator', { maxVideos: 3, perVideoComments: 300 });
+
+        expect(api.channels.list.mock.calls[0][0]).toMatchObject({ forHandle: '@SomeCreator' });
+        expect(api.playlistItems.list.mock.calls[0][0]).toMatchObject({ playlistId: 'UU_creator', maxResults: 3 });
+        expect(details).toMatchObject({
+            isCollection: true,
+            collectionType: 'channel',
+            title: 'Some Creator',
+            videoCount: 3,
+            commentCount: 420,
+            totalCommentCount: 920,
+            viewCount: 3000,
+        });
+    });
+
+    it('should merge comments tagged with their video and skip unreadable videos', async () => {
+        api.commentThreads.list.mockImplementation(async ({ videoId }) => {
+            if (videoId === 'v2') throw Object.assign(new Error('Comments disabled'), { code: 403 });
+            return { data: { items: [thread(`${videoId}-a`, `Great video ${videoId}`, 5), thread(`${videoId}-b`, `When is part two of ${videoId}?`)] } };
+        });
+
+        const details = {
+            perVideoComments: 2,
+            channelId: 'UC_creator',
+            videos: [
+                { id: 'v1', title: 'First', commentCount: 10 },
+                { id: 'v2', title: 'Second', commentCount: 10 },
+                { id: 'v3', title: 'Third', commentCount: 10 },
+                { id: 'v4', title: 'Quiet', commentCount: 0 },
+            ],
+        };
+        const comments = await scrapeYouTubeCollection(details, 100);
+
+        expect(comments.map(c => [c.id, c.video_id, c.video_title])).toEqual([
+            ['v1-a', 'v1', 'First'],
+            ['v1-b', 'v1', 'First'],
+            ['v3-a', 'v3', 'Third'],
+            ['v3-b', 'v3', 'Third'],
+        ]);
+        expect(api.commentThreads.list).toHaveBeenCalledTimes(3);
+        // Without a cutoff YouTube's relevance order is kept
+        expect(api.commentThreads.list.mock.calls[0][0].order).toBeUndefined();
+
+        const breakdown = buildVideoBreakdown(processComments(comments).comments, details.videos);
+        expect(breakdown.map(row => [row.video_id, row.analyzed, row.unanswered_questions])).toEqual([
+            ['v1', 2, 1], ['v2', 0, 0], ['v3', 2, 1], ['v4', 0, 0],
+        ]);
+        expect(breakdown[0].top_comment).toEqual({ user: 'user_v1-a', text: 'Great video v1', likes: 5 });
+    });
+
+    it('should stop at the first comment older than the last run', async () => {
+        api.commentThreads.list.mockResolvedValue({ data: {
+            nextPageToken: 'page-2',
+            items: [
+                thread('new-1', 'Just watched this', 0, '2024-06-05T00:00:00Z'),
+                thread('new-2', 'Still holds up', 0, '2024-06-04T00:00:00Z'),
+                thread('old-1', 'Seen last week', 0, '2024-05-28T00:00:00Z'),
+            ],
+        } });
+
+        const comments = await scrapeYouTubeComments('v1', 100, null, { since: { id: 'seen', publishedAt: '2024-06-01T00:00:00Z' } });
+
+        expect(comments.map(c => c.id)).toEqual(['new-1', 'new-2']);
+        expect(api.commentThreads.list).toHaveBeenCalledTimes(1);
+        expect(api.commentThreads.list.mock.calls[0][0]).toMatchObject({ order: 'time' });
+    });
+
+    it('should stop each video of a collection at its own last comment', async () => {
+        api.commentThreads.list.mockImplementation(async ({ videoId }) => ({ data: { items: [
+            thread(`${videoId}-new`, 'Just found this', 0, '2024-06-03T00:00:00Z'),
+            thread(`${videoId}-old`, 'Watched at release', 0, '2024-05-01T00:00:00Z'),
+        ] } }));
+        const details = { perVideoComments: 10, videos: [{ id: 'v1', title: 'First' }, { id: 'v2', title: 'Second' }, { id: 'v3', title: 'Third' }] };
+
+        const comments = await scrapeYouTubeCollection(details, 100, null, {
+            since: { id: 'v1-seen', publishedAt: '2024-06-05T00:00:00Z' },
+            sinceByVideo: {
+                v1: { id: 'v1-seen', publishedAt: '2024-06-05T00:00:00Z' },
+                v2: { id: 'v2-seen', publishedAt: '2024-06-01T00:00:00Z' },
+            },
+        });
+
+        expect(comments.map(c => c.id)).toEqual(['v2-new', 'v3-new', 'v3-old']);
+    });
+});
@@ -0,0 +1,148 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createHash } from 'crypto';
+
+const db = vi.hoisted(() => {
+    process.env.YOUTUBE_API_KEYS = 'key-a, key-b';
+    return { rows: [], holds: [], recorded: [], reserveCalls: [], released: [], fits: true };
+});
+
+vi.mock('googleapis', () => ({ google: { youtube: ({ auth }) => ({ auth }) } }));
+
+vi.mock('../config/supabase.js', () => ({
+    supabaseAdmin: {
+        from: (table) => ({
+            select: () => ({
+                eq: async () => ({ data: table === 'youtube_quota_reservations' ? db.holds : db.rows, error: null }),
+            }),
+            delete: () => ({
+                eq: async (column, value) => {
+                    db.released.push(value);
+                    return { error: null };
+                },
+            }),
+        }),
+        rpc: async (name, params) => {
+            if (name === 'reserve_youtube_quota') {
+                // Everything recorded so far must be written before the database decides
+                db.reserveCalls.push({ ...params, recordedBefore: db.recorded.length });
+                return { data: db.fits, error: null };
+            }
+            db.recorded.push(params);
+            return { error: null };
+        },
+    },
+}));
+
+const keyId = (secret) => createHash('sha256').update(secret).digest('hex').slice(0, 12);
+
+const quotaError = () => Object.assign(new Error('quota'), { errors: [{ reason: 'quotaExceeded' }] });
+
+describe('YouTube Quota', () => {
+    let quota;
+
+    beforeEach(async () => {
+        db.rows = [];
+        db.holds = [];
+        db.recorded = [];
+        db.reserveCalls = [];
+        db.released = [];
+        db.fits = true;
+        vi.useRealTimers();
+        // Usage is cached per module instance
+        vi.resetModules();
+        quota = await import('../services/youtubeQuota.js');
+    });
+
+    it('should reset at midnight Pacific Time, summer and winter', () => {
+        expect(quota.quotaDay(new Date('2024-07-01T06:59:00Z'))).toBe('2024-06-30');
+        expect(quota.nextQuotaReset(new Date('2024-07-01T06:59:00Z')).toISOString()).toBe('2024-07-01T07:00:00.000Z');
+        expect(quota.nextQuotaReset(new Date('2024-01-15T12:00:00Z')).toISOString()).toBe('2024-01-16T08:00:00.000Z');
+        // Day before clocks go forward is still on standard time
+        expect(quota.nextQuotaReset(new Date('2024-03-09T12:00:00Z')).toISOString()).toBe('2024-03-10T08:00:00.000Z');
+    });
+
+    it('should estimate units from pages, replies and collection lookups', () => {
+        expect(quota.estimateScrapeUnits({ commentCount: 1000 })).toBe(11);
+        expect(quota.estimateScrapeUnits({ commentCount: 1000, includeReplies: true })).toBe(21);
+        expect(quota.estimateScrapeUnits({ commentCount: 500, videoCount: 5 })).toBe(9);
+    });
+
+    it('should add up usage across keys and flag analyses that must wait', async () => {
+        db.rows = [
+            { key_id: keyId('key-a'), call_type: 'commentThreads.list', units: 9990 },
+            { key_id: keyId('key-b'), call_type: 'commentThreads.list', units: 9000 },
+        ];
+
+        const status = await quota.getQuotaStatus();
+        expect(status).toMatchObject({ keys: 2, daily_limit: 20000, used: 18990, remaining: 1010 });
+
+        expect(await quota.checkQuota(500)).toMatchObject({ must_wait: false, exceeds_daily_limit: false });
+        expect(await quota.checkQuota(5000)).toMatchObject({ must_wait: true, exceeds_daily_limit: false });
+        expect(await quota.checkQuota(25000)).toMatchObject({ must_wait: true, exceeds_daily_limit: true });
+    });
+
+    it('should rotate to the next key when one runs out and wait once all are spent', async () => {
+        const request = vi.fn(async (client) => {
+            if (client.auth === 'key-a') throw quotaError();
+            return { data: { items: [] } };
+        });
+
+        await expect(quota.callYouTube('commentThreads.list', request)).resolves.toEqual({ data: { items: [] } });
+        expect(request.mock.calls.map(([client]) => client.auth)).toEqual(['key-a', 'key-b']);
+
+        // The exhausted key is skipped from now on
+        request.mockClear();
+        await quota.callYouTube('commentThreads.list', request);
+        expect(request.mock.calls.map(([client]) => client.auth)).toEqual(['key-b']);
+
+        request.mockRejectedValue(quotaError());
+        const error = await quota.callYouTube('commentThreads.list', request).catch(e => e);
+        expect(error).toBeInstanceOf(quota.QuotaExhaustedError);
+        expect(error.stage).toBe('waiting_for_quota');
+        expect(error.retryAt.toISOString()).toBe(quota.nextQuotaReset().toISOString());
+
+        await quota.flushUsage();
+        const units = Object.fromEntries(db.recorded.map(r => [`${r.p_key_id === keyId('key-a') ? 'a' : 'b'}:${r.p_call_type}`, r.p_units]));
+        expect(units).toEqual({ 'a:quota_exceeded': 10000, 'b:commentThreads.list': 2, 'b:quota_exceeded': 9998 });
+    });
+
+    it('should count units held by queued analyses as spent', async () => {
+        db.rows = [{ key_id: keyId('key-a'), call_type: 'commentThreads.list', units: 9000 }];
+        db.holds = [{ units: 10000 }];
+
+        expect(await quota.getQuotaStatus()).toMatchObject({ used: 9000, reserved: 10000, remaining: 1000 });
+        expect(await quota.checkQuota(2000)).toMatchObject({ must_wait: true });
+    });
+
+    it('should hold units in the database after writing pending usage', async () => {
+        await quota.callYouTube('videos.list', async () => ({ data: {} }));
+
+        const hold = await quota.reserveQuota('analysis-1', 500);
+        expect(db.reserveCalls).toEqual([{
+            p_quota_date: quota.quotaDay(),
+            p_analysis_id: 'analysis-1',
+            p_units: 500,
+            p_daily_limit: 20000,
+            recordedBefore: 1,
+        }]);
+        expect(hold).toMatchObject({ units: 500, reserved: true, must_wait: false });
+
+        db.fits = false;
+        expect(await quota.reserveQuota('analysis-2', 500)).toMatchObject({ reserved: false, must_wait: true });
+
+        await quota.releaseQuota('analysis-1');
+        expect(db.released).toEqual(['analysis-1']);
+    });
+
+    it('should write usage from before midnight to the day it was spent on', async () => {
+        vi.useFakeTimers({ toFake: ['Date'] });
+        vi.setSystemTime(new Date('2024-07-01T06:59:00Z'));
+        await quota.callYouTube('commentThreads.list', async () => ({ data: {} }));
+
+        vi.setSystemTime(new Date('2024-07-01T07:01:00Z'));
+        const status = await quota.getQuotaStatus();
+
+        expect(db.recorded).toEqual([expect.objectContaining({ p_quota_date: '2024-06-30', p_call_type: 'commentThreads.list', p_units: 1 })]);
+        expect(status.used).toBe(0);
+    });
+});
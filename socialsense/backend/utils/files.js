@@ -0,0 +1,22 @@
+/**
+ * File helpers shared by routes and background jobs
+ */
+
+import fs from 'fs/promises';
+
+/**
+ * Helper to safely delete temp files with proper logging
+ */
+export async function safeUnlink(filePath, context = 'unknown') {
+  if (!filePath) return;
+  try {
+    await fs.unlink(filePath);
+  } catch (err) {
+    // Only log if file exists but couldn't be deleted (not ENOENT)
+    if (err.code !== 'ENOENT') {
+      console.error(`[Cleanup] Failed to delete temp file (${context}): ${filePath}`, err.message);
+    }
+  }
+}
+
+export default { safeUnlink };
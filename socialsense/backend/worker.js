@@ -0,0 +1,23 @@
+import dotenv from 'dotenv';
+
+// Load environment variables (only works locally, Railway injects them directly)
+dotenv.config();
+
+import { startJobWorker, stopJobWorker } from './services/jobWorker.js';
+
+/**
+ * Standalone job worker
+ * Run with `npm run worker` and set START_JOB_WORKER=false on the API
+ * so analyses are only processed here. Analyses of uploaded files still run
+ * on the API, unless this worker shares its host.
+ */
+startJobWorker();
+
+const shutdown = async (signal) => {
+  console.log(`[Worker] ${signal} received, shutting down...`);
+  await stopJobWorker();
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,295 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Grid,
+  TextField,
+  MenuItem,
+  Button,
+  Alert,
+  Chip,
+  Divider,
+  Skeleton,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  alpha,
+} from '@mui/material';
+import { Save, Preview } from '@mui/icons-material';
+import toast from 'react-hot-toast';
+
+import { rulesApi, analysisApi } from '../utils/api';
+import { colors } from '../styles/theme';
+
+// One text box per rule list, one entry per line
+const RULE_FIELDS = [
+  {
+    key: 'spam_patterns',
+    label: 'Extra spam patterns',
+    helper: 'Regular expressions, case-insensitive. Matching comments are removed.',
+    placeholder: 'use code \\w+\ngiveaway',
+  },
+  {
+    key: 'whitelisted_domains',
+    label: 'Whitelisted domains',
+    helper: 'Links to these sites (and their subdomains) are not treated as spam.',
+    placeholder: 'myshop.com\npatreon.com',
+  },
+  {
+    key: 'positive_terms',
+    label: 'Positive terms',
+    helper: 'Words or two-word phrases that are praise in your niche.',
+    placeholder: 'broken\nclean build',
+  },
+  {
+    key: 'negative_terms',
+    label: 'Negative terms',
+    helper: 'Words or two-word phrases that are criticism in your niche.',
+    placeholder: 'nerfed\npay to win',
+  },
+  {
+    key: 'neutral_terms',
+    label: 'Neutral terms',
+    helper: 'Words that are your topic rather than an opinion.',
+    placeholder: 'scam\nrug pull',
+  },
+  {
+    key: 'stop_words',
+    label: 'Stop-words',
+    helper: 'Words kept out of keywords and discovered aspects.',
+    placeholder: 'minecraft\nbitcoin',
+  },
+];
+
+const STAT_ROWS = [
+  { key: 'spam_promo', label: 'Spam / Promo removed' },
+  { key: 'duplicates', label: 'Duplicates removed' },
+  { key: 'near_duplicates', label: 'Near-duplicates removed' },
+  { key: 'generic_praise', label: 'Generic praise (flagged)' },
+  { key: 'off_topic', label: 'Off-topic (flagged)' },
+  { key: 'after_hard_filters', label: 'Comments kept' },
+];
+
+const toDraft = (rules) => Object.fromEntries(RULE_FIELDS.map(({ key }) => [key, (rules?.[key] || []).join('\n')]));
+
+const FilterRulesPanel = () => {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [draft, setDraft] = useState(toDraft(null));
+  const [limits, setLimits] = useState({});
+
+  // Preview against one of the user's analyses
+  const [analyses, setAnalyses] = useState([]);
+  const [previewId, setPreviewId] = useState('');
+  const [previewing, setPreviewing] = useState(false);
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  const loadRules = async () => {
+    try {
+      const [{ data: rulesData }, { data: historyData }] = await Promise.all([
+        rulesApi.get(),
+        analysisApi.getHistory({ status: 'completed', limit: 20 }),
+      ]);
+      setDraft(toDraft(rulesData.rules));
+      setLimits(rulesData.limits || {});
+      setAnalyses(historyData.analyses || []);
+      if (historyData.analyses?.length) setPreviewId(historyData.analyses[0].id);
+    } catch (err) {
+      console.error('Failed to load filter rules:', err);
+      toast.error('Failed to load filter rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      const { data } = await rulesApi.save(draft);
+      setDraft(toDraft(data.rules));
+      toast.success('Filter rules saved. They apply to your next analyses.');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to save filter rules');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePreview = async () => {
+    try {
+      setPreviewing(true);
+      const { data } = await rulesApi.preview(previewId, draft);
+      setPreview(data);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to preview filter rules');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <Box>
+        <Skeleton variant="text" width="40%" height={40} sx={{ mb: 2 }} />
+        <Skeleton variant="rounded" height={240} />
+      </Box>
+    );
+  }
+
+  return (
+    <Box>
+      <Typography variant="subtitle1" fontWeight={600} sx={{ mb: 1 }}>
+        Custom Filter Rules
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        Add to the built-in spam filters and sentiment words for your niche. One entry per line.
+      </Typography>
+
+      <Grid container spacing={3}>
+        {RULE_FIELDS.map((field) => {
+          const count = draft[field.key].split('\n').filter((line) => line.trim()).length;
+          return (
+            <Grid item xs={12} md={6} key={field.key}>
+              <TextField
+                fullWidth
+                multiline
+                minRows={3}
+                maxRows={8}
+                label={field.label}
+                placeholder={field.placeholder}
+                value={draft[field.key]}
+                onChange={(e) => setDraft({ ...draft, [field.key]: e.target.value })}
+                helperText={`${field.helper}${limits[field.key] ? ` (${count}/${limits[field.key]})` : ''}`}
+                error={!!limits[field.key] && count > limits[field.key]}
+                InputProps={field.key === 'spam_patterns' ? { sx: { fontFamily: 'monospace' } } : undefined}
+              />
+            </Grid>
+          );
+        })}
+      </Grid>
+
+      <Button
+        variant="contained"
+        startIcon={<Save />}
+        onClick={handleSave}
+        disabled={saving}
+        sx={{ mt: 3 }}
+      >
+        {saving ? 'Saving...' : 'Save Rules'}
+      </Button>
+
+      <Divider sx={{ my: 4 }} />
+
+      <Typography variant="subtitle1" fontWeight={600} sx={{ mb: 1 }}>
+        Preview Against an Analysis
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Re-runs the comment filters with the rules above (saved or not) and shows what would change.
+      </Typography>
+
+      {analyses.length === 0 ? (
+        <Alert severity="info">Run an analysis first to preview rules against its comments.</Alert>
+      ) : (
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center', flexWrap: 'wrap' }}>
+          <TextField
+            select
+            size="small"
+            label="Analysis"
+            value={previewId}
+            onChange={(e) => setPreviewId(e.target.value)}
+            sx={{ minWidth: 320, flex: 1 }}
+          >
+            {analyses.map((a) => (
+              <MenuItem key={a.id} value={a.id}>
+                {a.video_title || 'Untitled'} · {new Date(a.created_at).toLocaleDateString()}
+              </MenuItem>
+            ))}
+          </TextField>
+          <Button
+            variant="outlined"
+            startIcon={<Preview />}
+            onClick={handlePreview}
+            disabled={!previewId || previewing}
+          >
+            {previewing ? 'Previewing...' : 'Preview'}
+          </Button>
+        </Box>
+      )}
+
+      {preview && (
+        <Box sx={{ mt: 3 }}>
+          <TableContainer>
+            <Table size="small">
+              <TableHead>
+                <TableRow>
+                  <TableCell>{preview.comments.toLocaleString()} stored comments</TableCell>
+                  <TableCell align="right">Saved Rules</TableCell>
+                  <TableCell align="right">Draft Rules</TableCell>
+                </TableRow>
+              </TableHead>
+              <TableBody>
+                {STAT_ROWS.map((row) => {
+                  const before = preview.current.stats[row.key] || 0;
+                  const after = preview.draft.stats[row.key] || 0;
+                  return (
+                    <TableRow key={row.key}>
+                      <TableCell>{row.label}</TableCell>
+                      <TableCell align="right">{before.toLocaleString()}</TableCell>
+                      <TableCell align="right" sx={{ fontWeight: after !== before ? 700 : 400 }}>
+                        {after.toLocaleString()}
+                      </TableCell>
+                    </TableRow>
+                  );
+                })}
+                {['positive', 'neutral', 'negative'].map((label) => (
+                  <TableRow key={label}>
+                    <TableCell sx={{ textTransform: 'capitalize' }}>{label}</TableCell>
+                    <TableCell align="right">{preview.current.sentiment[`${label}_pct`]}%</TableCell>
+                    <TableCell align="right">{preview.draft.sentiment[`${label}_pct`]}%</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </TableContainer>
+
+          <Typography variant="body2" fontWeight={600} sx={{ mt: 3, mb: 1 }}>
+            Top keywords with the draft
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+            {preview.draft.keywords.map((k) => (
+              <Chip key={k.word} size="small" label={`${k.word} (${k.count})`} />
+            ))}
+          </Box>
+
+          <Typography variant="body2" fontWeight={600} sx={{ mt: 3, mb: 1 }}>
+            {preview.changed ? `${preview.changed.toLocaleString()} comments change` : 'No comments change'}
+            {preview.changed > preview.changes.length && ` (most liked ${preview.changes.length} shown)`}
+          </Typography>
+          {preview.changes.map((change, index) => (
+            <Box
+              key={index}
+              sx={{ p: 1.5, mb: 1, borderRadius: 2, background: alpha(colors.primary, 0.04) }}
+            >
+              <Typography variant="body2" sx={{ mb: 0.5 }}>"{change.text}"</Typography>
+              <Typography variant="caption" color="text.secondary">
+                {change.user || 'Unknown'} · {change.likes} likes · {change.before} → <strong>{change.after}</strong>
+              </Typography>
+            </Box>
+          ))}
+          <Alert severity="info" sx={{ mt: 2 }}>
+            Comments removed as spam when the analysis ran are not stored, so newly whitelisted domains show up on your next analysis.
+          </Alert>
+        </Box>
+      )}
+    </Box>
+  );
+};
+
+export default FilterRulesPanel;
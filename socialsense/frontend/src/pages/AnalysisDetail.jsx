@@ -25,6 +25,7 @@ import {
   ToggleButtonGroup,
   TextField,
   InputAdornment,
+  LinearProgress,
 } from '@mui/material';
 import {
   ArrowBack,
@@ -54,6 +55,12 @@ import {
   Flag,
   CheckCircle,
   Error as ErrorIcon,
+  Reddit,
+  UploadFile,
+  Update,
+  PlayArrow,
+  Timeline as TimelineIcon,
+  LiveHelp,
 } from '@mui/icons-material';
 import Collapse from '@mui/material/Collapse';
 import {
@@ -67,6 +74,7 @@ import {
   PieChart,
   Pie,
   Cell,
+  ReferenceArea,
 } from 'recharts';
 import { motion } from 'framer-motion';
 import toast from 'react-hot-toast';
@@ -90,7 +98,9 @@ const AnalysisDetail = () => {
   const [error, setError] = useState('');
   const [activeTab, setActiveTab] = useState(0);
   const [transcriptOpen, setTranscriptOpen] = useState(false);
-  const [sentimentFilter, setSentimentFilter] = useState('all'); // 'all', 'positive', 'neutral', 'negative'
+  const [resuming, setResuming] = useState(false);
+  const [sentimentFilter, setSentimentFilter] = useState('all'); // 'all', 'positive', 'neutral', 'negative', 'unanswered', 'new'
+  const [questionFilter, setQuestionFilter] = useState('all'); // 'all', 'unanswered'
 
   useEffect(() => {
     loadAnalysis();
@@ -120,6 +130,19 @@ const AnalysisDetail = () => {
     }
   };
 
+  const handleResume = async () => {
+    setResuming(true);
+    try {
+      const { data } = await analysisApi.resume(id);
+      toast.success(`Resuming from ${data.resumed_comments.toLocaleString()} saved comments`);
+      await loadAnalysis(true);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to resume analysis');
+    } finally {
+      setResuming(false);
+    }
+  };
+
   const handleExport = async () => {
     try {
       const response = await analysisApi.exportCsv(id);
@@ -137,6 +160,23 @@ const AnalysisDetail = () => {
     }
   };
 
+  const handleQuestionsExport = async () => {
+    try {
+      const response = await analysisApi.exportQuestions(id);
+      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `questions-${id}.csv`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+      toast.success('Questions exported successfully');
+    } catch (err) {
+      toast.error('Failed to export questions');
+    }
+  };
+
   const handlePdfExport = () => {
     try {
       generateAnalysisPDF(analysis);
@@ -152,6 +192,10 @@ const AnalysisDetail = () => {
         return <YouTube sx={{ fontSize: 24, color: '#FF0000' }} />;
       case 'tiktok':
         return <TikTokIcon sx={{ fontSize: 24, color: '#000000' }} />;
+      case 'reddit':
+        return <Reddit sx={{ fontSize: 24, color: '#FF4500' }} />;
+      case 'upload':
+        return <UploadFile sx={{ fontSize: 24, color: theme.palette.primary.main }} />;
       default:
         return <VideoLibrary sx={{ fontSize: 24 }} />;
     }
@@ -272,6 +316,9 @@ const AnalysisDetail = () => {
       count: k.count || 0,
     }));
 
+  // Topic clusters carry a representative comment; older analyses have bigram themes only
+  const topics = themes.filter(t => t?.representative);
+
   const themeChartData = themes
     .filter(t => t && typeof t === 'object')
     .slice(0, 8)
@@ -285,6 +332,7 @@ const AnalysisDetail = () => {
     { name: 'Emoji Only', value: filterStats.emoji_only || 0 },
     { name: 'Spam/Promo', value: filterStats.spam_promo || 0 },
     { name: 'Duplicates', value: filterStats.duplicates || 0 },
+    { name: 'Near-Duplicates', value: filterStats.near_duplicates?.removed || 0 },
   ].filter((d) => d.value > 0);
 
   // Sentiment data
@@ -303,6 +351,56 @@ const AnalysisDetail = () => {
 
   const SENTIMENT_COLORS = [theme.palette.success.main, theme.palette.grey[500], theme.palette.error.main];
 
+  // Channel and playlist analyses; their tab comes after the optional Engagement tab
+  const videoBreakdown = analysis.video_breakdown?.length ? analysis.video_breakdown : null;
+  const videosTab = analysis.engagement_validation ? 5 : 4;
+
+  // Comment volume over time, after the optional Videos tab; older analyses have none
+  const timeline = analysis.timeline?.buckets?.length ? analysis.timeline : null;
+  const timelineTab = videosTab + (videoBreakdown ? 1 : 0);
+  const formatBucket = (iso) => (timeline?.bucket === 'hour'
+    ? new Date(iso).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric' })
+    : new Date(iso).toLocaleDateString([], { month: 'short', day: 'numeric', ...(timeline?.bucket === 'week' && { year: '2-digit' }) }));
+  // Spikes are highlighted from their first to their last bucket
+  const spikeAreas = (timeline?.spikes || []).map((spike) => ({
+    x1: spike.start,
+    x2: timeline.buckets.filter((b) => b.start < spike.end).pop()?.start || spike.start,
+  }));
+
+  // Grouped viewer questions, after the optional Timeline tab; older analyses have none
+  const questions = analysis.questions?.groups?.length ? analysis.questions : null;
+  const questionsTab = timelineTab + (timeline ? 1 : 0);
+  const shownQuestions = (questions?.groups || []).filter((g) => questionFilter === 'all' || g.status === 'unanswered');
+
+  // Scheduled re-runs: sentiment_scores cover the new comments, raw_comments the merged all-time list
+  const incremental = analysis.incremental || null;
+
+  // Failed and cancelled analyses continue from their last scrape checkpoint
+  const savedComments = analysis.scrape_checkpoint?.comments || 0;
+  const canResume = ['failed', 'cancelled'].includes(analysis.status) && savedComments > 0;
+  const resumeButton = canResume && (
+    <Button color="inherit" size="small" startIcon={<PlayArrow />} onClick={handleResume} disabled={resuming}>
+      {resuming ? 'Resuming...' : 'Resume'}
+    </Button>
+  );
+
+  // Copy-paste clusters (exact and near copies); older analyses have none
+  const nearDuplicates = filterStats.near_duplicates || null;
+
+  // Language mix; older analyses were English-only and have none
+  const languages = filterStats.languages || [];
+  const multilingual = languages.length > 1;
+
+  // Per-aspect sentiment, most mentioned first; older analyses have none
+  const aspects = analysis.aspects || [];
+
+  // Reply-thread stats (YouTube analyses that included replies)
+  const conversation = filterStats.conversation;
+  const matchesSentimentFilter = (c) => sentimentFilter === 'all'
+    || (sentimentFilter === 'unanswered' ? c.is_unanswered_question
+      : sentimentFilter === 'new' ? c.is_new : c.sentiment?.label === sentimentFilter);
+  const filteredComments = comments.filter(matchesSentimentFilter);
+
   return (
     <Box>
       {/* Header */}
@@ -343,6 +441,18 @@ const AnalysisDetail = () => {
                 }}
               />
             )}
+            {incremental && (
+              <Chip
+                icon={<Update sx={{ fontSize: 16 }} />}
+                label={`${(incremental.new_comments || 0).toLocaleString()} new since last run`}
+                size="small"
+                sx={{
+                  background: alpha(theme.palette.info.main, 0.15),
+                  color: theme.palette.info.main,
+                  fontWeight: 600,
+                }}
+              />
+            )}
             {analysis.is_my_video && analysis.video_score != null && (
               <Chip
                 icon={getScoreIcon(analysis.video_score)}
@@ -439,9 +549,39 @@ const AnalysisDetail = () => {
 
       {/* Failed Alert */}
       {analysis.status === 'failed' && (
-        <Alert severity="error" sx={{ mb: 4 }}>
+        <Alert severity="error" sx={{ mb: 4 }} action={resumeButton}>
           <Typography fontWeight={600}>Analysis Failed</Typography>
           <Typography>{analysis.error_message || 'An unexpected error occurred during analysis.'}</Typography>
+          {canResume && (
+            <Typography variant="body2" sx={{ mt: 1 }}>
+              {savedComments.toLocaleString()} comments were saved before it stopped. Resume to continue from there.
+            </Typography>
+          )}
+        </Alert>
+      )}
+
+      {/* Cancelled Alert */}
+      {analysis.status === 'cancelled' && (
+        <Alert
+          severity="warning"
+          sx={{ mb: 4 }}
+          action={(resumeButton || analysis.raw_comments?.length > 0) && (
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              {resumeButton}
+              {analysis.raw_comments?.length > 0 && (
+                <Button color="inherit" size="small" startIcon={<Download />} onClick={handleExport}>
+                  CSV
+                </Button>
+              )}
+            </Box>
+          )}
+        >
+          <Typography fontWeight={600}>Analysis Cancelled</Typography>
+          <Typography>
+            {analysis.comment_count
+              ? `${analysis.comment_count.toLocaleString()} comments were collected before the analysis was stopped. Unused tokens were refunded.`
+              : 'The analysis was stopped before any comments were collected. Your tokens were refunded.'}
+          </Typography>
         </Alert>
       )}
 
@@ -682,6 +822,9 @@ const AnalysisDetail = () => {
           <Tab label="Sentiment" />
           <Tab label="Filter Stats" />
           {analysis.engagement_validation && <Tab label="Engagement" icon={<VerifiedUser sx={{ fontSize: 18 }} />} iconPosition="start" />}
+          {videoBreakdown && <Tab label="Videos" icon={<VideoLibrary sx={{ fontSize: 18 }} />} iconPosition="start" />}
+          {timeline && <Tab label="Timeline" icon={<TimelineIcon sx={{ fontSize: 18 }} />} iconPosition="start" />}
+          {questions && <Tab label="Questions" icon={<LiveHelp sx={{ fontSize: 18 }} />} iconPosition="start" />}
         </Tabs>
       </Card>
 
@@ -831,7 +974,7 @@ const AnalysisDetail = () => {
               <Card sx={{ height: '100%' }}>
                 <CardContent>
                   <Typography variant="h6" fontWeight={600} sx={{ mb: 3 }}>
-                    Top Themes
+                    {topics.length ? 'Top Topics' : 'Top Themes'}
                   </Typography>
                   {themeChartData.length > 0 ? (
                     <ResponsiveContainer width="100%" height={300}>
@@ -868,6 +1011,49 @@ const AnalysisDetail = () => {
               </Card>
             </Grid>
 
+            {/* Topic Clusters */}
+            {topics.length > 0 && (
+              <Grid item xs={12}>
+                <Card>
+                  <CardContent>
+                    <Typography variant="h6" fontWeight={600} sx={{ mb: 1 }}>
+                      Topics
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+                      Comments grouped by what they talk about, with the most typical comment of each group.
+                    </Typography>
+                    <Grid container spacing={2}>
+                      {topics.map((topic, index) => (
+                        <Grid item xs={12} md={6} key={index}>
+                          <Box sx={{ p: 2, height: '100%', borderRadius: 2, background: alpha(COLORS[index % COLORS.length], 0.06) }}>
+                            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', mb: 1 }}>
+                              <Typography variant="subtitle1" fontWeight={600}>{topic.theme}</Typography>
+                              <Typography variant="caption" color="text.secondary">
+                                {topic.count.toLocaleString()} comments ({topic.percent}%)
+                              </Typography>
+                            </Box>
+                            <Box sx={{ display: 'flex', height: 6, borderRadius: 3, overflow: 'hidden', mb: 1.5 }}>
+                              <Box sx={{ width: `${topic.positive_pct}%`, background: SENTIMENT_COLORS[0] }} />
+                              <Box sx={{ width: `${topic.neutral_pct}%`, background: SENTIMENT_COLORS[1] }} />
+                              <Box sx={{ width: `${topic.negative_pct}%`, background: SENTIMENT_COLORS[2] }} />
+                            </Box>
+                            <Typography variant="body2" sx={{ mb: 1, fontStyle: 'italic' }}>
+                              "{topic.representative.text}"
+                            </Typography>
+                            <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                              {topic.keywords.map((word) => (
+                                <Chip key={word} label={word} size="small" variant="outlined" />
+                              ))}
+                            </Box>
+                          </Box>
+                        </Grid>
+                      ))}
+                    </Grid>
+                  </CardContent>
+                </Card>
+              </Grid>
+            )}
+
             {/* Keyword List */}
             <Grid item xs={12}>
               <Card>
@@ -905,12 +1091,66 @@ const AnalysisDetail = () => {
           animate={{ opacity: 1 }}
         >
           <Grid container spacing={3}>
+            {/* New since last run vs all time (scheduled re-runs) */}
+            {incremental && (
+              <Grid item xs={12}>
+                <Card>
+                  <CardContent>
+                    <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                      <Typography variant="h6" fontWeight={600}>
+                        New Since Last Run vs All Time
+                      </Typography>
+                      {incremental.since?.publishedAt && (
+                        <Typography variant="body2" color="text.secondary">
+                          Since {new Date(incremental.since.publishedAt).toLocaleString()} · run {incremental.runs}
+                        </Typography>
+                      )}
+                    </Box>
+                    <Grid container spacing={2}>
+                      {[
+                        { key: 'new', label: 'New Since Last Run', count: incremental.new_comments, sentiment: incremental.new_sentiment, color: theme.palette.info.main },
+                        { key: 'all', label: 'All Time', count: incremental.all_time_comments, sentiment: incremental.all_time_sentiment, color: theme.palette.primary.main },
+                      ].map((item) => (
+                        <Grid item xs={12} md={6} key={item.key}>
+                          <Box
+                            sx={{
+                              p: 2,
+                              borderRadius: 2,
+                              background: alpha(item.color, 0.05),
+                              cursor: 'pointer',
+                              border: sentimentFilter === item.key ? `2px solid ${item.color}` : '2px solid transparent',
+                              transition: 'all 0.2s',
+                              '&:hover': { background: alpha(item.color, 0.1) },
+                            }}
+                            onClick={() => setSentimentFilter(item.key === 'new' && sentimentFilter !== 'new' ? 'new' : 'all')}
+                          >
+                            <Typography variant="body2" color="text.secondary">{item.label}</Typography>
+                            <Typography variant="h5" fontWeight={700} sx={{ color: item.color }}>
+                              {(item.count || 0).toLocaleString()}
+                              <Typography component="span" variant="body2" color="text.secondary" sx={{ ml: 1 }}>
+                                comments
+                              </Typography>
+                            </Typography>
+                            <Box sx={{ display: 'flex', gap: 1, mt: 1, flexWrap: 'wrap' }}>
+                              <Chip size="small" label={`${item.sentiment?.positive_pct || 0}% positive`} sx={{ background: alpha(theme.palette.success.main, 0.1), color: theme.palette.success.main }} />
+                              <Chip size="small" label={`${item.sentiment?.neutral_pct || 0}% neutral`} sx={{ background: alpha(theme.palette.grey[500], 0.1), color: theme.palette.grey[600] }} />
+                              <Chip size="small" label={`${item.sentiment?.negative_pct || 0}% negative`} sx={{ background: alpha(theme.palette.error.main, 0.1), color: theme.palette.error.main }} />
+                            </Box>
+                          </Box>
+                        </Grid>
+                      ))}
+                    </Grid>
+                  </CardContent>
+                </Card>
+              </Grid>
+            )}
+
             {/* Sentiment Pie Chart */}
             <Grid item xs={12} md={6}>
               <Card>
                 <CardContent>
                   <Typography variant="h6" fontWeight={600} sx={{ mb: 3 }}>
-                    Sentiment Distribution
+                    Sentiment Distribution{incremental && ' (New Since Last Run)'}
                   </Typography>
                   {sentimentPieData.length > 0 ? (
                     <ResponsiveContainer width="100%" height={300}>
@@ -1091,6 +1331,134 @@ const AnalysisDetail = () => {
               </Card>
             </Grid>
 
+            {/* Conversations */}
+            {conversation && (
+              <Grid item xs={12}>
+                <Card>
+                  <CardContent>
+                    <Typography variant="h6" fontWeight={600} sx={{ mb: 2 }}>
+                      Conversations
+                    </Typography>
+                    <Grid container spacing={2}>
+                      {[
+                        { label: 'Threads', value: conversation.threads },
+                        { label: 'Replies', value: conversation.replies },
+                        { label: 'Creator Replies', value: conversation.creator_replies },
+                      ].map((item) => (
+                        <Grid item xs={6} md={3} key={item.label}>
+                          <Box sx={{ p: 2, borderRadius: 2, background: alpha(theme.palette.primary.main, 0.05) }}>
+                            <Typography variant="body2" color="text.secondary">{item.label}</Typography>
+                            <Typography variant="h5" fontWeight={700}>{(item.value || 0).toLocaleString()}</Typography>
+                          </Box>
+                        </Grid>
+                      ))}
+                      <Grid item xs={6} md={3}>
+                        <Box
+                          sx={{
+                            p: 2,
+                            borderRadius: 2,
+                            background: alpha(theme.palette.warning.main, 0.1),
+                            cursor: 'pointer',
+                            border: sentimentFilter === 'unanswered' ? `2px solid ${theme.palette.warning.main}` : '2px solid transparent',
+                            transition: 'all 0.2s',
+                            '&:hover': { background: alpha(theme.palette.warning.main, 0.15) },
+                          }}
+                          onClick={() => setSentimentFilter(sentimentFilter === 'unanswered' ? 'all' : 'unanswered')}
+                        >
+                          <Typography variant="body2" color="text.secondary">Unanswered Questions</Typography>
+                          <Typography variant="h5" fontWeight={700} color="warning.main">
+                            {(conversation.unanswered_questions || 0).toLocaleString()}
+                            <Typography component="span" variant="body2" color="text.secondary" sx={{ ml: 1 }}>
+                              of {(conversation.questions || 0).toLocaleString()}
+                            </Typography>
+                          </Typography>
+                        </Box>
+                      </Grid>
+                    </Grid>
+                  </CardContent>
+                </Card>
+              </Grid>
+            )}
+
+            {/* Aspect Sentiment */}
+            {aspects.length > 0 && (
+              <Grid item xs={12}>
+                <Card>
+                  <CardContent>
+                    <Typography variant="h6" fontWeight={600} sx={{ mb: 1 }}>
+                      Aspect Sentiment
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+                      How viewers feel about each topic they mention, scored on the part of the comment that mentions it.
+                    </Typography>
+                    <TableContainer>
+                      <Table size="small">
+                        <TableHead>
+                          <TableRow>
+                            <TableCell>Aspect</TableCell>
+                            <TableCell align="right">Mentions</TableCell>
+                            <TableCell sx={{ minWidth: 200 }}>Sentiment</TableCell>
+                            <TableCell align="right">Avg Score</TableCell>
+                            <TableCell>Top Positive</TableCell>
+                            <TableCell>Top Negative</TableCell>
+                          </TableRow>
+                        </TableHead>
+                        <TableBody>
+                          {aspects.map((row) => (
+                            <TableRow key={row.aspect}>
+                              <TableCell>
+                                <Typography variant="body2" fontWeight={600} sx={{ textTransform: 'capitalize' }}>
+                                  {row.aspect}
+                                </Typography>
+                                {row.source !== 'default' && (
+                                  <Chip
+                                    label={row.source === 'custom' ? 'tracked' : 'discovered'}
+                                    size="small"
+                                    sx={{ mt: 0.5, height: 20, fontSize: '0.7rem', background: alpha(theme.palette.primary.main, 0.1), color: theme.palette.primary.main }}
+                                  />
+                                )}
+                              </TableCell>
+                              <TableCell align="right">{row.mentions.toLocaleString()}</TableCell>
+                              <TableCell>
+                                {row.mentions > 0 ? (
+                                  <>
+                                    <Box sx={{ display: 'flex', height: 8, borderRadius: 4, overflow: 'hidden', background: alpha(theme.palette.grey[500], 0.1) }}>
+                                      <Box sx={{ width: `${row.positive_pct}%`, background: theme.palette.success.main }} />
+                                      <Box sx={{ width: `${row.neutral_pct}%`, background: theme.palette.grey[400] }} />
+                                      <Box sx={{ width: `${row.negative_pct}%`, background: theme.palette.error.main }} />
+                                    </Box>
+                                    <Typography variant="caption" color="text.secondary">
+                                      {row.positive_pct}% + · {row.neutral_pct}% · {row.negative_pct}% −
+                                    </Typography>
+                                  </>
+                                ) : (
+                                  <Typography variant="caption" color="text.secondary">Not mentioned</Typography>
+                                )}
+                              </TableCell>
+                              <TableCell align="right">{(row.average_score || 0).toFixed(2)}</TableCell>
+                              {['positive', 'negative'].map((side) => (
+                                <TableCell key={side} sx={{ maxWidth: 260 }}>
+                                  {row.examples?.[side]?.length ? row.examples[side].map((example, index) => (
+                                    <Typography
+                                      key={index}
+                                      variant="caption"
+                                      sx={{ display: '-webkit-box', WebkitLineClamp: 2, WebkitBoxOrient: 'vertical', overflow: 'hidden', mb: 0.5 }}
+                                    >
+                                      "{example.text}" ({example.likes} likes)
+                                    </Typography>
+                                  )) : '—'}
+                                </TableCell>
+                              ))}
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </TableContainer>
+                  </CardContent>
+                </Card>
+              </Grid>
+            )}
+
             {/* Filtered Comments */}
             <Grid item xs={12}>
               <Card>
@@ -1100,7 +1468,8 @@ const AnalysisDetail = () => {
                       Comments by Sentiment
                       {sentimentFilter !== 'all' && (
                         <Chip
-                          label={sentimentFilter}
+                          label={sentimentFilter === 'unanswered' ? 'unanswered questions'
+                            : sentimentFilter === 'new' ? 'new since last run' : sentimentFilter}
                           size="small"
                           onDelete={() => setSentimentFilter('all')}
                           sx={{
@@ -1110,23 +1479,30 @@ const AnalysisDetail = () => {
                               ? alpha(theme.palette.success.main, 0.15)
                               : sentimentFilter === 'negative'
                                 ? alpha(theme.palette.error.main, 0.15)
-                                : alpha(theme.palette.grey[500], 0.15),
+                                : sentimentFilter === 'unanswered'
+                                  ? alpha(theme.palette.warning.main, 0.15)
+                                  : sentimentFilter === 'new'
+                                    ? alpha(theme.palette.info.main, 0.15)
+                                    : alpha(theme.palette.grey[500], 0.15),
                             color: sentimentFilter === 'positive'
                               ? theme.palette.success.main
                               : sentimentFilter === 'negative'
                                 ? theme.palette.error.main
-                                : theme.palette.grey[600],
+                                : sentimentFilter === 'unanswered'
+                                  ? theme.palette.warning.main
+                                  : sentimentFilter === 'new'
+                                    ? theme.palette.info.main
+                                    : theme.palette.grey[600],
                           }}
                         />
                       )}
                     </Typography>
                     <Typography variant="body2" color="text.secondary">
-                      Click sentiment rows above to filter
+                      Click the rows above to filter
                     </Typography>
                   </Box>
                   <Box sx={{ maxHeight: 400, overflowY: 'auto' }}>
-                    {comments
-                      .filter(c => sentimentFilter === 'all' || c.sentiment?.label === sentimentFilter)
+                    {filteredComments
                       .slice(0, 50)
                       .map((comment, idx) => (
                         <Box
@@ -1134,6 +1510,7 @@ const AnalysisDetail = () => {
                           sx={{
                             p: 2,
                             mb: 1,
+                            ml: comment.parent_id ? 4 : 0,
                             borderRadius: 2,
                             background: alpha(
                               comment.sentiment?.label === 'positive'
@@ -1153,9 +1530,29 @@ const AnalysisDetail = () => {
                           }}
                         >
                           <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 0.5 }}>
-                            <Typography variant="body2" fontWeight={600} color="text.secondary">
-                              {comment.user || 'Anonymous'}
-                            </Typography>
+                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                              <Typography variant="body2" fontWeight={600} color="text.secondary">
+                                {comment.user || 'Anonymous'}
+                              </Typography>
+                              {comment.parent_id && (
+                                <Chip label="Reply" size="small" variant="outlined" sx={{ height: 20, fontSize: '0.7rem' }} />
+                              )}
+                              {comment.is_creator_reply && (
+                                <Chip label="Creator" size="small" color="primary" sx={{ height: 20, fontSize: '0.7rem' }} />
+                              )}
+                              {comment.is_unanswered_question && (
+                                <Chip label="Unanswered" size="small" color="warning" sx={{ height: 20, fontSize: '0.7rem' }} />
+                              )}
+                              {comment.is_new && (
+                                <Chip label="New" size="small" color="info" sx={{ height: 20, fontSize: '0.7rem' }} />
+                              )}
+                              {comment.sentiment?.sarcasm && (
+                                <Chip label="Sarcasm" size="small" variant="outlined" color="warning" sx={{ height: 20, fontSize: '0.7rem' }} />
+                              )}
+                              {multilingual && comment.language && comment.language !== 'en' && (
+                                <Chip label={comment.language.toUpperCase()} size="small" variant="outlined" sx={{ height: 20, fontSize: '0.7rem' }} />
+                              )}
+                            </Box>
                             <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
                               {comment.likes > 0 && (
                                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
@@ -1191,14 +1588,14 @@ const AnalysisDetail = () => {
                           </Typography>
                         </Box>
                       ))}
-                    {comments.filter(c => sentimentFilter === 'all' || c.sentiment?.label === sentimentFilter).length === 0 && (
+                    {filteredComments.length === 0 && (
                       <Typography color="text.secondary" textAlign="center" py={4}>
-                        No comments found with this sentiment
+                        No comments match this filter
                       </Typography>
                     )}
-                    {comments.filter(c => sentimentFilter === 'all' || c.sentiment?.label === sentimentFilter).length > 50 && (
+                    {filteredComments.length > 50 && (
                       <Typography variant="body2" color="text.secondary" textAlign="center" py={2}>
-                        Showing first 50 of {comments.filter(c => sentimentFilter === 'all' || c.sentiment?.label === sentimentFilter).length} comments
+                        Showing first 50 of {filteredComments.length} comments
                       </Typography>
                     )}
                   </Box>
@@ -1265,9 +1662,11 @@ const AnalysisDetail = () => {
                   <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
                     {[
                       { label: 'Original Comments', value: filterStats.original },
-                      { label: 'Emoji-only Removed', value: filterStats.emoji_only },
+                      { label: 'Emoji-only / No Text', value: filterStats.emoji_only },
+                      ...(filterStats.emoji_scored != null ? [{ label: 'Emoji Reactions (sentiment only)', value: filterStats.emoji_scored }] : []),
                       { label: 'Spam/Promo Removed', value: filterStats.spam_promo },
                       { label: 'Duplicates Removed', value: filterStats.duplicates },
+                      ...(nearDuplicates ? [{ label: 'Near-Duplicates Removed', value: nearDuplicates.removed }] : []),
                       { label: 'Generic Praise (flagged)', value: filterStats.generic_praise },
                       { label: 'Off-topic (flagged)', value: filterStats.off_topic },
                       { label: 'Final Analyzed', value: filterStats.after_hard_filters },
@@ -1292,6 +1691,91 @@ const AnalysisDetail = () => {
                 </CardContent>
               </Card>
             </Grid>
+            {languages.length > 0 && (
+              <Grid item xs={12}>
+                <Card>
+                  <CardContent>
+                    <Typography variant="h6" fontWeight={600} sx={{ mb: 3 }}>
+                      Languages
+                    </Typography>
+                    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                      {languages.map((lang) => (
+                        <Box key={lang.language}>
+                          <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 0.5 }}>
+                            <Typography variant="body2" fontWeight={600}>
+                              {lang.name} · {lang.count.toLocaleString()} ({lang.pct}%)
+                            </Typography>
+                            <Typography variant="body2" color="text.secondary">
+                              {lang.positive_pct}% positive · {lang.negative_pct}% negative
+                            </Typography>
+                          </Box>
+                          <LinearProgress
+                            variant="determinate"
+                            value={lang.pct}
+                            sx={{ height: 8, borderRadius: 4, bgcolor: alpha(theme.palette.primary.main, 0.1) }}
+                          />
+                        </Box>
+                      ))}
+                    </Box>
+                  </CardContent>
+                </Card>
+              </Grid>
+            )}
+            {nearDuplicates?.clusters?.length > 0 && (
+              <Grid item xs={12}>
+                <Card>
+                  <CardContent>
+                    <Typography variant="h6" fontWeight={600} sx={{ mb: 1 }}>
+                      Copy-Paste Clusters
+                    </Typography>
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+                      {nearDuplicates.clustered_comments.toLocaleString()} comments in {nearDuplicates.cluster_count.toLocaleString()} groups
+                      of the same text with small edits. Only the first of each group is analyzed.
+                    </Typography>
+                    <TableContainer>
+                      <Table size="small">
+                        <TableHead>
+                          <TableRow>
+                            <TableCell>Comment</TableCell>
+                            <TableCell align="right">Copies</TableCell>
+                            <TableCell align="right">Accounts</TableCell>
+                            <TableCell>First Seen</TableCell>
+                          </TableRow>
+                        </TableHead>
+                        <TableBody>
+                          {nearDuplicates.clusters.map((cluster, index) => (
+                            <TableRow key={index}>
+                              <TableCell sx={{ maxWidth: 420 }}>
+                                <Typography variant="body2">"{cluster.text}"</Typography>
+                                {cluster.variants.map((variant, i) => (
+                                  <Typography key={i} variant="caption" color="text.secondary" display="block">
+                                    also: "{variant}"
+                                  </Typography>
+                                ))}
+                              </TableCell>
+                              <TableCell align="right">{cluster.size.toLocaleString()}</TableCell>
+                              <TableCell align="right">
+                                {cluster.authors.toLocaleString()}
+                                {cluster.shared_authors > 0 && (
+                                  <Chip
+                                    label={`${cluster.shared_authors} in other clusters`}
+                                    size="small"
+                                    sx={{ ml: 1, background: alpha(theme.palette.error.main, 0.1), color: theme.palette.error.main }}
+                                  />
+                                )}
+                              </TableCell>
+                              <TableCell>
+                                {cluster.first_seen ? new Date(cluster.first_seen).toLocaleString() : '—'}
+                              </TableCell>
+                            </TableRow>
+                          ))}
+                        </TableBody>
+                      </Table>
+                    </TableContainer>
+                  </CardContent>
+                </Card>
+              </Grid>
+            )}
           </Grid>
         </MotionBox>
       )}
@@ -1420,6 +1904,58 @@ const AnalysisDetail = () => {
                   </Card>
                 </Grid>
 
+                {/* Score Breakdown; older reports have the model's score only */}
+                {eng.scoreBreakdown && (
+                  <Grid item xs={12}>
+                    <Card>
+                      <CardContent>
+                        <Typography variant="h6" fontWeight={600} sx={{ mb: 1, display: 'flex', alignItems: 'center', gap: 1 }}>
+                          <CompareArrows sx={{ color: theme.palette.primary.main }} />
+                          Score Breakdown
+                        </Typography>
+                        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                          Every video starts at {eng.scoreBreakdown.base}; each signal below adds or removes points.
+                        </Typography>
+                        <TableContainer>
+                          <Table size="small">
+                            <TableHead>
+                              <TableRow>
+                                <TableCell>Signal</TableCell>
+                                <TableCell align="right">Value</TableCell>
+                                <TableCell>Why</TableCell>
+                                <TableCell align="right">Points</TableCell>
+                              </TableRow>
+                            </TableHead>
+                            <TableBody>
+                              {eng.scoreBreakdown.signals.map((signal) => {
+                                const color = signal.points > 0 ? theme.palette.success.main
+                                  : signal.points < 0 ? theme.palette.error.main
+                                  : theme.palette.text.secondary;
+                                return (
+                                  <TableRow key={signal.id}>
+                                    <TableCell>{signal.label}</TableCell>
+                                    <TableCell align="right">{signal.value}</TableCell>
+                                    <TableCell>
+                                      <Typography variant="caption" color="text.secondary">{signal.detail}</Typography>
+                                    </TableCell>
+                                    <TableCell align="right" sx={{ fontWeight: 700, color }}>
+                                      {signal.points > 0 ? `+${signal.points}` : signal.points}
+                                    </TableCell>
+                                  </TableRow>
+                                );
+                              })}
+                              <TableRow>
+                                <TableCell colSpan={3} sx={{ fontWeight: 600 }}>Authenticity Score</TableCell>
+                                <TableCell align="right" sx={{ fontWeight: 700 }}>{eng.authenticityScore}</TableCell>
+                              </TableRow>
+                            </TableBody>
+                          </Table>
+                        </TableContainer>
+                      </CardContent>
+                    </Card>
+                  </Grid>
+                )}
+
                 {/* Comment Analysis */}
                 {eng.commentAnalysis && (
                   <Grid item xs={12} md={6}>
@@ -1609,6 +2145,263 @@ const AnalysisDetail = () => {
           })()}
         </MotionBox>
       )}
+
+      {/* Per-video breakdown (channel and playlist analyses) */}
+      {activeTab === videosTab && videoBreakdown && (
+        <MotionBox
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+        >
+          <Card>
+            <CardContent>
+              <Typography variant="h6" fontWeight={600} sx={{ mb: 1 }}>
+                Per-Video Breakdown
+              </Typography>
+              <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+                {videoBreakdown.length} videos analyzed together. The other tabs cover all of them combined.
+              </Typography>
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Video</TableCell>
+                      <TableCell align="right">Comments</TableCell>
+                      <TableCell>Sentiment</TableCell>
+                      <TableCell align="right">Unanswered</TableCell>
+                      <TableCell>Top Keywords</TableCell>
+                      <TableCell>Top Comment</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {videoBreakdown.map((row) => (
+                      <TableRow key={row.video_id}>
+                        <TableCell sx={{ maxWidth: 240 }}>
+                          <Typography
+                            variant="body2"
+                            fontWeight={600}
+                            component="a"
+                            href={`https://www.youtube.com/watch?v=${row.video_id}`}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            sx={{ color: 'inherit' }}
+                          >
+                            {row.title}
+                          </Typography>
+                          {row.published_at && (
+                            <Typography variant="caption" color="text.secondary" display="block">
+                              {new Date(row.published_at).toLocaleDateString()} · {row.view_count.toLocaleString()} views
+                            </Typography>
+                          )}
+                        </TableCell>
+                        <TableCell align="right">
+                          {row.analyzed.toLocaleString()}
+                          <Typography variant="caption" color="text.secondary" display="block">
+                            of {row.comment_count.toLocaleString()}
+                          </Typography>
+                        </TableCell>
+                        <TableCell sx={{ minWidth: 140 }}>
+                          {row.analyzed > 0 ? (
+                            <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                              <Chip label={`${row.positive_pct}% +`} size="small" sx={{ background: alpha(theme.palette.success.main, 0.15), color: theme.palette.success.main }} />
+                              <Chip label={`${row.negative_pct}% −`} size="small" sx={{ background: alpha(theme.palette.error.main, 0.15), color: theme.palette.error.main }} />
+                            </Box>
+                          ) : (
+                            <Typography variant="caption" color="text.secondary">No comments read</Typography>
+                          )}
+                        </TableCell>
+                        <TableCell align="right">{row.unanswered_questions}</TableCell>
+                        <TableCell>
+                          <Typography variant="caption">{row.keywords.join(', ') || '—'}</Typography>
+                        </TableCell>
+                        <TableCell sx={{ maxWidth: 280 }}>
+                          {row.top_comment ? (
+                            <Typography variant="caption" sx={{ display: '-webkit-box', WebkitLineClamp: 2, WebkitBoxOrient: 'vertical', overflow: 'hidden' }}>
+                              "{row.top_comment.text}" ({row.top_comment.likes} likes)
+                            </Typography>
+                          ) : '—'}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </CardContent>
+          </Card>
+        </MotionBox>
+      )}
+
+      {/* Timeline Tab */}
+      {activeTab === timelineTab && timeline && (
+        <MotionBox
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+        >
+          <Grid container spacing={3}>
+            <Grid item xs={12}>
+              <Card>
+                <CardContent>
+                  <Typography variant="h6" fontWeight={600} sx={{ mb: 1 }}>
+                    Comment Velocity
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+                    Comments per {timeline.bucket} by sentiment. Shaded ranges are spikes.
+                    {timeline.undated > 0 && ` ${timeline.undated.toLocaleString()} comments without a date are not shown.`}
+                  </Typography>
+                  <ResponsiveContainer width="100%" height={320}>
+                    <BarChart data={timeline.buckets}>
+                      <CartesianGrid strokeDasharray="3 3" stroke={alpha(theme.palette.text.primary, 0.1)} />
+                      <XAxis
+                        dataKey="start"
+                        tickFormatter={formatBucket}
+                        stroke={theme.palette.text.secondary}
+                        tick={{ fontSize: 11 }}
+                        minTickGap={24}
+                      />
+                      <YAxis allowDecimals={false} stroke={theme.palette.text.secondary} />
+                      <Tooltip
+                        labelFormatter={formatBucket}
+                        contentStyle={{
+                          background: theme.palette.background.paper,
+                          border: `1px solid ${alpha(theme.palette.primary.main, 0.2)}`,
+                          borderRadius: 8,
+                        }}
+                      />
+                      {spikeAreas.map((area, index) => (
+                        <ReferenceArea key={index} x1={area.x1} x2={area.x2} fill={alpha(theme.palette.warning.main, 0.15)} />
+                      ))}
+                      <Bar dataKey="positive" name="Positive" stackId="sentiment" fill={SENTIMENT_COLORS[0]} />
+                      <Bar dataKey="neutral" name="Neutral" stackId="sentiment" fill={SENTIMENT_COLORS[1]} />
+                      <Bar dataKey="negative" name="Negative" stackId="sentiment" fill={SENTIMENT_COLORS[2]} />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </CardContent>
+              </Card>
+            </Grid>
+
+            {timeline.spikes.length === 0 ? (
+              <Grid item xs={12}>
+                <Alert severity="info">No spikes: comments came in without sudden bursts.</Alert>
+              </Grid>
+            ) : timeline.spikes.map((spike, index) => (
+              <Grid item xs={12} md={6} key={index}>
+                <Card sx={{ height: '100%', border: `1px solid ${alpha(theme.palette.warning.main, 0.3)}` }}>
+                  <CardContent>
+                    <Typography variant="subtitle1" fontWeight={600}>
+                      {formatBucket(spike.start)}
+                      {spikeAreas[index].x1 !== spikeAreas[index].x2 && ` – ${formatBucket(spikeAreas[index].x2)}`}
+                    </Typography>
+                    <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', my: 1.5 }}>
+                      <Chip size="small" label={`${spike.count.toLocaleString()} comments`} />
+                      <Chip
+                        size="small"
+                        label={`${spike.ratio}x the usual ${spike.baseline} per ${timeline.bucket}`}
+                        sx={{ background: alpha(theme.palette.warning.main, 0.15), color: theme.palette.warning.dark }}
+                      />
+                      <Chip
+                        size="small"
+                        label={`${spike.positive_pct}% positive · ${spike.negative_pct}% negative`}
+                        sx={{
+                          background: alpha(spike.negative_pct > spike.positive_pct ? theme.palette.error.main : theme.palette.success.main, 0.1),
+                          color: spike.negative_pct > spike.positive_pct ? theme.palette.error.main : theme.palette.success.main,
+                        }}
+                      />
+                    </Box>
+                    {spike.examples.map((example, i) => (
+                      <Box key={i} sx={{ p: 1.5, mb: 1, borderRadius: 2, background: alpha(theme.palette.primary.main, 0.04) }}>
+                        <Typography variant="body2" sx={{ mb: 0.5 }}>"{example.text}"</Typography>
+                        <Typography variant="caption" color="text.secondary">
+                          {example.user || 'Unknown'} · {example.likes} likes{example.sentiment && ` · ${example.sentiment}`}
+                        </Typography>
+                      </Box>
+                    ))}
+                  </CardContent>
+                </Card>
+              </Grid>
+            ))}
+          </Grid>
+        </MotionBox>
+      )}
+
+      {/* Questions Tab */}
+      {activeTab === questionsTab && questions && (
+        <MotionBox
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+        >
+          <Card>
+            <CardContent>
+              <Box sx={{ display: 'flex', alignItems: 'flex-start', justifyContent: 'space-between', gap: 2, flexWrap: 'wrap', mb: 3 }}>
+                <Box>
+                  <Typography variant="h6" fontWeight={600} sx={{ mb: 1 }}>
+                    Viewer Questions
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    {questions.total.toLocaleString()} questions asking {questions.grouped.toLocaleString()} different things, most asked first.
+                    {questions.unanswered > 0 && ` ${questions.unanswered.toLocaleString()} of them never got a reply from the creator.`}
+                  </Typography>
+                </Box>
+                <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+                  <ToggleButtonGroup
+                    size="small"
+                    exclusive
+                    value={questionFilter}
+                    onChange={(e, value) => value && setQuestionFilter(value)}
+                  >
+                    <ToggleButton value="all">All</ToggleButton>
+                    <ToggleButton value="unanswered" disabled={!questions.unanswered}>Unanswered</ToggleButton>
+                  </ToggleButtonGroup>
+                  <Button variant="outlined" size="small" startIcon={<Download />} onClick={handleQuestionsExport}>
+                    CSV
+                  </Button>
+                </Box>
+              </Box>
+
+              <TableContainer>
+                <Table size="small">
+                  <TableHead>
+                    <TableRow>
+                      <TableCell>Question</TableCell>
+                      <TableCell align="right">Asked</TableCell>
+                      <TableCell align="right">Likes</TableCell>
+                      <TableCell>Creator</TableCell>
+                    </TableRow>
+                  </TableHead>
+                  <TableBody>
+                    {shownQuestions.map((group, index) => (
+                      <TableRow key={index}>
+                        <TableCell sx={{ maxWidth: 520 }}>
+                          <Typography variant="body2">"{group.question}"</Typography>
+                          {group.variants.map((variant, i) => (
+                            <Typography key={i} variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                              also: "{variant}"
+                            </Typography>
+                          ))}
+                        </TableCell>
+                        <TableCell align="right">{group.count.toLocaleString()}</TableCell>
+                        <TableCell align="right">{group.likes.toLocaleString()}</TableCell>
+                        <TableCell>
+                          {group.status ? (
+                            <Chip
+                              size="small"
+                              label={group.status === 'answered' ? 'Answered' : 'Unanswered'}
+                              sx={{
+                                background: alpha(group.status === 'answered' ? theme.palette.success.main : theme.palette.warning.main, 0.15),
+                                color: group.status === 'answered' ? theme.palette.success.main : theme.palette.warning.dark,
+                              }}
+                            />
+                          ) : (
+                            <Typography variant="caption" color="text.secondary">Replies not scraped</Typography>
+                          )}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              </TableContainer>
+            </CardContent>
+          </Card>
+        </MotionBox>
+      )}
     </Box>
   );
 };
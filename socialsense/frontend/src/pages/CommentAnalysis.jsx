@@ -18,6 +18,7 @@ import {
   StepLabel,
   Collapse,
   LinearProgress,
+  MenuItem,
 } from '@mui/material';
 import {
   YouTube,
@@ -31,12 +32,15 @@ import {
   CheckCircle,
   VideoFile,
   Delete,
+  Reddit,
+  UploadFile,
 } from '@mui/icons-material';
 import { motion, AnimatePresence } from 'framer-motion';
 import toast from 'react-hot-toast';
 
 import { useAuth } from '../contexts/AuthContext';
 import { analysisApi } from '../utils/api';
+import { subscribeToAnalysis } from '../utils/analysisEvents';
 import { colors, shadows } from '../styles/theme';
 import TikTokIcon from '../components/icons/TikTokIcon';
 
@@ -44,6 +48,60 @@ const MotionBox = motion(Box);
 
 const steps = ['Enter URL & Upload', 'Configure Options', 'Review & Analyze'];
 
+// Comment fields an uploaded file's columns can be mapped to
+const IMPORT_FIELDS = [
+  { key: 'text', label: 'Comment Text', required: true },
+  { key: 'user', label: 'Author' },
+  { key: 'likes', label: 'Likes' },
+  { key: 'publishedAt', label: 'Date' },
+];
+const MAX_IMPORT_MB = 25;
+
+// YouTube channel (/@handle, /channel/UC...) and playlist URLs analyze several videos at once
+const isYouTubeCollectionUrl = (value) =>
+  /youtube\.com\/(@[\w.-]+|channel\/UC|playlist\?)/i.test(value) && !/[?&]v=|\/shorts\//.test(value);
+
+// Human-readable label for a progress stage from the backend
+const formatQuotaReset = (resetAt) => (resetAt
+  ? new Date(resetAt).toLocaleString(undefined, { weekday: 'short', hour: 'numeric', minute: '2-digit' })
+  : 'midnight Pacific Time');
+
+const describeStage = ({ stage, count = 0, total = 0, attempt = 0, run_after }) => {
+  switch (stage) {
+    case 'queued':
+    case 'init':
+      return 'Waiting for an available worker...';
+    case 'retrying':
+      return `Temporary problem, retrying (attempt ${attempt + 1})...`;
+    case 'waiting_for_quota':
+      return `YouTube API quota used up for today. Continuing after the reset (${formatQuotaReset(run_after)})...`;
+    case 'scraping':
+      return `Scraping comments... (${count} collected)`;
+    case 'importing':
+      return count ? `Imported ${count} comments from your file...` : 'Reading your file...';
+    case 'processing':
+      return 'Processing & filtering comments...';
+    case 'analyzing_sentiment':
+      return 'Analyzing comment sentiment...';
+    case 'extracting_video':
+      return 'Extracting video frames...';
+    case 'transcribing_audio':
+      return 'Transcribing video audio...';
+    case 'analyzing_ai': {
+      const waitTime = count > 1000 ? '3-5 minutes' : '30-60 seconds';
+      return `Running AI analysis (this takes ${waitTime})...`;
+    }
+    case 'summarizing':
+      return `Reading every comment... (batch ${count} of ${total})`;
+    case 'validating_engagement':
+      return 'Validating engagement authenticity...';
+    case 'completed':
+      return 'Finishing up...';
+    default:
+      return null;
+  }
+};
+
 const CommentAnalysis = () => {
   const navigate = useNavigate();
   const { tokenBalance, refreshTokenBalance } = useAuth();
@@ -53,7 +111,9 @@ const CommentAnalysis = () => {
   const [platform, setPlatform] = useState('youtube');
   const [url, setUrl] = useState('');
   const [maxComments, setMaxComments] = useState(1000);
+  const [includeReplies, setIncludeReplies] = useState(false);
   const [includeTextAnalysis, setIncludeTextAnalysis] = useState(true);
+  const [fullCoverage, setFullCoverage] = useState(false);
   const [includeMarketing, setIncludeMarketing] = useState(false);
   const [includeEngagement, setIncludeEngagement] = useState(false);
   const [productDescription, setProductDescription] = useState('');
@@ -64,11 +124,25 @@ const CommentAnalysis = () => {
   const [creatorNotes, setCreatorNotes] = useState('');
   const [competitorNotes, setCompetitorNotes] = useState('');
   const [harshFeedback, setHarshFeedback] = useState(false);
+  const [aspects, setAspects] = useState('');
+
+  // Bring-your-own-comments import
+  const [commentFile, setCommentFile] = useState(null);
+  const [importPreview, setImportPreview] = useState(null);
+  const [importMapping, setImportMapping] = useState({});
+  const [previewing, setPreviewing] = useState(false);
+  const isUpload = platform === 'upload';
+
+  // Channel & playlist batches
+  const [maxVideos, setMaxVideos] = useState(10);
+  const [perVideoComments, setPerVideoComments] = useState(500);
+  const isCollection = platform === 'youtube' && isYouTubeCollectionUrl(url);
 
   const [estimating, setEstimating] = useState(false);
   const [estimate, setEstimate] = useState(null);
   const [analyzing, setAnalyzing] = useState(false);
-  const [requestId, setRequestId] = useState(null); // REQUEST ID FOR POLLING
+  const [analysisId, setAnalysisId] = useState(null); // Running analysis being tracked
+  const [cancelling, setCancelling] = useState(false);
   const [error, setError] = useState('');
   const [errorDetails, setErrorDetails] = useState('');
 
@@ -76,6 +150,7 @@ const CommentAnalysis = () => {
   const [progressStage, setProgressStage] = useState('');
   const [progressPercent, setProgressPercent] = useState(0);
   const [commentsCollected, setCommentsCollected] = useState(0);
+  const [partialSentiment, setPartialSentiment] = useState(null);
 
   useEffect(() => {
     return () => {
@@ -85,49 +160,50 @@ const CommentAnalysis = () => {
     };
   }, []);
 
-  // Poll for REAL progress updates from backend
+  // Stream live progress for the running analysis
   useEffect(() => {
-    let interval;
-    if (analyzing && requestId) {
-      // Immediate initial check
-      const checkProgress = async () => {
-        try {
-          const { data } = await analysisApi.getProgress(requestId);
-          if (data) {
-            if (data.percent > 0) setProgressPercent(data.percent);
-            if (data.count > 0) setCommentsCollected(data.count);
-
-            if (data.stage === 'scraping') {
-              setProgressStage(`Scraping comments... (${data.count} collected)`);
-            } else if (data.stage === 'processing') {
-              setProgressStage('Processing & filtering comments...');
-            } else if (data.stage === 'analyzing_sentiment') {
-              setProgressStage('Analyzing comment sentiment...');
-            } else if (data.stage === 'extracting_video') {
-              setProgressStage('Extracting video frames...');
-            } else if (data.stage === 'transcribing_audio') {
-              setProgressStage('Transcribing video audio...');
-            } else if (data.stage === 'analyzing_ai') {
-              const waitTime = data.count > 1000 ? '3-5 minutes' : '30-60 seconds';
-              setProgressStage(`Running AI analysis (this takes ${waitTime})...`);
-            } else if (data.stage === 'validating_engagement') {
-              setProgressStage('Validating engagement authenticity...');
-            } else if (data.stage === 'fetching_details') {
-              setProgressStage('Fetching video details...');
-            }
-          }
-        } catch (err) {
-          // Ignore 404s (analysis hasn't started yet)
+    if (!analysisId) return undefined;
+
+    const unsubscribe = subscribeToAnalysis(analysisId, {
+      onProgress: (data) => {
+        if (data.percent > 0) setProgressPercent(data.percent);
+        if (data.count > 0) setCommentsCollected(data.count);
+        const stage = describeStage(data);
+        if (stage) setProgressStage(stage);
+      },
+      onPartial: (data) => {
+        if (data.comment_count > 0) setCommentsCollected(data.comment_count);
+        if (data.sentiment_scores?.total > 0) setPartialSentiment(data.sentiment_scores);
+      },
+      onStatus: async ({ status, error_message }) => {
+        await refreshTokenBalance();
+        setAnalyzing(false);
+        setCancelling(false);
+        setAnalysisId(null);
+
+        if (status === 'completed') {
+          setProgressPercent(100);
+          toast.success('Analysis complete!');
+          navigate(`/analysis/${analysisId}`);
+        } else if (status === 'cancelled') {
+          toast.success('Analysis cancelled. Unused tokens were refunded.');
+          navigate(`/analysis/${analysisId}`);
+        } else {
+          setError(error_message || 'Analysis failed. Please try again.');
+          setErrorDetails('Unused tokens have been refunded.');
         }
-      };
+      },
+    });
 
-      checkProgress();
-      interval = setInterval(checkProgress, 1000);
-    }
-    return () => clearInterval(interval);
-  }, [analyzing, requestId]);
+    return unsubscribe;
+  }, [analysisId]);
 
   const handleEstimate = async () => {
+    if (isUpload) {
+      await handleUploadEstimate();
+      return;
+    }
+
     if (!url.trim()) {
       setError('Please enter a video URL');
       return;
@@ -141,6 +217,10 @@ const CommentAnalysis = () => {
       setError('Please enter a valid TikTok URL');
       return;
     }
+    if (platform === 'reddit' && !url.includes('reddit.com') && !url.includes('redd.it')) {
+      setError('Please enter a valid Reddit post URL');
+      return;
+    }
 
     setError('');
     setErrorDetails('');
@@ -152,9 +232,12 @@ const CommentAnalysis = () => {
         url,
         platform,
         include_text_analysis: includeTextAnalysis,
+        full_coverage: includeTextAnalysis && fullCoverage,
         include_marketing: includeMarketing,
-        include_engagement: includeEngagement,
+        include_engagement: platform !== 'reddit' && !isCollection && includeEngagement,
+        include_replies: includeReplies,
         has_video: !!videoFile,
+        ...(isCollection && { max_videos: maxVideos, per_video_comments: perVideoComments }),
       });
 
       setEstimate(data);
@@ -176,6 +259,39 @@ const CommentAnalysis = () => {
     }
   };
 
+  // Re-read the file with the chosen mapping and options to price it
+  const handleUploadEstimate = async () => {
+    setError('');
+    setErrorDetails('');
+    setEstimating(true);
+    setProgressStage('Reading your file...');
+
+    try {
+      const formData = new FormData();
+      formData.append('file', commentFile);
+      formData.append('mapping', JSON.stringify(importMapping));
+      formData.append('include_text_analysis', includeTextAnalysis);
+      formData.append('full_coverage', includeTextAnalysis && fullCoverage);
+      formData.append('include_marketing', includeMarketing);
+      formData.append('has_video', !!videoFile);
+
+      const { data } = await analysisApi.previewUpload(formData);
+      if (data.mapping_error) {
+        setError(data.mapping_error);
+        return;
+      }
+
+      setEstimate(data);
+      setActiveStep(2);
+    } catch (err) {
+      console.error('Upload estimate error:', err);
+      setError(err.response?.data?.error || 'Failed to read file');
+    } finally {
+      setEstimating(false);
+      setProgressStage('');
+    }
+  };
+
   const handleAnalyze = async () => {
     if (!estimate?.can_afford) {
       toast.error('Insufficient tokens. Please purchase more.');
@@ -183,28 +299,35 @@ const CommentAnalysis = () => {
       return;
     }
 
-    // Generate unique ID for this analysis request
-    const newRequestId = `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    setRequestId(newRequestId);
-
     setAnalyzing(true);
     setError('');
     setErrorDetails('');
     setProgressStage('Starting analysis...');
     setProgressPercent(5);
     setCommentsCollected(0);
+    setPartialSentiment(null);
 
     abortControllerRef.current = new AbortController();
 
     try {
       const formData = new FormData();
-      formData.append('url', url);
-      formData.append('platform', platform);
-      formData.append('max_comments', maxComments);
+      if (isUpload) {
+        formData.append('file', commentFile);
+        formData.append('mapping', JSON.stringify(importMapping));
+      } else {
+        formData.append('url', url);
+        formData.append('platform', platform);
+        formData.append('max_comments', maxComments);
+        formData.append('include_replies', includeReplies);
+        formData.append('include_engagement', platform !== 'reddit' && !isCollection && includeEngagement);
+        if (isCollection) {
+          formData.append('max_videos', maxVideos);
+          formData.append('per_video_comments', perVideoComments);
+        }
+      }
       formData.append('include_text_analysis', includeTextAnalysis);
+      formData.append('full_coverage', includeTextAnalysis && fullCoverage);
       formData.append('include_marketing', includeMarketing);
-      formData.append('include_engagement', includeEngagement);
-      formData.append('request_id', newRequestId); // Tell backend to track this ID
 
       if (includeMarketing) {
         formData.append('product_description', productDescription);
@@ -221,6 +344,9 @@ const CommentAnalysis = () => {
       formData.append('is_my_video', isMyVideo);
       formData.append('is_competitor', isCompetitor);
       formData.append('harsh_feedback', harshFeedback);
+      if (aspects.trim()) {
+        formData.append('aspects', aspects.trim());
+      }
       if (isMyVideo && creatorNotes.trim()) {
         formData.append('creator_notes', creatorNotes.trim());
       }
@@ -228,17 +354,23 @@ const CommentAnalysis = () => {
         formData.append('competitor_notes', competitorNotes.trim());
       }
 
-      const { data } = await analysisApi.analyzeComments(formData);
+      const { data } = isUpload
+        ? await analysisApi.analyzeUpload(formData)
+        : await analysisApi.analyzeComments(formData);
 
       await refreshTokenBalance();
-      // Analysis runs in background now
-      toast.success('Analysis started! Redirecting to status page...');
-
-      setTimeout(() => {
-        navigate(`/analysis/${data.analysis_id}`);
-      }, 500);
+      // Analysis runs in background now - follow its progress until it finishes
+      if (data.queued_until) {
+        toast.success(`Analysis queued. It starts when the YouTube quota resets (${formatQuotaReset(data.queued_until)}).`);
+        setProgressStage(describeStage({ stage: 'waiting_for_quota', run_after: data.queued_until }));
+      } else {
+        toast.success('Analysis started!');
+        setProgressStage('Waiting for an available worker...');
+      }
+      setAnalysisId(data.analysis_id);
     } catch (err) {
       console.error('Analysis error:', err);
+      setAnalyzing(false);
 
       if (err.name === 'CanceledError' || err.code === 'ERR_CANCELED') {
         setError('Analysis was cancelled');
@@ -262,16 +394,27 @@ const CommentAnalysis = () => {
       if (err.response?.data?.analysis_id) {
         setErrorDetails('Partial results may be available.');
       }
-    } finally {
-      setAnalyzing(false);
-      setRequestId(null);
     }
   };
 
-  const handleCancel = () => {
+  const handleCancel = async () => {
     if (abortControllerRef.current) {
       abortControllerRef.current.abort();
     }
+
+    // Once queued, ask the server to stop it - the event stream reports when it has
+    if (analysisId) {
+      setCancelling(true);
+      setProgressStage('Cancelling analysis...');
+      try {
+        await analysisApi.cancel(analysisId);
+      } catch (err) {
+        setCancelling(false);
+        toast.error(err.response?.data?.error || 'Failed to cancel analysis');
+      }
+      return;
+    }
+
     setAnalyzing(false);
     setProgressStage('');
     setProgressPercent(0);
@@ -303,6 +446,40 @@ const CommentAnalysis = () => {
     }
   };
 
+  const handleCommentFileUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (!/\.(csv|json|ndjson|jsonl)$/i.test(file.name)) {
+      toast.error('Please select a CSV, JSON or NDJSON file');
+      return;
+    }
+    if (file.size > MAX_IMPORT_MB * 1024 * 1024) {
+      toast.error(`Comment files must be less than ${MAX_IMPORT_MB}MB`);
+      return;
+    }
+
+    setCommentFile(file);
+    setImportPreview(null);
+    setError('');
+    setPreviewing(true);
+
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      const { data } = await analysisApi.previewUpload(formData);
+      setImportPreview(data);
+      setImportMapping(data.mapping || {});
+    } catch (err) {
+      console.error('Upload preview error:', err);
+      setCommentFile(null);
+      setError(err.response?.data?.error || 'Failed to read file');
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
   const handleReset = () => {
     setActiveStep(0);
     setEstimate(null);
@@ -395,34 +572,184 @@ const CommentAnalysis = () => {
                   </Typography>
                 </CardContent>
               </Card>
+
+              {/* Reddit Card */}
+              <Card
+                onClick={() => setPlatform('reddit')}
+                sx={{
+                  flex: 1,
+                  cursor: 'pointer',
+                  borderRadius: '20px',
+                  boxShadow: platform === 'reddit' ? shadows.sm : shadows.card,
+                  background: colors.background,
+                  border: platform === 'reddit' ? '2px solid #FF4500' : 'none',
+                  transition: 'all 300ms ease-out',
+                }}
+              >
+                <CardContent sx={{ textAlign: 'center', py: 3 }}>
+                  <Box
+                    sx={{
+                      width: 64,
+                      height: 64,
+                      borderRadius: '16px',
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'center',
+                      boxShadow: platform === 'reddit' ? shadows.sm : shadows.md,
+                      background: platform === 'reddit' ? '#FF4500' : '#E0E5EC',
+                      mx: 'auto',
+                      mb: 2,
+                    }}
+                  >
+                    <Reddit sx={{ fontSize: 32, color: platform === 'reddit' ? 'white' : '#FF4500' }} />
+                  </Box>
+                  <Typography variant="h6" fontWeight={600} sx={{ color: colors.textPrimary }}>Reddit</Typography>
+                  <Typography variant="caption" sx={{ color: colors.textSecondary }}>
+                    2 tokens per 1,000 comments
+                  </Typography>
+                </CardContent>
+              </Card>
+
+              {/* Upload Card */}
+              <Card
+                onClick={() => setPlatform('upload')}
+                sx={{
+                  flex: 1,
+                  cursor: 'pointer',
+                  borderRadius: '20px',
+                  boxShadow: isUpload ? shadows.sm : shadows.card,
+                  background: colors.background,
+                  border: isUpload ? `2px solid ${colors.primary}` : 'none',
+                  transition: 'all 300ms ease-out',
+                }}
+              >
+                <CardContent sx={{ textAlign: 'center', py: 3 }}>
+                  <Box
+                    sx={{
+                      width: 64,
+                      height: 64,
+                      borderRadius: '16px',
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'center',
+                      boxShadow: isUpload ? shadows.sm : shadows.md,
+                      background: isUpload ? colors.primary : '#E0E5EC',
+                      mx: 'auto',
+                      mb: 2,
+                    }}
+                  >
+                    <UploadFile sx={{ fontSize: 32, color: isUpload ? 'white' : colors.primary }} />
+                  </Box>
+                  <Typography variant="h6" fontWeight={600} sx={{ color: colors.textPrimary }}>Upload</Typography>
+                  <Typography variant="caption" sx={{ color: colors.textSecondary }}>
+                    1 token per 1,000 comments
+                  </Typography>
+                </CardContent>
+              </Card>
             </Box>
 
-            <Alert severity="info" sx={{ mb: 3, borderRadius: '16px', boxShadow: shadows.sm }}>
-              {platform === 'youtube' ? (
-                <>
-                  <strong>YouTube URL formats:</strong><br />
-                  • https://www.youtube.com/watch?v=VIDEO_ID<br />
-                  • https://youtu.be/VIDEO_ID
-                </>
-              ) : (
-                <>
-                  <strong>TikTok URL formats:</strong><br />
-                  • https://www.tiktok.com/@user/video/VIDEO_ID<br />
-                  • https://vm.tiktok.com/SHORTCODE
-                </>
-              )}
-            </Alert>
-
-            <TextField
-              fullWidth
-              label={`${platform === 'youtube' ? 'YouTube' : 'TikTok'} Video URL`}
-              placeholder={platform === 'youtube'
-                ? 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'
-                : 'https://www.tiktok.com/@user/video/1234567890'}
-              value={url}
-              onChange={(e) => setUrl(e.target.value)}
-              sx={{ mb: 3 }}
-            />
+            {isUpload ? (
+              <Card sx={{ mb: 3, borderRadius: '16px', boxShadow: shadows.sm, background: colors.background }}>
+                <CardContent>
+                  <Typography variant="body2" sx={{ color: colors.textSecondary, mb: 2 }}>
+                    Import comments from anywhere: Instagram exports, survey answers, app store reviews or support tickets.
+                    Upload a CSV, JSON or NDJSON file (max {MAX_IMPORT_MB}MB), then choose which columns hold each field.
+                  </Typography>
+                  <Button
+                    variant="outlined"
+                    component="label"
+                    startIcon={previewing ? <CircularProgress size={16} /> : <UploadFile />}
+                    disabled={previewing}
+                    sx={{ borderRadius: '12px', borderStyle: 'dashed', mb: importPreview ? 2 : 0 }}
+                  >
+                    {commentFile ? commentFile.name : 'Choose Comment File'}
+                    <input type="file" hidden accept=".csv,.json,.ndjson,.jsonl" onChange={handleCommentFileUpload} />
+                  </Button>
+
+                  {importPreview && (
+                    <>
+                      <Typography variant="body2" sx={{ color: colors.textSecondary, mb: 2 }}>
+                        {importPreview.row_count.toLocaleString()} rows found ({importPreview.format.toUpperCase()})
+                      </Typography>
+                      <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr' }, gap: 2, mb: 2 }}>
+                        {IMPORT_FIELDS.map(({ key, label, required }) => (
+                          <TextField
+                            key={key}
+                            select
+                            size="small"
+                            label={required ? `${label} *` : label}
+                            value={importMapping[key] || ''}
+                            onChange={(e) => setImportMapping({ ...importMapping, [key]: e.target.value || null })}
+                          >
+                            {!required && <MenuItem value=""><em>None</em></MenuItem>}
+                            {importPreview.columns.map(column => (
+                              <MenuItem key={column} value={column}>{column}</MenuItem>
+                            ))}
+                          </TextField>
+                        ))}
+                      </Box>
+
+                      {importMapping.text && (
+                        <Box>
+                          <Typography variant="caption" sx={{ color: colors.textSecondary }}>Preview</Typography>
+                          {importPreview.sample_rows.map((row, i) => (
+                            <Box key={i} sx={{ p: 1.5, mt: 1, borderRadius: '12px', boxShadow: shadows.sm, background: colors.background }}>
+                              <Typography variant="caption" fontWeight={600} sx={{ color: colors.textPrimary }}>
+                                {(importMapping.user && row[importMapping.user]) || 'Anonymous'}
+                                {importMapping.likes && ` · ${row[importMapping.likes] ?? 0} likes`}
+                                {importMapping.publishedAt && row[importMapping.publishedAt] && ` · ${row[importMapping.publishedAt]}`}
+                              </Typography>
+                              <Typography variant="body2" sx={{ color: colors.textPrimary }} noWrap>
+                                {String(row[importMapping.text] ?? '')}
+                              </Typography>
+                            </Box>
+                          ))}
+                        </Box>
+                      )}
+                    </>
+                  )}
+                </CardContent>
+              </Card>
+            ) : (
+              <>
+                <Alert severity="info" sx={{ mb: 3, borderRadius: '16px', boxShadow: shadows.sm }}>
+                  {platform === 'youtube' ? (
+                    <>
+                      <strong>YouTube URL formats:</strong><br />
+                      • https://www.youtube.com/watch?v=VIDEO_ID<br />
+                      • https://youtu.be/VIDEO_ID<br />
+                      • https://www.youtube.com/@HANDLE or /channel/CHANNEL_ID (latest uploads)<br />
+                      • https://www.youtube.com/playlist?list=PLAYLIST_ID
+                    </>
+                  ) : platform === 'tiktok' ? (
+                    <>
+                      <strong>TikTok URL formats:</strong><br />
+                      • https://www.tiktok.com/@user/video/VIDEO_ID<br />
+                      • https://vm.tiktok.com/SHORTCODE
+                    </>
+                  ) : (
+                    <>
+                      <strong>Reddit URL formats:</strong><br />
+                      • https://www.reddit.com/r/SUBREDDIT/comments/POST_ID/...<br />
+                      • https://redd.it/POST_ID
+                    </>
+                  )}
+                </Alert>
+
+                <TextField
+                  fullWidth
+                  label={platform === 'youtube' ? 'YouTube Video, Channel or Playlist URL' : platform === 'tiktok' ? 'TikTok Video URL' : 'Reddit Post URL'}
+                  placeholder={platform === 'youtube'
+                    ? 'https://www.youtube.com/watch?v=dQw4w9WgXcQ'
+                    : platform === 'tiktok'
+                      ? 'https://www.tiktok.com/@user/video/1234567890'
+                      : 'https://www.reddit.com/r/SideProject/comments/abc123/my_launch/'}
+                  value={url}
+                  onChange={(e) => setUrl(e.target.value)}
+                  sx={{ mb: 3 }}
+                />
+              </>
+            )}
 
             {/* Optional Video Upload */}
             <Card sx={{ mb: 3, borderRadius: '16px', boxShadow: shadows.sm, background: colors.background }}>
@@ -468,7 +795,7 @@ const CommentAnalysis = () => {
               variant="contained"
               size="large"
               onClick={() => setActiveStep(1)}
-              disabled={!url.trim()}
+              disabled={isUpload ? !importPreview || !importMapping.text : !url.trim()}
               endIcon={<ArrowForward />}
               sx={{
                 borderRadius: '16px',
@@ -489,16 +816,60 @@ const CommentAnalysis = () => {
               Configure Analysis Options
             </Typography>
 
-            <TextField
-              fullWidth
-              type="number"
-              label="Max Comments to Analyze"
-              value={maxComments}
-              onChange={(e) => setMaxComments(Math.max(1, parseInt(e.target.value) || 100))}
-              helperText={`Recommended: ${platform === 'youtube' ? '1000-5000' : '100-500'} for best results`}
-              sx={{ mb: 3 }}
-              inputProps={{ min: 1, max: platform === 'youtube' ? 50000 : 5000 }}
-            />
+            {isCollection && (
+              <Box sx={{ display: 'flex', gap: 2, mb: 3 }}>
+                <TextField
+                  fullWidth
+                  type="number"
+                  label={/playlist\?/i.test(url) ? 'Videos to Include' : 'Latest Uploads to Include'}
+                  value={maxVideos}
+                  onChange={(e) => setMaxVideos(Math.min(50, Math.max(1, parseInt(e.target.value) || 1)))}
+                  helperText="Up to 50 videos"
+                  inputProps={{ min: 1, max: 50 }}
+                />
+                <TextField
+                  fullWidth
+                  type="number"
+                  label="Comments per Video"
+                  value={perVideoComments}
+                  onChange={(e) => setPerVideoComments(Math.max(1, parseInt(e.target.value) || 100))}
+                  helperText="Budget for each video"
+                  inputProps={{ min: 1, max: 10000 }}
+                />
+              </Box>
+            )}
+
+            {!isUpload && (
+              <>
+                {!isCollection && (
+                  <TextField
+                    fullWidth
+                    type="number"
+                    label="Max Comments to Analyze"
+                    value={maxComments}
+                    onChange={(e) => setMaxComments(Math.max(1, parseInt(e.target.value) || 100))}
+                    helperText={`Recommended: ${platform === 'youtube' ? '1000-5000' : platform === 'reddit' ? '500-2000' : '100-500'} for best results`}
+                    sx={{ mb: 3 }}
+                    inputProps={{ min: 1, max: platform === 'youtube' ? 50000 : platform === 'reddit' ? 10000 : 5000 }}
+                  />
+                )}
+
+                <Box sx={{ mb: 2 }}>
+                  <FormControlLabel
+                    control={<Checkbox checked={includeReplies} onChange={(e) => setIncludeReplies(e.target.checked)} />}
+                    label={
+                      <Box>
+                        <Typography variant="body1" sx={{ color: colors.textPrimary }}>Include Reply Threads</Typography>
+                        <Typography variant="caption" sx={{ color: colors.textSecondary }}>
+                          Fetch replies too, so you can see creator answers and unanswered questions (replies count towards max comments)
+                        </Typography>
+                      </Box>
+                    }
+                    sx={{ display: 'flex', alignItems: 'flex-start' }}
+                  />
+                </Box>
+              </>
+            )}
 
             <Box sx={{ mb: 2 }}>
               <FormControlLabel
@@ -513,6 +884,20 @@ const CommentAnalysis = () => {
                 }
                 sx={{ display: 'flex', alignItems: 'flex-start' }}
               />
+              <Collapse in={includeTextAnalysis}>
+                <FormControlLabel
+                  control={<Checkbox size="small" checked={fullCoverage} onChange={(e) => setFullCoverage(e.target.checked)} />}
+                  label={
+                    <Box>
+                      <Typography variant="body2" sx={{ color: colors.textPrimary }}>Full Coverage</Typography>
+                      <Typography variant="caption" sx={{ color: colors.textSecondary }}>
+                        AI reads every comment instead of a sample, with real theme percentages (+2 tokens per 1,000 comments)
+                      </Typography>
+                    </Box>
+                  }
+                  sx={{ display: 'flex', alignItems: 'flex-start', ml: 3, mt: 1 }}
+                />
+              </Collapse>
             </Box>
 
             <Box sx={{ mb: 2 }}>
@@ -530,20 +915,22 @@ const CommentAnalysis = () => {
               />
             </Box>
 
-            <Box sx={{ mb: 2 }}>
-              <FormControlLabel
-                control={<Checkbox checked={includeEngagement} onChange={(e) => setIncludeEngagement(e.target.checked)} />}
-                label={
-                  <Box>
-                    <Typography variant="body1" sx={{ color: colors.textPrimary }}>Engagement Validation</Typography>
-                    <Typography variant="caption" sx={{ color: colors.textSecondary }}>
-                      Analyze engagement authenticity, detect bot patterns (+20 tokens)
-                    </Typography>
-                  </Box>
-                }
-                sx={{ display: 'flex', alignItems: 'flex-start' }}
-              />
-            </Box>
+            {!['reddit', 'upload'].includes(platform) && !isCollection && (
+              <Box sx={{ mb: 2 }}>
+                <FormControlLabel
+                  control={<Checkbox checked={includeEngagement} onChange={(e) => setIncludeEngagement(e.target.checked)} />}
+                  label={
+                    <Box>
+                      <Typography variant="body1" sx={{ color: colors.textPrimary }}>Engagement Validation</Typography>
+                      <Typography variant="caption" sx={{ color: colors.textSecondary }}>
+                        Analyze engagement authenticity, detect bot patterns (+20 tokens)
+                      </Typography>
+                    </Box>
+                  }
+                  sx={{ display: 'flex', alignItems: 'flex-start' }}
+                />
+              </Box>
+            )}
 
             <Collapse in={includeMarketing}>
               <Card sx={{ p: 2, mb: 3, borderRadius: '16px', boxShadow: shadows.sm, background: colors.background }}>
@@ -678,6 +1065,23 @@ const CommentAnalysis = () => {
 
             <Divider sx={{ my: 3 }} />
 
+            {/* Aspects to track */}
+            <Box sx={{ mb: 3 }}>
+              <Typography variant="body2" fontWeight={600} sx={{ mb: 1, color: colors.textPrimary }}>
+                Aspects to track (Optional)
+              </Typography>
+              <Typography variant="caption" sx={{ color: colors.textSecondary, display: 'block', mb: 2 }}>
+                Comma-separated topics to get a sentiment split for, on top of the ones found automatically.
+              </Typography>
+              <TextField
+                fullWidth
+                size="small"
+                placeholder="audio, price, pacing"
+                value={aspects}
+                onChange={(e) => setAspects(e.target.value)}
+              />
+            </Box>
+
             {/* Feedback Tone */}
             <Box sx={{ mb: 3 }}>
               <FormControlLabel
@@ -748,7 +1152,7 @@ const CommentAnalysis = () => {
                 {/* Video Info */}
                 <Card sx={{ mb: 3, borderRadius: '20px', boxShadow: shadows.sm, background: colors.background }}>
                   <CardContent>
-                    <Typography variant="body2" sx={{ color: colors.textSecondary, mb: 1 }}>Video Details</Typography>
+                    <Typography variant="body2" sx={{ color: colors.textSecondary, mb: 1 }}>{isUpload ? 'File Details' : estimate.video?.isCollection ? `${estimate.video.collectionType === 'playlist' ? 'Playlist' : 'Channel'} Details` : 'Video Details'}</Typography>
                     <Typography variant="h6" fontWeight={600} sx={{ color: colors.textPrimary }}>
                       {estimate.video?.title || 'Video'}
                     </Typography>
@@ -761,8 +1165,15 @@ const CommentAnalysis = () => {
                         size="small"
                         sx={{ boxShadow: shadows.sm, background: colors.background, color: colors.primary, fontWeight: 600 }}
                       />
+                      {estimate.video?.isCollection && (
+                        <Chip
+                          label={`${estimate.video.videoCount} videos · up to ${estimate.video.perVideoComments.toLocaleString()} comments each`}
+                          size="small"
+                          sx={{ boxShadow: shadows.sm, background: colors.background, color: colors.textPrimary }}
+                        />
+                      )}
                       <Chip
-                        label={`Analyzing up to ${Math.min(maxComments, estimate.comment_count || maxComments).toLocaleString()}`}
+                        label={`Analyzing up to ${(isUpload || estimate.video?.isCollection ? estimate.comment_count : Math.min(maxComments, estimate.comment_count || maxComments)).toLocaleString()}`}
                         size="small"
                         sx={{ boxShadow: shadows.sm, background: colors.background, color: colors.textPrimary }}
                       />
@@ -780,7 +1191,7 @@ const CommentAnalysis = () => {
                   <CardContent>
                     <Typography variant="body2" sx={{ color: colors.textSecondary, mb: 2 }}>Cost Breakdown</Typography>
                     <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
-                      <Typography variant="body2" sx={{ color: colors.textPrimary }}>Comment Scraping</Typography>
+                      <Typography variant="body2" sx={{ color: colors.textPrimary }}>{isUpload ? 'Comment Import' : 'Comment Scraping'}</Typography>
                       <Typography variant="body2" sx={{ color: colors.textPrimary }}>{estimate.breakdown?.scraping || 1} tokens</Typography>
                     </Box>
                     {estimate.breakdown?.text_analysis > 0 && (
@@ -789,6 +1200,12 @@ const CommentAnalysis = () => {
                         <Typography variant="body2" sx={{ color: colors.textPrimary }}>{estimate.breakdown.text_analysis} tokens</Typography>
                       </Box>
                     )}
+                    {estimate.breakdown?.full_coverage > 0 && (
+                      <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
+                        <Typography variant="body2" sx={{ color: colors.textPrimary }}>Full Coverage</Typography>
+                        <Typography variant="body2" sx={{ color: colors.textPrimary }}>{estimate.breakdown.full_coverage} tokens</Typography>
+                      </Box>
+                    )}
                     {estimate.breakdown?.marketing > 0 && (
                       <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 1 }}>
                         <Typography variant="body2" sx={{ color: colors.textPrimary }}>Marketing Insights</Typography>
@@ -825,6 +1242,17 @@ const CommentAnalysis = () => {
                   </Alert>
                 )}
 
+                {estimate.quota?.exceeds_daily_limit ? (
+                  <Alert severity="error" sx={{ mb: 3, borderRadius: '16px' }}>
+                    This analysis needs about {estimate.quota.units.toLocaleString()} YouTube API units, more than the {estimate.quota.daily_limit.toLocaleString()} available per day. Analyze fewer comments.
+                  </Alert>
+                ) : estimate.quota?.must_wait && (
+                  <Alert severity="info" sx={{ mb: 3, borderRadius: '16px' }}>
+                    Today's YouTube API quota is nearly used up ({estimate.quota.remaining.toLocaleString()} of the {estimate.quota.units.toLocaleString()} units needed are left).
+                    If you start now, the analysis waits in the queue until the quota resets ({formatQuotaReset(estimate.quota.reset_at)}).
+                  </Alert>
+                )}
+
                 {/* Balance Info */}
                 <Box
                   sx={{
@@ -865,10 +1293,11 @@ const CommentAnalysis = () => {
                       variant="outlined"
                       size="large"
                       onClick={handleCancel}
+                      disabled={cancelling}
                       color="error"
                       sx={{ borderRadius: '16px' }}
                     >
-                      Cancel
+                      {cancelling ? 'Cancelling...' : 'Cancel'}
                     </Button>
                   ) : (
                     <Button
@@ -876,7 +1305,7 @@ const CommentAnalysis = () => {
                       variant="contained"
                       size="large"
                       onClick={handleAnalyze}
-                      disabled={!estimate.can_afford}
+                      disabled={!estimate.can_afford || estimate.quota?.exceeds_daily_limit}
                       endIcon={<Analytics />}
                       sx={{ borderRadius: '16px', boxShadow: shadows.sm, background: 'linear-gradient(135deg, #1E40AF 0%, #3B82F6 100%)' }}
                     >
@@ -917,6 +1346,12 @@ const CommentAnalysis = () => {
                           </Typography>
                         </Box>
 
+                        {partialSentiment && (
+                          <Typography variant="body2" sx={{ color: colors.textSecondary, mt: 1 }}>
+                            Sentiment so far: {partialSentiment.positive_pct}% positive · {partialSentiment.neutral_pct}% neutral · {partialSentiment.negative_pct}% negative
+                          </Typography>
+                        )}
+
                         <Typography variant="caption" sx={{ color: colors.textSecondary, display: 'block', mt: 2 }}>
                           This may take 1-3 minutes depending on the number of comments
                         </Typography>
@@ -940,7 +1375,7 @@ const CommentAnalysis = () => {
         Analysis
       </Typography>
       <Typography variant="body1" sx={{ color: colors.textSecondary, mb: 4 }}>
-        Extract insights from YouTube or TikTok comments, with optional video analysis
+        Extract insights from YouTube, TikTok or Reddit comments, with optional video analysis
       </Typography>
 
       {error && (
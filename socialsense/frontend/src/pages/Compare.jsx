@@ -35,6 +35,8 @@ import {
     Warning,
     Star,
     SwapHoriz,
+    Reddit,
+    UploadFile,
 } from '@mui/icons-material';
 import {
     BarChart,
@@ -134,6 +136,8 @@ const Compare = () => {
         switch (platform) {
             case 'youtube': return <YouTube sx={{ fontSize: 20, color: '#FF0000' }} />;
             case 'tiktok': return <TikTokIcon sx={{ fontSize: 20, color: '#000' }} />;
+            case 'reddit': return <Reddit sx={{ fontSize: 20, color: '#FF4500' }} />;
+            case 'upload': return <UploadFile sx={{ fontSize: 20 }} />;
             default: return <VideoLibrary sx={{ fontSize: 20 }} />;
         }
     };
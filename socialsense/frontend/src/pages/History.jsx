@@ -29,6 +29,8 @@ import {
   VideoLibrary,
   Refresh,
   CompareArrows,
+  Reddit,
+  UploadFile,
 } from '@mui/icons-material';
 import TikTokIcon from '../components/icons/TikTokIcon';
 import toast from 'react-hot-toast';
@@ -109,6 +111,10 @@ const History = () => {
         return <YouTube sx={{ fontSize: 20, color: '#FF0000' }} />;
       case 'tiktok':
         return <TikTokIcon sx={{ fontSize: 20, color: '#000000' }} />;
+      case 'reddit':
+        return <Reddit sx={{ fontSize: 20, color: '#FF4500' }} />;
+      case 'upload':
+        return <UploadFile sx={{ fontSize: 20, color: colors.primary }} />;
       default:
         return <VideoLibrary sx={{ fontSize: 20, color: colors.textMuted }} />;
     }
@@ -133,6 +139,10 @@ const History = () => {
         return 'YouTube Comments';
       case 'tiktok_comments':
         return 'TikTok Comments';
+      case 'reddit_comments':
+        return 'Reddit Comments';
+      case 'upload_comments':
+        return 'Uploaded Comments';
       case 'video_analysis':
         return 'Video Analysis';
       default:
@@ -195,6 +205,7 @@ const History = () => {
             <MenuItem value="completed">Completed</MenuItem>
             <MenuItem value="processing">Processing</MenuItem>
             <MenuItem value="failed">Failed</MenuItem>
+            <MenuItem value="cancelled">Cancelled</MenuItem>
           </Select>
         </FormControl>
 
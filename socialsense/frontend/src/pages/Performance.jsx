@@ -31,6 +31,8 @@ import {
   Timeline,
   Star,
   BarChart as BarChartIcon,
+  Reddit,
+  UploadFile,
 } from '@mui/icons-material';
 import { motion } from 'framer-motion';
 import {
@@ -98,6 +100,8 @@ const Performance = () => {
   const getPlatformIcon = (platform) => {
     if (platform === 'youtube') return <YouTube sx={{ fontSize: 18, color: '#FF0000' }} />;
     if (platform === 'tiktok') return <TikTokIcon sx={{ fontSize: 18 }} />;
+    if (platform === 'reddit') return <Reddit sx={{ fontSize: 18, color: '#FF4500' }} />;
+    if (platform === 'upload') return <UploadFile sx={{ fontSize: 18 }} />;
     return <VideoLibrary sx={{ fontSize: 18 }} />;
   };
 
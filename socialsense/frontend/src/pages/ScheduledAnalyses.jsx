@@ -39,6 +39,7 @@ import {
     TrendingUp,
     Close,
     Edit,
+    Reddit,
 } from '@mui/icons-material';
 import { motion, AnimatePresence } from 'framer-motion';
 import toast from 'react-hot-toast';
@@ -63,6 +64,9 @@ const frequencyColors = {
     monthly: '#10B981',
 };
 
+// TikTok lists comments out of time order, so its runs always re-analyze everything
+const INCREMENTAL_PLATFORMS = ['youtube', 'reddit'];
+
 const ScheduledAnalyses = () => {
     const navigate = useNavigate();
     const theme = useTheme();
@@ -80,6 +84,7 @@ const ScheduledAnalyses = () => {
     const [formMaxComments, setFormMaxComments] = useState(1000);
     const [formTextAnalysis, setFormTextAnalysis] = useState(true);
     const [formMarketing, setFormMarketing] = useState(false);
+    const [formIncremental, setFormIncremental] = useState(true);
     const [formIsMyVideo, setFormIsMyVideo] = useState(false);
     const [formIsCompetitor, setFormIsCompetitor] = useState(false);
     const [formSaving, setFormSaving] = useState(false);
@@ -118,6 +123,7 @@ const ScheduledAnalyses = () => {
                 max_comments: formMaxComments,
                 include_text_analysis: formTextAnalysis,
                 include_marketing: formMarketing,
+                incremental: formIncremental && INCREMENTAL_PLATFORMS.includes(formPlatform),
                 is_my_video: formIsMyVideo,
                 is_competitor: formIsCompetitor,
             });
@@ -182,6 +188,7 @@ const ScheduledAnalyses = () => {
         setFormMaxComments(1000);
         setFormTextAnalysis(true);
         setFormMarketing(false);
+        setFormIncremental(true);
         setFormIsMyVideo(false);
         setFormIsCompetitor(false);
     };
@@ -368,12 +375,16 @@ const ScheduledAnalyses = () => {
                                             justifyContent: 'center',
                                             background: schedule.platform === 'youtube'
                                                 ? '#FF0000'
-                                                : '#000000',
+                                                : schedule.platform === 'reddit'
+                                                    ? '#FF4500'
+                                                    : '#000000',
                                             flexShrink: 0,
                                         }}
                                     >
                                         {schedule.platform === 'youtube' ? (
                                             <YouTube sx={{ color: 'white', fontSize: 24 }} />
+                                        ) : schedule.platform === 'reddit' ? (
+                                            <Reddit sx={{ color: 'white', fontSize: 24 }} />
                                         ) : (
                                             <TikTokIcon sx={{ color: 'white', fontSize: 24 }} />
                                         )}
@@ -428,6 +439,14 @@ const ScheduledAnalyses = () => {
                                                     fontSize: '0.75rem',
                                                 }} />
                                             )}
+                                            {schedule.incremental !== false && INCREMENTAL_PLATFORMS.includes(schedule.platform) && (
+                                                <Chip size="small" label="New comments only" sx={{
+                                                    background: alpha(colors.info, 0.1),
+                                                    color: colors.info,
+                                                    fontWeight: 600,
+                                                    fontSize: '0.75rem',
+                                                }} />
+                                            )}
                                             {schedule.run_count > 0 && (
                                                 <Chip
                                                     size="small"
@@ -613,15 +632,29 @@ const ScheduledAnalyses = () => {
                             <TikTokIcon sx={{ fontSize: 28, color: '#000', mb: 0.5 }} />
                             <Typography variant="body2" fontWeight={600}>TikTok</Typography>
                         </Card>
+                        <Card
+                            onClick={() => setFormPlatform('reddit')}
+                            sx={{
+                                flex: 1, cursor: 'pointer', borderRadius: '14px', p: 2,
+                                textAlign: 'center',
+                                border: formPlatform === 'reddit' ? '2px solid #FF4500' : `1px solid ${colors.border}`,
+                                transition: 'all 200ms',
+                            }}
+                        >
+                            <Reddit sx={{ fontSize: 28, color: '#FF4500', mb: 0.5 }} />
+                            <Typography variant="body2" fontWeight={600}>Reddit</Typography>
+                        </Card>
                     </Box>
 
                     {/* URL */}
                     <TextField
                         fullWidth
-                        label="Video URL"
+                        label={formPlatform === 'reddit' ? 'Post URL' : 'Video URL'}
                         placeholder={formPlatform === 'youtube'
                             ? 'https://www.youtube.com/watch?v=...'
-                            : 'https://www.tiktok.com/@user/video/...'
+                            : formPlatform === 'reddit'
+                                ? 'https://www.reddit.com/r/.../comments/...'
+                                : 'https://www.tiktok.com/@user/video/...'
                         }
                         value={formUrl}
                         onChange={(e) => setFormUrl(e.target.value)}
@@ -695,6 +728,17 @@ const ScheduledAnalyses = () => {
                             control={<Checkbox checked={formMarketing} onChange={(e) => setFormMarketing(e.target.checked)} />}
                             label={<Typography variant="body2">Marketing Analysis (+5 tokens)</Typography>}
                         />
+                        <FormControlLabel
+                            disabled={!INCREMENTAL_PLATFORMS.includes(formPlatform)}
+                            control={<Checkbox checked={formIncremental && INCREMENTAL_PLATFORMS.includes(formPlatform)} onChange={(e) => setFormIncremental(e.target.checked)} />}
+                            label={
+                                <Typography variant="body2">
+                                    {INCREMENTAL_PLATFORMS.includes(formPlatform)
+                                        ? 'Only new comments after the first run (billed for new comments only)'
+                                        : 'Only new comments is not available for TikTok: every run analyzes all comments'}
+                                </Typography>
+                            }
+                        />
                     </Box>
 
                     {/* Video ownership */}
@@ -39,12 +39,14 @@ import {
   Warning,
   DeleteForever,
   LockReset,
+  FilterAlt,
 } from '@mui/icons-material';
 import { motion } from 'framer-motion';
 import toast from 'react-hot-toast';
 
 import { useAuth } from '../contexts/AuthContext';
 import { authApi } from '../utils/api';
+import FilterRulesPanel from '../components/FilterRulesPanel';
 import { colors, shadows } from '../styles/theme';
 
 const MotionBox = motion(Box);
@@ -195,6 +197,7 @@ const Settings = () => {
           >
             <Tab icon={<Person />} iconPosition="start" label="Profile" />
             <Tab icon={<SettingsIcon />} iconPosition="start" label="Preferences" />
+            <Tab icon={<FilterAlt />} iconPosition="start" label="Filter Rules" />
             <Tab icon={<AccountCircle />} iconPosition="start" label="Account" />
           </Tabs>
         </Box>
@@ -404,8 +407,13 @@ const Settings = () => {
             </Button>
           </TabPanel>
 
-          {/* Account Tab */}
+          {/* Filter Rules Tab */}
           <TabPanel value={tabValue} index={2}>
+            <FilterRulesPanel />
+          </TabPanel>
+
+          {/* Account Tab */}
+          <TabPanel value={tabValue} index={3}>
             <Typography variant="subtitle1" fontWeight={600} sx={{ mb: 3 }}>
               Token Balance
             </Typography>
@@ -0,0 +1,113 @@
+import { API_URL, analysisApi } from './api';
+import { supabase } from './supabase';
+
+const POLL_INTERVAL_MS = 2000;
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Parse one SSE message block ("event: x\ndata: {...}")
+ */
+const parseMessage = (block) => {
+  let event = 'message';
+  const data = [];
+  for (const line of block.split('\n')) {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+  }
+  if (data.length === 0) return null;
+  try {
+    return { event, data: JSON.parse(data.join('\n')) };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Subscribe to live progress for an analysis.
+ *
+ * Uses the authenticated SSE stream (fetch, since EventSource can't send an
+ * Authorization header) and falls back to polling when streaming is unavailable.
+ *
+ * @param {string} analysisId
+ * @param {object} handlers - { onProgress, onPartial, onStatus }
+ * @returns {Function} unsubscribe
+ */
+export const subscribeToAnalysis = (analysisId, { onProgress, onPartial, onStatus }) => {
+  const controller = new AbortController();
+  let stopped = false;
+  let pollTimer = null;
+
+  const stop = () => {
+    stopped = true;
+    controller.abort();
+    clearTimeout(pollTimer);
+  };
+
+  const handle = ({ event, data }) => {
+    if (event === 'progress') onProgress?.(data);
+    else if (event === 'partial') onPartial?.(data);
+    else if (event === 'status') {
+      stop();
+      onStatus?.(data);
+    }
+  };
+
+  const poll = async () => {
+    if (stopped) return;
+    try {
+      const { data } = await analysisApi.getProgress(analysisId);
+      handle({ event: 'progress', data: data.progress });
+      if (data.partial) handle({ event: 'partial', data: data.partial });
+      if (TERMINAL_STATUSES.includes(data.status)) {
+        handle({ event: 'status', data: { status: data.status, error_message: data.error_message } });
+      }
+    } catch (err) {
+      // Keep polling through transient errors
+    }
+    if (!stopped) pollTimer = setTimeout(poll, POLL_INTERVAL_MS);
+  };
+
+  const stream = async () => {
+    const { data: { session } } = await supabase.auth.getSession();
+    const response = await fetch(`${API_URL}/analysis/${analysisId}/events`, {
+      headers: {
+        Accept: 'text/event-stream',
+        ...(session?.access_token && { Authorization: `Bearer ${session.access_token}` }),
+      },
+      signal: controller.signal,
+    });
+
+    if (!response.ok || !response.body?.getReader
+      || !response.headers.get('content-type')?.includes('text/event-stream')) {
+      throw new Error('Event stream unavailable');
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (!stopped) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      const blocks = buffer.split('\n\n');
+      buffer = blocks.pop();
+      for (const block of blocks) {
+        const message = parseMessage(block);
+        if (message) handle(message);
+      }
+    }
+  };
+
+  // If the stream can't be opened or drops before a terminal status, poll instead
+  stream()
+    .catch(() => {})
+    .finally(() => {
+      if (!stopped) poll();
+    });
+
+  return stop;
+};
+
+export default subscribeToAnalysis;
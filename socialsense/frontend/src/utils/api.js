@@ -1,7 +1,7 @@
 import axios from 'axios';
 import { supabase } from './supabase';
 
-const API_URL = import.meta.env.VITE_API_URL || '/api';
+export const API_URL = import.meta.env.VITE_API_URL || '/api';
 
 // Create axios instance with longer timeouts for analysis operations
 const api = axios.create({
@@ -95,13 +95,29 @@ export const analysisApi = {
     timeout: 600000, // 10 minutes for full analysis (includes video processing)
   }),
 
+  previewUpload: (formData) => api.post('/analysis/upload/preview', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    timeout: 120000, // 2 minutes to upload and parse a large file
+  }),
+
+  analyzeUpload: (formData) => api.post('/analysis/upload', formData, {
+    headers: { 'Content-Type': 'multipart/form-data' },
+    timeout: 600000,
+  }),
+
   getHistory: (params) => api.get('/analysis/history', { params }),
   getAnalysis: (id) => api.get(`/analysis/${id}`),
   exportCsv: (id) => api.get(`/analysis/${id}/export`, {
     responseType: 'blob',
     timeout: 60000, // 1 minute for export
   }),
-  getProgress: (requestId) => api.get(`/analysis/progress/${requestId}`),
+  exportQuestions: (id) => api.get(`/analysis/${id}/questions/export`, {
+    responseType: 'blob',
+    timeout: 60000,
+  }),
+  getProgress: (id) => api.get(`/analysis/${id}/progress`),
+  cancel: (id) => api.post(`/analysis/${id}/cancel`),
+  resume: (id) => api.post(`/analysis/${id}/resume`),
   getAccountScore: () => api.get('/analysis/account-score'),
   getScoreHistory: () => api.get('/analysis/score-history'),
   updateActionItems: (id, actionItems) => api.patch(`/analysis/${id}/action-items`, { actionItems }),
@@ -123,4 +139,13 @@ export const scheduledApi = {
   runNow: (id) => api.post(`/scheduled/${id}/run-now`),
 };
 
+// Custom filter rules (spam patterns, whitelisted domains, niche terms, stop-words)
+export const rulesApi = {
+  get: () => api.get('/rules'),
+  save: (rules) => api.put('/rules', { rules }),
+  preview: (analysisId, rules) => api.post('/rules/preview', { analysis_id: analysisId, rules }, {
+    timeout: 60000, // 1 minute to re-process a large analysis
+  }),
+};
+
 export default api;
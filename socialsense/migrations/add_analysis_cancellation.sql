@@ -0,0 +1,25 @@
+-- Migration: Cancel Running Analyses
+-- Run this in Supabase SQL Editor after add_analysis_jobs.sql
+--
+-- Users can cancel an analysis while it is queued or running. Comments
+-- collected before the cancel are kept, and the unused part of the
+-- reservation is refunded.
+
+-- ========================================================
+-- 1. ANALYSES: 'cancelled' status
+-- ========================================================
+ALTER TABLE public.analyses DROP CONSTRAINT IF EXISTS analyses_status_check;
+ALTER TABLE public.analyses
+ADD CONSTRAINT analyses_status_check
+CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'cancelled'));
+
+-- ========================================================
+-- 2. ANALYSIS JOBS: cancel flag and 'cancelled' status
+-- ========================================================
+ALTER TABLE public.analysis_jobs
+ADD COLUMN IF NOT EXISTS cancel_requested BOOLEAN NOT NULL DEFAULT FALSE;
+
+ALTER TABLE public.analysis_jobs DROP CONSTRAINT IF EXISTS analysis_jobs_status_check;
+ALTER TABLE public.analysis_jobs
+ADD CONSTRAINT analysis_jobs_status_check
+CHECK (status IN ('queued', 'running', 'completed', 'failed', 'cancelled'));
@@ -0,0 +1,168 @@
+-- Migration: Persistent Analysis Job Queue
+-- Run this in Supabase SQL Editor after add_token_refunds.sql
+--
+-- Background analyses used to run inside the API process and report progress
+-- through an in-memory map, so a deploy or crash lost every running job and
+-- left analyses stuck in 'processing'. Jobs now live in analysis_jobs and are
+-- claimed by workers with a lease that must be kept alive by heartbeats.
+-- A job whose lease expires is re-queued (or failed once it runs out of
+-- attempts) by the sweeper.
+
+-- ========================================================
+-- 1. ANALYSIS JOBS
+-- ========================================================
+CREATE TABLE IF NOT EXISTS public.analysis_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    analysis_id UUID NOT NULL REFERENCES public.analyses(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+
+    -- What to run
+    job_type TEXT NOT NULL DEFAULT 'comment_analysis',
+    payload JSONB NOT NULL DEFAULT '{}',
+
+    -- Queue state
+    status TEXT NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 3,
+    run_after TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+    -- Lease (owned by one worker while running)
+    locked_by TEXT,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    heartbeat_at TIMESTAMP WITH TIME ZONE,
+
+    -- Live progress ({ stage, count, percent })
+    progress JSONB NOT NULL DEFAULT '{"stage": "queued", "count": 0, "percent": 0}',
+    last_error TEXT,
+
+    -- Metadata
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Indexes
+CREATE INDEX IF NOT EXISTS idx_analysis_jobs_claimable ON public.analysis_jobs(run_after) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_analysis_jobs_lease ON public.analysis_jobs(locked_until) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_analysis_jobs_analysis_id ON public.analysis_jobs(analysis_id);
+
+-- RLS (users can read their own jobs, only the backend writes)
+ALTER TABLE public.analysis_jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own analysis jobs"
+    ON public.analysis_jobs FOR SELECT USING (auth.uid() = user_id);
+
+-- Trigger for updated_at
+DROP TRIGGER IF EXISTS update_analysis_jobs_updated_at ON public.analysis_jobs;
+CREATE TRIGGER update_analysis_jobs_updated_at
+    BEFORE UPDATE ON public.analysis_jobs
+    FOR EACH ROW EXECUTE FUNCTION public.update_updated_at_column();
+
+GRANT ALL ON public.analysis_jobs TO service_role;
+
+-- ========================================================
+-- 2. CLAIM NEXT JOB
+-- ========================================================
+-- SKIP LOCKED lets any number of workers poll the same queue without
+-- ever handing the same job to two of them.
+CREATE OR REPLACE FUNCTION public.claim_analysis_job(p_worker_id TEXT, p_lease_seconds INTEGER DEFAULT 120)
+RETURNS SETOF public.analysis_jobs AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE public.analysis_jobs
+    SET status = 'running',
+        attempts = attempts + 1,
+        locked_by = p_worker_id,
+        locked_until = NOW() + make_interval(secs => p_lease_seconds),
+        heartbeat_at = NOW()
+    WHERE id = (
+        SELECT id FROM public.analysis_jobs
+        WHERE status = 'queued'
+        AND run_after <= NOW()
+        ORDER BY run_after ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ========================================================
+-- 3. HEARTBEAT (extend the lease, optionally record progress)
+-- ========================================================
+CREATE OR REPLACE FUNCTION public.heartbeat_analysis_job(
+    p_job_id UUID,
+    p_worker_id TEXT,
+    p_lease_seconds INTEGER DEFAULT 120,
+    p_progress JSONB DEFAULT NULL
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_updated INTEGER;
+BEGIN
+    UPDATE public.analysis_jobs
+    SET locked_until = NOW() + make_interval(secs => p_lease_seconds),
+        heartbeat_at = NOW(),
+        progress = COALESCE(p_progress, progress)
+    WHERE id = p_job_id
+    AND locked_by = p_worker_id
+    AND status = 'running';
+
+    GET DIAGNOSTICS v_updated = ROW_COUNT;
+
+    RETURN (v_updated > 0); -- False means the lease was lost to the sweeper
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ========================================================
+-- 4. SWEEP STALE JOBS
+-- ========================================================
+-- Running jobs whose lease expired belong to a worker that died. Re-queue
+-- them, or fail them once they are out of attempts. Failed rows are returned
+-- so the backend can mark the analysis failed and refund it.
+CREATE OR REPLACE FUNCTION public.sweep_stale_analysis_jobs()
+RETURNS TABLE (job_id UUID, analysis_id UUID, action TEXT) AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE public.analysis_jobs j
+    SET status = CASE WHEN j.attempts < j.max_attempts THEN 'queued' ELSE 'failed' END,
+        run_after = NOW(),
+        locked_by = NULL,
+        locked_until = NULL,
+        last_error = 'Worker lease expired',
+        completed_at = CASE WHEN j.attempts < j.max_attempts THEN NULL ELSE NOW() END
+    WHERE j.status = 'running'
+    AND j.locked_until < NOW()
+    RETURNING j.id, j.analysis_id, j.status;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Analyses left in 'processing' with no live job (e.g. started before this
+-- migration, or the enqueue itself failed)
+CREATE OR REPLACE FUNCTION public.find_orphaned_analyses(p_stale_minutes INTEGER DEFAULT 30)
+RETURNS TABLE (id UUID, user_id UUID, tokens_used INTEGER) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT a.id, a.user_id, a.tokens_used
+    FROM public.analyses a
+    WHERE a.status IN ('pending', 'processing')
+    AND a.updated_at < NOW() - make_interval(mins => p_stale_minutes)
+    AND NOT EXISTS (
+        SELECT 1 FROM public.analysis_jobs j
+        WHERE j.analysis_id = a.id
+        AND j.status IN ('queued', 'running')
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ========================================================
+-- 5. PERMISSIONS (backend only)
+-- ========================================================
+REVOKE EXECUTE ON FUNCTION public.claim_analysis_job(TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.heartbeat_analysis_job(UUID, TEXT, INTEGER, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.sweep_stale_analysis_jobs() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.find_orphaned_analyses(INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.claim_analysis_job(TEXT, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION public.heartbeat_analysis_job(UUID, TEXT, INTEGER, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION public.sweep_stale_analysis_jobs() TO service_role;
+GRANT EXECUTE ON FUNCTION public.find_orphaned_analyses(INTEGER) TO service_role;
@@ -0,0 +1,9 @@
+-- Migration: Structured Analysis Report
+-- Run this in Supabase SQL Editor after add_analysis_cancellation.sql
+--
+-- analyzeComments now asks the model for JSON matching a schema instead of
+-- markdown with sentinel markers. The validated report is stored as-is; the
+-- summary, score, action item and competitor columns are rendered from it.
+
+ALTER TABLE public.analyses
+ADD COLUMN IF NOT EXISTS report JSONB;
@@ -0,0 +1,9 @@
+-- Migration: Analysis Coverage Stats
+-- Run this in Supabase SQL Editor after add_analysis_report.sql
+--
+-- Records how many comments the AI actually read for each analysis
+-- ({ mode: 'sample' | 'full', total, filtered, analyzed, coverage, ... }).
+-- Full-coverage analyses summarize every comment with map-reduce.
+
+ALTER TABLE public.analyses
+ADD COLUMN IF NOT EXISTS analysis_stats JSONB;
@@ -0,0 +1,12 @@
+-- Migration: Aspect-Based Sentiment
+-- Run this in Supabase SQL Editor after add_youtube_quota.sql
+--
+-- Sentiment per topic (audio, editing, price, ...) next to the overall split.
+-- Aspects come from the user's list, built-in creator topics and frequent
+-- keywords; each holds its mention count, sentiment split and example comments.
+
+ALTER TABLE public.analyses
+ADD COLUMN IF NOT EXISTS aspects JSONB;
+
+COMMENT ON COLUMN public.analyses.aspects IS
+    'Ranked [{ aspect, source, mentions, positive_pct, neutral_pct, negative_pct, average_score, examples }]';
@@ -0,0 +1,12 @@
+-- Migration: Comment Timeline
+-- Run this in Supabase SQL Editor after add_filter_rules.sql
+--
+-- Comment volume and sentiment over time, by hour for videos up to three days
+-- old and by day (or week) after that, with the spikes found in it and the
+-- most liked comments of each spike.
+
+ALTER TABLE public.analyses
+ADD COLUMN IF NOT EXISTS timeline JSONB;
+
+COMMENT ON COLUMN public.analyses.timeline IS
+    '{ bucket, buckets: [{ start, count, positive, neutral, negative, average_score }], spikes: [{ start, end, count, peak, baseline, ratio, positive_pct, neutral_pct, negative_pct, examples }], undated }';
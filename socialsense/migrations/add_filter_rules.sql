@@ -0,0 +1,42 @@
+-- Migration: Custom Filter Rules
+-- Run this in Supabase SQL Editor after add_aspect_sentiment.sql
+--
+-- Per-user additions to the built-in comment filters and sentiment words:
+-- extra spam regexes, domains whose links are not spam, niche positive,
+-- negative and neutral terms ("broken" for gaming, "scam" for finance) and
+-- stop-words.
+-- Every analysis runs with the rules saved when it is processed.
+
+CREATE TABLE IF NOT EXISTS public.filter_rules (
+    user_id UUID PRIMARY KEY REFERENCES public.profiles(id) ON DELETE CASCADE,
+
+    -- Case-insensitive regular expressions, up to 200 characters; the backend
+    -- rejects ones that backtrack badly and runs the rest under a timeout
+    spam_patterns TEXT[] NOT NULL DEFAULT '{}',
+    whitelisted_domains TEXT[] NOT NULL DEFAULT '{}',
+    positive_terms TEXT[] NOT NULL DEFAULT '{}',
+    negative_terms TEXT[] NOT NULL DEFAULT '{}',
+    neutral_terms TEXT[] NOT NULL DEFAULT '{}',
+    stop_words TEXT[] NOT NULL DEFAULT '{}',
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    -- Same limits as the API (services/filterRules.js)
+    CONSTRAINT filter_rules_limits CHECK (
+        COALESCE(array_length(spam_patterns, 1), 0) <= 50
+        AND COALESCE(array_length(whitelisted_domains, 1), 0) <= 50
+        AND COALESCE(array_length(positive_terms, 1), 0) <= 200
+        AND COALESCE(array_length(negative_terms, 1), 0) <= 200
+        AND COALESCE(array_length(neutral_terms, 1), 0) <= 200
+        AND COALESCE(array_length(stop_words, 1), 0) <= 200
+    )
+);
+
+-- RLS: users may read their own rules; writes go through the API, which validates the patterns
+ALTER TABLE public.filter_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own filter rules"
+    ON public.filter_rules FOR SELECT USING (auth.uid() = user_id);
+
+GRANT ALL ON public.filter_rules TO service_role;
@@ -0,0 +1,12 @@
+-- Migration: Incremental Scheduled Analyses
+-- Run this in Supabase SQL Editor after add_video_breakdown.sql
+--
+-- Scheduled runs scrape and bill only the comments posted since the previous
+-- run (scheduled_analyses.last_analysis_id). The analysis keeps the merged
+-- all-time comments and records "new since last run" versus "all time" stats.
+
+ALTER TABLE public.analyses
+ADD COLUMN IF NOT EXISTS incremental JSONB;
+
+ALTER TABLE public.scheduled_analyses
+ADD COLUMN IF NOT EXISTS incremental BOOLEAN DEFAULT TRUE;
@@ -0,0 +1,87 @@
+-- Migration: Pin Upload Jobs to the Host Holding Their Files
+-- Run this in Supabase SQL Editor after add_schedule_baseline.sql
+--
+-- Uploaded comment files, videos and product images are written to the API's
+-- temp directory, which a standalone worker on another machine can't read.
+-- Jobs that need them record the API's host name and are only claimed by a
+-- worker on that host; the API keeps running a worker for them even when
+-- START_JOB_WORKER=false. If that host goes away its files go with it, so
+-- such a job left unclaimed for too long is failed (and refunded) instead of
+-- waiting forever.
+
+-- ========================================================
+-- 1. HOST COLUMN (NULL = any worker can run the job)
+-- ========================================================
+ALTER TABLE public.analysis_jobs ADD COLUMN IF NOT EXISTS files_host TEXT;
+
+-- ========================================================
+-- 2. CLAIM NEXT JOB (only pinned jobs on this host)
+-- ========================================================
+-- A new signature would be an overload of the old one, so drop it first
+DROP FUNCTION IF EXISTS public.claim_analysis_job(TEXT, INTEGER);
+
+CREATE OR REPLACE FUNCTION public.claim_analysis_job(
+    p_worker_id TEXT,
+    p_lease_seconds INTEGER DEFAULT 120,
+    p_files_host TEXT DEFAULT NULL,
+    p_pinned_only BOOLEAN DEFAULT FALSE
+)
+RETURNS SETOF public.analysis_jobs AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE public.analysis_jobs
+    SET status = 'running',
+        attempts = attempts + 1,
+        locked_by = p_worker_id,
+        locked_until = NOW() + make_interval(secs => p_lease_seconds),
+        heartbeat_at = NOW()
+    WHERE id = (
+        SELECT id FROM public.analysis_jobs
+        WHERE status = 'queued'
+        AND run_after <= NOW()
+        AND (files_host IS NULL OR files_host = p_files_host)
+        AND (NOT p_pinned_only OR files_host IS NOT NULL)
+        ORDER BY run_after ASC
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ========================================================
+-- 3. SWEEP STALE JOBS (also fail pinned jobs nobody claims)
+-- ========================================================
+CREATE OR REPLACE FUNCTION public.sweep_stale_analysis_jobs()
+RETURNS TABLE (job_id UUID, analysis_id UUID, action TEXT) AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE public.analysis_jobs j
+    SET status = CASE WHEN j.attempts < j.max_attempts THEN 'queued' ELSE 'failed' END,
+        run_after = NOW(),
+        locked_by = NULL,
+        locked_until = NULL,
+        last_error = 'Worker lease expired',
+        completed_at = CASE WHEN j.attempts < j.max_attempts THEN NULL ELSE NOW() END
+    WHERE j.status = 'running'
+    AND j.locked_until < NOW()
+    RETURNING j.id, j.analysis_id, j.status;
+
+    -- Retries wait at most 10 minutes, so an hour unclaimed means no worker has the files
+    RETURN QUERY
+    UPDATE public.analysis_jobs j
+    SET status = 'failed',
+        last_error = 'No worker on ' || j.files_host || ' picked up the job',
+        completed_at = NOW()
+    WHERE j.status = 'queued'
+    AND j.files_host IS NOT NULL
+    AND j.run_after < NOW() - INTERVAL '1 hour'
+    RETURNING j.id, j.analysis_id, j.status;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ========================================================
+-- 4. PERMISSIONS (backend only)
+-- ========================================================
+REVOKE EXECUTE ON FUNCTION public.claim_analysis_job(TEXT, INTEGER, TEXT, BOOLEAN) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.claim_analysis_job(TEXT, INTEGER, TEXT, BOOLEAN) TO service_role;
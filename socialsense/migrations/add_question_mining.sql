@@ -0,0 +1,12 @@
+-- Migration: Question Mining
+-- Run this in Supabase SQL Editor after add_comment_timeline.sql
+--
+-- Questions viewers asked, grouped by what they ask and ranked by how often
+-- they were asked and how many likes they got. status says whether the
+-- creator answered a group; it is null where reply threads were not scraped.
+
+ALTER TABLE public.analyses
+ADD COLUMN IF NOT EXISTS questions JSONB;
+
+COMMENT ON COLUMN public.analyses.questions IS
+    '{ total, grouped, answered, unanswered, groups: [{ question, user, count, likes, score, status, answered, unanswered, variants, first_asked }] }';
@@ -0,0 +1,18 @@
+-- Migration: Reddit Platform
+-- Run this in Supabase SQL Editor after add_analysis_stats.sql
+--
+-- Allows Reddit post analyses and schedules alongside YouTube and TikTok.
+
+ALTER TABLE public.analyses
+DROP CONSTRAINT IF EXISTS analyses_analysis_type_check;
+
+ALTER TABLE public.analyses
+ADD CONSTRAINT analyses_analysis_type_check
+CHECK (analysis_type IN ('youtube_comments', 'tiktok_comments', 'reddit_comments', 'video_analysis'));
+
+ALTER TABLE public.scheduled_analyses
+DROP CONSTRAINT IF EXISTS scheduled_analyses_platform_check;
+
+ALTER TABLE public.scheduled_analyses
+ADD CONSTRAINT scheduled_analyses_platform_check
+CHECK (platform IN ('youtube', 'tiktok', 'reddit'));
@@ -0,0 +1,17 @@
+-- Migration: Incremental Baseline of Scheduled Analyses
+-- Run this in Supabase SQL Editor after add_youtube_quota_reservations.sql
+--
+-- last_analysis_id points at the run queued last, which may still be queued,
+-- or have failed or been cancelled. Incremental runs start from the last run
+-- that completed instead, so one bad run doesn't mean a full (re-billed) scrape.
+
+ALTER TABLE public.scheduled_analyses
+ADD COLUMN IF NOT EXISTS last_completed_analysis_id UUID REFERENCES public.analyses(id) ON DELETE SET NULL;
+
+-- Schedules whose last run completed already have their baseline
+UPDATE public.scheduled_analyses s
+SET last_completed_analysis_id = s.last_analysis_id
+FROM public.analyses a
+WHERE a.id = s.last_analysis_id
+AND a.status = 'completed'
+AND s.last_completed_analysis_id IS NULL;
@@ -0,0 +1,97 @@
+-- Migration: Resumable Scrapes
+-- Run this in Supabase SQL Editor after add_incremental_analyses.sql
+--
+-- Long scrapes save checkpoints (resume cursor + the comments collected since
+-- the previous checkpoint) as they go. Job retries continue from the last
+-- checkpoint, and failed or cancelled analyses can be resumed with
+-- POST /api/analysis/:id/resume, which reserves tokens a second time for the
+-- same analysis.
+
+-- ========================================================
+-- 1. SCRAPE CHECKPOINTS (backend only)
+-- ========================================================
+CREATE TABLE IF NOT EXISTS public.scrape_checkpoints (
+    id BIGSERIAL PRIMARY KEY,
+    analysis_id UUID NOT NULL REFERENCES public.analyses(id) ON DELETE CASCADE,
+
+    -- Where the scrape continues after these comments (NULL once every comment was read)
+    cursor JSONB,
+    -- Comments added since the previous checkpoint
+    comments JSONB NOT NULL DEFAULT '[]',
+    -- Comments collected in total up to this checkpoint
+    comment_count INTEGER NOT NULL DEFAULT 0,
+
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scrape_checkpoints_analysis_id ON public.scrape_checkpoints(analysis_id, id);
+
+ALTER TABLE public.scrape_checkpoints ENABLE ROW LEVEL SECURITY;
+
+-- ========================================================
+-- 2. ANALYSES: checkpoint summary ({ comments, done }) shown in the UI
+-- ========================================================
+ALTER TABLE public.analyses
+ADD COLUMN IF NOT EXISTS scrape_checkpoint JSONB;
+
+-- ========================================================
+-- 3. RESERVE TOKENS: a resumed analysis adds to what it is charged
+-- ========================================================
+CREATE OR REPLACE FUNCTION public.reserve_tokens(
+    p_user_id UUID,
+    p_analysis_id UUID,
+    p_amount INTEGER,
+    p_description TEXT,
+    p_metadata JSONB DEFAULT '{}'
+)
+RETURNS TABLE (success BOOLEAN, new_balance INTEGER, message TEXT) AS $$
+DECLARE
+    v_current_balance INTEGER;
+    v_new_balance INTEGER;
+    v_resumed BOOLEAN;
+BEGIN
+    -- Get current balance with row lock
+    SELECT token_balance INTO v_current_balance
+    FROM public.profiles
+    WHERE id = p_user_id
+    FOR UPDATE;
+
+    IF v_current_balance IS NULL THEN
+        RETURN QUERY SELECT FALSE, 0, 'User not found'::TEXT;
+        RETURN;
+    END IF;
+
+    IF v_current_balance < p_amount THEN
+        RETURN QUERY SELECT FALSE, v_current_balance, 'Insufficient tokens'::TEXT;
+        RETURN;
+    END IF;
+
+    -- An analysis that was charged or refunded before is being resumed
+    SELECT (tokens_used + tokens_refunded) > 0 INTO v_resumed
+    FROM public.analyses
+    WHERE id = p_analysis_id
+    AND user_id = p_user_id;
+
+    v_new_balance := v_current_balance - p_amount;
+
+    UPDATE public.profiles
+    SET token_balance = v_new_balance,
+        total_analyses_run = total_analyses_run + CASE WHEN COALESCE(v_resumed, FALSE) THEN 0 ELSE 1 END
+    WHERE id = p_user_id;
+
+    -- The reservation is what the analysis is charged until it settles
+    UPDATE public.analyses
+    SET tokens_used = tokens_used + p_amount
+    WHERE id = p_analysis_id
+    AND user_id = p_user_id;
+
+    INSERT INTO public.token_transactions (user_id, transaction_type, amount, balance_after, description, metadata)
+    VALUES (p_user_id, 'usage', -p_amount, v_new_balance, p_description,
+            p_metadata || jsonb_build_object('analysis_id', p_analysis_id));
+
+    RETURN QUERY SELECT TRUE, v_new_balance, 'Tokens reserved successfully'::TEXT;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION public.reserve_tokens(UUID, UUID, INTEGER, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.reserve_tokens(UUID, UUID, INTEGER, TEXT, JSONB) TO service_role;
@@ -0,0 +1,132 @@
+-- Migration: Token Reservations and Refunds
+-- Run this in Supabase SQL Editor after secure_token_system.sql
+--
+-- Analyses now reserve their estimated cost up front and settle the real
+-- cost when the background job finishes. Anything that was not delivered
+-- (failed scrape, AI fallback, fewer comments than estimated) is returned
+-- to the user as a 'refund' entry in token_transactions.
+
+-- ========================================================
+-- 1. ANALYSES: Track refunded tokens
+-- ========================================================
+ALTER TABLE public.analyses
+ADD COLUMN IF NOT EXISTS tokens_refunded INTEGER DEFAULT 0 NOT NULL;
+
+-- ========================================================
+-- 2. RESERVE TOKENS (tied to an analysis record)
+-- ========================================================
+CREATE OR REPLACE FUNCTION public.reserve_tokens(
+    p_user_id UUID,
+    p_analysis_id UUID,
+    p_amount INTEGER,
+    p_description TEXT,
+    p_metadata JSONB DEFAULT '{}'
+)
+RETURNS TABLE (success BOOLEAN, new_balance INTEGER, message TEXT) AS $$
+DECLARE
+    v_current_balance INTEGER;
+    v_new_balance INTEGER;
+BEGIN
+    -- Get current balance with row lock
+    SELECT token_balance INTO v_current_balance
+    FROM public.profiles
+    WHERE id = p_user_id
+    FOR UPDATE;
+
+    IF v_current_balance IS NULL THEN
+        RETURN QUERY SELECT FALSE, 0, 'User not found'::TEXT;
+        RETURN;
+    END IF;
+
+    IF v_current_balance < p_amount THEN
+        RETURN QUERY SELECT FALSE, v_current_balance, 'Insufficient tokens'::TEXT;
+        RETURN;
+    END IF;
+
+    v_new_balance := v_current_balance - p_amount;
+
+    UPDATE public.profiles
+    SET token_balance = v_new_balance,
+        total_analyses_run = total_analyses_run + 1
+    WHERE id = p_user_id;
+
+    -- The reservation is what the analysis is charged until it settles
+    UPDATE public.analyses
+    SET tokens_used = p_amount
+    WHERE id = p_analysis_id
+    AND user_id = p_user_id;
+
+    INSERT INTO public.token_transactions (user_id, transaction_type, amount, balance_after, description, metadata)
+    VALUES (p_user_id, 'usage', -p_amount, v_new_balance, p_description,
+            p_metadata || jsonb_build_object('analysis_id', p_analysis_id));
+
+    RETURN QUERY SELECT TRUE, v_new_balance, 'Tokens reserved successfully'::TEXT;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ========================================================
+-- 3. REFUND TOKENS (full or partial, capped per analysis)
+-- ========================================================
+CREATE OR REPLACE FUNCTION public.refund_tokens(
+    p_user_id UUID,
+    p_analysis_id UUID,
+    p_amount INTEGER,
+    p_description TEXT,
+    p_metadata JSONB DEFAULT '{}'
+)
+RETURNS TABLE (success BOOLEAN, refunded INTEGER, new_balance INTEGER, message TEXT) AS $$
+DECLARE
+    v_tokens_used INTEGER;
+    v_refund INTEGER;
+    v_new_balance INTEGER;
+BEGIN
+    IF p_amount IS NULL OR p_amount <= 0 THEN
+        RETURN QUERY SELECT FALSE, 0, NULL::INTEGER, 'Refund amount must be positive'::TEXT;
+        RETURN;
+    END IF;
+
+    -- Lock the analysis so two settlements can never refund the same tokens
+    SELECT tokens_used INTO v_tokens_used
+    FROM public.analyses
+    WHERE id = p_analysis_id
+    AND user_id = p_user_id
+    FOR UPDATE;
+
+    IF v_tokens_used IS NULL THEN
+        RETURN QUERY SELECT FALSE, 0, NULL::INTEGER, 'Analysis not found'::TEXT;
+        RETURN;
+    END IF;
+
+    -- Never refund more than the analysis is still being charged
+    v_refund := LEAST(p_amount, v_tokens_used);
+
+    IF v_refund <= 0 THEN
+        RETURN QUERY SELECT FALSE, 0, NULL::INTEGER, 'Nothing left to refund'::TEXT;
+        RETURN;
+    END IF;
+
+    UPDATE public.profiles
+    SET token_balance = token_balance + v_refund
+    WHERE id = p_user_id
+    RETURNING token_balance INTO v_new_balance;
+
+    UPDATE public.analyses
+    SET tokens_used = tokens_used - v_refund,
+        tokens_refunded = tokens_refunded + v_refund
+    WHERE id = p_analysis_id;
+
+    INSERT INTO public.token_transactions (user_id, transaction_type, amount, balance_after, description, metadata)
+    VALUES (p_user_id, 'refund', v_refund, v_new_balance, p_description,
+            p_metadata || jsonb_build_object('analysis_id', p_analysis_id));
+
+    RETURN QUERY SELECT TRUE, v_refund, v_new_balance, 'Tokens refunded successfully'::TEXT;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ========================================================
+-- 4. PERMISSIONS (backend only)
+-- ========================================================
+REVOKE EXECUTE ON FUNCTION public.reserve_tokens(UUID, UUID, INTEGER, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.refund_tokens(UUID, UUID, INTEGER, TEXT, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.reserve_tokens(UUID, UUID, INTEGER, TEXT, JSONB) TO service_role;
+GRANT EXECUTE ON FUNCTION public.refund_tokens(UUID, UUID, INTEGER, TEXT, JSONB) TO service_role;
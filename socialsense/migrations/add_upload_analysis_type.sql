@@ -0,0 +1,12 @@
+-- Migration: Uploaded Comment Imports
+-- Run this in Supabase SQL Editor after add_reddit_platform.sql
+--
+-- Allows analyses of comments imported from CSV, JSON or NDJSON files.
+-- These have platform 'upload' and no video_url.
+
+ALTER TABLE public.analyses
+DROP CONSTRAINT IF EXISTS analyses_analysis_type_check;
+
+ALTER TABLE public.analyses
+ADD CONSTRAINT analyses_analysis_type_check
+CHECK (analysis_type IN ('youtube_comments', 'tiktok_comments', 'reddit_comments', 'upload_comments', 'video_analysis'));
@@ -0,0 +1,8 @@
+-- Migration: Channel & Playlist Analyses
+-- Run this in Supabase SQL Editor after add_upload_analysis_type.sql
+--
+-- Channel and playlist analyses merge comments from several videos and keep
+-- one row per video (title, sentiment split, keywords, top comment).
+
+ALTER TABLE public.analyses
+ADD COLUMN IF NOT EXISTS video_breakdown JSONB;
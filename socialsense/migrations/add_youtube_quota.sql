@@ -0,0 +1,48 @@
+-- Migration: YouTube API Quota Accounting
+-- Run this in Supabase SQL Editor after add_scrape_checkpoints.sql
+--
+-- The backend counts the YouTube Data API units it spends per API key, call
+-- type and quota day (midnight to midnight Pacific Time). Analyses that don't
+-- fit in what is left wait in the job queue until the next reset.
+
+-- ========================================================
+-- 1. QUOTA USAGE (backend only)
+-- ========================================================
+CREATE TABLE IF NOT EXISTS public.youtube_quota_usage (
+    quota_date DATE NOT NULL,
+    -- sha256 prefix of the API key, never the key itself
+    key_id TEXT NOT NULL,
+    -- 'commentThreads.list', 'videos.list', ... or 'quota_exceeded' when Google cut a key off early
+    call_type TEXT NOT NULL,
+    units INTEGER NOT NULL DEFAULT 0 CHECK (units >= 0),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    PRIMARY KEY (quota_date, key_id, call_type)
+);
+
+ALTER TABLE public.youtube_quota_usage ENABLE ROW LEVEL SECURITY;
+
+-- ========================================================
+-- 2. RECORD USAGE: atomic increment shared by every worker
+-- ========================================================
+CREATE OR REPLACE FUNCTION public.record_youtube_quota_usage(
+    p_quota_date DATE,
+    p_key_id TEXT,
+    p_call_type TEXT,
+    p_units INTEGER
+)
+RETURNS VOID AS $$
+BEGIN
+    INSERT INTO public.youtube_quota_usage (quota_date, key_id, call_type, units)
+    VALUES (p_quota_date, p_key_id, p_call_type, p_units)
+    ON CONFLICT (quota_date, key_id, call_type)
+    DO UPDATE SET units = youtube_quota_usage.units + EXCLUDED.units,
+                  updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION public.record_youtube_quota_usage(DATE, TEXT, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.record_youtube_quota_usage(DATE, TEXT, TEXT, INTEGER) TO service_role;
+
+-- Old days are only useful for reporting
+CREATE INDEX IF NOT EXISTS idx_youtube_quota_usage_date ON public.youtube_quota_usage(quota_date);
@@ -0,0 +1,70 @@
+-- Migration: YouTube Quota Reservations
+-- Run this in Supabase SQL Editor after add_question_mining.sql
+--
+-- Analyses hold the units they are expected to spend when they are queued, so
+-- analyses queued at the same time can't all count on the same remaining
+-- quota. A hold belongs to one quota day and is released once the scrape ends;
+-- until then the units it already spent count twice, which errs on the side of
+-- waiting.
+
+-- ========================================================
+-- 1. RESERVATIONS (backend only)
+-- ========================================================
+CREATE TABLE IF NOT EXISTS public.youtube_quota_reservations (
+    quota_date DATE NOT NULL,
+    analysis_id UUID NOT NULL REFERENCES public.analyses(id) ON DELETE CASCADE,
+    units INTEGER NOT NULL CHECK (units >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    PRIMARY KEY (quota_date, analysis_id)
+);
+
+ALTER TABLE public.youtube_quota_reservations ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_youtube_quota_reservations_analysis ON public.youtube_quota_reservations(analysis_id);
+
+-- ========================================================
+-- 2. RESERVE: check and hold in one step, one caller at a time per day
+-- ========================================================
+CREATE OR REPLACE FUNCTION public.reserve_youtube_quota(
+    p_quota_date DATE,
+    p_analysis_id UUID,
+    p_units INTEGER,
+    p_daily_limit INTEGER
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_used INTEGER;
+    v_reserved INTEGER;
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('youtube_quota_reservations:' || p_quota_date::TEXT));
+
+    -- Holding again on the same day (a deferred or retried job) keeps the first hold
+    IF EXISTS (
+        SELECT 1 FROM public.youtube_quota_reservations
+        WHERE quota_date = p_quota_date AND analysis_id = p_analysis_id
+    ) THEN
+        RETURN TRUE;
+    END IF;
+
+    SELECT COALESCE(SUM(units), 0) INTO v_used
+    FROM public.youtube_quota_usage
+    WHERE quota_date = p_quota_date;
+
+    SELECT COALESCE(SUM(units), 0) INTO v_reserved
+    FROM public.youtube_quota_reservations
+    WHERE quota_date = p_quota_date;
+
+    IF v_used + v_reserved + p_units > p_daily_limit THEN
+        RETURN FALSE;
+    END IF;
+
+    INSERT INTO public.youtube_quota_reservations (quota_date, analysis_id, units)
+    VALUES (p_quota_date, p_analysis_id, p_units);
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+REVOKE EXECUTE ON FUNCTION public.reserve_youtube_quota(DATE, UUID, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.reserve_youtube_quota(DATE, UUID, INTEGER, INTEGER) TO service_role;